@@ -14,8 +14,21 @@ module.exports = function(grunt) {
             src: [
                 'scripts/utils.js',
                 'scripts/api.js', 
+                'scripts/offline-store.js',
+                'scripts/save-conflict.js',
                 'scripts/dom.js',
                 'scripts/complete-chat.js',
+                'scripts/mind-map.js',
+                'scripts/idea-import.js',
+                'scripts/plan-export.js',
+                'scripts/outline-sync.js',
+                'scripts/rewrite-popover.js',
+                'scripts/citations.js',
+                'scripts/footnotes.js',
+                'scripts/readability.js',
+                'scripts/comments.js',
+                'scripts/document-import.js',
+                'scripts/collab.js',
                 'scripts/main.js'
             ],
                 dest: 'scripts/researchflow.min.js'
@@ -61,7 +61,7 @@ try {
 
     // Verify session key
     if (!confirm_sesskey($sesskey)) {
-        echo json_encode(['success' => false, 'error' => 'Invalid session key']);
+        echo json_encode(['success' => false, 'error' => 'Invalid session key', 'errorcode' => 'invalidsesskey']);
         exit;
     }
 
@@ -74,10 +74,19 @@ try {
     $context = context_module::instance($cm->id);
     require_login($course, true, $cm);
     require_capability('mod/researchflow:view', $context);
+
+    // Group members share one project; chat history and activity logs stay with each user
+    $projectowner = researchflow_get_project_owner($researchflow, $cm, $USER->id);
+    $projectuserid = $projectowner['userid'];
 } catch (Exception $e) {
     error_log('ajax.php: Error during initialization: ' . $e->getMessage());
     error_log('ajax.php: Exception trace: ' . $e->getTraceAsString());
-    echo json_encode(['success' => false, 'error' => 'Initialization error: ' . $e->getMessage()]);
+    echo json_encode([
+        'success' => false,
+        'error' => 'Initialization error: ' . $e->getMessage(),
+        // Lets the client tell an expired session (requireloginerror) from other failures
+        'errorcode' => ($e instanceof moodle_exception) ? $e->errorcode : null
+    ]);
     exit;
 }
 
@@ -128,13 +137,27 @@ try {
                 error_log('ajax.php: save_project - removedSections: ' . json_encode($decoded['plan']['removedSections'] ?? []));
                 
                 // Try normalized schema first
-                $success = researchflow_save_project_normalized($researchflow->id, $USER->id, $decoded);
+                $success = researchflow_save_project_normalized($researchflow->id, $projectuserid, $decoded);
+                
+                // Saved from another tab or device since this one loaded: send the stored project so the student can choose
+                if (is_array($success) && !empty($success['conflict'])) {
+                    http_response_code(409);
+                    echo json_encode([
+                        'success' => false,
+                        'conflict' => true,
+                        'errorcode' => 'saveconflict',
+                        'error' => 'The project was saved from somewhere else since it was loaded',
+                        'revision' => $success['revision'],
+                        'project' => researchflow_load_project_normalized($researchflow->id, $projectuserid)
+                    ]);
+                    exit;
+                }
                 
                 // If normalized save fails, fall back to old method
                 // If normalized save fails, fall back to old method
                 if (!$success) {
                     error_log('ajax.php: Normalized save failed, falling back to old method');
-                    $success = researchflow_save_project($researchflow->id, $USER->id, $projectdata);
+                    $success = researchflow_save_project($researchflow->id, $projectuserid, $projectdata);
                 }
                 
                 if (!$success) {
@@ -148,6 +171,9 @@ try {
                     if (is_array($success) && isset($success['ideaMappings'])) {
                         $response['ideaMappings'] = $success['ideaMappings'];
                     }
+                    if (is_array($success) && isset($success['revision'])) {
+                        $response['revision'] = $success['revision'];
+                    }
                     
                     echo json_encode($response);
                 }
@@ -167,11 +193,11 @@ try {
             
         case 'load_project':
             // Try normalized schema first
-            $projectdata = researchflow_load_project_normalized($researchflow->id, $USER->id);
+            $projectdata = researchflow_load_project_normalized($researchflow->id, $projectuserid);
             
             // If normalized load fails, fall back to old method
             if ($projectdata === false) {
-                $projectdata = researchflow_load_project($researchflow->id, $USER->id);
+                $projectdata = researchflow_load_project($researchflow->id, $projectuserid);
                 if ($projectdata !== false) {
                     $projectdata = json_decode($projectdata, true);
                 }
@@ -196,7 +222,7 @@ try {
             $mgr = new \mod_researchflow\data\ProjectDataManager();
             $ideaid = optional_param('idea_id', 0, PARAM_INT);
             if ($ideaid) {
-                $ok = $mgr->deleteIdea($researchflow->id, $USER->id, $ideaid);
+                $ok = $mgr->deleteIdea($researchflow->id, $projectuserid, $ideaid);
                 echo json_encode(['success' => (bool)$ok]);
                 break;
             }
@@ -204,22 +230,22 @@ try {
             $content = required_param('content', PARAM_RAW);
             $location = required_param('location', PARAM_ALPHANUMEXT); // allow hyphens if needed
             $sectionid = optional_param('sectionId', null, PARAM_ALPHANUMEXT);
-            $ok = $mgr->deleteIdeaByFields($researchflow->id, $USER->id, trim($content), $location, $sectionid);
+            $ok = $mgr->deleteIdeaByFields($researchflow->id, $projectuserid, trim($content), $location, $sectionid);
             echo json_encode(['success' => (bool)$ok]);
             break;
             
         case 'delete_project':
-            $success = researchflow_delete_project($researchflow->id, $USER->id);
+            $success = researchflow_delete_project($researchflow->id, $projectuserid);
             echo json_encode(['success' => $success]);
             break;
             
         case 'migrate_project':
-            $result = researchflow_migrate_project($researchflow->id, $USER->id);
+            $result = researchflow_migrate_project($researchflow->id, $projectuserid);
             echo json_encode($result);
             break;
             
         case 'rollback_migration':
-            $result = researchflow_rollback_migration($researchflow->id, $USER->id);
+            $result = researchflow_rollback_migration($researchflow->id, $projectuserid);
             echo json_encode($result);
             break;
             
@@ -327,14 +353,14 @@ try {
             
         case 'get_version_history':
             $phase = required_param('phase', PARAM_ALPHANUMEXT);
-            $versions = \mod_researchflow\data\VersionManager::getVersionHistory($researchflow->id, $USER->id, $phase);
+            $versions = \mod_researchflow\data\VersionManager::getVersionHistory($researchflow->id, $projectuserid, $phase);
             echo json_encode(['success' => true, 'versions' => $versions]);
             break;
             
         case 'get_version':
             $phase = required_param('phase', PARAM_ALPHANUMEXT);
             $versionNumber = required_param('version_number', PARAM_INT);
-            $version = \mod_researchflow\data\VersionManager::getVersion($researchflow->id, $USER->id, $phase, $versionNumber);
+            $version = \mod_researchflow\data\VersionManager::getVersion($researchflow->id, $projectuserid, $phase, $versionNumber);
             if ($version) {
                 echo json_encode(['success' => true, 'version' => $version]);
             } else {
@@ -345,14 +371,14 @@ try {
         case 'restore_version':
             $phase = required_param('phase', PARAM_ALPHANUMEXT);
             $versionNumber = required_param('version_number', PARAM_INT);
-            $version = \mod_researchflow\data\VersionManager::getVersion($researchflow->id, $USER->id, $phase, $versionNumber);
+            $version = \mod_researchflow\data\VersionManager::getVersion($researchflow->id, $projectuserid, $phase, $versionNumber);
             if ($version) {
                 // Update current content directly
                 global $DB;
                 $now = time();
                 $record = [
                     'researchflowid' => $researchflow->id,
-                    'userid' => $USER->id,
+                    'userid' => $projectuserid,
                     'phase' => $phase,
                     'content' => $version->content,
                     'word_count' => $version->word_count,
@@ -361,7 +387,7 @@ try {
                 
                 $existing = $DB->get_record('researchflow_content', [
                     'researchflowid' => $researchflow->id,
-                    'userid' => $USER->id,
+                    'userid' => $projectuserid,
                     'phase' => $phase
                 ]);
                 
@@ -377,7 +403,7 @@ try {
                 // Create a new version snapshot for the restore
                 \mod_researchflow\data\VersionManager::saveVersion(
                     $researchflow->id,
-                    $USER->id,
+                    $projectuserid,
                     $phase,
                     $version->content,
                     $version->word_count,
@@ -390,6 +416,26 @@ try {
             }
             break;
             
+        case 'load_review':
+            // Reviews belong to the student who ran them, also in a shared group project
+            $phase = required_param('phase', PARAM_ALPHA);
+            $mgr = new \mod_researchflow\data\ProjectDataManager();
+            echo json_encode(['success' => true, 'review' => $mgr->loadReview($researchflow->id, $USER->id, $phase)]);
+            break;
+            
+        case 'save_review':
+            $phase = required_param('phase', PARAM_ALPHA);
+            $suggestions = json_decode(required_param('suggestions', PARAM_RAW), true);
+            if (!is_array($suggestions)) {
+                echo json_encode(['success' => false, 'error' => 'Invalid suggestions format']);
+                break;
+            }
+            $mgr = new \mod_researchflow\data\ProjectDataManager();
+            $success = $mgr->saveReview($researchflow->id, $USER->id, $phase, $suggestions,
+                optional_param('reviewed_at', 0, PARAM_INT));
+            echo json_encode(['success' => $success]);
+            break;
+            
         case 'save_instructor_goal':
             try {
                 // Check if user has permission to edit goals
@@ -457,7 +503,7 @@ try {
             
         case 'submit_project':
             $mgr = new \mod_researchflow\data\ProjectDataManager();
-            $result = $mgr->submitProject($researchflow->id, $USER->id);
+            $result = $mgr->submitProject($researchflow->id, $projectuserid);
             echo json_encode(['success' => $result]);
             break;
             
@@ -537,6 +583,110 @@ try {
             }
             break;
 
+        case 'proxy_organize':
+            try {
+                $ideas = json_decode(required_param('ideas', PARAM_RAW), true);
+                $sections = json_decode(required_param('sections', PARAM_RAW), true);
+                if (!is_array($ideas) || !is_array($sections)) {
+                    echo json_encode(['success' => false, 'error' => 'Invalid ideas or sections format']);
+                    break;
+                }
+                $response = researchflow_call_ai_service('/api/organize', [
+                    'ideas' => $ideas,
+                    'sections' => $sections,
+                    'goal' => optional_param('goal', '', PARAM_TEXT)
+                ]);
+                if ($response['httpcode'] >= 400) {
+                    echo json_encode([
+                        'success' => false,
+                        'error' => $response['result']['error'] ?? 'AI service error.'
+                    ]);
+                    break;
+                }
+                echo json_encode([
+                    'success' => true,
+                    'placements' => $response['result']['placements'] ?? []
+                ]);
+            } catch (Exception $e) {
+                error_log('proxy_organize error: ' . $e->getMessage());
+                echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'proxy_rephrase':
+            try {
+                $mode = optional_param('mode', 'rephrase', PARAM_ALPHA);
+                $response = researchflow_call_ai_service('/api/rephrase', [
+                    'text' => required_param('text', PARAM_RAW),
+                    'mode' => $mode,
+                    'context' => optional_param('context', '', PARAM_RAW)
+                ]);
+                if ($response['httpcode'] >= 400) {
+                    echo json_encode([
+                        'success' => false,
+                        'error' => $response['result']['error'] ?? 'AI service error.'
+                    ]);
+                    break;
+                }
+                echo json_encode([
+                    'success' => true,
+                    'options' => $response['result']['options'] ?? []
+                ]);
+            } catch (Exception $e) {
+                error_log('proxy_rephrase error: ' . $e->getMessage());
+                echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'proxy_review':
+            try {
+                $response = researchflow_call_ai_service('/api/review', [
+                    'text' => required_param('text', PARAM_RAW)
+                ]);
+                if ($response['httpcode'] >= 400) {
+                    echo json_encode([
+                        'success' => false,
+                        'error' => $response['result']['error'] ?? 'AI service error.'
+                    ]);
+                    break;
+                }
+                if (!isset($response['result']['suggestions']) || !is_array($response['result']['suggestions'])) {
+                    echo json_encode(['success' => false, 'error' => 'The AI service returned a review without suggestions.']);
+                    break;
+                }
+                echo json_encode([
+                    'success' => true,
+                    'suggestions' => $response['result']['suggestions']
+                ]);
+            } catch (Exception $e) {
+                error_log('proxy_review error: ' . $e->getMessage());
+                echo json_encode(['success' => false, 'error' => $e->getMessage()]);
+            }
+            break;
+
+        case 'collab_session':
+            // Where and as whom to join the live editing room of a group project
+            $relayurl = trim((string)get_config('mod_researchflow', 'collab_relay_url'));
+            $groupid = $projectowner['groupid'];
+            // Without a secret the relay refuses every token
+            if (!$groupid || $relayurl === '' || (string)get_config('mod_researchflow', 'collab_secret') === '') {
+                echo json_encode(['success' => true, 'enabled' => false, 'shared' => (bool)$groupid]);
+                break;
+            }
+            $room = 'researchflow-' . $researchflow->id . '-' . $groupid;
+            $expires = time() + HOURSECS * 12;
+            echo json_encode([
+                'success' => true,
+                'enabled' => true,
+                'shared' => true,
+                'url' => $relayurl,
+                'room' => $room,
+                'token' => researchflow_collab_token($room, $USER->id, $expires),
+                'user' => ['id' => (int)$USER->id, 'name' => fullname($USER)],
+                'group' => format_string(groups_get_group_name($groupid))
+            ]);
+            break;
+
         case 'log_activity':
             $activities = optional_param('activities', null, PARAM_RAW);
             if ($activities === null) {
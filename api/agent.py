@@ -1,6 +1,6 @@
 import os
 import json
-from typing import Dict, List, Any, Optional
+from typing import Dict, List, Any, Literal, Optional
 from langchain_openai import ChatOpenAI
 from langchain_core.messages import HumanMessage, AIMessage, SystemMessage
 from langchain_core.tools import BaseTool
@@ -13,36 +13,78 @@ from langchain.agents import create_openai_tools_agent, AgentExecutor
 
 
 class AddIdeaInput(BaseModel):
-    """Input for adding an idea to the brainstorm list."""
-    idea: str = Field(description="The idea to add to the brainstorm list")
+    """Input for suggesting an idea for the brainstorm list."""
+    idea: str = Field(description="One short idea (a single phrase or sentence) to suggest for the brainstorm list")
 
 
 class AddCommentInput(BaseModel):
-    """Input for adding a comment to the quill editor content."""
-    content: str = Field(description="The quill editor content with HTML comment attributes added")
-    comment_text: str = Field(description="The comment text to add")
+    """Input for commenting on one passage of the student's draft."""
+    quote: str = Field(description="The exact sentence or phrase from the student's draft the comment is about, copied word for word")
+    comment_text: str = Field(description="The comment itself: one specific, constructive point about the quoted text")
+
+
+class IdeaPlacement(BaseModel):
+    """Proposed move of one brainstorm idea into an outline section."""
+    ideaId: str = Field(description="ID of the brainstorm idea, exactly as given")
+    sectionId: str = Field(description="ID of the outline section the idea belongs in, exactly as given")
+    reason: str = Field(description="One short sentence telling the student why the idea fits this section")
+
+
+class OrganizePlan(BaseModel):
+    """Placements for the brainstorm ideas that clearly fit a section."""
+    placements: List[IdeaPlacement] = Field(default_factory=list)
+
+
+class RewriteOption(BaseModel):
+    """One replacement the student can drop in for their selected text."""
+    text: str = Field(description="The complete replacement for the selected text, ready to paste in")
+    note: str = Field(description="A few words on what this option changes or when it works best")
+
+
+class RewriteOptions(BaseModel):
+    """Alternative versions of the student's selected text."""
+    options: List[RewriteOption] = Field(default_factory=list)
+
+
+class ReviewSuggestion(BaseModel):
+    """One clear, objective error in the student's draft."""
+    type: Literal["spelling", "grammar", "run_on_sentence"] = Field(description="Kind of error")
+    original: str = Field(description="The exact text with the error, copied word for word from the draft")
+    suggestion: str = Field(description="The corrected version of that text")
+    reason: str = Field(description="One short sentence explaining the error")
+
+
+class ReviewResult(BaseModel):
+    """Errors found in the draft; an empty list when there are none."""
+    suggestions: List[ReviewSuggestion]
+
+
+class ReviewFailed(Exception):
+    """The model did not return a usable review, even after retrying."""
 
 
 class AddIdeaTool(BaseTool):
     """Tool for adding ideas to the brainstorm list."""
     name: str = "add_idea"
-    description: str = "Add a new idea to the brainstorm list when user mentions one."
+    description: str = ("Suggest an idea for the student's brainstorm list. Call it once per idea whenever you "
+                        "propose ideas. The student sees each one as a chip and chooses which to add.")
     args_schema: type = AddIdeaInput
 
     def _run(self, idea: str) -> str:
-        """Add an idea to the brainstorm list."""
-        return f"Added idea: {idea}"
+        """Suggest an idea for the brainstorm list."""
+        return f"Suggested idea: {idea}"
 
 
 class AddCommentTool(BaseTool):
-    """Tool for adding comments to quill editor content."""
+    """Tool for commenting on passages of the student's draft."""
     name: str = "add_comment"
-    description: str = "Add a comment or suggestion to the written content."
+    description: str = ("Leave a margin comment on one sentence or phrase of the student's draft. Quote the text "
+                        "exactly as it appears so the comment can be anchored to it. Call it once per comment.")
     args_schema: type = AddCommentInput
 
-    def _run(self, content: str, comment_text: str) -> str:
-        """Add a comment to the quill editor content."""
-        return f"Added comment: {comment_text}"
+    def _run(self, quote: str, comment_text: str) -> str:
+        """Comment on a passage of the draft."""
+        return f"Added comment on \"{quote}\": {comment_text}"
 
 
 class WritingAgent:
@@ -64,7 +106,7 @@ class WritingAgent:
             "plan_organize": """You are a helpful writing assistant in the Plan & Organize phase. Keep responses short and conversational.
 
 **Your role:**
-- Help brainstorm ideas
+- Help brainstorm ideas (suggest each idea with the add_idea tool as well as listing it in your reply)
 - Organize thoughts
 - Create outlines
 - Suggest when ready to write
@@ -124,6 +166,7 @@ class WritingAgent:
 - Suggest improvements
 - Check clarity
 - Polish writing
+- Give targeted feedback on specific sentences with add_comment, quoting each sentence exactly as written
 
 **Response style:**
 - Use structured format with numbered lists when providing multiple items (1. **Item** - explanation)
@@ -161,7 +204,7 @@ class WritingAgent:
         ])
         
         agent = create_openai_tools_agent(self.llm, self.tools, prompt)
-        return AgentExecutor(agent=agent, tools=self.tools, verbose=True)
+        return AgentExecutor(agent=agent, tools=self.tools, verbose=True, return_intermediate_steps=True)
     
     def _extract_chat_history(self, project: Dict[str, Any]) -> List:
         """Extract chat history from project JSON and convert to LangChain messages."""
@@ -272,23 +315,25 @@ class WritingAgent:
                     
                     # Handle AddCommentTool
                     elif hasattr(action, 'tool') and action.tool == "add_comment":
-                        content = action.tool_input.get("content", "")
+                        quote = action.tool_input.get("quote", "")
                         comment_text = action.tool_input.get("comment_text", "")
-                        if content and comment_text:
-                            # Initialize edit suggestions if not present
-                            if "edit" not in modified_project:
-                                modified_project["edit"] = {}
-                            if "suggestions" not in modified_project["edit"]:
-                                modified_project["edit"]["suggestions"] = []
-                            
-                            # Add the comment as a suggestion
-                            new_suggestion = {
-                                "id": f"ai_comment_{len(modified_project['edit']['suggestions']) + 1}",
-                                "content": comment_text,
-                                "type": "comment",
-                                "aiGenerated": True
+                        if comment_text:
+                            # Initialize comments if not present
+                            if not isinstance(modified_project.get("comments"), dict):
+                                modified_project["comments"] = {}
+                            if not isinstance(modified_project["comments"].get("items"), list):
+                                modified_project["comments"]["items"] = []
+
+                            # The front end anchors the comment to the quoted text
+                            new_comment = {
+                                "id": f"ai_comment_{len(modified_project['comments']['items']) + 1}",
+                                "author": "ai",
+                                "quote": quote,
+                                "text": comment_text,
+                                "replies": [],
+                                "resolved": False
                             }
-                            modified_project["edit"]["suggestions"].append(new_suggestion)
+                            modified_project["comments"]["items"].append(new_comment)
         
         return modified_project
     
@@ -339,3 +384,121 @@ IMPORTANT: When providing lists or multiple items, use numbered format (1. **Ite
         except Exception as e:
             error_message = f"I encountered an error while processing your request: {str(e)}"
             return error_message, project
+    
+    def organize_ideas(self, ideas: List[Dict[str, Any]], sections: List[Dict[str, Any]], goal: str = "") -> List[Dict[str, str]]:
+        """Propose which outline section each brainstorm idea belongs in, with a reason for each placement."""
+        ideas_text = "\n".join(f"- [{idea.get('id')}] {idea.get('content', '')}" for idea in ideas)
+        sections_text = "\n".join(
+            f"- [{section.get('id')}] {section.get('title', '')}"
+            + (f": {section['description']}" if section.get("description") else "")
+            for section in sections
+        )
+        
+        messages = [
+            SystemMessage(content="""You help a student organize brainstorm ideas into the sections of their essay outline.
+Place each idea in the single section where it fits best. Leave out ideas that do not clearly fit any section.
+Only use the idea and section IDs you are given. Keep each reason to one short, friendly sentence."""),
+            HumanMessage(content=f"Assignment goal: {goal or 'Not provided'}\n\nSections:\n{sections_text}\n\nIdeas:\n{ideas_text}")
+        ]
+        
+        plan = self.llm.with_structured_output(OrganizePlan).invoke(messages)
+        
+        # Drop anything that doesn't point at a real idea/section; one placement per idea
+        idea_ids = {str(idea.get("id")) for idea in ideas}
+        section_ids = {str(section.get("id")) for section in sections}
+        placements = []
+        placed = set()
+        for placement in plan.placements:
+            if placement.ideaId in idea_ids and placement.sectionId in section_ids and placement.ideaId not in placed:
+                placed.add(placement.ideaId)
+                placements.append({
+                    "ideaId": placement.ideaId,
+                    "sectionId": placement.sectionId,
+                    "reason": placement.reason.strip()
+                })
+        
+        return placements
+    
+    def suggest_rewrites(self, text: str, mode: str = "rephrase", context: str = "", count: int = 4) -> List[Dict[str, str]]:
+        """Offer replacements for a selected passage: rewordings ("rephrase") or the same sentences joined by a transition ("transition")."""
+        if mode == "transition":
+            task = f"""Rewrite the student's sentences {count} different ways, each joining them with a different transition word or phrase.
+Keep the student's own wording apart from the transition and the small changes it needs.
+In the note, name the transition and when it fits (contrast, addition, cause and effect, ...)."""
+        else:
+            task = f"""Give {count} different ways to reword the student's passage while keeping its meaning.
+Vary the sentence structure and word choice, and keep the student's tone and level of formality.
+In the note, say in a few words how the option differs (shorter, more formal, active voice, ...)."""
+        
+        messages = [
+            SystemMessage(content=f"""You help a student improve a passage from their essay.
+{task}
+Each option must be a complete replacement for the selected text, with no quotes around it and no commentary."""),
+            HumanMessage(content=f"Surrounding text: {context or 'Not provided'}\n\nSelected text:\n{text}")
+        ]
+        
+        result = self.llm.with_structured_output(RewriteOptions).invoke(messages)
+        
+        # Drop empty options and ones that just repeat the selection
+        options = []
+        seen = {text.strip()}
+        for option in result.options:
+            replacement = option.text.strip()
+            if replacement and replacement not in seen:
+                seen.add(replacement)
+                options.append({"text": replacement, "note": option.note.strip()})
+        
+        return options[:count]
+    
+    def review_document(self, text: str, attempts: int = 2) -> List[Dict[str, Any]]:
+        """Check a draft for spelling, grammar and run-on errors. Each suggestion quotes the draft exactly and
+        carries the position of that quote; a reply that does not fit the schema is asked for again."""
+        messages = [
+            SystemMessage(content="""You proofread a student's essay draft for ONLY clear, objective errors of three kinds:
+- spelling: words that are clearly misspelled (e.g. "recieve" instead of "receive")
+- grammar: clear grammatical errors (e.g. "it's" for "its", subject-verb disagreement, punctuation that creates confusion)
+- run_on_sentence: two independent clauses joined without proper punctuation or a conjunction
+
+Do not suggest stylistic changes, do not flag sentences that are long but correct, and do not change word choice
+unless it is a spelling error. "original" must be copied exactly from the draft, short enough to contain just the
+error and enough words around it to find it. If there are no clear errors, return an empty list."""),
+            HumanMessage(content=f"Draft to review:\n{text}")
+        ]
+        reviewer = self.llm.with_structured_output(ReviewResult, method="json_schema", strict=True)
+        
+        last_error = None
+        for attempt in range(attempts):
+            try:
+                result = reviewer.invoke(messages)
+                break
+            except Exception as e:  # Malformed or schema-breaking reply
+                last_error = e
+                print(f"review_document: attempt {attempt + 1} failed: {e}")
+        else:
+            raise ReviewFailed(f"The AI returned a review that could not be read ({last_error})")
+        
+        # Keep suggestions that quote the draft and change something; repeated quotes take the next occurrence
+        suggestions = []
+        searched_from = {}
+        for item in result.suggestions:
+            original = item.original.strip()
+            replacement = item.suggestion.strip()
+            if not original or replacement == original:
+                continue
+            position = text.find(original, searched_from.get(original, 0))
+            if position == -1:
+                position = text.find(original)
+            if position == -1:
+                print(f"review_document: dropped suggestion not found in draft: {original!r}")
+                continue
+            searched_from[original] = position + len(original)
+            suggestions.append({
+                "type": item.type,
+                "original": original,
+                "suggestion": replacement,
+                "reason": item.reason.strip(),
+                # The editor counts UTF-16 code units, so characters outside the BMP (emoji) count twice
+                "position": len(text[:position].encode("utf-16-le")) // 2
+            })
+        
+        return suggestions
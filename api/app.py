@@ -2,11 +2,14 @@ import os
 from flask import Flask, request, jsonify
 from flask_cors import CORS
 from dotenv import load_dotenv
-from agent import WritingAgent
+from agent import WritingAgent, ReviewFailed
 
 # Load environment variables
 load_dotenv()
 
+# Longest draft the review endpoint accepts, in characters
+REVIEW_MAX_CHARS = 60000
+
 # API key for authentication (empty = skip auth in dev mode)
 API_KEY = os.getenv('WRITEASSIST_API_KEY', '').strip()
 
@@ -135,6 +138,101 @@ def chat():
         return jsonify({"error": f"Internal server error: {str(e)}"}), 500
 
     
+@app.route("/api/organize", methods=["POST"])
+def organize():
+    """Propose placements of brainstorm ideas into outline sections (ideaId -> sectionId, with a reason)"""
+    print("=== ORGANIZE ENDPOINT CALLED ===")
+    
+    try:
+        data = request.get_json()
+        if not data:
+            return jsonify({"error": "No data provided"}), 400
+        
+        ideas = data.get("ideas") or []
+        sections = data.get("sections") or []
+        if not isinstance(ideas, list) or not isinstance(sections, list) or not ideas or not sections:
+            return jsonify({"error": "Both ideas and sections are required"}), 400
+        
+        if not agent:
+            return jsonify({"error": "AI service not available"}), 500
+        
+        placements = agent.organize_ideas(ideas, sections, data.get("goal", ""))
+        print(f"Organize returned {len(placements)} placements")
+        
+        return jsonify({"placements": placements})
+        
+    except Exception as e:
+        print(f"ERROR in organize endpoint: {e}")
+        import traceback
+        print(f"Traceback: {traceback.format_exc()}")
+        return jsonify({"error": f"Internal server error: {str(e)}"}), 500
+
+
+@app.route("/api/rephrase", methods=["POST"])
+def rephrase():
+    """Structured alternatives for a selected passage: rewordings or transition options ({text, note} each)"""
+    print("=== REPHRASE ENDPOINT CALLED ===")
+    
+    try:
+        data = request.get_json()
+        if not data:
+            return jsonify({"error": "No data provided"}), 400
+        
+        text = (data.get("text") or "").strip()
+        mode = data.get("mode") or "rephrase"
+        if not text:
+            return jsonify({"error": "Selected text is required"}), 400
+        if mode not in ("rephrase", "transition"):
+            return jsonify({"error": "Mode must be 'rephrase' or 'transition'"}), 400
+        
+        if not agent:
+            return jsonify({"error": "AI service not available"}), 500
+        
+        options = agent.suggest_rewrites(text, mode, data.get("context", ""))
+        print(f"Rephrase returned {len(options)} options")
+        
+        return jsonify({"options": options})
+        
+    except Exception as e:
+        print(f"ERROR in rephrase endpoint: {e}")
+        import traceback
+        print(f"Traceback: {traceback.format_exc()}")
+        return jsonify({"error": f"Internal server error: {str(e)}"}), 500
+
+
+@app.route("/api/review", methods=["POST"])
+def review():
+    """Spelling, grammar and run-on check of a draft: {suggestions: [{type, original, suggestion, reason, position}]}"""
+    print("=== REVIEW ENDPOINT CALLED ===")
+    
+    try:
+        data = request.get_json()
+        if not data:
+            return jsonify({"error": "No data provided"}), 400
+        
+        text = data.get("text")
+        if not isinstance(text, str) or not text.strip():
+            return jsonify({"error": "Document text is required"}), 400
+        if len(text) > REVIEW_MAX_CHARS:
+            return jsonify({"error": f"The document is too long to review at once (limit {REVIEW_MAX_CHARS} characters)"}), 413
+        
+        if not agent:
+            return jsonify({"error": "AI service not available"}), 500
+        
+        suggestions = agent.review_document(text)
+        print(f"Review returned {len(suggestions)} suggestions")
+        
+        return jsonify({"suggestions": suggestions})
+        
+    except ReviewFailed as e:
+        print(f"Review failed: {e}")
+        return jsonify({"error": str(e)}), 502
+    except Exception as e:
+        print(f"ERROR in review endpoint: {e}")
+        import traceback
+        print(f"Traceback: {traceback.format_exc()}")
+        return jsonify({"error": f"Internal server error: {str(e)}"}), 500
+
 
 if __name__ == '__main__':
     app.run(debug=True, port=5004, host='0.0.0.0')
\ No newline at end of file
@@ -0,0 +1,206 @@
+"""
+Collaboration relay for group projects.
+
+Group members editing the same project connect here over WebSocket. The relay does no merging itself: it
+gives every edit ("init" and "op" messages) the next sequence number of its room, stores it, and sends it to
+everyone in the room, the author included. Each browser then transforms the edits in that one order, so all
+copies of the Write and Edit drafts and the plan board end up the same (see scripts/collab.js). Cursor and
+presence messages are passed on to the others without being stored.
+
+A room lives while someone is connected. Whoever joins an empty room starts it from the project Moodle has
+saved; later joiners get the room's log and replay it. So the log does not grow for as long as a group keeps
+writing, once it is long the relay asks a browser for a snapshot of every document and replaces the log up to
+that point with it.
+
+Run locally:
+    COLLAB_SECRET=change-me python collab_relay.py --port 8765
+and set the plugin's "Collaboration relay URL" to ws://localhost:8765 and its secret to the same value.
+The relay will not start without COLLAB_SECRET: anyone could otherwise join any room.
+"""
+
+import argparse
+import asyncio
+import hashlib
+import hmac
+import json
+import os
+import time
+import uuid
+
+from dotenv import load_dotenv
+
+load_dotenv()
+
+COLLAB_SECRET = os.getenv('COLLAB_SECRET', '').strip()
+
+# Message types the relay sequences and keeps for late joiners; everything else is only passed on
+SEQUENCED_TYPES = ('init', 'op')
+RELAYED_TYPES = ('presence', 'cursor')
+
+# Log length at which a snapshot is asked for, and how many more entries to wait before asking again
+COMPACT_AFTER = 500
+COMPACT_RETRY = 50
+
+
+def verify_token(room, token, secret=COLLAB_SECRET, now=None):
+    """Check a "userid.expires.signature" token signed by researchflow_collab_token() in lib.php.
+
+    Returns the user ID, or None when the token is invalid or expired, or no secret is set to check it with.
+    """
+    if not secret:
+        return None
+    try:
+        userid, expires, signature = str(token).split('.', 2)
+        expires_at = int(expires)
+    except ValueError:
+        return None
+    expected = hmac.new(secret.encode(), f'{room}|{userid}|{expires}'.encode(), hashlib.sha256).hexdigest()
+    if not hmac.compare_digest(expected, signature):
+        return None
+    if expires_at < (now if now is not None else time.time()):
+        return None
+    return userid
+
+
+class Room:
+    """Sequence and log of one group's shared project, and who is connected to it."""
+
+    def __init__(self, name):
+        self.name = name
+        self.epoch = uuid.uuid4().hex  # Tells clients that reconnect whether this is still the room they knew
+        self.seq = 0
+        self.log = []
+        self.compact_at = COMPACT_AFTER
+        self.clients = {}  # client id -> {'user': {...}, 'send': callable}
+
+    def join(self, client_id, user, send):
+        """Add a connection; returns the welcome message for it and the join notice for the others."""
+        self.clients[client_id] = {'user': user, 'send': send}
+        welcome = {
+            'type': 'welcome',
+            'client': client_id,
+            'epoch': self.epoch,
+            'seq': self.seq,
+            'log': self.log,
+            'peers': [{'client': cid, 'user': info['user']} for cid, info in self.clients.items() if cid != client_id],
+        }
+        return welcome, {'type': 'join', 'client': client_id, 'user': user}
+
+    def leave(self, client_id):
+        self.clients.pop(client_id, None)
+        return {'type': 'leave', 'client': client_id}
+
+    def handle(self, client_id, message):
+        """Work out what to send for a message from a client.
+
+        Returns (message, include_sender), or None when there is nothing to send.
+        """
+        kind = message.get('type')
+        if kind in SEQUENCED_TYPES:
+            self.seq += 1
+            sequenced = {**message, 'client': client_id, 'seq': self.seq}
+            self.log.append(sequenced)
+            return sequenced, True
+        if kind in RELAYED_TYPES:
+            return {**message, 'client': client_id}, False
+        if kind == 'snapshot':
+            self.compact(message.get('seq'), message.get('docs'))
+        return None
+
+    def wants_snapshot(self):
+        """Whether to ask for a snapshot now (asked again later if nobody sends one)."""
+        if len(self.log) < self.compact_at:
+            return False
+        self.compact_at = len(self.log) + COMPACT_RETRY
+        return True
+
+    def compact(self, seq, docs):
+        """Replace the log up to seq with a snapshot of the documents as they were after it (documents the
+        snapshot leaves out keep their entries)."""
+        compacted = self.log[0]['seq'] if self.log and self.log[0]['type'] == 'snapshot' else 0
+        if not isinstance(seq, int) or not isinstance(docs, dict) or not compacted < seq <= self.seq:
+            return
+        if compacted:
+            docs = {**self.log[0]['docs'], **docs}
+        snapshot = {'type': 'snapshot', 'seq': seq, 'docs': docs}
+        self.log = [snapshot] + [entry for entry in self.log[1 if compacted else 0:]
+                                 if entry['seq'] > seq or entry.get('doc') not in docs]
+        self.compact_at = len(self.log) + COMPACT_AFTER
+
+    def recipients(self, client_id, include_sender):
+        return [info['send'] for cid, info in self.clients.items() if include_sender or cid != client_id]
+
+    def is_empty(self):
+        return not self.clients
+
+
+class Relay:
+    def __init__(self, secret=COLLAB_SECRET):
+        self.secret = secret  # Tokens are checked against it (see verify_token)
+        self.rooms = {}
+
+    async def broadcast(self, sends, message):
+        payload = json.dumps(message)
+        await asyncio.gather(*(send(payload) for send in sends), return_exceptions=True)
+
+    async def handler(self, websocket, path=None):
+        room = None
+        client_id = uuid.uuid4().hex[:12]
+        try:
+            hello = json.loads(await asyncio.wait_for(websocket.recv(), timeout=10))
+            name = str(hello.get('room') or '')
+            userid = verify_token(name, hello.get('token'), self.secret)
+            if hello.get('type') != 'join' or not name or userid is None:
+                await websocket.send(json.dumps({'type': 'error', 'message': 'Invalid or expired token'}))
+                return
+
+            user = hello.get('user') or {}
+            user = {'id': userid, 'name': str(user.get('name') or f'User {userid}')[:100]}
+            room = self.rooms.setdefault(name, Room(name))
+            welcome, joined = room.join(client_id, user, websocket.send)
+            await websocket.send(json.dumps(welcome))
+            await self.broadcast(room.recipients(client_id, False), joined)
+
+            async for raw in websocket:
+                try:
+                    message = json.loads(raw)
+                except ValueError:
+                    continue
+                if not isinstance(message, dict):
+                    continue
+                outcome = room.handle(client_id, message)
+                if outcome:
+                    outgoing, include_sender = outcome
+                    await self.broadcast(room.recipients(client_id, include_sender), outgoing)
+                if room.wants_snapshot():
+                    await websocket.send(json.dumps({'type': 'snapshot_request'}))
+        except (asyncio.TimeoutError, ValueError):
+            pass
+        except Exception as e:  # Connection dropped; the others only need to know who left
+            print(f'collab_relay: connection {client_id} closed: {e}')
+        finally:
+            if room is not None:
+                left = room.leave(client_id)
+                if room.is_empty():
+                    self.rooms.pop(room.name, None)
+                else:
+                    await self.broadcast(room.recipients(client_id, False), left)
+
+
+async def serve(host, port):
+    import websockets
+
+    relay = Relay()
+    async with websockets.serve(relay.handler, host, port, max_size=2 ** 22):
+        print(f'Collaboration relay listening on ws://{host}:{port}')
+        await asyncio.Future()
+
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description='WebSocket relay for co-editing group projects')
+    parser.add_argument('--host', default=os.getenv('COLLAB_HOST', '0.0.0.0'))
+    parser.add_argument('--port', type=int, default=int(os.getenv('COLLAB_PORT', '8765')))
+    args = parser.parse_args()
+    if not COLLAB_SECRET:
+        parser.exit(1, 'COLLAB_SECRET is not set: set it to the plugin\'s "Collaboration relay secret"\n')
+    asyncio.run(serve(args.host, args.port))
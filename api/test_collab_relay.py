@@ -0,0 +1,217 @@
+"""
+Tests for the collaboration relay: token checks, sequencing, log compaction and a join/edit round trip
+through Relay.handler over an in-memory connection (and over a real WebSocket when websockets is installed).
+
+Run from this directory:
+    python -m unittest test_collab_relay
+"""
+
+import asyncio
+import hashlib
+import hmac
+import json
+import unittest
+from unittest import mock
+
+import collab_relay
+from collab_relay import Relay, Room, verify_token
+
+
+def sign(room, userid, expires, secret='secret'):
+    signature = hmac.new(secret.encode(), f'{room}|{userid}|{expires}'.encode(), hashlib.sha256).hexdigest()
+    return f'{userid}.{expires}.{signature}'
+
+
+class VerifyTokenTest(unittest.TestCase):
+    def test_valid_token_gives_user(self):
+        self.assertEqual(verify_token('room', sign('room', 7, 2000), secret='secret', now=1000), '7')
+
+    def test_expired_token_is_refused(self):
+        self.assertIsNone(verify_token('room', sign('room', 7, 999), secret='secret', now=1000))
+
+    def test_token_for_another_room_or_secret_is_refused(self):
+        self.assertIsNone(verify_token('other', sign('room', 7, 2000), secret='secret', now=1000))
+        self.assertIsNone(verify_token('room', sign('room', 7, 2000, secret='wrong'), secret='secret', now=1000))
+
+    def test_malformed_token_is_refused(self):
+        self.assertIsNone(verify_token('room', 'not-a-token', secret='secret', now=1000))
+        self.assertIsNone(verify_token('room', '7.soon.abc', secret='secret', now=1000))
+
+    def test_nothing_passes_without_a_secret(self):
+        self.assertIsNone(verify_token('room', sign('room', 7, 2000, secret=''), secret='', now=1000))
+
+
+class RoomTest(unittest.TestCase):
+    def setUp(self):
+        self.room = Room('room')
+        self.room.join('a', {'id': '1', 'name': 'A'}, None)
+
+    def op(self, doc='write', client='a'):
+        return self.room.handle(client, {'type': 'op', 'doc': doc, 'base': 0, 'delta': []})
+
+    def test_edits_are_numbered_logged_and_sent_to_everyone(self):
+        self.room.handle('a', {'type': 'init', 'doc': 'write', 'content': []})
+        sequenced, include_sender = self.op()
+        self.assertEqual(sequenced['seq'], 2)
+        self.assertEqual(sequenced['client'], 'a')
+        self.assertTrue(include_sender)
+        self.assertEqual([entry['seq'] for entry in self.room.log], [1, 2])
+
+    def test_cursors_are_passed_on_but_not_logged(self):
+        relayed, include_sender = self.room.handle('a', {'type': 'cursor', 'cursor': {'index': 3}})
+        self.assertEqual(relayed['client'], 'a')
+        self.assertFalse(include_sender)
+        self.assertEqual(self.room.log, [])
+        self.assertIsNone(self.room.handle('a', {'type': 'unknown'}))
+
+    def test_late_joiner_gets_the_log_and_who_is_here(self):
+        self.op()
+        welcome, joined = self.room.join('b', {'id': '2', 'name': 'B'}, None)
+        self.assertEqual(welcome['seq'], 1)
+        self.assertEqual(len(welcome['log']), 1)
+        self.assertEqual(welcome['peers'], [{'client': 'a', 'user': {'id': '1', 'name': 'A'}}])
+        self.assertEqual(joined, {'type': 'join', 'client': 'b', 'user': {'id': '2', 'name': 'B'}})
+
+    def test_snapshot_is_asked_for_once_the_log_is_long_and_again_if_none_comes(self):
+        with mock.patch.object(collab_relay, 'COMPACT_RETRY', 2):
+            self.room.compact_at = 3
+            asked = []
+            for _ in range(6):
+                self.op()
+                asked.append(self.room.wants_snapshot())
+        self.assertEqual(asked, [False, False, True, False, True, False])
+
+    def test_snapshot_replaces_the_log_up_to_its_point(self):
+        self.room.handle('a', {'type': 'init', 'doc': 'write', 'content': []})
+        self.op()
+        self.op()
+        self.room.handle('a', {'type': 'snapshot', 'seq': 2, 'docs': {'write': {'content': [{'insert': 'x'}]}}})
+        self.assertEqual([(entry['type'], entry['seq']) for entry in self.room.log], [('snapshot', 2), ('op', 3)])
+
+    def test_documents_left_out_of_a_snapshot_keep_their_entries(self):
+        self.room.handle('a', {'type': 'init', 'doc': 'write', 'content': []})
+        self.room.handle('a', {'type': 'init', 'doc': 'plan', 'content': {}})
+        self.op()
+        self.room.handle('a', {'type': 'snapshot', 'seq': 3, 'docs': {'write': {'content': []}}})
+        self.assertEqual([(entry['type'], entry.get('doc')) for entry in self.room.log],
+                         [('snapshot', None), ('init', 'plan')])
+
+        # A later snapshot without the plan keeps the write state it had; with it, the plan's entries go
+        self.op()
+        self.room.handle('a', {'type': 'snapshot', 'seq': 4, 'docs': {'plan': {'content': {}}}})
+        self.assertEqual(self.room.log, [{'type': 'snapshot', 'seq': 4,
+                                          'docs': {'write': {'content': []}, 'plan': {'content': {}}}}])
+
+    def test_stale_or_malformed_snapshots_are_ignored(self):
+        self.op()
+        self.op()
+        self.room.handle('a', {'type': 'snapshot', 'seq': 2, 'docs': {'write': {}}})
+        before = list(self.room.log)
+        for seq, docs in [(1, {'write': {}}), (2, {'write': {}}), (9, {'write': {}}), ('2', {}), (2, [])]:
+            self.room.handle('a', {'type': 'snapshot', 'seq': seq, 'docs': docs})
+        self.assertEqual(self.room.log, before)
+
+
+class FakeConnection:
+    """Stands in for a websockets connection: messages to receive in order, and everything sent."""
+
+    def __init__(self, messages):
+        self.incoming = asyncio.Queue()
+        for message in messages:
+            self.incoming.put_nowait(json.dumps(message))
+        self.sent = []
+
+    def close_after_queue(self):
+        self.incoming.put_nowait(None)
+
+    async def recv(self):
+        return await self.incoming.get()
+
+    async def send(self, payload):
+        self.sent.append(json.loads(payload))
+
+    def __aiter__(self):
+        return self
+
+    async def __anext__(self):
+        raw = await self.incoming.get()
+        if raw is None:
+            raise StopAsyncIteration
+        return raw
+
+
+class RelayHandlerTest(unittest.IsolatedAsyncioTestCase):
+    def hello(self, userid):
+        return {'type': 'join', 'room': 'room', 'token': sign('room', userid, 4000000000), 'user': {'name': f'User {userid}'}}
+
+    async def settle(self):
+        for _ in range(10):
+            await asyncio.sleep(0)
+
+    async def test_edits_reach_everyone_in_order(self):
+        relay = Relay(secret='secret')
+        first = FakeConnection([self.hello(1)])
+        first_task = asyncio.create_task(relay.handler(first))
+        await self.settle()
+        self.assertEqual(first.sent[0]['type'], 'welcome')
+
+        second = FakeConnection([self.hello(2), {'type': 'op', 'doc': 'write', 'base': 0, 'opId': 'x', 'delta': []}])
+        second.close_after_queue()
+        await relay.handler(second)
+
+        # The first member saw the second join, edit (with its sequence number) and leave
+        self.assertEqual([message['type'] for message in first.sent], ['welcome', 'join', 'op', 'leave'])
+        self.assertEqual(first.sent[2]['seq'], 1)
+        self.assertEqual(second.sent[1]['opId'], 'x')
+
+        first.close_after_queue()
+        await first_task
+        self.assertEqual(relay.rooms, {})
+
+    async def test_long_log_asks_the_sender_for_a_snapshot(self):
+        relay = Relay(secret='secret')
+        edits = [{'type': 'op', 'doc': 'write', 'base': n, 'opId': str(n), 'delta': []} for n in range(3)]
+        connection = FakeConnection([self.hello(1)] + edits)
+        connection.close_after_queue()
+        with mock.patch.object(collab_relay, 'COMPACT_AFTER', 2):
+            await relay.handler(connection)
+        self.assertEqual([message['type'] for message in connection.sent],
+                         ['welcome', 'op', 'op', 'snapshot_request', 'op'])
+
+    async def test_bad_token_is_refused(self):
+        relay = Relay(secret='secret')
+        connection = FakeConnection([{**self.hello(1), 'token': sign('room', 1, 4000000000, secret='wrong')}])
+        await relay.handler(connection)
+        self.assertEqual(connection.sent, [{'type': 'error', 'message': 'Invalid or expired token'}])
+        self.assertEqual(relay.rooms, {})
+
+
+try:
+    import websockets
+except ImportError:
+    websockets = None
+
+
+@unittest.skipUnless(websockets, 'websockets is not installed')
+class LocalRelayTest(unittest.IsolatedAsyncioTestCase):
+    async def test_two_clients_over_a_local_relay(self):
+        relay = Relay(secret='secret')
+        async with websockets.serve(relay.handler, '127.0.0.1', 0) as server:
+            port = server.sockets[0].getsockname()[1]
+            url = f'ws://127.0.0.1:{port}'
+            hello = {'type': 'join', 'room': 'room', 'token': sign('room', 1, 4000000000)}
+            async with websockets.connect(url) as first, websockets.connect(url) as second:
+                await first.send(json.dumps(hello))
+                self.assertEqual(json.loads(await first.recv())['type'], 'welcome')
+                await second.send(json.dumps({**hello, 'token': sign('room', 2, 4000000000)}))
+                self.assertEqual(json.loads(await second.recv())['type'], 'welcome')
+                self.assertEqual(json.loads(await first.recv())['type'], 'join')
+
+                await second.send(json.dumps({'type': 'init', 'doc': 'write', 'opId': 'i', 'content': []}))
+                for connection in (first, second):
+                    message = json.loads(await asyncio.wait_for(connection.recv(), 5))
+                    self.assertEqual((message['type'], message['seq']), ('init', 1))
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -30,7 +30,7 @@ class backup_researchflow_activity_structure_step extends backup_activity_struct
         // Define each element separated
         $researchflow = new backup_nested_element('researchflow', array('id'), array(
             'name', 'intro', 'introformat', 'template', 'plan_goal', 'write_goal', 'edit_goal',
-            'startdate', 'duedate', 'enddate', 'custom_outline',
+            'startdate', 'duedate', 'enddate', 'custom_outline', 'group_project',
             'timecreated', 'timemodified'));
 
         $works = new backup_nested_element('works');
@@ -39,7 +39,8 @@ class backup_researchflow_activity_structure_step extends backup_activity_struct
 
         $ideas = new backup_nested_element('ideas');
         $idea = new backup_nested_element('idea', array('id'), array(
-            'userid', 'content', 'location', 'section_id', 'ai_generated', 'created_at', 'modified_at'));
+            'userid', 'content', 'location', 'section_id', 'ai_generated', 'parent_id', 'sort_order', 'collapsed',
+            'tag', 'created_at', 'modified_at'));
 
         $contents = new backup_nested_element('contents');
         $content = new backup_nested_element('content', array('id'), array(
@@ -56,7 +57,23 @@ class backup_researchflow_activity_structure_step extends backup_activity_struct
         $metadatas = new backup_nested_element('metadatas');
         $metadata = new backup_nested_element('metadata', array('id'), array(
             'userid', 'title', 'description', 'current_tab', 'instructor_instructions', 'goal', 'plan_outline',
-            'created_at', 'modified_at'));
+            'citation_style', 'created_at', 'modified_at'));
+
+        $sources = new backup_nested_element('sources');
+        $source = new backup_nested_element('source', array('id'), array(
+            'userid', 'source_key', 'source_type', 'title', 'details', 'sort_order', 'created_at', 'modified_at'));
+
+        $comments = new backup_nested_element('comments');
+        $comment = new backup_nested_element('comment', array('id'), array(
+            'userid', 'comment_key', 'author', 'quote', 'body', 'replies', 'resolved', 'sort_order', 'created_at', 'modified_at'));
+
+        $reviews = new backup_nested_element('reviews');
+        $review = new backup_nested_element('review', array('id'), array(
+            'userid', 'phase', 'suggestions', 'reviewed_at', 'modified_at'));
+
+        $group_projects = new backup_nested_element('group_projects');
+        $group_project = new backup_nested_element('group_project', array('id'), array(
+            'groupid', 'ownerid', 'created_at'));
 
         $versions = new backup_nested_element('versions');
         $version = new backup_nested_element('version', array('id'), array(
@@ -80,6 +97,14 @@ class backup_researchflow_activity_structure_step extends backup_activity_struct
         $chats->add_child($chat);
         $researchflow->add_child($metadatas);
         $metadatas->add_child($metadata);
+        $researchflow->add_child($sources);
+        $sources->add_child($source);
+        $researchflow->add_child($comments);
+        $comments->add_child($comment);
+        $researchflow->add_child($reviews);
+        $reviews->add_child($review);
+        $researchflow->add_child($group_projects);
+        $group_projects->add_child($group_project);
         $researchflow->add_child($versions);
         $versions->add_child($version);
         $researchflow->add_child($activity_logs);
@@ -96,6 +121,10 @@ class backup_researchflow_activity_structure_step extends backup_activity_struct
             $chat_session->set_source_table('researchflow_chat_sessions', array('researchflowid' => backup::VAR_PARENTID));
             $chat->set_source_table('researchflow_chat', array('researchflowid' => backup::VAR_PARENTID));
             $metadata->set_source_table('researchflow_metadata', array('researchflowid' => backup::VAR_PARENTID));
+            $source->set_source_table('researchflow_sources', array('researchflowid' => backup::VAR_PARENTID));
+            $comment->set_source_table('researchflow_comments', array('researchflowid' => backup::VAR_PARENTID));
+            $review->set_source_table('researchflow_reviews', array('researchflowid' => backup::VAR_PARENTID));
+            $group_project->set_source_table('researchflow_group_projects', array('researchflowid' => backup::VAR_PARENTID));
             $version->set_source_table('researchflow_versions', array('researchflowid' => backup::VAR_PARENTID));
             $activity_log->set_source_table('researchflow_activity_log', array('researchflowid' => backup::VAR_PARENTID));
         }
@@ -107,6 +136,11 @@ class backup_researchflow_activity_structure_step extends backup_activity_struct
         $chat_session->annotate_ids('user', 'userid');
         $chat->annotate_ids('user', 'userid');
         $metadata->annotate_ids('user', 'userid');
+        $source->annotate_ids('user', 'userid');
+        $comment->annotate_ids('user', 'userid');
+        $review->annotate_ids('user', 'userid');
+        $group_project->annotate_ids('group', 'groupid');
+        $group_project->annotate_ids('user', 'ownerid');
         $version->annotate_ids('user', 'userid');
         $version->annotate_ids('user', 'modified_by');
         $activity_log->annotate_ids('user', 'userid');
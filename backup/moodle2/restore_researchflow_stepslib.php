@@ -35,6 +35,10 @@ class restore_researchflow_activity_structure_step extends restore_activity_stru
             $paths[] = new restore_path_element('researchflow_chat_session', '/activity/researchflow/chat_sessions/chat_session');
             $paths[] = new restore_path_element('researchflow_chat', '/activity/researchflow/chats/chat');
             $paths[] = new restore_path_element('researchflow_metadata', '/activity/researchflow/metadatas/metadata');
+            $paths[] = new restore_path_element('researchflow_source', '/activity/researchflow/sources/source');
+            $paths[] = new restore_path_element('researchflow_comment', '/activity/researchflow/comments/comment');
+            $paths[] = new restore_path_element('researchflow_review', '/activity/researchflow/reviews/review');
+            $paths[] = new restore_path_element('researchflow_group_project', '/activity/researchflow/group_projects/group_project');
             $paths[] = new restore_path_element('researchflow_version', '/activity/researchflow/versions/version');
             $paths[] = new restore_path_element('researchflow_activity_log', '/activity/researchflow/activity_logs/activity_log');
         }
@@ -88,12 +92,14 @@ class restore_researchflow_activity_structure_step extends restore_activity_stru
         global $DB;
 
         $data = (object)$data;
+        $oldid = $data->id;
         $data->researchflowid = $this->get_new_parentid('researchflow');
         $data->userid = $this->get_mappingid('user', $data->userid);
         $data->created_at = $this->apply_date_offset($data->created_at);
         $data->modified_at = $this->apply_date_offset($data->modified_at);
 
-        $DB->insert_record('researchflow_ideas', $data);
+        $newitemid = $DB->insert_record('researchflow_ideas', $data);
+        $this->set_mapping('researchflow_idea', $oldid, $newitemid);
     }
 
     protected function process_researchflow_content($data) {
@@ -144,6 +150,59 @@ class restore_researchflow_activity_structure_step extends restore_activity_stru
         $DB->insert_record('researchflow_metadata', $data);
     }
 
+    protected function process_researchflow_source($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $data->researchflowid = $this->get_new_parentid('researchflow');
+        $data->userid = $this->get_mappingid('user', $data->userid);
+        $data->created_at = $this->apply_date_offset($data->created_at);
+        $data->modified_at = $this->apply_date_offset($data->modified_at);
+
+        $DB->insert_record('researchflow_sources', $data);
+    }
+
+    protected function process_researchflow_comment($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $data->researchflowid = $this->get_new_parentid('researchflow');
+        $data->userid = $this->get_mappingid('user', $data->userid);
+        $data->created_at = $this->apply_date_offset($data->created_at);
+        $data->modified_at = $this->apply_date_offset($data->modified_at);
+
+        $DB->insert_record('researchflow_comments', $data);
+    }
+
+    protected function process_researchflow_review($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $data->researchflowid = $this->get_new_parentid('researchflow');
+        $data->userid = $this->get_mappingid('user', $data->userid);
+        $data->reviewed_at = $this->apply_date_offset($data->reviewed_at);
+        $data->modified_at = $this->apply_date_offset($data->modified_at);
+
+        $DB->insert_record('researchflow_reviews', $data);
+    }
+
+    protected function process_researchflow_group_project($data) {
+        global $DB;
+
+        $data = (object)$data;
+        $data->researchflowid = $this->get_new_parentid('researchflow');
+        $data->groupid = $this->get_mappingid('group', $data->groupid);
+        $data->ownerid = $this->get_mappingid('user', $data->ownerid);
+        $data->created_at = $this->apply_date_offset($data->created_at);
+
+        // Groups are only restored with the course; without them the shared project can't be found again
+        if (!$data->groupid || !$data->ownerid) {
+            return;
+        }
+
+        $DB->insert_record('researchflow_group_projects', $data);
+    }
+
     protected function process_researchflow_version($data) {
         global $DB;
 
@@ -171,7 +230,18 @@ class restore_researchflow_activity_structure_step extends restore_activity_stru
     }
 
     protected function after_execute() {
+        global $DB;
+
         // Add researchflow related files, no need to match by itemname (just internally handled context)
         $this->add_related_files('mod_researchflow', 'intro', null);
+
+        // Nested ideas reference their parent by ID, so remap once every idea has been restored
+        $ideas = $DB->get_records_select('researchflow_ideas', 'researchflowid = ? AND parent_id IS NOT NULL',
+            array($this->get_new_parentid('researchflow')), '', 'id, parent_id');
+        foreach ($ideas as $idea) {
+            $newparentid = $this->get_mappingid('researchflow_idea', $idea->parent_id);
+            $DB->set_field('researchflow_ideas', 'parent_id', $newparentid ? (string)$newparentid : null,
+                array('id' => $idea->id));
+        }
     }
 }
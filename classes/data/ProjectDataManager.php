@@ -21,6 +21,25 @@ defined('MOODLE_INTERNAL') || die();
  */
 class ProjectDataManager {
     
+    /** @var array Tags students can put on an idea (also used for its color) */
+    const IDEA_TAGS = ['evidence', 'claim', 'question', 'quote', 'counterpoint'];
+    
+    /** @var array Citation styles for inline citations and the generated references */
+    const CITATION_STYLES = ['apa', 'mla', 'chicago'];
+    
+    /** @var array Kinds of source in the sources library */
+    const SOURCE_TYPES = ['article', 'book', 'chapter', 'website', 'report'];
+    
+    /** @var array Bibliographic fields kept in a source's details JSON */
+    const SOURCE_FIELDS = ['authors', 'year', 'container', 'volume', 'issue', 'pages', 'publisher', 'url', 'doi', 'accessed'];
+    
+    /** Who can write a margin comment or reply */
+    const COMMENT_AUTHORS = ['student', 'ai'];
+    
+    /** Phases whose draft can be reviewed, and the kinds of review suggestion */
+    const REVIEW_PHASES = ['write', 'edit'];
+    const REVIEW_TYPES = ['spelling', 'grammar', 'run_on_sentence'];
+    
     /**
      * Load project data from normalized tables
      * @param int $researchflowid Activity ID
@@ -58,7 +77,7 @@ class ProjectDataManager {
             $ideas = $DB->get_records('researchflow_ideas', [
                 'researchflowid' => $researchflowid,
                 'userid' => $userid
-            ], 'id ASC');
+            ], 'sort_order ASC, id ASC');
             
             // Load content
             $content = $DB->get_records('researchflow_content', [
@@ -72,8 +91,20 @@ class ProjectDataManager {
                 'userid' => $userid
             ], 'timestamp ASC');
             
+            // Load sources library
+            $sources = $DB->get_records('researchflow_sources', [
+                'researchflowid' => $researchflowid,
+                'userid' => $userid
+            ], 'sort_order ASC, id ASC');
+            
+            // Load margin comments
+            $comments = $DB->get_records('researchflow_comments', [
+                'researchflowid' => $researchflowid,
+                'userid' => $userid
+            ], 'sort_order ASC, id ASC');
+            
             // Reconstruct project structure
-            return $this->reconstructProject($metadata, $ideas, $content, $chat);
+            return $this->reconstructProject($metadata, $ideas, $content, $chat, $sources, $comments);
             
         } catch (\Exception $e) {
             return false;
@@ -85,7 +116,7 @@ class ProjectDataManager {
      * @param int $researchflowid Activity ID
      * @param int $userid User ID
      * @param array $projectData Project data to save
-     * @return bool Success status
+     * @return array|bool Save result (['success' => false, 'conflict' => true, ...] for a stale revision), or false on failure
      */
     public function saveProject($researchflowid, $userid, $projectData) {
         global $DB;
@@ -104,6 +135,19 @@ class ProjectDataManager {
                 return false;
             }
             
+            // A client that sends the revision it loaded must still be on it, or it would overwrite
+            // work saved from another tab or device in the meantime
+            $storedRevision = $metadata ? (int)($metadata->revision ?? 0) : 0;
+            if (isset($projectData['metadata']['revision']) && (int)$projectData['metadata']['revision'] !== $storedRevision) {
+                error_log('ProjectDataManager::saveProject - CONFLICT: client revision ' . (int)$projectData['metadata']['revision']
+                    . ', stored revision ' . $storedRevision);
+                return [
+                    'success' => false,
+                    'conflict' => true,
+                    'revision' => $storedRevision
+                ];
+            }
+            
             // Check if normalized tables exist (with proper prefix)
             $dbman = $DB->get_manager();
             $tableExists = $dbman->table_exists('researchflow_metadata');
@@ -131,6 +175,26 @@ class ProjectDataManager {
             
             $transaction = $DB->start_delegated_transaction();
             
+            // The check above can pass for two saves from the same revision at once, so the revision is claimed
+            // here with one conditional UPDATE: it is set to a value only this request knows, and only the request
+            // that finds that value afterwards goes on (the others' UPDATE matched no row)
+            if ($metadata) {
+                $claim = random_int(1000000000, 2000000000);
+                $DB->execute('UPDATE {researchflow_metadata} SET revision = ? WHERE id = ? AND revision = ?',
+                    [$claim, $metadata->id, $storedRevision]);
+                if ((int)$DB->get_field('researchflow_metadata', 'revision', ['id' => $metadata->id]) !== $claim) {
+                    $transaction->allow_commit(); // Nothing was changed
+                    $currentRevision = (int)$DB->get_field('researchflow_metadata', 'revision', ['id' => $metadata->id]);
+                    error_log('ProjectDataManager::saveProject - CONFLICT: revision ' . $storedRevision
+                        . ' was saved concurrently, now ' . $currentRevision);
+                    return [
+                        'success' => false,
+                        'conflict' => true,
+                        'revision' => $currentRevision
+                    ];
+                }
+            }
+            
             error_log('Starting save process for user ' . $userid . ' activity ' . $researchflowid);
             
             // Verify foreign key references exist
@@ -149,6 +213,10 @@ class ProjectDataManager {
                 throw new \Exception('User ' . $userid . ' does not exist');
             }
             
+            // Save ideas first so the plan outline can refer to their DB IDs
+            error_log('Saving ideas...');
+            $ideaMappings = $this->saveIdeas($researchflowid, $userid, $projectData['plan']['ideas'] ?? []);
+            
             // Save metadata (including plan outline structure)
             error_log('Saving metadata...');
             $metadata = $projectData['metadata'] ?? [];
@@ -159,7 +227,9 @@ class ProjectDataManager {
                     'customSectionTitles' => $projectData['plan']['customSectionTitles'] ?? [],
                     'customSections' => $projectData['plan']['customSections'] ?? [],
                     'removedSections' => $projectData['plan']['removedSections'] ?? [],
-                    'sectionOrder' => $projectData['plan']['sectionOrder'] ?? [] // Save section order
+                    'sectionInstances' => $projectData['plan']['sectionInstances'] ?? [],
+                    'sectionOrder' => $projectData['plan']['sectionOrder'] ?? [], // Save section order
+                    'mindMap' => $this->remapMindMapIds($projectData['plan']['mindMap'] ?? [], $ideaMappings)
                 ];
                 $metadata['planOutline'] = $planOutline;
                 error_log('ProjectDataManager::saveProject - plan outline structure: ' . json_encode($planOutline));
@@ -170,11 +240,25 @@ class ProjectDataManager {
             } else {
                 error_log('ProjectDataManager::saveProject - plan data NOT in projectData');
             }
+            if (isset($projectData['sources'])) {
+                $metadata['citationStyle'] = $projectData['sources']['style'] ?? 'apa';
+            }
+            $metadata['revision'] = $storedRevision + 1;
             $this->saveMetadata($researchflowid, $userid, $metadata);
             
-            // Save ideas
-            error_log('Saving ideas...');
-            $ideaMappings = $this->saveIdeas($researchflowid, $userid, $projectData['plan']['ideas'] ?? []);
+            // Save sources library (older clients send none, so leave it alone then)
+            if (isset($projectData['sources']['items']) && is_array($projectData['sources']['items'])) {
+                error_log('Saving sources...');
+                $this->saveSources($researchflowid, $userid, $projectData['sources']['items'],
+                    $this->deletedKeys($projectData['sources']));
+            }
+            
+            // Save margin comments (same rule: only when the client sent its list)
+            if (isset($projectData['comments']['items']) && is_array($projectData['comments']['items'])) {
+                error_log('Saving comments...');
+                $this->saveComments($researchflowid, $userid, $projectData['comments']['items'],
+                    $this->deletedKeys($projectData['comments']));
+            }
             
             // Save content
             error_log('Saving content...');
@@ -194,7 +278,8 @@ class ProjectDataManager {
             
             return [
                 'success' => true,
-                'ideaMappings' => $ideaMappings
+                'ideaMappings' => $ideaMappings,
+                'revision' => $metadata['revision']
             ];
             
         } catch (\Exception $e) {
@@ -213,9 +298,11 @@ class ProjectDataManager {
      * @param array $ideas Ideas records
      * @param array $content Content records
      * @param array $chat Chat records
+     * @param array $sources Source records
+     * @param array $comments Comment records
      * @return array Reconstructed project data
      */
-    private function reconstructProject($metadata, $ideas, $content, $chat) {
+    private function reconstructProject($metadata, $ideas, $content, $chat, $sources = [], $comments = []) {
         // Convert database records back to JSON structure
         // Handle null metadata (new project)
         
@@ -231,11 +318,20 @@ class ProjectDataManager {
                 'instructorInstructions' => ($metadata && isset($metadata->instructor_instructions)) ? $metadata->instructor_instructions : '',
                 'goal' => $goalValue,
                 'created' => ($metadata && isset($metadata->created_at)) ? date('c', $metadata->created_at) : date('c'),
-                'modified' => ($metadata && isset($metadata->modified_at)) ? date('c', $metadata->modified_at) : date('c')
+                'modified' => ($metadata && isset($metadata->modified_at)) ? date('c', $metadata->modified_at) : date('c'),
+                // Sent back with every save, see saveProject()
+                'revision' => ($metadata && isset($metadata->revision)) ? (int)$metadata->revision : 0
             ],
             'plan' => $this->reconstructPlanData($ideas, $metadata),
             'write' => $this->getContentByPhase($content, 'write'),
             'edit' => $this->getContentByPhase($content, 'edit'),
+            'sources' => [
+                'style' => ($metadata && !empty($metadata->citation_style)) ? $metadata->citation_style : 'apa',
+                'items' => array_values(array_map([$this, 'sourceRecordToArray'], $sources))
+            ],
+            'comments' => [
+                'items' => array_values(array_map([$this, 'commentRecordToArray'], $comments))
+            ],
             'chatHistory' => array_values(array_map(function($message) {
                 $ts = $message->timestamp;
                 if (is_numeric($ts) && $ts > 0) {
@@ -274,13 +370,18 @@ class ProjectDataManager {
                     'content' => $idea->content,
                     'location' => $idea->location,
                     'sectionId' => $idea->section_id,
-                    'aiGenerated' => (bool)$idea->ai_generated
+                    'aiGenerated' => (bool)$idea->ai_generated,
+                    'parentId' => $idea->parent_id ?? null,
+                    'sortOrder' => (int)($idea->sort_order ?? 0),
+                    'collapsed' => !empty($idea->collapsed),
+                    'tag' => $idea->tag ?? null
                 ];
             }, $ideas),
             'outline' => [],
             'customSectionTitles' => [],
             'customSections' => [],
-            'removedSections' => []
+            'removedSections' => [],
+            'sectionInstances' => []
         ];
         
         // Restore outline structure from plan_outline JSON field
@@ -292,7 +393,9 @@ class ProjectDataManager {
                     $planData['customSectionTitles'] = $outlineData['customSectionTitles'] ?? [];
                     $planData['customSections'] = $outlineData['customSections'] ?? [];
                     $planData['removedSections'] = $outlineData['removedSections'] ?? [];
+                    $planData['sectionInstances'] = $outlineData['sectionInstances'] ?? [];
                     $planData['sectionOrder'] = $outlineData['sectionOrder'] ?? []; // Restore section order
+                    $planData['mindMap'] = $outlineData['mindMap'] ?? ['positions' => [], 'edges' => []];
                 }
             } catch (\Exception $e) {
                 error_log('Failed to decode plan_outline JSON: ' . $e->getMessage());
@@ -302,6 +405,87 @@ class ProjectDataManager {
         return $planData;
     }
     
+    /**
+     * Point mind map positions and edges at DB idea IDs (new ideas arrive with temporary client IDs)
+     * @param array $mindMap Mind map data {positions, edges}
+     * @param array $ideaMappings Mapping of client IDs to DB IDs from saveIdeas
+     * @return array Mind map data with remapped IDs
+     */
+    private function remapMindMapIds($mindMap, $ideaMappings) {
+        $resolve = function($id) use ($ideaMappings) {
+            return isset($ideaMappings[$id]) ? (string)$ideaMappings[$id] : (string)$id;
+        };
+        
+        $positions = [];
+        foreach (($mindMap['positions'] ?? []) as $ideaId => $position) {
+            if (!is_array($position)) {
+                continue;
+            }
+            $positions[$resolve($ideaId)] = [
+                'x' => (float)($position['x'] ?? 0),
+                'y' => (float)($position['y'] ?? 0)
+            ];
+        }
+        
+        $edges = [];
+        foreach (($mindMap['edges'] ?? []) as $edge) {
+            if (!is_array($edge) || empty($edge['from']) || empty($edge['to'])) {
+                continue;
+            }
+            $edges[] = [
+                'id' => (string)($edge['id'] ?? ''),
+                'from' => $resolve($edge['from']),
+                'to' => $resolve($edge['to']),
+                'label' => trim(strip_tags((string)($edge['label'] ?? '')))
+            ];
+        }
+        
+        return [
+            // Force an object so an empty map doesn't come back as a JSON array
+            'positions' => (object)$positions,
+            'edges' => $edges
+        ];
+    }
+    
+    /**
+     * Convert a source record to the client structure
+     * @param object $record Source record
+     * @return array Source {id, type, title, authors, year, ...}
+     */
+    private function sourceRecordToArray($record) {
+        $details = json_decode($record->details ?? '', true);
+        $source = [
+            'id' => $record->source_key,
+            'type' => $record->source_type,
+            'title' => $record->title
+        ];
+        foreach (self::SOURCE_FIELDS as $field) {
+            $source[$field] = $field === 'authors' ? [] : '';
+            if (is_array($details) && isset($details[$field])) {
+                $source[$field] = $details[$field];
+            }
+        }
+        return $source;
+    }
+    
+    /**
+     * Convert a comment record to the client structure
+     * @param object $record Comment record
+     * @return array Comment {id, author, quote, text, replies, resolved, created}
+     */
+    private function commentRecordToArray($record) {
+        $replies = json_decode($record->replies ?? '', true);
+        return [
+            'id' => $record->comment_key,
+            'author' => $record->author,
+            'quote' => $record->quote ?? '',
+            'text' => $record->body,
+            'replies' => is_array($replies) ? $replies : [],
+            'resolved' => !empty($record->resolved),
+            'created' => (int)$record->created_at
+        ];
+    }
+    
     /**
      * Get content by phase
      * @param array $content Content records
@@ -353,6 +537,13 @@ class ProjectDataManager {
             'created_at' => $now,
             'modified_at' => $now
         ];
+        if (isset($metadata['citationStyle'])) {
+            $record['citation_style'] = in_array($metadata['citationStyle'], self::CITATION_STYLES, true)
+                ? $metadata['citationStyle'] : 'apa';
+        }
+        if (isset($metadata['revision'])) {
+            $record['revision'] = (int)$metadata['revision'];
+        }
         
         // Add plan_outline field - check if it exists first
         $dbman = $DB->get_manager();
@@ -450,6 +641,8 @@ class ProjectDataManager {
                 $sectionId = $idea['sectionId'] ?? null;
                 $ai = !empty($idea['aiGenerated']) ? 1 : 0;
                 $id = isset($idea['id']) ? intval($idea['id']) : 0;
+                $parentId = !empty($idea['parentId']) ? (string)$idea['parentId'] : null;
+                $tag = in_array($idea['tag'] ?? null, self::IDEA_TAGS, true) ? $idea['tag'] : null;
                 $normalizedContent = $normalizeContent($content);
 
                 $record = [
@@ -459,6 +652,10 @@ class ProjectDataManager {
                     'location' => $location,
                     'section_id' => $sectionId,
                     'ai_generated' => $ai,
+                    'parent_id' => $parentId,
+                    'sort_order' => intval($idea['sortOrder'] ?? 0),
+                    'collapsed' => !empty($idea['collapsed']) ? 1 : 0,
+                    'tag' => $tag,
                     'modified_at' => $now
                 ];
 
@@ -548,6 +745,21 @@ class ProjectDataManager {
                 }
             }
             
+            // Sub-points may reference parents that only got a DB ID during this save
+            foreach ($ideas as $idea) {
+                if (empty($idea['parentId']) || !isset($idea['id']) || !isset($idMappings[$idea['id']])) {
+                    continue;
+                }
+                if (!isset($idMappings[$idea['parentId']])) {
+                    continue;
+                }
+                $parentDbId = (string)$idMappings[$idea['parentId']];
+                if ($parentDbId !== (string)$idea['parentId']) {
+                    $DB->set_field('researchflow_ideas', 'parent_id', $parentDbId, ['id' => $idMappings[$idea['id']]]);
+                    error_log('Idea parent remap: ID ' . $idMappings[$idea['id']] . ' -> parent ' . $parentDbId);
+                }
+            }
+            
             return $idMappings;
         } catch (\Exception $e) {
             error_log('saveIdeas error: ' . $e->getMessage());
@@ -556,6 +768,191 @@ class ProjectDataManager {
         }
     }
     
+    /**
+     * Keys a client says it deleted since its last save (sources.deleted, comments.deleted)
+     * @param array $list Sources or comments part of the project data
+     * @return array|null Keys, or null from older clients that only send the whole list
+     */
+    private function deletedKeys($list) {
+        if (!isset($list['deleted']) || !is_array($list['deleted'])) {
+            return null;
+        }
+        $keys = [];
+        foreach ($list['deleted'] as $key) {
+            if (is_scalar($key) && (string)$key !== '') {
+                $keys[substr((string)$key, 0, 50)] = true;
+            }
+        }
+        return $keys;
+    }
+    
+    /**
+     * Save the sources library, keyed by the client source ID that inline citations use
+     * With a list of deleted keys only those are removed and sources the client does not know about are kept
+     * (another group member or device added them since it loaded); without one, the list sent is the whole
+     * library and sources missing from it were deleted
+     * @param int $researchflowid Activity ID
+     * @param int $userid User ID
+     * @param array $sources Sources array
+     * @param array|null $deleted Deleted keys (as array keys), or null
+     */
+    private function saveSources($researchflowid, $userid, $sources, $deleted = null) {
+        global $DB;
+        
+        try {
+            $now = time();
+            $existing = [];
+            foreach ($DB->get_records('researchflow_sources', [
+                'researchflowid' => $researchflowid,
+                'userid' => $userid
+            ]) as $record) {
+                $existing[$record->source_key] = $record;
+            }
+            
+            $kept = [];
+            foreach (array_values($sources) as $index => $source) {
+                $key = isset($source['id']) ? substr((string)$source['id'], 0, 50) : '';
+                $title = trim(strip_tags((string)($source['title'] ?? '')));
+                if ($key === '' || $title === '' || isset($kept[$key])) {
+                    continue;
+                }
+                
+                $details = [];
+                foreach (self::SOURCE_FIELDS as $field) {
+                    if ($field === 'authors') {
+                        $details['authors'] = $this->cleanSourceAuthors($source['authors'] ?? []);
+                    } else {
+                        $details[$field] = trim(strip_tags((string)($source[$field] ?? '')));
+                    }
+                }
+                
+                $record = [
+                    'researchflowid' => $researchflowid,
+                    'userid' => $userid,
+                    'source_key' => $key,
+                    'source_type' => in_array($source['type'] ?? null, self::SOURCE_TYPES, true) ? $source['type'] : 'article',
+                    'title' => $title,
+                    'details' => json_encode($details, JSON_UNESCAPED_UNICODE),
+                    'sort_order' => $index,
+                    'modified_at' => $now
+                ];
+                
+                if (isset($existing[$key])) {
+                    $record['id'] = $existing[$key]->id;
+                    $DB->update_record('researchflow_sources', $record);
+                } else {
+                    $record['created_at'] = $now;
+                    $DB->insert_record('researchflow_sources', $record);
+                }
+                $kept[$key] = true;
+            }
+            
+            foreach ($existing as $key => $record) {
+                if (!isset($kept[$key]) && ($deleted === null || isset($deleted[$key]))) {
+                    $DB->delete_records('researchflow_sources', ['id' => $record->id]);
+                    error_log('Source delete: ' . $key);
+                }
+            }
+        } catch (\Exception $e) {
+            error_log('saveSources error: ' . $e->getMessage());
+            throw $e;
+        }
+    }
+    
+    /**
+     * Save margin comments; deletions work as for sources (only the deleted keys, or whatever is missing
+     * from the list when the client sends none)
+     * @param int $researchflowid Activity ID
+     * @param int $userid User ID
+     * @param array $comments Comments array
+     * @param array|null $deleted Deleted keys (as array keys), or null
+     */
+    private function saveComments($researchflowid, $userid, $comments, $deleted = null) {
+        global $DB;
+        
+        try {
+            $now = time();
+            $existing = [];
+            foreach ($DB->get_records('researchflow_comments', [
+                'researchflowid' => $researchflowid,
+                'userid' => $userid
+            ]) as $record) {
+                $existing[$record->comment_key] = $record;
+            }
+            
+            $kept = [];
+            foreach (array_values($comments) as $index => $comment) {
+                $key = isset($comment['id']) ? substr((string)$comment['id'], 0, 50) : '';
+                $body = trim(strip_tags((string)($comment['text'] ?? '')));
+                if ($key === '' || $body === '' || isset($kept[$key])) {
+                    continue;
+                }
+                
+                $replies = [];
+                foreach ((is_array($comment['replies'] ?? null) ? $comment['replies'] : []) as $reply) {
+                    $text = trim(strip_tags((string)($reply['text'] ?? '')));
+                    if ($text === '') {
+                        continue;
+                    }
+                    $replies[] = [
+                        'author' => in_array($reply['author'] ?? null, self::COMMENT_AUTHORS, true) ? $reply['author'] : 'student',
+                        'text' => $text,
+                        'created' => isset($reply['created']) ? (int)$reply['created'] : $now
+                    ];
+                }
+                
+                $record = [
+                    'researchflowid' => $researchflowid,
+                    'userid' => $userid,
+                    'comment_key' => $key,
+                    'author' => in_array($comment['author'] ?? null, self::COMMENT_AUTHORS, true) ? $comment['author'] : 'student',
+                    'quote' => trim(strip_tags((string)($comment['quote'] ?? ''))),
+                    'body' => $body,
+                    'replies' => json_encode($replies, JSON_UNESCAPED_UNICODE),
+                    'resolved' => !empty($comment['resolved']) ? 1 : 0,
+                    'sort_order' => $index,
+                    'modified_at' => $now
+                ];
+                
+                if (isset($existing[$key])) {
+                    $record['id'] = $existing[$key]->id;
+                    $DB->update_record('researchflow_comments', $record);
+                } else {
+                    $record['created_at'] = !empty($comment['created']) ? (int)$comment['created'] : $now;
+                    $DB->insert_record('researchflow_comments', $record);
+                }
+                $kept[$key] = true;
+            }
+            
+            foreach ($existing as $key => $record) {
+                if (!isset($kept[$key]) && ($deleted === null || isset($deleted[$key]))) {
+                    $DB->delete_records('researchflow_comments', ['id' => $record->id]);
+                    error_log('Comment delete: ' . $key);
+                }
+            }
+        } catch (\Exception $e) {
+            error_log('saveComments error: ' . $e->getMessage());
+            throw $e;
+        }
+    }
+    
+    /**
+     * Keep only well-formed author names
+     * @param mixed $authors Authors from the client [{family, given}]
+     * @return array
+     */
+    private function cleanSourceAuthors($authors) {
+        $clean = [];
+        foreach ((is_array($authors) ? $authors : []) as $author) {
+            $family = trim(strip_tags((string)($author['family'] ?? '')));
+            if ($family === '') {
+                continue;
+            }
+            $clean[] = ['family' => $family, 'given' => trim(strip_tags((string)($author['given'] ?? '')))];
+        }
+        return $clean;
+    }
+    
     /**
      * Save content to normalized table
      * @param int $researchflowid Activity ID
@@ -709,6 +1106,91 @@ class ProjectDataManager {
         }
     }
 
+    /**
+     * Load a user's latest review of a draft
+     * @param int $researchflowid Activity ID
+     * @param int $userid User ID
+     * @param string $phase 'write' or 'edit'
+     * @return array|null {suggestions, reviewedAt}, or null when there is none
+     */
+    public function loadReview($researchflowid, $userid, $phase) {
+        global $DB;
+        
+        $record = $DB->get_record('researchflow_reviews', [
+            'researchflowid' => $researchflowid,
+            'userid' => $userid,
+            'phase' => $phase
+        ]);
+        if (!$record) {
+            return null;
+        }
+        $suggestions = json_decode($record->suggestions, true);
+        return [
+            'suggestions' => is_array($suggestions) ? $suggestions : [],
+            'reviewedAt' => (int)$record->reviewed_at
+        ];
+    }
+    
+    /**
+     * Save a user's review of a draft with each suggestion's current range; an empty list removes the review
+     * @param int $researchflowid Activity ID
+     * @param int $userid User ID
+     * @param string $phase 'write' or 'edit'
+     * @param array $suggestions [{id, type, original, suggestion, reason, index, length, stale}]
+     * @param int $reviewedat When the review was run
+     * @return bool
+     */
+    public function saveReview($researchflowid, $userid, $phase, $suggestions, $reviewedat) {
+        global $DB;
+        
+        if (!in_array($phase, self::REVIEW_PHASES, true)) {
+            throw new \Exception('Unknown review phase: ' . $phase);
+        }
+        
+        $clean = [];
+        foreach (array_values($suggestions) as $suggestion) {
+            if (!is_array($suggestion) || !in_array($suggestion['type'] ?? null, self::REVIEW_TYPES, true)) {
+                continue;
+            }
+            $original = (string)($suggestion['original'] ?? '');
+            if (trim($original) === '') {
+                continue;
+            }
+            $clean[] = [
+                'id' => substr((string)($suggestion['id'] ?? ''), 0, 50),
+                'type' => $suggestion['type'],
+                'original' => $original,
+                'suggestion' => (string)($suggestion['suggestion'] ?? ''),
+                'reason' => (string)($suggestion['reason'] ?? ''),
+                'index' => max(0, (int)($suggestion['index'] ?? 0)),
+                'length' => max(0, (int)($suggestion['length'] ?? 0)),
+                'stale' => !empty($suggestion['stale'])
+            ];
+        }
+        
+        $conditions = ['researchflowid' => $researchflowid, 'userid' => $userid, 'phase' => $phase];
+        $existing = $DB->get_record('researchflow_reviews', $conditions);
+        if (empty($clean)) {
+            if ($existing) {
+                $DB->delete_records('researchflow_reviews', ['id' => $existing->id]);
+            }
+            return true;
+        }
+        
+        $record = $conditions + [
+            'suggestions' => json_encode($clean, JSON_UNESCAPED_UNICODE),
+            'reviewed_at' => $reviewedat > 0 ? (int)$reviewedat : time(),
+            'modified_at' => time()
+        ];
+        if ($existing) {
+            $record['id'] = $existing->id;
+            $DB->update_record('researchflow_reviews', $record);
+        } else {
+            $DB->insert_record('researchflow_reviews', $record);
+        }
+        return true;
+    }
+
     /**
      * Delete a single idea by id for the given activity and user
      * @param int $researchflowid
@@ -142,6 +142,7 @@ class DataMigrator {
             'userid' => $userid
         ]);
         
+        $idMappings = [];
         foreach ($ideas as $idea) {
             $record = [
                 'researchflowid' => $researchflowid,
@@ -149,10 +150,22 @@ class DataMigrator {
                 'content' => $idea['content'],
                 'location' => $idea['location'],
                 'section_id' => $idea['section_id'],
-                'ai_generated' => $idea['ai_generated'] ? 1 : 0
+                'ai_generated' => $idea['ai_generated'] ? 1 : 0,
+                'sort_order' => $idea['sort_order'] ?? 0,
+                'collapsed' => !empty($idea['collapsed']) ? 1 : 0,
+                'tag' => $idea['tag'] ?? null
             ];
             
-            $DB->insert_record('researchflow_ideas', $record);
+            $idMappings[$idea['id']] = $DB->insert_record('researchflow_ideas', $record);
+        }
+        
+        // Point nested ideas at their parents' new IDs
+        foreach ($ideas as $idea) {
+            if (!empty($idea['parent_id']) && isset($idMappings[$idea['parent_id']])) {
+                $DB->set_field('researchflow_ideas', 'parent_id', $idMappings[$idea['parent_id']], [
+                    'id' => $idMappings[$idea['id']]
+                ]);
+            }
         }
     }
     
@@ -92,7 +92,11 @@ class ProjectDataParser {
                 'content' => $this->sanitizeContent($idea['content']),
                 'location' => $this->validateLocation($idea['location'] ?? 'brainstorm'),
                 'section_id' => $idea['sectionId'] ?? null,
-                'ai_generated' => (bool)($idea['aiGenerated'] ?? false)
+                'ai_generated' => (bool)($idea['aiGenerated'] ?? false),
+                'parent_id' => !empty($idea['parentId']) ? $this->sanitizeContent($idea['parentId']) : null,
+                'sort_order' => (int)($idea['sortOrder'] ?? 0),
+                'collapsed' => (bool)($idea['collapsed'] ?? false),
+                'tag' => $this->validateTag($idea['tag'] ?? null)
             ];
         }
         
@@ -221,6 +225,15 @@ class ProjectDataParser {
         return in_array($location, $validLocations) ? $location : 'brainstorm';
     }
     
+    /**
+     * Validate idea tag value
+     * @param string|null $tag Tag value
+     * @return string|null Valid tag value, or null for untagged ideas
+     */
+    private function validateTag($tag) {
+        return in_array($tag, \mod_researchflow\data\ProjectDataManager::IDEA_TAGS, true) ? $tag : null;
+    }
+    
     /**
      * Validate role value
      * @param string $role Role value
@@ -476,5 +476,173 @@ function xmldb_researchflow_upgrade($oldversion) {
         upgrade_mod_savepoint(true, 2025052001, 'researchflow');
     }
 
+    // Version 2026101900: Add nesting fields to ideas for multi-level outlines
+    if ($oldversion < 2026101900) {
+        $table = new xmldb_table('researchflow_ideas');
+
+        $field1 = new xmldb_field('parent_id', XMLDB_TYPE_CHAR, '50', null, null, null, null, 'ai_generated');
+        $field2 = new xmldb_field('sort_order', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'parent_id');
+        $field3 = new xmldb_field('collapsed', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0', 'sort_order');
+
+        if (!$dbman->field_exists($table, $field1)) {
+            $dbman->add_field($table, $field1);
+        }
+        if (!$dbman->field_exists($table, $field2)) {
+            $dbman->add_field($table, $field2);
+        }
+        if (!$dbman->field_exists($table, $field3)) {
+            $dbman->add_field($table, $field3);
+        }
+
+        $index = new xmldb_index('idx_parent_id', XMLDB_INDEX_NOTUNIQUE, array('parent_id'));
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+
+        upgrade_mod_savepoint(true, 2026101900, 'researchflow');
+    }
+
+    // Version 2026101901: Add tag field to ideas for color-coding and filtering
+    if ($oldversion < 2026101901) {
+        $table = new xmldb_table('researchflow_ideas');
+        $field = new xmldb_field('tag', XMLDB_TYPE_CHAR, '20', null, null, null, null, 'collapsed');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        $index = new xmldb_index('idx_tag', XMLDB_INDEX_NOTUNIQUE, array('tag'));
+        if (!$dbman->index_exists($table, $index)) {
+            $dbman->add_index($table, $index);
+        }
+
+        upgrade_mod_savepoint(true, 2026101901, 'researchflow');
+    }
+
+    // Version 2026101902: Add the sources library and citation style
+    if ($oldversion < 2026101902) {
+        $table = new xmldb_table('researchflow_metadata');
+        $field = new xmldb_field('citation_style', XMLDB_TYPE_CHAR, '10', null, null, null, 'apa', 'plan_outline');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        $table = new xmldb_table('researchflow_sources');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('researchflowid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('source_key', XMLDB_TYPE_CHAR, '50', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('source_type', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, 'article');
+        $table->add_field('title', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('details', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('sort_order', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('created_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('modified_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, array('id'));
+        $table->add_key('user_fk', XMLDB_KEY_FOREIGN, array('userid'), 'user', array('id'));
+        $table->add_key('researchflow_fk', XMLDB_KEY_FOREIGN, array('researchflowid'), 'researchflow', array('id'));
+        $table->add_key('unique_user_source', XMLDB_KEY_UNIQUE, array('researchflowid', 'userid', 'source_key'));
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_mod_savepoint(true, 2026101902, 'researchflow');
+    }
+
+    // Version 2026101903: Add margin comments for the Edit draft
+    if ($oldversion < 2026101903) {
+        $table = new xmldb_table('researchflow_comments');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('researchflowid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('comment_key', XMLDB_TYPE_CHAR, '50', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('author', XMLDB_TYPE_CHAR, '10', null, XMLDB_NOTNULL, null, 'student');
+        $table->add_field('quote', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('body', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('replies', XMLDB_TYPE_TEXT, null, null, null, null, null);
+        $table->add_field('resolved', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('sort_order', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0');
+        $table->add_field('created_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('modified_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, array('id'));
+        $table->add_key('user_fk', XMLDB_KEY_FOREIGN, array('userid'), 'user', array('id'));
+        $table->add_key('researchflow_fk', XMLDB_KEY_FOREIGN, array('researchflowid'), 'researchflow', array('id'));
+        $table->add_key('unique_user_comment', XMLDB_KEY_UNIQUE, array('researchflowid', 'userid', 'comment_key'));
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_mod_savepoint(true, 2026101903, 'researchflow');
+    }
+
+    // Version 2026101904: Add a save revision so stale saves from another tab or device are rejected
+    if ($oldversion < 2026101904) {
+        $table = new xmldb_table('researchflow_metadata');
+        $field = new xmldb_field('revision', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'citation_style');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        upgrade_mod_savepoint(true, 2026101904, 'researchflow');
+    }
+
+    // Version 2026101905: Add group mode, in which the members of a group share one project
+    if ($oldversion < 2026101905) {
+        $table = new xmldb_table('researchflow');
+        $field = new xmldb_field('group_project', XMLDB_TYPE_INTEGER, '1', null, XMLDB_NOTNULL, null, '0', 'custom_outline');
+
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        $table = new xmldb_table('researchflow_group_projects');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('researchflowid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('groupid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('ownerid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('created_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, array('id'));
+        $table->add_key('researchflow_fk', XMLDB_KEY_FOREIGN, array('researchflowid'), 'researchflow', array('id'));
+        $table->add_key('group_fk', XMLDB_KEY_FOREIGN, array('groupid'), 'groups', array('id'));
+        $table->add_key('owner_fk', XMLDB_KEY_FOREIGN, array('ownerid'), 'user', array('id'));
+        $table->add_key('unique_group_project', XMLDB_KEY_UNIQUE, array('researchflowid', 'groupid'));
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_mod_savepoint(true, 2026101905, 'researchflow');
+    }
+
+    // Version 2026101906: Keep AI review results on the server instead of in the browser
+    if ($oldversion < 2026101906) {
+        $table = new xmldb_table('researchflow_reviews');
+        $table->add_field('id', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, XMLDB_SEQUENCE, null);
+        $table->add_field('researchflowid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('userid', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('phase', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('suggestions', XMLDB_TYPE_TEXT, null, null, XMLDB_NOTNULL, null, null);
+        $table->add_field('reviewed_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+        $table->add_field('modified_at', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, null);
+
+        $table->add_key('primary', XMLDB_KEY_PRIMARY, array('id'));
+        $table->add_key('user_fk', XMLDB_KEY_FOREIGN, array('userid'), 'user', array('id'));
+        $table->add_key('researchflow_fk', XMLDB_KEY_FOREIGN, array('researchflowid'), 'researchflow', array('id'));
+        $table->add_key('unique_user_phase', XMLDB_KEY_UNIQUE, array('researchflowid', 'userid', 'phase'));
+
+        if (!$dbman->table_exists($table)) {
+            $dbman->create_table($table);
+        }
+
+        upgrade_mod_savepoint(true, 2026101906, 'researchflow');
+    }
+
     return true;
 }
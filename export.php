@@ -6,7 +6,7 @@
 // (at your option) any later version.
 
 /**
- * Export student work as DOCX or PDF
+ * Export student work as DOCX or PDF (with its footnotes as endnotes and its generated references), or the Plan phase as Markdown, OPML or a printable outline
  * @package    mod_researchflow
  * @copyright  2025 Mitchell Petingola <mpetingola@algomau.ca>, Tarandeep Singh <tarandesingh@algomau.ca>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
@@ -17,7 +17,7 @@ require_once($CFG->dirroot . '/mod/researchflow/lib.php');
 require_once($CFG->dirroot . '/mod/researchflow/classes/data/ProjectDataManager.php');
 
 $id = required_param('id', PARAM_INT); // Course Module ID
-$format = required_param('format', PARAM_ALPHA); // 'docx' or 'pdf'
+$format = required_param('format', PARAM_ALPHA); // 'docx', 'pdf', 'planmarkdown', 'planopml' or 'planprint'
 $userid = optional_param('userid', 0, PARAM_INT); // Optional: for instructors viewing student work
 
 if (!$cm = get_coursemodule_from_id('researchflow', $id, 0, false, MUST_EXIST)) {
@@ -32,11 +32,12 @@ require_login($course, true, $cm);
 $context = context_module::instance($cm->id);
 require_capability('mod/researchflow:view', $context);
 
-// Determine which user's work to export
-$exportuserid = $userid ? $userid : $USER->id;
+// Determine which user's work to export (a group project is stored under one member)
+$studentid = $userid ? $userid : $USER->id;
+$exportuserid = researchflow_get_project_owner($instance, $cm, $studentid)['userid'];
 
 // If exporting another user's work, require instructor capability
-if ($exportuserid != $USER->id) {
+if ($userid && $userid != $USER->id) {
     require_capability('mod/researchflow:addinstance', $context);
 }
 
@@ -55,8 +56,16 @@ if ($project && isset($project['edit']) && !empty($project['edit']['content']))
     $wordCount = $project['write']['wordCount'];
 }
 
+// References section for the sources the exported draft cites
+$referenceshtml = researchflow_references_html(researchflow_build_references($project['sources'] ?? [], $content));
+
+// Footnotes become numbered endnotes, listed before the references
+$footnotes = researchflow_extract_footnotes($content);
+$content = $footnotes['html'];
+$noteshtml = researchflow_footnotes_html($footnotes['notes']);
+
 // Get user info
-$user = $DB->get_record('user', ['id' => $exportuserid], '*', MUST_EXIST);
+$user = $DB->get_record('user', ['id' => $studentid], '*', MUST_EXIST);
 
 // Prepare filename
 $filename = clean_filename($instance->name . '_' . fullname($user) . '_' . date('Y-m-d'));
@@ -65,16 +74,79 @@ $filename = clean_filename($instance->name . '_' . fullname($user) . '_' . date(
 $plaincontent = strip_tags($content);
 $plaincontent = html_entity_decode($plaincontent, ENT_QUOTES, 'UTF-8');
 
-if ($format === 'docx') {
+if (in_array($format, ['planmarkdown', 'planopml', 'planprint'])) {
+    // Export the Plan phase (sections and ideas) instead of the written content
+    $plan = $project['plan'] ?? [];
+    export_plan($instance, $user, $plan, researchflow_get_outline_template($instance), $format, $filename);
+} elseif ($format === 'docx') {
     // Export as DOCX
-    export_as_docx($instance, $user, $content, $filename);
+    export_as_docx($instance, $user, $content . $noteshtml . $referenceshtml, $filename);
 } elseif ($format === 'pdf') {
     // Export as PDF
-    export_as_pdf($instance, $user, $content, $filename);
+    export_as_pdf($instance, $user, $content . $noteshtml . $referenceshtml, $filename);
 } else {
     print_error('invalidformat');
 }
 
+/**
+ * Export the plan as Markdown, OPML or a print-friendly HTML outline
+ */
+function export_plan($instance, $user, $plan, $template, $format, $filename) {
+    $export = researchflow_build_plan_export($plan, $template);
+    $title = format_string($instance->name);
+
+    if ($format === 'planmarkdown') {
+        header('Content-Type: text/markdown; charset=UTF-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '_plan.md"');
+        echo researchflow_plan_export_markdown($export, $title);
+        exit;
+    }
+
+    if ($format === 'planopml') {
+        header('Content-Type: text/x-opml; charset=UTF-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '_plan.opml"');
+        echo researchflow_plan_export_opml($export, $title);
+        exit;
+    }
+
+    header('Content-Type: text/html; charset=UTF-8');
+    echo '<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>' . s($title) . '</title>
+    <style>
+        @media print { @page { margin: 1in; } }
+        body { font-family: Georgia, "Times New Roman", serif; font-size: 12pt; line-height: 1.5; margin: 1in; color: #111; }
+        h1 { font-size: 18pt; margin-bottom: 4pt; }
+        .info { color: #555; font-size: 10pt; margin-bottom: 18pt; }
+        section { break-inside: avoid; margin-bottom: 16pt; }
+        h2 { font-size: 14pt; border-bottom: 1px solid #999; padding-bottom: 2pt; margin-bottom: 4pt; }
+        .description { font-style: italic; color: #444; margin: 0 0 2pt; }
+        .target { font-size: 10pt; color: #555; margin: 0 0 6pt; }
+        .empty { color: #777; font-style: italic; }
+        ul { margin: 4pt 0; padding-left: 20pt; }
+        li { margin: 2pt 0; }
+        .tag { font-size: 9pt; text-transform: uppercase; letter-spacing: 0.5px; border: 1px solid #999; border-radius: 3px; padding: 0 3pt; }
+    </style>
+    <script>
+        window.onload = function() {
+            window.print();
+        };
+    </script>
+</head>
+<body>
+    <h1>' . s($title) . '</h1>
+    <div class="info">
+        <p><strong>Student:</strong> ' . s(fullname($user)) . '</p>
+        <p><strong>Date:</strong> ' . date('F j, Y') . (!empty($export['templateName']) ? ' &middot; <strong>Template:</strong> ' . s($export['templateName']) : '') . '</p>
+    </div>
+    ' . researchflow_plan_export_html($export) . '
+</body>
+</html>';
+    exit;
+}
+
 /**
  * Export content as DOCX file
  */
@@ -36,8 +36,20 @@ $string['regenerate_response'] = 'Regenerate last AI response';
 $string['select_template'] = 'Select a template...';
 $string['brainstorm'] = 'Brainstorm';
 $string['add_idea'] = 'Add Idea';
+$string['import_ideas'] = 'Import Ideas';
+$string['export_plan'] = 'Export Plan';
 $string['outline'] = 'Outline';
 $string['my_outline'] = 'My Outline';
+$string['sync_outline'] = 'Sync Outline and Draft';
+$string['sources'] = 'Sources';
+$string['cite'] = 'Cite';
+$string['footnote'] = 'Footnote';
+$string['notes'] = 'Notes';
+$string['readability'] = 'Readability';
+$string['importfile'] = 'Import file';
+$string['comment'] = 'Comment';
+$string['comments'] = 'Comments';
+$string['save_conflict'] = 'Your project changed somewhere else';
 
 // Form strings
 $string['description'] = 'Description';
@@ -59,11 +71,22 @@ $string['duedate_help'] = 'The date and time when submissions are due.';
 $string['enddate'] = 'End date';
 $string['enddate_help'] = 'The date and time when the activity closes and no longer accepts submissions.';
 
+// Group work strings
+$string['groupwork'] = 'Group work';
+$string['group_project'] = 'Members of a group write one shared project';
+$string['group_project_help'] = 'When ticked and the group mode (under Common module settings) is separate or visible groups, everyone in a Moodle group works on the same project: the plan board and the Write and Edit drafts are shared and edited live, with each member\'s cursor visible to the others. Students who are in no group keep a project of their own. Live editing needs the collaboration relay to be configured in the site settings; without it the group still shares one project, saved in turn.';
+$string['collab_relay_url'] = 'Collaboration relay URL';
+$string['collab_relay_url_desc'] = 'WebSocket URL of the relay that keeps group members\' drafts in sync in group projects, for example wss://your-server:8765. Start it with api/collab_relay.py. Leave empty to turn live co-editing off.';
+$string['collab_secret'] = 'Collaboration relay secret';
+$string['collab_secret_desc'] = 'Shared secret used to sign the tokens students present to the relay. Set the same value as COLLAB_SECRET where the relay runs; live co-editing stays off until it is set.';
+
 // Outline structure strings
 $string['outline_structure'] = 'Outline Structure';
-$string['outline_structure_help'] = 'Define the outline sections that students will use for their assignment. Each section should have an id, title, description, required flag, and allowMultiple flag.';
+$string['outline_structure_help'] = 'Define the outline sections that students will use for their assignment. Use the builder to start from a template and add, reorder or delete sections. Each section has an id, title, description and the required, allowMultiple, editableTitle and editableDescription flags, plus optional minWords and maxWords targets that students see as word-count meters while writing.';
 $string['outline_sections'] = 'Outline Sections (JSON)';
 $string['outline_sections_help'] = 'Enter the outline structure as JSON. Each section should include: id, title, description, required (true/false), and allowMultiple (true/false).';
+$string['outline_invalid'] = 'The outline is not valid: {$a}';
+$string['outline_invalid_json'] = 'The outline is not valid JSON: {$a}';
 
 // Settings strings
 $string['settingsdescription'] = 'Configure settings for the ResearchFlow module.';
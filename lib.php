@@ -194,6 +194,10 @@ function researchflow_delete_instance($id) {
         'researchflow_versions',
         'researchflow_content',
         'researchflow_ideas',
+        'researchflow_sources',
+        'researchflow_comments',
+        'researchflow_reviews',
+        'researchflow_group_projects',
         'researchflow_metadata',
         'researchflow_work',
     ];
@@ -237,6 +241,7 @@ function researchflow_delete_instance($id) {
 function researchflow_supports($feature) {
     switch ($feature) {
         case FEATURE_BACKUP_MOODLE2:
+        case FEATURE_GROUPS:
             return true;
         default:
             return null;
@@ -473,6 +478,61 @@ function researchflow_save_project_normalized($researchflowid, $userid, $project
     return $dataManager->saveProject($researchflowid, $userid, $projectdata);
 }
 
+/**
+ * Whose project rows a user works on. In group mode (group_project set and the activity not in "No groups")
+ * the members of a Moodle group share one project, stored under the member who opened it first;
+ * everyone else, and students in no group, keep their own.
+ * @param stdClass $researchflow Activity instance
+ * @param stdClass|cm_info $cm Course module
+ * @param int $userid User ID
+ * @return array ['userid' => owner of the project rows, 'groupid' => shared group or 0]
+ */
+function researchflow_get_project_owner($researchflow, $cm, $userid) {
+    global $DB;
+
+    $own = ['userid' => (int)$userid, 'groupid' => 0];
+    if (empty($researchflow->group_project) || groups_get_activity_groupmode($cm) == NOGROUPS) {
+        return $own;
+    }
+
+    $groups = groups_get_all_groups($cm->course, $userid, $cm->groupingid, 'g.id');
+    if (empty($groups)) {
+        return $own;
+    }
+    // A student in several groups always lands in the same one
+    $groupid = (int)min(array_keys($groups));
+
+    $params = ['researchflowid' => $researchflow->id, 'groupid' => $groupid];
+    $record = $DB->get_record('researchflow_group_projects', $params);
+    if (!$record) {
+        try {
+            $DB->insert_record('researchflow_group_projects', (object)($params + [
+                'ownerid' => $userid,
+                'created_at' => time()
+            ]));
+        } catch (dml_write_exception $e) {
+            // Another member opened the activity at the same moment; theirs won
+        }
+        $record = $DB->get_record('researchflow_group_projects', $params, '*', MUST_EXIST);
+    }
+
+    return ['userid' => (int)$record->ownerid, 'groupid' => $groupid];
+}
+
+/**
+ * Sign a token that lets a user join a live editing room on the collaboration relay
+ * (checked by api/collab_relay.py with the same secret)
+ * @param string $room Room name
+ * @param int $userid User ID
+ * @param int $expires Unix time after which the relay refuses the token
+ * @return string "userid.expires.signature"
+ */
+function researchflow_collab_token($room, $userid, $expires) {
+    $secret = (string)get_config('mod_researchflow', 'collab_secret');
+    $signature = hash_hmac('sha256', $room . '|' . $userid . '|' . $expires, $secret);
+    return $userid . '.' . $expires . '.' . $signature;
+}
+
 /**
  * Check if project has been migrated to normalized schema
  * @param int $researchflowid Activity ID
@@ -583,6 +643,780 @@ function researchflow_load_template($templateId) {
     return $templateData;
 }
 
+/**
+ * Outline template shown to students: the instructor's custom outline, else the selected template file
+ * @param stdClass $instance researchflow record
+ * @return array Template data {name, sections}
+ */
+function researchflow_get_outline_template($instance) {
+    $customsections = !empty($instance->custom_outline) ? json_decode($instance->custom_outline, true) : null;
+    if (is_array($customsections) && !empty($customsections)) {
+        return ['name' => 'Custom Outline', 'sections' => array_values($customsections)];
+    }
+
+    $template = researchflow_load_template($instance->template ?: 'argumentative');
+    return $template ?: ['name' => 'Default Template', 'sections' => []];
+}
+
+/**
+ * Build the Plan export tree from saved plan data and template metadata
+ * (mirrors buildPlanExport() in scripts/plan-export.js)
+ * @param array $plan Plan data from ProjectDataManager::loadProject()
+ * @param array $template Template data from researchflow_get_outline_template()
+ * @return array ['templateName' => string, 'sections' => array, 'brainstorm' => array]
+ */
+function researchflow_build_plan_export($plan, $template) {
+    $ideas = $plan['ideas'] ?? [];
+    $templatesections = $template['sections'] ?? [];
+
+    $childrenof = function($parentid, $keep) use (&$childrenof, $ideas) {
+        $children = array_filter($ideas, function($idea) use ($parentid, $keep) {
+            $ideaparent = $idea['parentId'] ?? null;
+            $matches = $ideaparent ? (string)$ideaparent === (string)$parentid : $parentid === null;
+            return $matches && $keep($idea) && trim($idea['content'] ?? '') !== '';
+        });
+        usort($children, function($a, $b) {
+            return ($a['sortOrder'] ?? 0) <=> ($b['sortOrder'] ?? 0);
+        });
+        return array_map(function($idea) use ($childrenof) {
+            return [
+                'content' => trim($idea['content']),
+                'tag' => $idea['tag'] ?? null,
+                'children' => $childrenof($idea['id'], function() {
+                    return true;
+                })
+            ];
+        }, $children);
+    };
+
+    $outline = $plan['outline'] ?? [];
+    $order = $plan['sectionOrder'] ?? [];
+    if (!empty($order)) {
+        $position = function($id) use ($order) {
+            $index = array_search($id, $order, true);
+            return $index === false ? count($order) : $index;
+        };
+        usort($outline, function($a, $b) use ($position) {
+            return $position($a['id'] ?? '') <=> $position($b['id'] ?? '');
+        });
+    }
+
+    $instanceof = [];
+    foreach ($plan['sectionInstances'] ?? [] as $instance) {
+        $instanceof[$instance['id']] = $instance['instanceOf'];
+    }
+
+    $sections = [];
+    foreach ($outline as $section) {
+        $sectionid = $section['id'] ?? '';
+        $templateid = $instanceof[$sectionid] ?? $sectionid;
+        $templatesection = [];
+        foreach ($templatesections as $candidate) {
+            if (($candidate['id'] ?? null) === $templateid) {
+                $templatesection = $candidate;
+                break;
+            }
+        }
+
+        $sections[] = [
+            'id' => $sectionid,
+            'title' => ($section['title'] ?? '') ?: ($plan['customSectionTitles'][$sectionid] ?? ($templatesection['title'] ?? $sectionid)),
+            'description' => ($section['description'] ?? '') ?: ($templatesection['description'] ?? ''),
+            'minWords' => is_int($templatesection['minWords'] ?? null) ? $templatesection['minWords'] : null,
+            'maxWords' => is_int($templatesection['maxWords'] ?? null) ? $templatesection['maxWords'] : null,
+            'ideas' => $childrenof(null, function($idea) use ($sectionid) {
+                return ($idea['location'] ?? '') === 'outline' && (string)($idea['sectionId'] ?? '') === (string)$sectionid;
+            })
+        ];
+    }
+
+    return [
+        'templateName' => $template['name'] ?? '',
+        'sections' => $sections,
+        'brainstorm' => $childrenof(null, function($idea) {
+            return ($idea['location'] ?? '') === 'brainstorm';
+        })
+    ];
+}
+
+/**
+ * Describe a section's word target, e.g. "100-250 words"
+ * @param array $section Section from researchflow_build_plan_export()
+ * @return string Empty when the section has no targets
+ */
+function researchflow_describe_word_target($section) {
+    if ($section['minWords'] !== null && $section['maxWords'] !== null) {
+        return $section['minWords'] . '-' . $section['maxWords'] . ' words';
+    }
+    if ($section['minWords'] !== null) {
+        return 'at least ' . $section['minWords'] . ' words';
+    }
+    if ($section['maxWords'] !== null) {
+        return 'up to ' . $section['maxWords'] . ' words';
+    }
+    return '';
+}
+
+/**
+ * Plan export sections plus the unplaced brainstorm ideas as a final group
+ * @param array $export Result of researchflow_build_plan_export()
+ * @return array Sections with 'ideas'
+ */
+function researchflow_plan_export_groups($export) {
+    $groups = $export['sections'];
+    if (!empty($export['brainstorm'])) {
+        $groups[] = [
+            'title' => 'Brainstorm (not yet placed)',
+            'description' => '',
+            'minWords' => null,
+            'maxWords' => null,
+            'ideas' => $export['brainstorm']
+        ];
+    }
+    return $groups;
+}
+
+/**
+ * Render a Plan export as Markdown (headings per section, nested bullet lists per idea)
+ * @param array $export Result of researchflow_build_plan_export()
+ * @param string $title Document title
+ * @return string
+ */
+function researchflow_plan_export_markdown($export, $title) {
+    $lines = ['# ' . $title, ''];
+    if (!empty($export['templateName'])) {
+        $lines[] = '_Template: ' . $export['templateName'] . '_';
+        $lines[] = '';
+    }
+
+    $writeideas = function($ideas, $depth) use (&$writeideas, &$lines) {
+        foreach ($ideas as $idea) {
+            $text = ($idea['tag'] ? '[' . $idea['tag'] . '] ' : '') . $idea['content'];
+            $lines[] = str_repeat('  ', $depth) . '- ' . preg_replace('/\s*\n\s*/', ' ', $text);
+            $writeideas($idea['children'], $depth + 1);
+        }
+    };
+
+    foreach (researchflow_plan_export_groups($export) as $section) {
+        $lines[] = '## ' . $section['title'];
+        $lines[] = '';
+        $target = researchflow_describe_word_target($section);
+        $note = trim($section['description'] . ($target ? ' (' . $target . ')' : ''));
+        if ($note !== '') {
+            $lines[] = '> ' . $note;
+            $lines[] = '';
+        }
+        if (!empty($section['ideas'])) {
+            $writeideas($section['ideas'], 0);
+            $lines[] = '';
+        }
+    }
+
+    return implode("\n", $lines);
+}
+
+/**
+ * Render a Plan export as an OPML 2.0 outline
+ * @param array $export Result of researchflow_build_plan_export()
+ * @param string $title Document title
+ * @return string
+ */
+function researchflow_plan_export_opml($export, $title) {
+    $attr = function($text) {
+        return htmlspecialchars($text, ENT_QUOTES | ENT_XML1, 'UTF-8');
+    };
+    $lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        '    <title>' . $attr($title) . '</title>',
+        '    <dateCreated>' . gmdate(DATE_RFC1123) . '</dateCreated>',
+        '  </head>',
+        '  <body>'
+    ];
+
+    $writeideas = function($ideas, $indent) use (&$writeideas, &$lines, $attr) {
+        foreach ($ideas as $idea) {
+            $attributes = 'text="' . $attr($idea['content']) . '"' . ($idea['tag'] ? ' tag="' . $attr($idea['tag']) . '"' : '');
+            if (empty($idea['children'])) {
+                $lines[] = $indent . '<outline ' . $attributes . '/>';
+                continue;
+            }
+            $lines[] = $indent . '<outline ' . $attributes . '>';
+            $writeideas($idea['children'], $indent . '  ');
+            $lines[] = $indent . '</outline>';
+        }
+    };
+
+    foreach (researchflow_plan_export_groups($export) as $section) {
+        $note = implode(' - ', array_filter([$section['description'], researchflow_describe_word_target($section)]));
+        $lines[] = '    <outline text="' . $attr($section['title']) . '"' . ($note !== '' ? ' _note="' . $attr($note) . '"' : '') . '>';
+        $writeideas($section['ideas'], '      ');
+        $lines[] = '    </outline>';
+    }
+
+    $lines[] = '  </body>';
+    $lines[] = '</opml>';
+    return implode("\n", $lines);
+}
+
+/**
+ * Render a Plan export as the body of a print-friendly HTML outline
+ * @param array $export Result of researchflow_build_plan_export()
+ * @return string HTML
+ */
+function researchflow_plan_export_html($export) {
+    $renderideas = function($ideas) use (&$renderideas) {
+        if (empty($ideas)) {
+            return '';
+        }
+        $html = '<ul>';
+        foreach ($ideas as $idea) {
+            $html .= '<li>' . ($idea['tag'] ? '<span class="tag">' . s($idea['tag']) . '</span> ' : '')
+                . s($idea['content']) . $renderideas($idea['children']) . '</li>';
+        }
+        return $html . '</ul>';
+    };
+
+    $html = '';
+    foreach (researchflow_plan_export_groups($export) as $section) {
+        $target = researchflow_describe_word_target($section);
+        $html .= '<section><h2>' . s($section['title']) . '</h2>';
+        if ($section['description'] !== '') {
+            $html .= '<p class="description">' . s($section['description']) . '</p>';
+        }
+        if ($target !== '') {
+            $html .= '<p class="target">' . s($target) . '</p>';
+        }
+        $html .= empty($section['ideas']) ? '<p class="empty">No ideas yet.</p>' : $renderideas($section['ideas']);
+        $html .= '</section>';
+    }
+    return $html;
+}
+
+/**
+ * Reference list heading for each citation style (mirrors CITATION_STYLES in scripts/citations.js)
+ * @return array style => heading
+ */
+function researchflow_citation_styles() {
+    return ['apa' => 'References', 'mla' => 'Works Cited', 'chicago' => 'References'];
+}
+
+/**
+ * Add a full stop unless the text already ends with punctuation
+ * @param string $text
+ * @return string
+ */
+function researchflow_with_period($text) {
+    return preg_match('/[.?!]$/u', $text) ? $text : $text . '.';
+}
+
+/**
+ * Author list as it opens a reference entry
+ * @param array $authors [{family, given}]
+ * @param string $style 'apa', 'mla' or 'chicago'
+ * @return string
+ */
+function researchflow_reference_authors($authors, $style) {
+    if (empty($authors)) {
+        return '';
+    }
+    $inverted = function($author) {
+        return $author['given'] !== '' ? $author['family'] . ', ' . $author['given'] : $author['family'];
+    };
+    $direct = function($author) {
+        return $author['given'] !== '' ? $author['given'] . ' ' . $author['family'] : $author['family'];
+    };
+
+    if ($style === 'apa') {
+        $names = array_map(function($author) {
+            if ($author['given'] === '') {
+                return $author['family'];
+            }
+            $initials = [];
+            foreach (preg_split('/\s+/u', $author['given'], -1, PREG_SPLIT_NO_EMPTY) as $part) {
+                $initials[] = implode('-', array_map(function($piece) {
+                    return mb_strtoupper(mb_substr($piece, 0, 1)) . '.';
+                }, explode('-', $part)));
+            }
+            return $author['family'] . ', ' . implode(' ', $initials);
+        }, $authors);
+        if (count($names) === 1) {
+            return $names[0];
+        }
+        if (count($names) > 20) {
+            return implode(', ', array_slice($names, 0, 19)) . ', … ' . end($names);
+        }
+        return implode(', ', array_slice($names, 0, -1)) . ', & ' . end($names);
+    }
+
+    if ($style === 'mla') {
+        if (count($authors) === 1) {
+            return $inverted($authors[0]);
+        }
+        if (count($authors) === 2) {
+            return $inverted($authors[0]) . ', and ' . $direct($authors[1]);
+        }
+        return $inverted($authors[0]) . ', et al.';
+    }
+
+    // Chicago.
+    $listed = count($authors) > 10 ? array_slice($authors, 0, 7) : $authors;
+    $names = [];
+    foreach (array_values($listed) as $index => $author) {
+        $names[] = $index === 0 ? $inverted($author) : $direct($author);
+    }
+    if (count($authors) > 10) {
+        return implode(', ', $names) . ', et al.';
+    }
+    if (count($names) === 1) {
+        return $names[0];
+    }
+    return implode(', ', array_slice($names, 0, -1)) . ', and ' . end($names);
+}
+
+/**
+ * One reference list entry (mirrors formatReference() in scripts/citations.js)
+ * @param array $source Source from the project's sources library
+ * @param string $style 'apa', 'mla' or 'chicago'
+ * @return string HTML with titles in <i>
+ */
+function researchflow_format_reference($source, $style) {
+    $field = function($name) use ($source) {
+        return trim((string)($source[$name] ?? ''));
+    };
+    $type = $field('type');
+    $title = $field('title');
+    $container = $field('container');
+    $volume = $field('volume');
+    $issue = $field('issue');
+    $publisher = $field('publisher');
+    $year = $field('year');
+    $pages = preg_replace('/-+/', '–', $field('pages'));
+    $doi = $field('doi');
+    $link = $doi !== ''
+        ? (preg_match('#^https?://#i', $doi) ? $doi : 'https://doi.org/' . preg_replace('/^doi:\s*/i', '', $doi))
+        : $field('url');
+    $authors = researchflow_reference_authors(is_array($source['authors'] ?? null) ? $source['authors'] : [], $style);
+    $ispart = in_array($type, ['article', 'chapter']) || ($type === 'website' && $container !== '');
+    $parts = [];
+
+    if ($style === 'apa') {
+        $date = '(' . ($year !== '' ? s($year) : 'n.d.') . ').';
+        $titlepart = $ispart && $type !== 'website' ? s(researchflow_with_period($title)) : '<i>' . s($title) . '</i>.';
+        if ($authors !== '') {
+            array_push($parts, s(researchflow_with_period($authors)), $date, $titlepart);
+        } else {
+            array_push($parts, $titlepart, $date);
+        }
+        if ($type === 'article' && $container !== '') {
+            $part = '<i>' . s($container) . '</i>';
+            if ($volume !== '') {
+                $part .= ', <i>' . s($volume) . '</i>';
+            }
+            if ($issue !== '') {
+                $part .= '(' . s($issue) . ')';
+            }
+            if ($pages !== '') {
+                $part .= ', ' . s($pages);
+            }
+            $parts[] = $part . '.';
+        } else if ($type === 'chapter' && $container !== '') {
+            $parts[] = 'In <i>' . s($container) . '</i>' . ($pages !== '' ? ' (pp. ' . s($pages) . ')' : '') . '.';
+        } else if ($type === 'website' && $container !== '') {
+            $parts[] = s(researchflow_with_period($container));
+        }
+        if ($publisher !== '' && $type !== 'article' && $type !== 'website') {
+            $parts[] = s(researchflow_with_period($publisher));
+        }
+        if ($link !== '') {
+            $parts[] = s($link);
+        }
+        return implode(' ', $parts);
+    }
+
+    if ($style === 'mla') {
+        if ($authors !== '') {
+            $parts[] = s(researchflow_with_period($authors));
+        }
+        $parts[] = $ispart ? '“' . s(researchflow_with_period($title)) . '”' : '<i>' . s($title) . '</i>.';
+        $elements = [];
+        if ($ispart && $container !== '') {
+            $elements[] = '<i>' . s($container) . '</i>';
+        }
+        if ($volume !== '') {
+            $elements[] = 'vol. ' . s($volume);
+        }
+        if ($issue !== '') {
+            $elements[] = 'no. ' . s($issue);
+        }
+        if ($publisher !== '' && $type !== 'article') {
+            $elements[] = s($publisher);
+        }
+        if ($year !== '') {
+            $elements[] = s($year);
+        }
+        if ($pages !== '') {
+            $elements[] = (strpos($pages, '–') !== false ? 'pp. ' : 'p. ') . s($pages);
+        }
+        if ($link !== '') {
+            $elements[] = s(preg_replace('#^https?://#i', '', $link));
+        }
+        if (!empty($elements)) {
+            $parts[] = implode(', ', $elements) . '.';
+        }
+        if ($field('accessed') !== '' && $type === 'website') {
+            $parts[] = 'Accessed ' . s($field('accessed')) . '.';
+        }
+        return implode(' ', $parts);
+    }
+
+    // Chicago author-date.
+    $date = ($year !== '' ? s($year) : 'n.d.') . '.';
+    $titlepart = $ispart ? '“' . s(researchflow_with_period($title)) . '”' : '<i>' . s($title) . '</i>.';
+    if ($authors !== '') {
+        array_push($parts, s(researchflow_with_period($authors)), $date, $titlepart);
+    } else {
+        array_push($parts, $titlepart, $date);
+    }
+    if ($type === 'article' && $container !== '') {
+        $part = '<i>' . s($container) . '</i>';
+        if ($volume !== '') {
+            $part .= ' ' . s($volume);
+        }
+        if ($issue !== '') {
+            $part .= ' (' . s($issue) . ')';
+        }
+        if ($pages !== '') {
+            $part .= ': ' . s($pages);
+        }
+        $parts[] = $part . '.';
+    } else if ($type === 'chapter' && $container !== '') {
+        $parts[] = 'In <i>' . s($container) . '</i>' . ($pages !== '' ? ', ' . s($pages) : '') . '.';
+    } else if ($type === 'website' && $container !== '') {
+        $parts[] = s(researchflow_with_period($container));
+    }
+    if ($publisher !== '' && $type !== 'article' && $type !== 'website') {
+        $parts[] = s(researchflow_with_period($publisher));
+    }
+    if ($link !== '') {
+        $parts[] = s(researchflow_with_period($link));
+    }
+    return implode(' ', $parts);
+}
+
+/**
+ * IDs of the sources cited by inline citations in editor HTML
+ * @param string $html Write or Edit content
+ * @return array Source IDs
+ */
+function researchflow_cited_source_ids($html) {
+    preg_match_all('/data-sources="([^"]*)"/', (string)$html, $matches);
+    $ids = [];
+    foreach ($matches[1] as $list) {
+        foreach (explode(',', $list) as $id) {
+            if ($id !== '') {
+                $ids[$id] = true;
+            }
+        }
+    }
+    return array_keys($ids);
+}
+
+/**
+ * Reference list for the sources a document cites, sorted alphabetically
+ * @param array $sources Project sources ['style' => ..., 'items' => [...]]
+ * @param string $html Document HTML with inline citations
+ * @return array ['heading' => string, 'entries' => [html]]
+ */
+function researchflow_build_references($sources, $html) {
+    $styles = researchflow_citation_styles();
+    $style = isset($styles[$sources['style'] ?? '']) ? $sources['style'] : 'apa';
+    $cited = researchflow_cited_source_ids($html);
+    $items = array_values(array_filter($sources['items'] ?? [], function($source) use ($cited) {
+        return in_array($source['id'] ?? '', $cited, true);
+    }));
+
+    $sortkey = function($source) {
+        $first = $source['authors'][0]['family'] ?? '';
+        return core_text::strtolower($first !== '' ? $first : ($source['title'] ?? ''));
+    };
+    usort($items, function($a, $b) use ($sortkey) {
+        return strcmp($sortkey($a), $sortkey($b))
+            ?: strcmp((string)($a['year'] ?? ''), (string)($b['year'] ?? ''))
+            ?: strcmp((string)($a['title'] ?? ''), (string)($b['title'] ?? ''));
+    });
+
+    return [
+        'heading' => $styles[$style],
+        'entries' => array_map(function($source) use ($style) {
+            return researchflow_format_reference($source, $style);
+        }, $items)
+    ];
+}
+
+/**
+ * References section appended to DOCX and PDF exports (hanging indent, as the styles require)
+ * @param array $references researchflow_build_references() result
+ * @return string HTML, or '' when nothing is cited
+ */
+function researchflow_references_html($references) {
+    if (empty($references['entries'])) {
+        return '';
+    }
+    $html = '<h2>' . s($references['heading']) . '</h2>';
+    foreach ($references['entries'] as $entry) {
+        $html .= '<p style="padding-left: 0.5in; text-indent: -0.5in;">' . $entry . '</p>';
+    }
+    return $html;
+}
+
+/**
+ * Swap the footnote markers in editor HTML for superscript numbers and collect their notes in order
+ * (the note text lives on the marker's data-note attribute, so this must run before data-* attributes are stripped)
+ * @param string $html Write or Edit content
+ * @return array ['html' => string, 'notes' => [plain text]]
+ */
+function researchflow_extract_footnotes($html) {
+    $notes = [];
+    $html = preg_replace_callback('/<span\b[^>]*\bclass="ql-footnote"[^>]*>.*?<\/span>/s', function($match) use (&$notes) {
+        $text = preg_match('/\bdata-note="([^"]*)"/', $match[0], $note) ? $note[1] : '';
+        $notes[] = trim(html_entity_decode($text, ENT_QUOTES | ENT_HTML5, 'UTF-8'));
+        return '<sup>' . count($notes) . '</sup>';
+    }, (string)$html);
+    return ['html' => $html, 'notes' => $notes];
+}
+
+/**
+ * Notes section appended to DOCX and PDF exports, numbered to match the markers
+ * @param array $notes researchflow_extract_footnotes() notes
+ * @return string HTML, or '' when there are no footnotes
+ */
+function researchflow_footnotes_html($notes) {
+    if (empty($notes)) {
+        return '';
+    }
+    $html = '<h2>' . get_string('notes', 'mod_researchflow') . '</h2>';
+    foreach (array_values($notes) as $i => $note) {
+        $html .= '<p>' . ($i + 1) . '. ' . s($note) . '</p>';
+    }
+    return $html;
+}
+
+/**
+ * Words left out of the repeated-word count (mirrors READABILITY_STOPWORDS in scripts/readability.js)
+ * @return array
+ */
+function researchflow_readability_stopwords() {
+    return ['about', 'after', 'also', 'been', 'before', 'being', 'between', 'both', 'could', 'does', 'each', 'even',
+        'from', 'have', 'having', 'here', 'into', 'just', 'like', 'many', 'more', 'most', 'much', 'must', 'only',
+        'other', 'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there',
+        'these', 'they', 'this', 'those', 'through', 'very', 'were', 'what', 'when', 'where', 'which', 'while',
+        'will', 'with', 'would', 'your'];
+}
+
+/**
+ * Rough English syllable count (mirrors countSyllables() in scripts/readability.js)
+ * @param string $word
+ * @return int
+ */
+function researchflow_count_syllables($word) {
+    $cleaned = str_replace(["'", '’'], '', core_text::strtolower($word));
+    if (core_text::strlen($cleaned) <= 3) {
+        return 1;
+    }
+    $cleaned = preg_replace('/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/u', '', $cleaned);
+    $cleaned = preg_replace('/^y/', '', $cleaned);
+    return max(1, preg_match_all('/[aeiouy]{1,2}/', $cleaned));
+}
+
+/**
+ * Readability numbers for a draft, computed the same way as the Write/Edit readability panel
+ * (body paragraphs only: headings, code blocks, citations and footnote markers are left out)
+ * @param string $html Write or Edit content
+ * @return array words, sentences, grade (Flesch–Kincaid, null without text), average_sentence, longest_sentence,
+ *               passive, repeated [['word', 'count']], paragraphs ['short', 'medium', 'long']
+ */
+function researchflow_readability_stats($html) {
+    $html = preg_replace('/<(h[1-6]|pre)\b[^>]*>.*?<\/\1>/is', "\n", (string)$html);
+    $html = preg_replace('/<span\b[^>]*\bclass="ql-(?:citation|footnote)"[^>]*>.*?<\/span>/s', ' ', $html);
+    $html = preg_replace('/<br\s*\/?>|<\/(?:p|div|li|blockquote)>/i', "\n", $html);
+    $text = html_entity_decode(strip_tags($html), ENT_QUOTES | ENT_HTML5, 'UTF-8');
+
+    $wordpattern = "/[A-Za-z\x{00C0}-\x{024F}]+(?:['’][A-Za-z\x{00C0}-\x{024F}]+)*/u";
+    $passivepattern = '/\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?'
+        . '(?:\w+ed|begun|born|broken|brought|built|caught|chosen|done|drawn|driven|eaten|felt|forgotten|found|'
+        . 'given|gotten|grown|heard|held|hidden|kept|known|led|left|lost|made|meant|paid|put|read|said|seen|sent|'
+        . 'set|shown|sold|spent|stolen|taken|taught|thought|told|understood|won|written)\b/i';
+    $stopwords = array_flip(researchflow_readability_stopwords());
+
+    $words = 0;
+    $sentences = 0;
+    $syllables = 0;
+    $longest = 0;
+    $passive = 0;
+    $counts = [];
+    $paragraphs = ['short' => 0, 'medium' => 0, 'long' => 0];
+
+    foreach (explode("\n", $text) as $paragraph) {
+        $paragraphwords = 0;
+        preg_match_all('/[^.!?]+(?:[.!?]+["\'”’)\]]*|$)/u', $paragraph, $matches);
+        foreach ($matches[0] as $sentence) {
+            $sentencewords = preg_match_all($wordpattern, $sentence, $found) ? $found[0] : [];
+            if (empty($sentencewords)) {
+                continue;
+            }
+            $sentences++;
+            $paragraphwords += count($sentencewords);
+            $longest = max($longest, count($sentencewords));
+            foreach ($sentencewords as $word) {
+                $syllables += researchflow_count_syllables($word);
+            }
+        }
+
+        preg_match_all($wordpattern, $paragraph, $found);
+        foreach ($found[0] as $word) {
+            $word = str_replace('’', "'", core_text::strtolower($word));
+            if (core_text::strlen($word) >= 4 && !isset($stopwords[$word])) {
+                $counts[$word] = ($counts[$word] ?? 0) + 1;
+            }
+        }
+
+        $passive += preg_match_all($passivepattern, $paragraph);
+
+        if ($paragraphwords > 0) {
+            $bucket = $paragraphwords < 40 ? 'short' : ($paragraphwords < 150 ? 'medium' : 'long');
+            $paragraphs[$bucket]++;
+        }
+        $words += $paragraphwords;
+    }
+
+    $repeated = [];
+    foreach ($counts as $word => $count) {
+        if ($count >= 3) {
+            $repeated[] = ['word' => (string)$word, 'count' => $count];
+        }
+    }
+    usort($repeated, function($a, $b) {
+        return ($b['count'] - $a['count']) ?: strcmp($a['word'], $b['word']);
+    });
+
+    // floor(x + 0.5) rounds like the panel's Math.round(), so both show the same figure
+    $roundone = function($value) {
+        return floor($value * 10 + 0.5) / 10;
+    };
+    return [
+        'words' => $words,
+        'sentences' => $sentences,
+        'grade' => $words > 0 ? $roundone(0.39 * ($words / $sentences) + 11.8 * ($syllables / $words) - 15.59) : null,
+        'average_sentence' => $sentences > 0 ? $roundone($words / $sentences) : 0,
+        'longest_sentence' => $longest,
+        'passive' => $passive,
+        'repeated' => array_slice($repeated, 0, 5),
+        'paragraphs' => $paragraphs
+    ];
+}
+
+/**
+ * POST a JSON request to the configured AI service (keeps the API key server-side)
+ * @param string $path API path, e.g. '/api/organize'
+ * @param array $requestbody Request body
+ * @return array ['httpcode' => int, 'result' => decoded JSON array]
+ * @throws Exception If the endpoint is not configured, unreachable or returns invalid JSON
+ */
+function researchflow_call_ai_service($path, $requestbody) {
+    $apiEndpoint = get_config('mod_researchflow', 'api_endpoint');
+    $apiKey = get_config('mod_researchflow', 'api_key');
+    if (empty(trim($apiEndpoint ?? ''))) {
+        throw new Exception('The AI Writing Assistant API endpoint has not been configured. Please contact your site administrator.');
+    }
+
+    $headers = ['Content-Type: application/json'];
+    if (!empty(trim($apiKey ?? ''))) {
+        $headers[] = 'X-API-Key: ' . $apiKey;
+    }
+
+    $ch = curl_init(rtrim($apiEndpoint, '/') . $path);
+    curl_setopt_array($ch, [
+        CURLOPT_POST => true,
+        CURLOPT_POSTFIELDS => json_encode($requestbody),
+        CURLOPT_HTTPHEADER => $headers,
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_TIMEOUT => 120
+    ]);
+    $response = curl_exec($ch);
+    $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+    curl_close($ch);
+
+    if ($response === false) {
+        throw new Exception('Failed to connect to AI service. Please try again later.');
+    }
+    $result = json_decode($response, true);
+    if (!is_array($result)) {
+        throw new Exception('Invalid response from AI service.');
+    }
+
+    return ['httpcode' => $httpCode, 'result' => $result];
+}
+
+/**
+ * Validate an instructor outline against the section shape used in data/templates/*.json
+ * (mirrors validateOutlineSections() in scripts/outline-builder.js)
+ * @param mixed $sections Decoded outline
+ * @return array Problems found, empty when the outline is valid
+ */
+function researchflow_validate_outline($sections) {
+    if (!is_array($sections) || (!empty($sections) && array_keys($sections) !== range(0, count($sections) - 1))) {
+        return ['The outline must be a list of sections.'];
+    }
+    if (empty($sections)) {
+        return ['Add at least one section.'];
+    }
+
+    $problems = [];
+    $seenids = [];
+    $flags = ['required', 'allowMultiple', 'editableTitle', 'editableDescription'];
+    foreach ($sections as $index => $section) {
+        $label = 'Section ' . ($index + 1);
+        if (!is_array($section)) {
+            $problems[] = $label . ' is not a section object.';
+            continue;
+        }
+        $id = $section['id'] ?? null;
+        if (!is_string($id) || !preg_match('/^[a-z0-9][a-z0-9_-]*$/', $id)) {
+            $problems[] = $label . ' needs an ID made of lowercase letters, numbers, "-" or "_".';
+        } else if (isset($seenids[$id])) {
+            $problems[] = $label . ' uses the ID "' . $id . '", which is already taken.';
+        } else {
+            $seenids[$id] = true;
+        }
+        if (!is_string($section['title'] ?? null) || trim($section['title']) === '') {
+            $problems[] = $label . ' needs a title.';
+        }
+        if (isset($section['description']) && !is_string($section['description'])) {
+            $problems[] = $label . ' has a description that is not text.';
+        }
+        foreach ($flags as $flag) {
+            if (isset($section[$flag]) && !is_bool($section[$flag])) {
+                $problems[] = $label . ': "' . $flag . '" must be true or false.';
+            }
+        }
+        foreach (['minWords', 'maxWords'] as $target) {
+            if (isset($section[$target]) && (!is_int($section[$target]) || $section[$target] < 0)) {
+                $problems[] = $label . ': "' . $target . '" must be a whole number of 0 or more.';
+            }
+        }
+        if (is_int($section['minWords'] ?? null) && is_int($section['maxWords'] ?? null)
+                && $section['minWords'] > $section['maxWords']) {
+            $problems[] = $label . ': the minimum word count is larger than the maximum.';
+        }
+        if (isset($section['outline']) && !is_array($section['outline'])) {
+            $problems[] = $label . ': "outline" must be a list.';
+        }
+    }
+
+    return $problems;
+}
 
 /**
  * Calculate activity statistics from logs
@@ -623,7 +1457,8 @@ function researchflow_calculate_activity_stats($logs) {
             $totalTyped += 10; // Average estimate per typing action
         }
         
-        if ($log->action_type === 'paste' || $log->action_type === 'large_insert' || $log->action_type === 'import') {
+        // AI-assisted rewrites the student accepted count as not original, like pastes
+        if (in_array($log->action_type, ['paste', 'large_insert', 'import', 'ai_assist'])) {
             $pastedLen = $log->pasted_length > 0 ? $log->pasted_length : 0;
             $totalPasted += $pastedLen;
             if ($pastedLen > 0) {
@@ -15,6 +15,7 @@
 defined('MOODLE_INTERNAL') || die();
 
 require_once($CFG->dirroot . '/course/moodleform_mod.php');
+require_once($CFG->dirroot . '/mod/researchflow/lib.php');
 
 /**
  * Form for creating/editing a researchflow instance
@@ -95,7 +96,7 @@ class mod_researchflow_mod_form extends moodleform_mod {
         $mform->addElement('header', 'outline', 'Outline Structure');
         $mform->setExpanded('outline', false);
         
-        $outlinehelp = 'Define the outline sections that students will use for their assignment. Each section should have an id, title, description, required flag, and allowMultiple flag.';
+        $outlinehelp = 'Define the outline sections that students will use for their assignment. Start from a template, then add, reorder or edit sections; the preview shows what students will see on their Plan board.';
         $mform->addElement('static', 'outline_help', '', $outlinehelp);
         
         // Default outline structure
@@ -129,6 +130,13 @@ class mod_researchflow_mod_form extends moodleform_mod {
         $mform->addHelpButton('custom_outline', 'outline_structure', 'mod_researchflow');
         $mform->setDefault('custom_outline', $defaultoutline);
 
+        // Visual builder replaces the textarea (which stays the submitted value)
+        global $PAGE;
+        $PAGE->requires->css(new moodle_url('/mod/researchflow/styles/outline-builder.css'));
+        $PAGE->requires->js(new moodle_url('/mod/researchflow/scripts/outline-builder.js'));
+        $PAGE->requires->js_init_code('new OutlineTemplateBuilder(document.getElementById("id_custom_outline"), ' .
+            json_encode($this->get_template_definitions()) . ');', true);
+
         // Availability ---------------------------------------------------------------
         $mform->addElement('header', 'accesscontrol', get_string('availability', 'core'));
 
@@ -141,6 +149,13 @@ class mod_researchflow_mod_form extends moodleform_mod {
         $mform->addElement('date_time_selector', 'enddate', 'End date', array('optional' => true));
         $mform->addHelpButton('enddate', 'enddate', 'mod_researchflow');
 
+        // Group work -----------------------------------------------------------------
+        $mform->addElement('header', 'groupwork', get_string('groupwork', 'mod_researchflow'));
+
+        $mform->addElement('advcheckbox', 'group_project', get_string('group_project', 'mod_researchflow'));
+        $mform->addHelpButton('group_project', 'group_project', 'mod_researchflow');
+        $mform->setDefault('group_project', 0);
+
         // Get course context safely - check if course exists
         global $COURSE;
         $courseid = null;
@@ -286,6 +301,60 @@ class mod_researchflow_mod_form extends moodleform_mod {
         }
     }
 
+    /**
+     * Validate the outline so malformed sections are caught here rather than on the student's board
+     *
+     * @param array $data
+     * @param array $files
+     * @return array
+     */
+    public function validation($data, $files) {
+        $errors = parent::validation($data, $files);
+
+        $outline = trim($data['custom_outline'] ?? '');
+        if ($outline !== '') {
+            $decoded = json_decode($outline, true);
+            if (json_last_error() !== JSON_ERROR_NONE) {
+                $errors['custom_outline'] = get_string('outline_invalid_json', 'mod_researchflow', json_last_error_msg());
+            } else {
+                $problems = researchflow_validate_outline($decoded);
+                if (!empty($problems)) {
+                    $errors['custom_outline'] = get_string('outline_invalid', 'mod_researchflow', implode(' ', $problems));
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the section lists of the bundled templates for the outline builder
+     *
+     * @return array
+     */
+    private function get_template_definitions() {
+        global $CFG;
+
+        $definitions = array();
+
+        $templatesFile = $CFG->dirroot . '/mod/researchflow/data/templates/templates.json';
+        if (file_exists($templatesFile)) {
+            $templatesData = json_decode(file_get_contents($templatesFile), true);
+            foreach ($templatesData['templates'] ?? array() as $template) {
+                $templateData = researchflow_load_template($template['id']);
+                if ($templateData && isset($templateData['sections'])) {
+                    $definitions[] = array(
+                        'id' => $template['id'],
+                        'name' => $template['name'],
+                        'sections' => $templateData['sections']
+                    );
+                }
+            }
+        }
+
+        return $definitions;
+    }
+
     /**
      * Get available templates for the selector
      *
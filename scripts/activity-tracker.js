@@ -4,11 +4,14 @@
  */
 
 class ActivityTracker {
-    constructor(globalState, api, researchflowId, userId) {
+    constructor(globalState, api, researchflowId, userId, offlineStore = null) {
         this.globalState = globalState;
         this.api = api;
         this.researchflowId = researchflowId;
         this.userId = userId;
+        this.offlineStore = offlineStore; // Batches that can't be sent wait here (IndexedDB) across reloads
+        this.sessionExpired = false;
+        this.isReplaying = false;
         this.sessionId = this.generateSessionId();
         this.currentPhase = 'write';
         
@@ -455,28 +458,124 @@ class ActivityTracker {
         const activities = [...this.activityBuffer];
         this.activityBuffer = [];
         
+        // Offline, or batches from earlier are still waiting: queue behind them to keep the order
+        if (this.offlineStore && (!navigator.onLine || this.sessionExpired || this.isReplaying)) {
+            await this.queueOffline(activities);
+            return;
+        }
+        
         try {
             await this.api.logActivity(activities);
         } catch (error) {
             console.error('ActivityTracker: Failed to log activities:', error);
-            // Re-add to buffer on failure (with limit to prevent memory issues)
+            if (error.sessionExpired) {
+                this.sessionExpired = true;
+            }
+            if (this.offlineStore) {
+                await this.queueOffline(activities);
+            } else if (this.activityBuffer.length < 100) {
+                // Re-add to buffer on failure (with limit to prevent memory issues)
+                this.activityBuffer.unshift(...activities);
+            }
+        }
+    }
+    
+    async queueOffline(activities) {
+        try {
+            await this.offlineStore.addActivities(activities);
+        } catch (error) {
+            console.error('ActivityTracker: Failed to keep activities offline:', error);
             if (this.activityBuffer.length < 100) {
                 this.activityBuffer.unshift(...activities);
             }
         }
     }
     
-    // Track content import (like importing from Write tab)
-    trackImport(phase, importedLength) {
+    // Send queued batches oldest first; stop at the first failure so nothing is sent out of order
+    async replayOffline() {
+        if (!this.offlineStore || this.isReplaying || this.sessionExpired || !navigator.onLine) return;
+        
+        this.isReplaying = true;
+        try {
+            // Batches flushed while replaying are queued behind these, so read again until none are left
+            let batches = await this.offlineStore.getActivityBatches();
+            while (batches.length > 0) {
+                for (const batch of batches) {
+                    await this.api.logActivity(batch.activities);
+                    await this.offlineStore.deleteActivityBatch(batch.key);
+                }
+                batches = await this.offlineStore.getActivityBatches();
+            }
+        } catch (error) {
+            console.error('ActivityTracker: Failed to replay queued activities:', error);
+            if (error.sessionExpired) {
+                this.sessionExpired = true;
+            }
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+    
+    // Track content import (like importing from Write tab, or ideas imported into the Plan tab)
+    trackImport(phase, importedLength, description = null) {
+        const editor = this.getEditorForPhase(phase);
+        const text = editor ? editor.getText() || '' : '';
         this.logActivity({
             action_type: 'import',
-            content_length: 0,
-            word_count: 0,
+            content_length: text.length,
+            word_count: this.calculateWordCount(text),
             pasted_length: importedLength,
-            pasted_content: 'Imported from ' + (phase === 'edit' ? 'Write tab' : 'other source')
+            pasted_content: description || ('Imported from ' + (phase === 'edit' ? 'Write tab' : 'other source'))
         }, phase);
         
         this.totalPasted += importedLength;
+        
+        // Imported text was not typed either
+        if (editor) {
+            this.previousLengths.set(phase, text.length);
+            if (this.previousTexts) {
+                this.previousTexts.set(phase, text);
+            }
+        }
+    }
+    
+    // Track AI-written text the student accepted into the editor (rephrase and transition suggestions)
+    trackAIAssist(phase, insertedText) {
+        const editor = this.getEditorForPhase(phase);
+        const text = editor ? editor.getText() || '' : '';
+        this.logActivity({
+            action_type: 'ai_assist',
+            content_length: text.length,
+            word_count: this.calculateWordCount(text),
+            pasted_length: insertedText.length,
+            pasted_content: insertedText.substring(0, 500)
+        }, phase);
+        
+        this.totalPasted += insertedText.length;
+        
+        // The replacement was not typed, so the next typing event must not count it
+        if (editor) {
+            this.previousLengths.set(phase, text.length);
+            if (this.previousTexts) {
+                this.previousTexts.set(phase, text);
+            }
+        }
+    }
+    
+    // A group member's edit arrived in the editor: it is logged by their own tracker, so it must not show up
+    // here as typing or a large insert on the next change
+    trackRemoteChange(phase) {
+        const editor = this.getEditorForPhase(phase);
+        if (!editor) return;
+        const text = editor.getText() || '';
+        this.previousLengths.set(phase, text.length);
+        if (this.previousTexts) {
+            this.previousTexts.set(phase, text);
+        }
+        if (phase === this.currentPhase) {
+            this.lastContentLength = text.length;
+            this.lastWordCount = this.calculateWordCount(text);
+        }
     }
     
     // Get statistics for current session (combined across all phases)
@@ -544,6 +643,10 @@ class ActivityTracker {
         setInterval(() => {
             this.flushBuffer();
         }, 30000);
+        
+        // Send what an earlier visit, or time offline, left queued
+        window.addEventListener('online', () => this.replayOffline());
+        this.replayOffline();
     }
 }
 
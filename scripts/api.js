@@ -6,6 +6,9 @@ if (window.versionInfo) {
 }
 
 
+// Error codes ajax.php returns when the Moodle session has ended; retrying cannot succeed until the student logs in again
+const SESSION_ERROR_CODES = ['invalidsesskey', 'requireloginerror'];
+
 // Main API class for project data and AI operations
 class ProjectAPI {
     constructor() {
@@ -290,7 +293,7 @@ class ProjectAPI {
                 console.error('ProjectAPI.saveProject(): Network error:', networkError);
                 console.error('ProjectAPI.saveProject(): Error name:', networkError.name);
                 console.error('ProjectAPI.saveProject(): Error message:', networkError.message);
-                throw new Error('Network error: ' + networkError.message);
+                throw Object.assign(new Error('Network error: ' + networkError.message), { networkError: true });
             }
 
             console.log('ProjectAPI.saveProject(): Response status:', response.status, response.statusText);
@@ -305,7 +308,19 @@ class ProjectAPI {
             if (!contentType || !contentType.includes('application/json')) {
                 console.error('ProjectAPI.saveProject(): Received non-JSON response:', contentType);
                 console.error('ProjectAPI.saveProject(): Response body:', responseText.substring(0, 500));
-                throw new Error(`Expected JSON but got ${contentType}`);
+                // Being sent to the login page means the session is over
+                throw Object.assign(new Error(`Expected JSON but got ${contentType}`), { sessionExpired: response.redirected });
+            }
+
+            // Saved from another tab or device since this project was loaded; ProjectManager asks the student what to keep
+            if (response.status === 409) {
+                const conflict = JSON.parse(responseText);
+                return {
+                    success: false,
+                    conflict: true,
+                    revision: conflict.revision,
+                    project: conflict.project || null
+                };
             }
 
             if (!response.ok) {
@@ -336,17 +351,28 @@ class ProjectAPI {
             if (!result.success) {
                 console.error('Save failed:', result.error || 'Unknown error');
                 console.error('Full result:', JSON.stringify(result, null, 2));
-                throw new Error(result.error || 'Save failed');
+                throw Object.assign(new Error(result.error || 'Save failed'), { sessionExpired: this.isSessionError(result) });
             }
 
             return result;
         } catch (error) {
             console.error('Failed to save project:', error);
             console.error('Error stack:', error.stack);
-            return false;
+            // Say why, so ProjectManager can keep the work offline or stop retrying on an expired session
+            return {
+                success: false,
+                error: error.message,
+                networkError: Boolean(error.networkError),
+                sessionExpired: Boolean(error.sessionExpired)
+            };
         }
     }
 
+    // Whether an ajax.php failure means the student has to log in again
+    isSessionError(result) {
+        return Boolean(result && SESSION_ERROR_CODES.includes(result.errorcode));
+    }
+
     // Delete project data from Moodle database
     async logActivity(activities) {
         try {
@@ -372,7 +398,7 @@ class ProjectAPI {
 
             const result = await response.json();
             if (!result.success) {
-                throw new Error(result.error || 'Failed to log activity');
+                throw Object.assign(new Error(result.error || 'Failed to log activity'), { sessionExpired: this.isSessionError(result) });
             }
 
             return result;
@@ -535,6 +561,203 @@ class ProjectAPI {
         }
     }
 
+    /**
+     * Ask the AI to place brainstorm ideas into outline sections
+     * @param {Array} ideas [{id, content}]
+     * @param {Array} sections [{id, title, description}]
+     * @param {string} goal Assignment goal
+     * @returns {Promise<Array>} Placements [{ideaId, sectionId, reason}]
+     */
+    async organizeIdeas(ideas, sections, goal = '') {
+        try {
+            const formData = new URLSearchParams();
+            formData.append('action', 'proxy_organize');
+            formData.append('cmid', this.cmId);
+            formData.append('sesskey', this.sesskey);
+            formData.append('ideas', JSON.stringify(ideas));
+            formData.append('sections', JSON.stringify(sections));
+            formData.append('goal', goal);
+
+            const response = await fetch(this.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                credentials: 'same-origin',
+                body: formData
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to organize ideas');
+            }
+
+            return Array.isArray(result.placements) ? result.placements : [];
+        } catch (error) {
+            console.error('ProjectAPI.organizeIdeas():', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the AI service for replacements of a selected passage
+     * @param {string} text Selected text
+     * @param {string} mode 'rephrase' or 'transition'
+     * @param {string} context Surrounding text, for tone
+     * @returns {Promise<Array<Object>>} [{text, note}]
+     */
+    async suggestRewrites(text, mode = 'rephrase', context = '') {
+        try {
+            const formData = new URLSearchParams();
+            formData.append('action', 'proxy_rephrase');
+            formData.append('cmid', this.cmId);
+            formData.append('sesskey', this.sesskey);
+            formData.append('text', text);
+            formData.append('mode', mode);
+            formData.append('context', context);
+
+            const response = await fetch(this.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                credentials: 'same-origin',
+                body: formData
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to get suggestions');
+            }
+
+            return Array.isArray(result.options) ? result.options.filter(option => option && option.text) : [];
+        } catch (error) {
+            console.error('ProjectAPI.suggestRewrites():', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask the AI service to proofread a draft (spelling, grammar, run-on sentences)
+     * @param {string} text Plain text of the draft
+     * @returns {Promise<Array<Object>>} [{type, original, suggestion, reason, position}]
+     */
+    async reviewDocument(text) {
+        try {
+            const formData = new URLSearchParams();
+            formData.append('action', 'proxy_review');
+            formData.append('cmid', this.cmId);
+            formData.append('sesskey', this.sesskey);
+            formData.append('text', text);
+
+            const response = await fetch(this.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                credentials: 'same-origin',
+                body: formData
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to review the document');
+            }
+            if (!Array.isArray(result.suggestions)) {
+                throw new Error('The review came back in an unexpected format');
+            }
+
+            return result.suggestions;
+        } catch (error) {
+            console.error('ProjectAPI.reviewDocument():', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load this student's saved review of a draft
+     * @param {string} phase 'write' or 'edit'
+     * @returns {Promise<Object|null>} {suggestions, reviewedAt}, or null when there is none
+     */
+    async loadReview(phase) {
+        try {
+            const formData = new URLSearchParams();
+            formData.append('action', 'load_review');
+            formData.append('cmid', this.cmId);
+            formData.append('sesskey', this.sesskey);
+            formData.append('phase', phase);
+
+            const response = await fetch(this.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                credentials: 'same-origin',
+                body: formData
+            });
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const result = await response.json();
+            if (!result.success) throw new Error(result.error || 'Failed to load the review');
+            return result.review || null;
+        } catch (error) {
+            console.error('ProjectAPI.loadReview():', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a review with each suggestion's current range (an empty list removes it)
+     * @param {string} phase 'write' or 'edit'
+     * @param {Array<Object>} suggestions [{id, type, original, suggestion, reason, index, length, stale}]
+     * @param {number} reviewedAt Unix time the review was run
+     * @returns {Promise<boolean>}
+     */
+    async saveReview(phase, suggestions, reviewedAt = 0) {
+        try {
+            const formData = new URLSearchParams();
+            formData.append('action', 'save_review');
+            formData.append('cmid', this.cmId);
+            formData.append('sesskey', this.sesskey);
+            formData.append('phase', phase);
+            formData.append('suggestions', JSON.stringify(suggestions));
+            formData.append('reviewed_at', String(reviewedAt || 0));
+
+            const response = await fetch(this.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                credentials: 'same-origin',
+                body: formData
+            });
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const result = await response.json();
+            return !!result.success;
+        } catch (error) {
+            console.error('ProjectAPI.saveReview():', error);
+            return false;
+        }
+    }
+
     // Sanitize project data for API consumption - convert HTML to plain text and clean up
     sanitizeProjectForAPI(project) {
         if (!project) return null;
@@ -578,7 +801,8 @@ class ProjectAPI {
 
             sanitized.plan.ideas = ideasArray.map(idea => ({
                 ...idea,
-                content: htmlToText(idea.content)
+                content: htmlToText(idea.content),
+                tag: idea.tag || null // evidence, claim, question, quote or counterpoint
             }));
         }
 
@@ -590,7 +814,8 @@ class ProjectAPI {
                 description: htmlToText(section.description),
                 bubbles: section.bubbles ? section.bubbles.map(bubble => ({
                     ...bubble,
-                    content: htmlToText(bubble.content)
+                    content: htmlToText(bubble.content),
+                    tag: bubble.tag || null
                 })) : []
             }));
         }
@@ -849,6 +1074,36 @@ class ProjectAPI {
             return false;
         }
     }
+
+    /**
+     * Where to join live co-editing of a group project
+     * @returns {Promise<Object|null>} {enabled, shared, url, room, token, user, group}, or null on failure
+     */
+    async getCollabSession() {
+        try {
+            const formData = new URLSearchParams();
+            formData.append('action', 'collab_session');
+            formData.append('cmid', this.cmId);
+            formData.append('sesskey', this.sesskey);
+
+            const response = await fetch(this.ajaxUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                credentials: 'same-origin',
+                body: formData
+            });
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const result = await response.json();
+            return result.success ? result : null;
+        } catch (error) {
+            console.error('Failed to get collaboration session:', error);
+            return null;
+        }
+    }
 }
 
 // End of ProjectAPI class
\ No newline at end of file
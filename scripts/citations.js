@@ -0,0 +1,892 @@
+/**
+ * Citations - Sources library, inline citations and the generated reference list
+ * Sources are entered by hand or imported from BibTeX / RIS files; the Cite command inserts a citation blot
+ * into the Write/Edit editor, and references are formatted in APA, MLA or Chicago (author-date)
+ * (formatting mirrors researchflow_format_reference() in lib.php, used by export.php)
+ */
+
+const CITATION_STYLES = [
+    { value: 'apa', label: 'APA (7th edition)', heading: 'References' },
+    { value: 'mla', label: 'MLA (9th edition)', heading: 'Works Cited' },
+    { value: 'chicago', label: 'Chicago (author-date)', heading: 'References' }
+];
+
+const SOURCE_TYPES = [
+    { value: 'article', label: 'Journal article' },
+    { value: 'book', label: 'Book' },
+    { value: 'chapter', label: 'Book chapter' },
+    { value: 'website', label: 'Web page' },
+    { value: 'report', label: 'Report' }
+];
+
+// Inline citation: a non-editable span that remembers which sources it cites (data-sources) and the page
+class CitationBlot extends Parchment.Embed {
+    static create(value) {
+        const node = super.create(value);
+        node.setAttribute('contenteditable', 'false');
+        node.setAttribute('data-sources', value.sources || '');
+        if (value.locator) node.setAttribute('data-locator', value.locator);
+        node.textContent = value.text || '';
+        return node;
+    }
+
+    static value(node) {
+        return {
+            sources: node.getAttribute('data-sources') || '',
+            locator: node.getAttribute('data-locator') || '',
+            text: node.textContent
+        };
+    }
+}
+CitationBlot.blotName = 'citation';
+CitationBlot.tagName = 'SPAN';
+CitationBlot.className = 'ql-citation';
+Quill.register(CitationBlot, true);
+// Registering claims the SPAN tag too; give plain <span>s (e.g. pasted text) back to the inline blot
+Quill.register(Quill.import('blots/inline'), true);
+
+/**
+ * Empty source with every field the library keeps
+ * @param {Object} fields Initial values
+ * @returns {Object}
+ */
+function createSource(fields = {}) {
+    return {
+        id: `src_${generateId()}`,
+        type: 'article',
+        title: '',
+        authors: [],
+        year: '',
+        container: '',
+        volume: '',
+        issue: '',
+        pages: '',
+        publisher: '',
+        url: '',
+        doi: '',
+        accessed: '',
+        ...fields
+    };
+}
+
+/**
+ * "Family, Given" or "Given Family" -> {family, given}
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function parseAuthorName(name) {
+    const clean = (name || '').replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    if (clean.includes(',')) {
+        const [family, ...given] = clean.split(',');
+        return { family: family.trim(), given: given.join(' ').trim() };
+    }
+    const parts = clean.split(' ');
+    const family = parts.pop();
+    return { family, given: parts.join(' ') };
+}
+
+// ---- BibTeX / RIS import ----
+
+const BIBTEX_TYPES = {
+    article: 'article',
+    book: 'book',
+    booklet: 'book',
+    inbook: 'chapter',
+    incollection: 'chapter',
+    inproceedings: 'chapter',
+    conference: 'chapter',
+    techreport: 'report',
+    report: 'report',
+    online: 'website',
+    electronic: 'website',
+    www: 'website'
+};
+
+// Drop braces and the common LaTeX escapes left in BibTeX values
+function cleanBibtexValue(value) {
+    return value
+        .replace(/\\[`'^"~=.uvHc]\{?([A-Za-z])\}?/g, '$1')
+        .replace(/\\&/g, '&')
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * @param {string} text Contents of a .bib file
+ * @returns {Array<Object>} Sources
+ */
+function parseBibtex(text) {
+    const sources = [];
+    const source = text || '';
+    const entryPattern = /@(\w+)\s*([{(])/g;
+    let match;
+
+    while ((match = entryPattern.exec(source)) !== null) {
+        const kind = match[1].toLowerCase();
+        const [open, close] = match[2] === '{' ? ['{', '}'] : ['(', ')'];
+        // Find the end of the entry by balancing its delimiters
+        let depth = 1;
+        let index = entryPattern.lastIndex;
+        while (index < source.length && depth > 0) {
+            if (source[index] === open) depth++;
+            if (source[index] === close) depth--;
+            index++;
+        }
+        const body = source.slice(entryPattern.lastIndex, index - 1);
+        entryPattern.lastIndex = index;
+        if (['comment', 'preamble', 'string'].includes(kind)) continue;
+
+        const fields = {};
+        const fieldPattern = /(\w+)\s*=\s*/g;
+        let field;
+        while ((field = fieldPattern.exec(body)) !== null) {
+            let position = fieldPattern.lastIndex;
+            let value = '';
+            if (body[position] === '{') {
+                let braces = 1;
+                let end = position + 1;
+                while (end < body.length && braces > 0) {
+                    if (body[end] === '{') braces++;
+                    if (body[end] === '}') braces--;
+                    end++;
+                }
+                value = body.slice(position + 1, end - 1);
+                position = end;
+            } else if (body[position] === '"') {
+                const end = body.indexOf('"', position + 1);
+                value = body.slice(position + 1, end === -1 ? body.length : end);
+                position = end === -1 ? body.length : end + 1;
+            } else {
+                const end = body.slice(position).search(/[,\n]/);
+                value = body.slice(position, end === -1 ? body.length : position + end);
+                position = end === -1 ? body.length : position + end;
+            }
+            fields[field[1].toLowerCase()] = cleanBibtexValue(value);
+            fieldPattern.lastIndex = position;
+        }
+
+        if (!fields.title) continue;
+        const type = BIBTEX_TYPES[kind] || (fields.url ? 'website' : 'book');
+        sources.push(createSource({
+            type,
+            title: fields.title,
+            authors: (fields.author || fields.editor || '').split(/\s+and\s+/i).map(parseAuthorName).filter(Boolean),
+            year: (fields.year || fields.date || '').slice(0, 4),
+            container: fields.journal || fields.journaltitle || fields.booktitle || '',
+            volume: fields.volume || '',
+            issue: fields.number || fields.issue || '',
+            pages: (fields.pages || '').replace(/-+/g, '–'),
+            publisher: fields.publisher || fields.institution || fields.organization || '',
+            url: fields.url || '',
+            doi: fields.doi || '',
+            accessed: fields.urldate || ''
+        }));
+    }
+
+    return sources;
+}
+
+const RIS_TYPES = {
+    JOUR: 'article',
+    JFULL: 'article',
+    MGZN: 'article',
+    NEWS: 'article',
+    BOOK: 'book',
+    EDBOOK: 'book',
+    CHAP: 'chapter',
+    CONF: 'chapter',
+    CPAPER: 'chapter',
+    ELEC: 'website',
+    WEB: 'website',
+    BLOG: 'website',
+    RPRT: 'report',
+    GOVDOC: 'report'
+};
+
+/**
+ * @param {string} text Contents of a .ris file
+ * @returns {Array<Object>} Sources
+ */
+function parseRis(text) {
+    const sources = [];
+    let record = null;
+
+    (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const match = line.match(/^([A-Z][A-Z0-9])  - ?(.*)$/);
+        if (!match) return;
+        const [, tag, rawValue] = match;
+        const value = rawValue.trim();
+
+        if (tag === 'TY') {
+            record = { type: RIS_TYPES[value] || 'article', authors: [], fields: {} };
+            return;
+        }
+        if (!record) return;
+        if (tag === 'ER') {
+            const f = record.fields;
+            const title = f.TI || f.T1 || f.CT || '';
+            if (title) {
+                const start = f.SP || '';
+                const end = f.EP || '';
+                sources.push(createSource({
+                    type: record.type,
+                    title,
+                    authors: record.authors,
+                    year: (f.PY || f.Y1 || f.DA || '').slice(0, 4),
+                    container: f.T2 || f.JO || f.JF || f.BT || f.JA || '',
+                    volume: f.VL || '',
+                    issue: f.IS || '',
+                    pages: start && end ? `${start}–${end}` : start,
+                    publisher: f.PB || '',
+                    url: f.UR || '',
+                    doi: f.DO || '',
+                    accessed: f.Y2 || ''
+                }));
+            }
+            record = null;
+            return;
+        }
+        if (['AU', 'A1', 'A2'].includes(tag) && !(tag === 'A2' && record.authors.length > 0)) {
+            const author = parseAuthorName(value);
+            if (author) record.authors.push(author);
+        } else if (!(tag in record.fields)) {
+            record.fields[tag] = value;
+        }
+    });
+
+    return sources;
+}
+
+/**
+ * Pick the parser from the file name, or from the text itself
+ * @param {string} text File contents
+ * @param {string} filename
+ * @returns {Array<Object>} Sources
+ */
+function parseSourceImport(text, filename = '') {
+    if (/\.ris$/i.test(filename) || /^\s*TY {2}- /m.test(text)) {
+        return parseRis(text);
+    }
+    return parseBibtex(text);
+}
+
+// ---- Formatting ----
+
+function escapeCitationHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Add a full stop unless the text already ends with punctuation
+function withPeriod(text) {
+    return /[.?!]$/.test(text) ? text : `${text}.`;
+}
+
+function sourceLink(source) {
+    if (source.doi) {
+        return /^https?:\/\//i.test(source.doi) ? source.doi : `https://doi.org/${source.doi.replace(/^doi:\s*/i, '')}`;
+    }
+    return source.url || '';
+}
+
+function authorInitials(given) {
+    return (given || '').split(/\s+/).filter(Boolean)
+        .map(part => part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-'))
+        .join(' ');
+}
+
+function invertedName(author) {
+    return author.given ? `${author.family}, ${author.given}` : author.family;
+}
+
+function directName(author) {
+    return author.given ? `${author.given} ${author.family}` : author.family;
+}
+
+// Author list as it opens a reference entry
+function formatReferenceAuthors(authors, style) {
+    if (authors.length === 0) return '';
+
+    if (style === 'apa') {
+        const names = authors.map(author => author.given ? `${author.family}, ${authorInitials(author.given)}` : author.family);
+        if (names.length === 1) return names[0];
+        if (names.length > 20) return `${names.slice(0, 19).join(', ')}, … ${names[names.length - 1]}`;
+        return `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+    }
+
+    if (style === 'mla') {
+        if (authors.length === 1) return invertedName(authors[0]);
+        if (authors.length === 2) return `${invertedName(authors[0])}, and ${directName(authors[1])}`;
+        return `${invertedName(authors[0])}, et al.`;
+    }
+
+    // Chicago
+    const listed = authors.length > 10 ? authors.slice(0, 7) : authors;
+    const names = listed.map((author, index) => index === 0 ? invertedName(author) : directName(author));
+    if (authors.length > 10) return `${names.join(', ')}, et al.`;
+    if (names.length === 1) return names[0];
+    return `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+}
+
+/**
+ * One reference list entry
+ * @param {Object} source
+ * @param {string} style 'apa', 'mla' or 'chicago'
+ * @returns {string} HTML (titles in <i>)
+ */
+function formatReference(source, style) {
+    const e = escapeCitationHtml;
+    const authors = formatReferenceAuthors(source.authors || [], style);
+    const title = (source.title || '').trim();
+    const pages = (source.pages || '').replace(/-+/g, '–');
+    const link = sourceLink(source);
+    const isPart = ['article', 'chapter'].includes(source.type) || (source.type === 'website' && source.container);
+    const parts = [];
+
+    if (style === 'apa') {
+        const date = `(${e(source.year || 'n.d.')}).`;
+        const titlePart = isPart && source.type !== 'website' ? e(withPeriod(title)) : `<i>${e(title)}</i>.`;
+        if (authors) {
+            parts.push(e(withPeriod(authors)), date, titlePart);
+        } else {
+            parts.push(titlePart, date);
+        }
+        if (source.type === 'article' && source.container) {
+            let container = `<i>${e(source.container)}</i>`;
+            if (source.volume) container += `, <i>${e(source.volume)}</i>`;
+            if (source.issue) container += `(${e(source.issue)})`;
+            if (pages) container += `, ${e(pages)}`;
+            parts.push(`${container}.`);
+        } else if (source.type === 'chapter' && source.container) {
+            parts.push(`In <i>${e(source.container)}</i>${pages ? ` (pp. ${e(pages)})` : ''}.`);
+        } else if (source.type === 'website' && source.container) {
+            parts.push(e(withPeriod(source.container)));
+        }
+        if (source.publisher && source.type !== 'article' && source.type !== 'website') {
+            parts.push(e(withPeriod(source.publisher)));
+        }
+        if (link) parts.push(e(link));
+        return parts.join(' ');
+    }
+
+    if (style === 'mla') {
+        if (authors) parts.push(e(withPeriod(authors)));
+        parts.push(isPart ? `“${e(withPeriod(title))}”` : `<i>${e(title)}</i>.`);
+        const container = [];
+        if (isPart && source.container) container.push(`<i>${e(source.container)}</i>`);
+        if (source.volume) container.push(`vol. ${e(source.volume)}`);
+        if (source.issue) container.push(`no. ${e(source.issue)}`);
+        if (source.publisher && source.type !== 'article') container.push(e(source.publisher));
+        if (source.year) container.push(e(source.year));
+        if (pages) container.push(`${pages.includes('–') ? 'pp.' : 'p.'} ${e(pages)}`);
+        if (link) container.push(e(link.replace(/^https?:\/\//i, '')));
+        if (container.length > 0) parts.push(`${container.join(', ')}.`);
+        if (source.accessed && source.type === 'website') parts.push(`Accessed ${e(source.accessed)}.`);
+        return parts.join(' ');
+    }
+
+    // Chicago author-date
+    const year = `${e(source.year || 'n.d.')}.`;
+    const titlePart = isPart ? `“${e(withPeriod(title))}”` : `<i>${e(title)}</i>.`;
+    if (authors) {
+        parts.push(e(withPeriod(authors)), year, titlePart);
+    } else {
+        parts.push(titlePart, year);
+    }
+    if (source.type === 'article' && source.container) {
+        let container = `<i>${e(source.container)}</i>`;
+        if (source.volume) container += ` ${e(source.volume)}`;
+        if (source.issue) container += ` (${e(source.issue)})`;
+        if (pages) container += `: ${e(pages)}`;
+        parts.push(`${container}.`);
+    } else if (source.type === 'chapter' && source.container) {
+        parts.push(`In <i>${e(source.container)}</i>${pages ? `, ${e(pages)}` : ''}.`);
+    } else if (source.type === 'website' && source.container) {
+        parts.push(e(withPeriod(source.container)));
+    }
+    if (source.publisher && source.type !== 'article' && source.type !== 'website') {
+        parts.push(e(withPeriod(source.publisher)));
+    }
+    if (link) parts.push(e(withPeriod(link)));
+    return parts.join(' ');
+}
+
+// Author names as they appear inside an inline citation
+function formatCitationNames(source, style) {
+    const families = (source.authors || []).map(author => author.family);
+    if (families.length === 0) {
+        const words = (source.title || 'Untitled').split(/\s+/);
+        return `“${words.slice(0, 4).join(' ')}${words.length > 4 ? '…' : ''}”`;
+    }
+    const and = style === 'apa' ? '&' : 'and';
+    if (families.length === 1) return families[0];
+    if (families.length === 2) return `${families[0]} ${and} ${families[1]}`;
+    if (families.length === 3 && style === 'chicago') return `${families[0]}, ${families[1]}, and ${families[2]}`;
+    return `${families[0]} et al.`;
+}
+
+/**
+ * Inline citation text, e.g. "(Smith & Lee, 2020, p. 4)"
+ * @param {Array<Object>} sources Cited sources, in order
+ * @param {string} style
+ * @param {string} locator Page or page range for the last source
+ * @returns {string}
+ */
+function formatInTextCitation(sources, style, locator = '') {
+    if (sources.length === 0) return '(missing source)';
+    const pages = (locator || '').trim().replace(/-+/g, '–');
+
+    const items = sources.map((source, index) => {
+        const names = formatCitationNames(source, style);
+        const isLast = index === sources.length - 1;
+        if (style === 'mla') {
+            return isLast && pages ? `${names} ${pages}` : names;
+        }
+        const year = source.year || 'n.d.';
+        if (style === 'apa') {
+            const pageLabel = pages.includes('–') ? 'pp.' : 'p.';
+            return isLast && pages ? `${names}, ${year}, ${pageLabel} ${pages}` : `${names}, ${year}`;
+        }
+        return isLast && pages ? `${names} ${year}, ${pages}` : `${names} ${year}`;
+    });
+
+    return `(${items.join('; ')})`;
+}
+
+// Reference lists are alphabetical by first author (or title when there is none)
+function sortReferences(sources) {
+    const key = (source) => ((source.authors && source.authors[0] ? source.authors[0].family : source.title) || '').toLowerCase();
+    return sources.slice().sort((a, b) =>
+        key(a).localeCompare(key(b)) || String(a.year || '').localeCompare(String(b.year || '')) ||
+        (a.title || '').localeCompare(b.title || '')
+    );
+}
+
+/**
+ * @param {Array<Object>} sources Cited sources
+ * @param {string} style
+ * @returns {Object} {heading, entries: [html]}
+ */
+function buildReferenceList(sources, style) {
+    const styleInfo = CITATION_STYLES.find(item => item.value === style) || CITATION_STYLES[0];
+    return {
+        heading: styleInfo.heading,
+        entries: sortReferences(sources).map(source => formatReference(source, styleInfo.value))
+    };
+}
+
+function formatSourceSummary(source) {
+    const authors = (source.authors || []).map(author => author.family).join(', ');
+    return [authors, source.year].filter(Boolean).join(' · ') || 'No author or year';
+}
+
+// ---- Library ----
+
+class SourceLibrary {
+    /**
+     * @param {GlobalState} globalState
+     * @param {ProjectManager} projectManager
+     * @param {Object} editorModules {write, edit} editor modules that can take citations
+     */
+    constructor(globalState, projectManager, editorModules) {
+        this.globalState = globalState;
+        this.projectManager = projectManager;
+        this.editorModules = editorModules;
+        this.sources = [];
+        this.style = 'apa';
+        this.loaded = false; // Nothing to save until the project's library has been restored
+        // What was done here since the last save, so a group member's saved library can be merged in
+        this.changed = new Set();
+        this.deleted = new Set();
+        this.styleChanged = false;
+        this.sentChanges = null; // The same, as collected for the save in progress
+        this.citeTarget = null; // Editor module the dialog will insert into
+        this.lastRanges = new Map();
+        this.editingId = null;
+        this.elements = {
+            modal: document.getElementById('sourceLibraryModal'),
+            closeBtn: document.getElementById('sourceLibraryClose'),
+            doneBtn: document.getElementById('sourceLibraryDone'),
+            styleSelect: document.getElementById('citationStyleSelect'),
+            addBtn: document.getElementById('addSourceBtn'),
+            importFile: document.getElementById('sourceImportFile'),
+            importStatus: document.getElementById('sourceImportStatus'),
+            list: document.getElementById('sourceList'),
+            form: document.getElementById('sourceForm'),
+            formCancel: document.getElementById('sourceFormCancel'),
+            references: document.getElementById('referencePreview'),
+            citeBar: document.getElementById('citeBar'),
+            locator: document.getElementById('citeLocator'),
+            insertBtn: document.getElementById('insertCitationBtn')
+        };
+
+        this.projectManager.registerModule('sources', this);
+        this.init();
+    }
+
+    init() {
+        const { modal, closeBtn, doneBtn, styleSelect, addBtn, importFile, form, formCancel, insertBtn } = this.elements;
+        if (!modal) {
+            console.warn('SourceLibrary: Sources dialog not found');
+            return;
+        }
+
+        if (styleSelect && styleSelect.options.length === 0) {
+            CITATION_STYLES.forEach(style => styleSelect.appendChild(new Option(style.label, style.value)));
+        }
+        const typeSelect = form.elements.type;
+        if (typeSelect && typeSelect.options.length === 0) {
+            SOURCE_TYPES.forEach(type => typeSelect.appendChild(new Option(type.label, type.value)));
+        }
+
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+        if (doneBtn) doneBtn.addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+        if (styleSelect) styleSelect.addEventListener('change', () => this.setStyle(styleSelect.value));
+        if (addBtn) addBtn.addEventListener('click', () => this.editSource(null));
+        if (formCancel) formCancel.addEventListener('click', () => this.hideForm());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveForm();
+        });
+        if (importFile) {
+            importFile.addEventListener('change', async () => {
+                const file = importFile.files && importFile.files[0];
+                if (!file) return;
+                this.importSources(await file.text(), file.name);
+                importFile.value = '';
+            });
+        }
+        if (insertBtn) insertBtn.addEventListener('click', () => this.insertCitation());
+
+        // Cite buttons in the Write and Edit toolbars
+        Object.entries({ citeWriteBtn: 'write', citeEditBtn: 'edit' }).forEach(([buttonId, moduleName]) => {
+            const button = document.getElementById(buttonId);
+            if (button) button.addEventListener('click', () => this.openForCitation(this.editorModules[moduleName]));
+        });
+
+        // Remember each editor's last cursor position; clicking a toolbar button blurs the editor
+        Object.values(this.editorModules).forEach(module => {
+            if (!module || !module.editor) return;
+            module.editor.on('selection-change', (range) => {
+                if (range) this.lastRanges.set(module, range);
+            });
+        });
+
+        this.globalState.subscribe('ready', (state) => {
+            const saved = state.sources || {};
+            this.sources = Array.isArray(saved.items) ? saved.items.map(item => createSource(item)) : [];
+            this.style = CITATION_STYLES.some(style => style.value === saved.style) ? saved.style : 'apa';
+            this.loaded = true;
+            if (styleSelect) styleSelect.value = this.style;
+            // Editors restore their HTML on the same event; re-render citations once they have
+            setTimeout(() => this.refreshCitations(), 0);
+        });
+
+        this.globalState.subscribe('saved', () => {
+            if (!this.sentChanges) return;
+            this.sentChanges.changed.forEach(id => this.changed.delete(id));
+            this.sentChanges.deleted.forEach(id => this.deleted.delete(id));
+            if (this.sentChanges.styleChanged) this.styleChanged = false;
+            this.sentChanges = null;
+        });
+    }
+
+    collectData() {
+        if (!this.loaded) return null;
+        this.sentChanges = { changed: [...this.changed], deleted: [...this.deleted], styleChanged: this.styleChanged };
+        return {
+            sources: {
+                style: this.style,
+                items: deepClone(this.sources),
+                // Only these are removed from the saved library; sources added elsewhere are kept
+                deleted: [...this.deleted]
+            }
+        };
+    }
+
+    /**
+     * Take in the library another group member or device saved, keeping what was changed here
+     * @param {Object} project Saved project
+     */
+    mergeStored(project) {
+        const saved = (project && project.sources) || {};
+        if (!this.loaded || !Array.isArray(saved.items)) return;
+        this.sources = mergeListById(this.sources, saved.items.map(item => createSource(item)), this.changed, this.deleted);
+        if (!this.styleChanged && CITATION_STYLES.some(style => style.value === saved.style)) {
+            this.style = saved.style;
+            if (this.elements.styleSelect) this.elements.styleSelect.value = this.style;
+        }
+        this.refreshCitations();
+        this.renderList();
+        this.renderReferences();
+    }
+
+    getSource(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+
+    open() {
+        const { modal, citeBar } = this.elements;
+        this.opener = document.activeElement;
+        this.hideForm();
+        this.renderList();
+        this.renderReferences();
+        citeBar.hidden = !this.citeTarget;
+        this.updateInsertButton();
+        modal.style.display = 'flex';
+        const first = modal.querySelector('.source-item input, #addSourceBtn');
+        if (first) first.focus();
+    }
+
+    openForCitation(editorModule) {
+        if (!editorModule || !editorModule.editor) return;
+        this.citeTarget = editorModule;
+        this.elements.locator.value = '';
+        this.open();
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+        this.citeTarget = null;
+        if (this.opener && document.contains(this.opener)) this.opener.focus();
+    }
+
+    renderList() {
+        const { list } = this.elements;
+        list.innerHTML = '';
+
+        if (this.sources.length === 0) {
+            list.appendChild(createElement('p', 'source-list-empty', 'No sources yet. Add one by hand or import a BibTeX (.bib) or RIS (.ris) file.'));
+            return;
+        }
+
+        const counts = this.countCitations();
+        this.sources.forEach(source => {
+            const item = createElement('div', 'source-item');
+            item.dataset.sourceId = source.id;
+
+            const label = createElement('label', 'source-item-main');
+            if (this.citeTarget) {
+                const checkbox = createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = source.id;
+                checkbox.addEventListener('change', () => this.updateInsertButton());
+                label.appendChild(checkbox);
+            }
+            const text = createElement('span', 'source-item-text');
+            text.appendChild(createElement('span', 'source-item-title', source.title));
+            text.appendChild(createElement('span', 'source-item-meta', formatSourceSummary(source)));
+            label.appendChild(text);
+            item.appendChild(label);
+
+            const cited = counts.get(source.id) || 0;
+            item.appendChild(createElement('span', `source-item-count${cited ? ' cited' : ''}`, cited ? `Cited ${cited}×` : 'Not cited'));
+
+            const editBtn = createElement('button', 'source-item-btn', 'Edit');
+            editBtn.type = 'button';
+            editBtn.setAttribute('aria-label', `Edit ${source.title}`);
+            editBtn.addEventListener('click', () => this.editSource(source.id));
+            item.appendChild(editBtn);
+
+            const removeBtn = createElement('button', 'source-item-btn remove', 'Remove');
+            removeBtn.type = 'button';
+            removeBtn.setAttribute('aria-label', `Remove ${source.title}`);
+            removeBtn.addEventListener('click', () => this.removeSource(source.id));
+            item.appendChild(removeBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    renderReferences() {
+        const { references } = this.elements;
+        references.innerHTML = '';
+        const cited = this.getCitedSources();
+        const list = buildReferenceList(cited, this.style);
+
+        references.appendChild(createElement('h4', 'reference-preview-heading', list.heading));
+        if (list.entries.length === 0) {
+            references.appendChild(createElement('p', 'source-list-empty', 'Cite a source in your draft and it will be listed here and added to your DOCX and PDF exports.'));
+            return;
+        }
+        list.entries.forEach(html => {
+            const entry = createElement('p', 'reference-entry');
+            entry.innerHTML = html;
+            references.appendChild(entry);
+        });
+    }
+
+    updateInsertButton() {
+        const { insertBtn, list } = this.elements;
+        if (!insertBtn) return;
+        const checked = list.querySelectorAll('input[type="checkbox"]:checked').length;
+        insertBtn.disabled = checked === 0;
+        insertBtn.textContent = checked > 1 ? `Cite ${checked} sources` : 'Insert citation';
+    }
+
+    editSource(id) {
+        const { form } = this.elements;
+        const source = id ? this.getSource(id) : createSource();
+        this.editingId = id;
+
+        form.elements.type.value = source.type;
+        form.elements.authors.value = source.authors.map(invertedName).join('\n');
+        ['title', 'year', 'container', 'volume', 'issue', 'pages', 'publisher', 'url', 'doi', 'accessed'].forEach(field => {
+            form.elements[field].value = source[field] || '';
+        });
+        form.hidden = false;
+        form.elements.title.focus();
+    }
+
+    hideForm() {
+        this.elements.form.hidden = true;
+        this.editingId = null;
+    }
+
+    saveForm() {
+        const { form } = this.elements;
+        const title = form.elements.title.value.trim();
+        if (!title) {
+            form.elements.title.focus();
+            return;
+        }
+
+        const fields = {
+            type: form.elements.type.value,
+            title,
+            authors: form.elements.authors.value.split('\n').map(parseAuthorName).filter(Boolean)
+        };
+        ['year', 'container', 'volume', 'issue', 'pages', 'publisher', 'url', 'doi', 'accessed'].forEach(field => {
+            fields[field] = form.elements[field].value.trim();
+        });
+
+        const existing = this.editingId ? this.getSource(this.editingId) : null;
+        if (existing) {
+            Object.assign(existing, fields);
+            this.changed.add(existing.id);
+        } else {
+            const source = createSource(fields);
+            this.sources.push(source);
+            this.changed.add(source.id);
+        }
+        this.hideForm();
+        this.sourcesChanged();
+    }
+
+    removeSource(id) {
+        const source = this.getSource(id);
+        if (!source) return;
+        const cited = this.countCitations().get(id) || 0;
+        if (cited > 0 && !confirm(`"${source.title}" is cited ${cited} time(s) in your draft. Remove it anyway?`)) {
+            return;
+        }
+        this.sources = this.sources.filter(item => item.id !== id);
+        this.changed.delete(id);
+        this.deleted.add(id);
+        this.sourcesChanged();
+    }
+
+    importSources(text, filename) {
+        const imported = parseSourceImport(text, filename);
+        const known = new Set(this.sources.map(source => `${source.title.toLowerCase()}|${source.year}`));
+        const added = imported.filter(source => {
+            const key = `${source.title.toLowerCase()}|${source.year}`;
+            if (known.has(key)) return false;
+            known.add(key);
+            return true;
+        });
+
+        this.sources.push(...added);
+        added.forEach(source => this.changed.add(source.id));
+        const skipped = imported.length - added.length;
+        this.elements.importStatus.textContent = imported.length === 0
+            ? `No sources found in ${filename}.`
+            : `Imported ${added.length} source${added.length === 1 ? '' : 's'}${skipped ? ` (${skipped} already in your library)` : ''}.`;
+        if (added.length > 0) this.sourcesChanged();
+    }
+
+    setStyle(style) {
+        if (!CITATION_STYLES.some(item => item.value === style)) return;
+        this.style = style;
+        this.styleChanged = true;
+        this.sourcesChanged();
+    }
+
+    sourcesChanged() {
+        this.refreshCitations();
+        this.renderList();
+        this.renderReferences();
+        this.projectManager.saveProject().catch(err => {
+            console.error('SourceLibrary: Save failed:', err);
+        });
+    }
+
+    citationNodes() {
+        return Object.values(this.editorModules)
+            .filter(module => module && module.editor)
+            .flatMap(module => Array.from(module.editor.root.querySelectorAll('.ql-citation')));
+    }
+
+    countCitations() {
+        const counts = new Map();
+        this.citationNodes().forEach(node => {
+            (node.getAttribute('data-sources') || '').split(',').filter(Boolean).forEach(id => {
+                counts.set(id, (counts.get(id) || 0) + 1);
+            });
+        });
+        return counts;
+    }
+
+    getCitedSources() {
+        const counts = this.countCitations();
+        return this.sources.filter(source => counts.has(source.id));
+    }
+
+    // Re-render every inline citation, after a style change or a source edit
+    refreshCitations() {
+        this.citationNodes().forEach(node => {
+            const sources = (node.getAttribute('data-sources') || '').split(',').map(id => this.getSource(id)).filter(Boolean);
+            const text = formatInTextCitation(sources, this.style, node.getAttribute('data-locator') || '');
+            if (node.textContent !== text) node.textContent = text;
+        });
+    }
+
+    insertCitation() {
+        const module = this.citeTarget;
+        const ids = Array.from(this.elements.list.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+        if (!module || ids.length === 0) return;
+
+        const editor = module.editor;
+        const range = this.lastRanges.get(module) || { index: Math.max(0, editor.getLength() - 1), length: 0 };
+        // Cite after a selection rather than replacing it
+        let index = range.index + range.length;
+        const locator = this.elements.locator.value.trim();
+        const text = formatInTextCitation(ids.map(id => this.getSource(id)).filter(Boolean), this.style, locator);
+
+        this.close();
+        if (index > 0 && !/\s/.test(editor.getText(index - 1, 1))) {
+            editor.insertText(index, ' ', 'user');
+            index++;
+        }
+        editor.insertEmbed(index, 'citation', { sources: ids.join(','), locator, text }, 'user');
+        editor.setSelection(index + 1, 0, 'user');
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SourceLibrary = SourceLibrary;
+    window.parseSourceImport = parseSourceImport;
+    window.formatReference = formatReference;
+    window.formatInTextCitation = formatInTextCitation;
+}
@@ -0,0 +1,908 @@
+/**
+ * Collaboration - Live co-editing of group projects through the relay in api/collab_relay.py
+ * The relay gives every edit one place in a single order and sends it to everyone in the group's room. Each
+ * browser then applies edits in that order: Write and Edit changes are Quill deltas transformed against the
+ * edits they crossed (operational transformation), plan board changes are whole ideas where the later write
+ * wins. Every copy ends up the same without locking anyone out. Cursors and who is online travel the same
+ * way but are not kept. Edits are still saved to Moodle by whoever made them.
+ */
+
+const COLLAB_START_DELAY_MS = 1000; // Let the editors and the board restore the saved project first
+const COLLAB_HEARTBEAT_MS = 15000;
+const COLLAB_PEER_TIMEOUT_MS = 45000;
+const COLLAB_RECONNECT_MAX_MS = 30000;
+const COLLAB_CURSOR_THROTTLE_MS = 100;
+const COLLAB_PLAN_CAPTURE_MS = 300; // Board edits are sent once this long passes without another
+// Sequenced edits each browser keeps to transform late edits against; the same everywhere, so every browser
+// still turns an edit into the same canonical one, or drops one based further back (a snapshot for the relay
+// carries exactly these)
+const COLLAB_HISTORY_LIMIT = 200;
+const COLLAB_COLORS = ['#d9480f', '#1971c2', '#2f9e44', '#9c36b5', '#e8590c', '#0c8599', '#c2255c', '#5c940d'];
+const COLLAB_TAB_LABELS = {
+    plan: 'Plan',
+    write: 'Write',
+    edit: 'Edit & Revise'
+};
+
+/**
+ * JSON messages over one WebSocket to the relay. LiveCollaboration only uses connect, send, close and the
+ * three callbacks, so any transport with the same shape (an in-page relay for tests, say) can stand in.
+ */
+class WebSocketRelayTransport {
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+    }
+
+    connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            if (this.socket === socket && this.onopen) this.onopen();
+        });
+        socket.addEventListener('message', (e) => {
+            if (this.socket !== socket || !this.onmessage) return;
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            this.onmessage(message);
+        });
+        // An error is always followed by close
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.onclose) this.onclose();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+        if (!this.isOpen()) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+    }
+}
+
+/**
+ * One Quill document kept in step with the room (the ot.js client scheme): at most one edit is waiting for
+ * the relay at a time, later local edits are composed into a buffer, and every edit the relay sequences is
+ * transformed against what this browser has not had sequenced yet. Edits are sent with the number of
+ * sequenced edits they were based on, so every browser turns them into the same canonical edit.
+ */
+class SharedTextDoc {
+    constructor(key, editor, collab) {
+        this.key = key;
+        this.editor = editor;
+        this.collab = collab;
+        this.Delta = Quill.import('delta');
+        this.applyingRemote = false;
+        this.reset();
+
+        this.editor.on('text-change', (delta, oldDelta, source) => {
+            if (this.applyingRemote) return;
+            this.collab.moveCursors(this.key, delta, null);
+            if (this.state !== 'waiting') this.queue(delta);
+        });
+    }
+
+    reset() {
+        this.state = 'waiting'; // 'waiting' for the room, 'initializing' once this copy was offered, 'live'
+        this.initId = null;
+        this.history = []; // The latest canonical edits, in relay order
+        this.historyStart = 0; // Canonical edits before history[0], no longer kept
+        this.confirmed = null; // The document with every sequenced edit applied
+        this.outstanding = null; // {id, delta} sent, not sequenced yet
+        this.buffer = null; // Local edits made since
+    }
+
+    get revision() {
+        return this.historyStart + this.history.length;
+    }
+
+    pushHistory(op) {
+        this.history.push(op);
+        this.confirmed = this.confirmed.compose(op);
+        if (this.history.length > COLLAB_HISTORY_LIMIT) {
+            this.history.shift();
+            this.historyStart++;
+        }
+    }
+
+    // What the relay keeps in place of the log so far, or null before this copy is live
+    snapshot() {
+        if (this.state !== 'live') return null;
+        return { content: this.confirmed.ops, revision: this.revision, history: this.history.map(op => op.ops) };
+    }
+
+    hasPending() {
+        return Boolean(this.outstanding || this.buffer);
+    }
+
+    queue(delta) {
+        this.buffer = this.buffer ? this.buffer.compose(delta) : delta;
+        this.flush();
+    }
+
+    flush() {
+        if (this.state !== 'live' || this.outstanding || !this.buffer || !this.collab.isConnected()) return;
+        this.outstanding = { id: this.collab.nextOpId(), delta: this.buffer };
+        this.buffer = null;
+        this.sendOutstanding();
+    }
+
+    sendOutstanding() {
+        this.collab.send({
+            type: 'op',
+            doc: this.key,
+            base: this.revision,
+            opId: this.outstanding.id,
+            delta: this.outstanding.delta.ops
+        });
+    }
+
+    // Canonical form of a sequenced edit: transformed past everything sequenced after its base
+    canonicalize(message) {
+        return this.history.slice((message.base || 0) - this.historyStart)
+            .reduce((op, earlier) => earlier.transform(op, true), new this.Delta(message.delta || []));
+    }
+
+    /**
+     * First join (or the room was started again): rebuild the document from the room's log, or offer this
+     * copy as the starting point when nobody has yet
+     * @param {Array} messages Sequenced messages for this document (and snapshots), in order
+     */
+    catchUp(messages) {
+        this.reset();
+        messages.forEach((message) => {
+            if (message.type === 'snapshot') {
+                const state = (message.docs || {})[this.key];
+                if (!state) return;
+                this.confirmed = new this.Delta(state.content || []);
+                this.history = (state.history || []).map(ops => new this.Delta(ops));
+                this.historyStart = (state.revision || 0) - this.history.length;
+                return;
+            }
+            if (message.type === 'init') {
+                if (this.confirmed === null) this.confirmed = new this.Delta(message.content || []);
+                return;
+            }
+            if (this.confirmed === null || this.isTooOld(message)) return;
+            this.pushHistory(this.canonicalize(message));
+        });
+
+        if (this.confirmed === null) {
+            this.state = 'initializing';
+            this.initId = this.collab.nextOpId();
+            this.collab.send({ type: 'init', doc: this.key, opId: this.initId, content: this.editor.getContents().ops });
+            return;
+        }
+
+        this.state = 'live';
+        if (JSON.stringify(this.editor.getContents().ops) !== JSON.stringify(this.confirmed.ops)) {
+            this.applyRemote(() => this.editor.setContents(this.confirmed, 'api'), null);
+        }
+    }
+
+    // A sequenced message for this document while connected
+    receive(message) {
+        if (message.type === 'init') {
+            if (this.state !== 'initializing') return; // The room already has its starting point
+            this.state = 'live';
+            this.confirmed = new this.Delta(message.content || []);
+            if (message.opId !== this.initId) {
+                // Someone else's copy got there first; edits made on top of ours can't apply to it
+                this.buffer = null;
+                this.applyRemote(() => this.editor.setContents(new this.Delta(message.content || []), 'api'), null);
+            }
+            this.flush();
+            return;
+        }
+        if (this.state !== 'live') return;
+
+        const mine = this.outstanding && message.client === this.collab.clientId && message.opId === this.outstanding.id;
+        if (this.isTooOld(message)) {
+            if (mine) this.resync();
+            return;
+        }
+
+        const op = this.canonicalize(message);
+        this.pushHistory(op);
+
+        if (mine) {
+            this.outstanding = null;
+            this.flush();
+            return;
+        }
+
+        // The sequenced edit comes first; what is still on its way from here goes after it
+        let incoming = op;
+        if (this.outstanding) {
+            const mine = this.outstanding.delta;
+            this.outstanding.delta = incoming.transform(mine, true);
+            incoming = mine.transform(incoming, false);
+        }
+        if (this.buffer) {
+            const mine = this.buffer;
+            this.buffer = incoming.transform(mine, true);
+            incoming = mine.transform(incoming, false);
+        }
+        this.applyRemote(() => this.editor.updateContents(incoming, 'api'), incoming, message.client);
+    }
+
+    /**
+     * An edit based on edits older than the kept history can't be transformed the same way everywhere, so every
+     * copy drops it (they all keep the same history, so they all agree which)
+     * @param {Object} message Sequenced edit
+     * @returns {boolean}
+     */
+    isTooOld(message) {
+        return (message.base || 0) < this.historyStart;
+    }
+
+    // This copy's edit was dropped: start again from the room's document, losing what was not sequenced yet
+    resync() {
+        console.warn(`SharedTextDoc: An edit to ${this.key} was based on edits too old to merge; reloading the shared copy`);
+        this.outstanding = null;
+        this.buffer = null;
+        this.applyRemote(() => this.editor.setContents(this.confirmed, 'api'), null);
+    }
+
+    // Reconnected to the same room: whatever the relay never got is sent again
+    resend() {
+        if (this.state === 'live' && this.outstanding) {
+            this.sendOutstanding();
+        } else {
+            this.flush();
+        }
+    }
+
+    applyRemote(apply, delta, clientId) {
+        this.applyingRemote = true;
+        try {
+            apply();
+        } finally {
+            this.applyingRemote = false;
+        }
+        if (delta) this.collab.moveCursors(this.key, delta, clientId);
+        this.collab.handleRemoteEdit(this.key);
+    }
+}
+
+/**
+ * The plan board kept in step with the room: each idea is one value, and so is the section layout, and the
+ * last write in relay order wins. The board shows the sequenced state with this browser's own unsequenced
+ * changes on top, which is what it will be once they are sequenced.
+ */
+class SharedPlan {
+    constructor(planModule, collab) {
+        this.planModule = planModule;
+        this.collab = collab;
+        this.renderDeferred = false;
+        this.rendering = false;
+        this.captureTimer = null;
+        this.reset();
+
+        // Changes from the others wait until the student has finished typing in a bubble
+        const board = document.getElementById('plan');
+        if (board) {
+            board.addEventListener('focusout', () => {
+                setTimeout(() => {
+                    if (this.renderDeferred && !this.isEditing()) this.refresh();
+                }, 0);
+            });
+        }
+    }
+
+    reset() {
+        this.state = 'waiting';
+        this.initId = null;
+        this.confirmed = { ideas: {}, layout: null }; // Everything sequenced so far
+        this.pending = []; // [{opId, change}] sent from here, not sequenced yet
+        this.view = null; // What the board shows
+    }
+
+    static snapshot(plan) {
+        const ideas = {};
+        (plan.ideas || []).forEach((idea) => {
+            ideas[String(idea.id)] = {
+                id: idea.id,
+                content: idea.content || '',
+                location: idea.location || 'brainstorm',
+                sectionId: idea.sectionId || null,
+                aiGenerated: Boolean(idea.aiGenerated),
+                parentId: idea.parentId || null,
+                sortOrder: idea.sortOrder || 0,
+                collapsed: Boolean(idea.collapsed),
+                tag: idea.tag || null
+            };
+        });
+        return {
+            ideas,
+            layout: {
+                customSectionTitles: plan.customSectionTitles || {},
+                customSections: plan.customSections || [],
+                removedSections: plan.removedSections || [],
+                sectionInstances: plan.sectionInstances || [],
+                sectionOrder: plan.sectionOrder || [],
+                mindMap: plan.mindMap || { positions: {}, edges: [] }
+            }
+        };
+    }
+
+    // Ideas added, changed (value) or removed (null), and the layout if it changed; null when nothing did
+    static diff(before, after) {
+        const ideas = {};
+        Object.keys(after.ideas).forEach((id) => {
+            if (JSON.stringify(before.ideas[id]) !== JSON.stringify(after.ideas[id])) ideas[id] = after.ideas[id];
+        });
+        Object.keys(before.ideas).forEach((id) => {
+            if (!(id in after.ideas)) ideas[id] = null;
+        });
+        const layoutChanged = JSON.stringify(before.layout) !== JSON.stringify(after.layout);
+        if (Object.keys(ideas).length === 0 && !layoutChanged) return null;
+        return layoutChanged ? { ideas, layout: after.layout } : { ideas };
+    }
+
+    static apply(target, change) {
+        Object.entries(change.ideas || {}).forEach(([id, idea]) => {
+            if (idea) {
+                target.ideas[id] = idea;
+            } else {
+                delete target.ideas[id];
+            }
+        });
+        if (change.layout) target.layout = change.layout;
+        return target;
+    }
+
+    current() {
+        return SharedPlan.snapshot(this.planModule.collectData().plan);
+    }
+
+    isEditing() {
+        const active = document.activeElement;
+        const board = document.getElementById('plan');
+        return Boolean(active && board && board.contains(active) && (active.isContentEditable || active.tagName === 'INPUT'));
+    }
+
+    /**
+     * Send what changed on the board here since it last matched the room
+     * @param {Object} [plan] Plan data already collected for a save
+     */
+    capture(plan = null) {
+        if (this.state !== 'live' || this.rendering) return;
+        const current = plan ? SharedPlan.snapshot(plan) : this.current();
+        const change = SharedPlan.diff(this.view, current);
+        this.view = current;
+        if (!change) return;
+        const opId = this.collab.nextOpId();
+        this.pending.push({ opId, change });
+        this.collab.send({ type: 'op', doc: 'plan', opId, change });
+    }
+
+    // Board edits come in bursts (typing in a bubble, a drag); send them together once it settles
+    scheduleCapture() {
+        if (this.state !== 'live' || this.rendering) return;
+        clearTimeout(this.captureTimer);
+        this.captureTimer = setTimeout(() => {
+            this.captureTimer = null;
+            this.capture();
+        }, COLLAB_PLAN_CAPTURE_MS);
+    }
+
+    // What the relay keeps in place of the log so far, or null before this copy is live
+    snapshot() {
+        return this.state === 'live' ? { content: deepClone(this.confirmed) } : null;
+    }
+
+    catchUp(messages) {
+        this.reset();
+        let started = false;
+        messages.forEach((message) => {
+            if (message.type === 'snapshot') {
+                const state = (message.docs || {}).plan;
+                if (state) {
+                    this.confirmed = deepClone(state.content);
+                    started = true;
+                }
+            } else if (message.type === 'init') {
+                if (!started) this.confirmed = deepClone(message.content);
+                started = true;
+            } else if (started) {
+                SharedPlan.apply(this.confirmed, message.change || {});
+            }
+        });
+
+        if (!started) {
+            this.state = 'initializing';
+            this.initId = this.collab.nextOpId();
+            this.view = this.current();
+            this.collab.send({ type: 'init', doc: 'plan', opId: this.initId, content: this.view });
+            return;
+        }
+
+        this.state = 'live';
+        this.view = this.current();
+        this.refresh();
+    }
+
+    receive(message) {
+        if (message.type === 'init') {
+            if (this.state !== 'initializing') return;
+            this.state = 'live';
+            this.confirmed = deepClone(message.content);
+            if (message.opId !== this.initId) this.refresh();
+            return;
+        }
+        if (this.state !== 'live') return;
+
+        SharedPlan.apply(this.confirmed, message.change || {});
+        if (message.client === this.collab.clientId && this.pending.length && this.pending[0].opId === message.opId) {
+            this.pending.shift();
+            return;
+        }
+        this.refresh();
+    }
+
+    resend() {
+        this.pending.forEach(({ opId, change }) => this.collab.send({ type: 'op', doc: 'plan', opId, change }));
+    }
+
+    // Show the sequenced board with this browser's unsequenced changes on top
+    async refresh() {
+        if (this.isEditing()) {
+            this.renderDeferred = true;
+            return;
+        }
+        this.renderDeferred = false;
+        this.capture(); // Anything typed but not saved yet goes out before the board is redrawn
+
+        const view = this.pending.reduce((target, { change }) => SharedPlan.apply(target, deepClone(change)), deepClone(this.confirmed));
+        if (this.view && JSON.stringify(view) === JSON.stringify(this.view)) return;
+        this.view = view;
+
+        this.rendering = true;
+        try {
+            await this.planModule.replacePlan({ ...view.layout, ideas: Object.values(view.ideas) }, [], { keepHistory: true });
+        } catch (error) {
+            console.error('SharedPlan: Failed to show the shared board:', error);
+        } finally {
+            this.rendering = false;
+        }
+        this.collab.handleRemoteEdit('plan');
+    }
+}
+
+class LiveCollaboration {
+    /**
+     * @param {GlobalState} globalState
+     * @param {ProjectManager} projectManager
+     * @param {ProjectAPI} api
+     * @param {Object} modules {plan, write, edit}
+     * @param {ActivityTracker|null} activityTracker
+     */
+    constructor(globalState, projectManager, api, modules, activityTracker = null) {
+        this.globalState = globalState;
+        this.projectManager = projectManager;
+        this.api = api;
+        this.modules = modules;
+        this.activityTracker = activityTracker;
+        this.session = null;
+        this.transport = null;
+        this.started = false;
+        this.connected = false;
+        this.clientId = null;
+        this.epoch = null;
+        this.lastSeq = 0;
+        this.opCounter = 0;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.peers = new Map(); // client id -> {user, color, tab, cursor, lastSeen}
+        this.docs = {};
+        this.overlays = {};
+        this.elements = {
+            presence: document.getElementById('collabPresence')
+        };
+
+        if (!window.groupProject) return;
+        this.projectManager.liveSync = this;
+        this.globalState.subscribe('ready', () => {
+            setTimeout(() => this.start(), COLLAB_START_DELAY_MS);
+        });
+    }
+
+    // Send board changes as they are made: saves are throttled, so waiting for one would hold them back
+    setupPlanCapture() {
+        const plan = this.docs.plan;
+        ['bubbleContentChanged', 'bubbleDeleted', 'bubbleTagChanged', 'bubbleCollapseToggled', 'bubbleIndent', 'bubbleOutdent']
+            .forEach(type => document.addEventListener(type, () => plan.scheduleCapture()));
+
+        // Bubbles added, moved between sections or reordered by dragging change the board's elements
+        const board = document.getElementById('plan');
+        if (board && typeof MutationObserver !== 'undefined') {
+            new MutationObserver(() => plan.scheduleCapture()).observe(board, { childList: true, subtree: true });
+        }
+
+        // A save collects the board anyway; send anything still waiting with it
+        this.globalState.subscribe('collected', (data) => {
+            if (data && data.plan) plan.capture(data.plan);
+        });
+    }
+
+    async start() {
+        if (this.started) return;
+        this.started = true;
+
+        const session = await this.api.getCollabSession();
+        if (!session || !session.enabled || typeof WebSocket === 'undefined') {
+            this.renderPresence(session && session.shared ? 'Shared group project' : null);
+            return;
+        }
+        this.session = session;
+
+        ['write', 'edit'].forEach((key) => {
+            const module = this.modules[key];
+            if (!module || !module.editor) return;
+            this.docs[key] = new SharedTextDoc(key, module.editor, this);
+            this.setupCursorTracking(key, module.editor);
+        });
+        if (this.modules.plan) {
+            this.docs.plan = new SharedPlan(this.modules.plan, this);
+            this.setupPlanCapture();
+        }
+
+        document.querySelectorAll('.tab-btn[data-tab]').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.sendPresence();
+                this.renderCursors();
+            });
+        });
+        window.addEventListener('resize', () => this.renderCursors());
+        window.addEventListener('beforeunload', () => this.stop());
+
+        this.connect();
+    }
+
+    connect() {
+        this.transport = new WebSocketRelayTransport(this.session.url);
+        this.transport.onopen = () => {
+            this.transport.send({
+                type: 'join',
+                room: this.session.room,
+                token: this.session.token,
+                user: this.session.user
+            });
+        };
+        this.transport.onmessage = (message) => this.handleMessage(message);
+        this.transport.onclose = () => this.handleDisconnect();
+        this.renderPresence('Connecting…');
+        try {
+            this.transport.connect();
+        } catch (error) {
+            console.warn('LiveCollaboration: Could not reach the relay:', error);
+            this.handleDisconnect();
+        }
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        if (this.transport) {
+            this.transport.onclose = null;
+            this.transport.close();
+        }
+    }
+
+    handleDisconnect() {
+        this.connected = false;
+        clearInterval(this.heartbeatTimer);
+        this.peers.clear();
+        this.renderPresence('Reconnecting…', true);
+        this.renderCursors();
+        if (!this.started) return;
+        // Editing carries on here; the edits are sent once the relay is back
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, COLLAB_RECONNECT_MAX_MS);
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    // Live means edits from here reach the others, so every saved copy already has everyone's changes
+    isLive() {
+        return this.connected && Object.values(this.docs).every(doc => doc.state === 'live');
+    }
+
+    nextOpId() {
+        this.opCounter += 1;
+        return `${this.clientId || 'local'}_${this.opCounter}`;
+    }
+
+    send(message) {
+        return this.connected && this.transport ? this.transport.send(message) : false;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.handleWelcome(message);
+                break;
+            case 'init':
+            case 'op':
+                if (message.seq <= this.lastSeq) return;
+                this.lastSeq = message.seq;
+                if (this.docs[message.doc]) this.docs[message.doc].receive(message);
+                break;
+            case 'join':
+            case 'presence':
+                this.updatePeer(message.client, message);
+                break;
+            case 'cursor':
+                this.updatePeer(message.client, { cursor: message.cursor });
+                this.renderCursors();
+                break;
+            case 'leave':
+                this.peers.delete(message.client);
+                this.renderPresence();
+                this.renderCursors();
+                break;
+            case 'snapshot_request':
+                this.sendSnapshot();
+                break;
+            case 'error':
+                console.warn('LiveCollaboration: Relay refused to join:', message.message);
+                this.stop();
+                this.renderPresence('Live editing unavailable', true);
+                break;
+        }
+    }
+
+    handleWelcome(message) {
+        this.connected = true;
+        this.reconnectDelay = 1000;
+        const log = message.log || [];
+        // The relay may have replaced part of the log with a snapshot; if that took edits never seen here, this
+        // copy starts again from the snapshot like a new joiner (and loses what it had not sent)
+        const compactedSeq = log.length && log[0].type === 'snapshot' ? log[0].seq : 0;
+        const sameRoom = this.epoch === message.epoch && compactedSeq <= this.lastSeq;
+
+        if (sameRoom) {
+            // Back in the room we left: take in what happened meanwhile (our own edits in it still carry the
+            // previous connection's ID), then send what never got there
+            log.filter(entry => entry.seq > this.lastSeq).forEach((entry) => {
+                this.lastSeq = entry.seq;
+                if (this.docs[entry.doc]) this.docs[entry.doc].receive(entry);
+            });
+            this.clientId = message.client;
+            Object.values(this.docs).forEach(doc => doc.resend());
+        } else {
+            this.clientId = message.client;
+            this.epoch = message.epoch;
+            this.lastSeq = message.seq || 0;
+            Object.entries(this.docs).forEach(([key, doc]) => {
+                doc.catchUp(log.filter(entry => entry.doc === key || entry.type === 'snapshot'));
+            });
+        }
+
+        this.peers.clear();
+        (message.peers || []).forEach(peer => this.updatePeer(peer.client, peer));
+        this.sendPresence();
+        this.sendCursor(this.currentTab());
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(() => {
+            this.sendPresence();
+            this.prunePeers();
+        }, COLLAB_HEARTBEAT_MS);
+        this.renderPresence();
+    }
+
+    // The relay's log is long: send every document as it is after the last sequenced edit seen here
+    sendSnapshot() {
+        const docs = {};
+        Object.entries(this.docs).forEach(([key, doc]) => {
+            const state = doc.snapshot();
+            if (state) docs[key] = state;
+        });
+        if (Object.keys(docs).length) this.send({ type: 'snapshot', seq: this.lastSeq, docs });
+    }
+
+    // Someone else's edit is now in an editor or on the board
+    handleRemoteEdit(key) {
+        if (this.activityTracker && typeof this.activityTracker.trackRemoteChange === 'function' && key !== 'plan') {
+            this.activityTracker.trackRemoteChange(key);
+        }
+        this.renderCursors();
+    }
+
+    // ---- Presence ----
+
+    currentTab() {
+        const tabManager = window.aiWritingAssistant && window.aiWritingAssistant.tabManager;
+        return tabManager ? tabManager.getCurrentTab() : 'plan';
+    }
+
+    sendPresence() {
+        this.send({ type: 'presence', user: this.session.user, tab: this.currentTab() });
+    }
+
+    updatePeer(clientId, data) {
+        if (!clientId || clientId === this.clientId) return;
+        const peer = this.peers.get(clientId) || { cursor: null, tab: null, user: null };
+        if (data.user) {
+            peer.user = data.user;
+            peer.color = COLLAB_COLORS[Math.abs(Number(data.user.id) || 0) % COLLAB_COLORS.length];
+        }
+        if (data.tab) peer.tab = data.tab;
+        if ('cursor' in data) peer.cursor = data.cursor;
+        peer.lastSeen = Date.now();
+        this.peers.set(clientId, peer);
+        this.renderPresence();
+    }
+
+    prunePeers() {
+        const now = Date.now();
+        this.peers.forEach((peer, clientId) => {
+            if (now - peer.lastSeen > COLLAB_PEER_TIMEOUT_MS) this.peers.delete(clientId);
+        });
+        this.renderPresence();
+        this.renderCursors();
+    }
+
+    /**
+     * Avatars of the other group members online, with the tab each one is on
+     * @param {string} [status] Connection state to show instead of "Live"
+     * @param {boolean} [problem] Show the status as a problem
+     */
+    renderPresence(status = null, problem = false) {
+        const { presence } = this.elements;
+        if (!presence) return;
+        presence.innerHTML = '';
+        presence.hidden = false;
+
+        if (!this.connected && status === null) {
+            presence.hidden = true;
+            return;
+        }
+
+        // One avatar per person, even with the project open in two tabs
+        const people = new Map();
+        this.peers.forEach((peer) => {
+            if (peer.user && String(peer.user.id) !== String(this.session?.user?.id)) people.set(String(peer.user.id), peer);
+        });
+        people.forEach((peer) => {
+            const name = peer.user.name || 'Group member';
+            const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+            const avatar = createElement('span', 'collab-avatar', initials || '?');
+            avatar.style.background = peer.color;
+            const where = COLLAB_TAB_LABELS[peer.tab];
+            avatar.title = where ? `${name} · ${where}` : name;
+            avatar.setAttribute('aria-label', avatar.title);
+            presence.appendChild(avatar);
+        });
+
+        let label = status;
+        if (label === null) {
+            label = people.size === 0 ? 'Live · nobody else here' : 'Live';
+        }
+        const statusEl = createElement('span', 'collab-status', label);
+        if (problem) statusEl.classList.add('offline');
+        if (this.session && this.session.group) statusEl.title = this.session.group;
+        presence.appendChild(statusEl);
+    }
+
+    // ---- Cursors ----
+
+    setupCursorTracking(key, editor) {
+        const sendSelection = throttle(() => this.sendCursor(key), COLLAB_CURSOR_THROTTLE_MS);
+        editor.on('selection-change', (range) => {
+            if (range) sendSelection();
+        });
+        editor.on('text-change', (delta, oldDelta, source) => {
+            if (source === 'user') sendSelection();
+        });
+        editor.root.addEventListener('scroll', () => this.renderCursors(key));
+
+        const overlay = createElement('div', 'collab-cursors');
+        overlay.setAttribute('aria-hidden', 'true');
+        editor.container.appendChild(overlay);
+        this.overlays[key] = overlay;
+    }
+
+    sendCursor(key) {
+        const doc = this.docs[key];
+        const range = doc && doc.editor ? doc.editor.getSelection() : null;
+        this.send({
+            type: 'cursor',
+            cursor: range ? { doc: key, index: range.index, length: range.length } : null
+        });
+    }
+
+    /**
+     * Keep the others' cursors on the same text when the document changes under them
+     * @param {string} key Document
+     * @param {Delta} delta The change
+     * @param {string|null} authorId Client that made it (its own cursor message follows)
+     */
+    moveCursors(key, delta, authorId) {
+        this.peers.forEach((peer, clientId) => {
+            const cursor = peer.cursor;
+            if (!cursor || cursor.doc !== key || clientId === authorId) return;
+            const end = delta.transformPosition(cursor.index + cursor.length);
+            cursor.index = delta.transformPosition(cursor.index);
+            cursor.length = Math.max(0, end - cursor.index);
+        });
+        this.renderCursors(key);
+    }
+
+    renderCursors(onlyKey = null) {
+        Object.entries(this.overlays).forEach(([key, overlay]) => {
+            if (onlyKey && key !== onlyKey) return;
+            overlay.innerHTML = '';
+            const editor = this.docs[key] && this.docs[key].editor;
+            if (!editor || !this.connected) return;
+            const length = editor.getLength();
+
+            this.peers.forEach((peer) => {
+                const cursor = peer.cursor;
+                if (!cursor || cursor.doc !== key || !peer.user) return;
+                const index = Math.min(cursor.index, length - 1);
+                const caretBounds = editor.getBounds(index, 0);
+                if (!caretBounds) return;
+
+                if (cursor.length > 0) {
+                    const bounds = editor.getBounds(index, Math.min(cursor.length, length - index));
+                    // Selections across lines would cover whole paragraphs; the caret is enough there
+                    if (bounds && bounds.height <= caretBounds.height * 1.5) {
+                        const selection = createElement('div', 'collab-selection');
+                        Object.assign(selection.style, {
+                            left: `${bounds.left}px`,
+                            top: `${bounds.top}px`,
+                            width: `${bounds.width}px`,
+                            height: `${bounds.height}px`,
+                            background: peer.color
+                        });
+                        overlay.appendChild(selection);
+                    }
+                }
+
+                const caret = createElement('div', 'collab-caret');
+                Object.assign(caret.style, {
+                    left: `${caretBounds.left}px`,
+                    top: `${caretBounds.top}px`,
+                    height: `${caretBounds.height}px`,
+                    background: peer.color
+                });
+                const label = createElement('span', 'collab-caret-label', peer.user.name || 'Group member');
+                label.style.background = peer.color;
+                caret.appendChild(label);
+                overlay.appendChild(caret);
+            });
+        });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.WebSocketRelayTransport = WebSocketRelayTransport;
+    window.SharedTextDoc = SharedTextDoc;
+    window.SharedPlan = SharedPlan;
+    window.LiveCollaboration = LiveCollaboration;
+}
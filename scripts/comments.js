@@ -0,0 +1,451 @@
+/**
+ * Comments - Margin comments anchored to text in the Edit editor
+ * The anchor is an inline format (data-comment-id) on the commented text, so it moves with edits and is saved
+ * with the draft; the comments themselves (text, replies, resolved) are saved with the project. Comments come
+ * from the student or from the agent's add_comment tool, which quotes the sentence it is about.
+ */
+
+// Links commented text to its comment; a plain attribute so overlapping formats (bold, size...) still apply
+const CommentAttribute = new Parchment.Attributor.Attribute('comment', 'data-comment-id', { scope: Parchment.Scope.INLINE });
+Quill.register(CommentAttribute, true);
+
+const COMMENT_AUTHOR_LABELS = {
+    student: 'You',
+    ai: 'AI feedback'
+};
+
+// Longest quote shown on a comment card
+const COMMENT_QUOTE_CHARS = 120;
+
+class CommentLayer {
+    /**
+     * @param {GlobalState} globalState
+     * @param {ProjectManager} projectManager
+     * @param {EditModule} editModule Editor the comments are anchored in
+     */
+    constructor(globalState, projectManager, editModule) {
+        this.globalState = globalState;
+        this.projectManager = projectManager;
+        this.module = editModule;
+        this.editor = editModule.editor;
+        this.comments = [];
+        this.loaded = false; // Nothing to save until the project's comments have been restored
+        // What was done here since the last save, so a group member's saved comments can be merged in
+        this.changed = new Set();
+        this.deleted = new Set();
+        this.sentChanges = null; // The same, as collected for the save in progress
+        this.activeId = null;
+        this.composing = null; // {range, quote} while a new comment is being written
+        this.renderTimer = null;
+        this.elements = {
+            margin: document.getElementById('commentMargin'),
+            list: document.getElementById('commentList'),
+            count: document.getElementById('commentCount'),
+            status: document.getElementById('commentStatus'),
+            showResolved: document.getElementById('commentShowResolved'),
+            addBtn: document.getElementById('commentEditBtn')
+        };
+
+        // Anchor highlighting lives in a style sheet, so it never touches the editor's HTML
+        this.anchorStyles = document.createElement('style');
+        document.head.appendChild(this.anchorStyles);
+
+        this.projectManager.registerModule('comments', this);
+        this.init();
+    }
+
+    init() {
+        const { margin, addBtn, showResolved } = this.elements;
+        if (!margin || !this.editor) {
+            console.warn('CommentLayer: Comment margin or Edit editor not found');
+            return;
+        }
+
+        if (addBtn) addBtn.addEventListener('click', () => this.startComment());
+        if (showResolved) showResolved.addEventListener('change', () => this.render());
+
+        // Edits can delete or move anchors; re-render once typing pauses
+        this.editor.on('text-change', () => {
+            clearTimeout(this.renderTimer);
+            this.renderTimer = setTimeout(() => this.render(), 300);
+        });
+
+        // Putting the cursor in commented text brings up its comment
+        this.editor.on('selection-change', (range) => {
+            if (!range) return;
+            const id = this.editor.getFormat(range.index, range.length).comment;
+            if (id && typeof id === 'string' && id !== this.activeId) this.setActive(id, { scrollCard: true });
+        });
+
+        this.globalState.subscribe('ready', (state) => {
+            const saved = state.comments || {};
+            this.comments = Array.isArray(saved.items) ? saved.items.map(item => this.normalize(item)) : [];
+            this.loaded = true;
+            // The Edit editor restores its HTML on the same event; render once it has
+            setTimeout(() => this.render(), 0);
+        });
+
+        this.globalState.subscribe('saved', () => {
+            if (!this.sentChanges) return;
+            this.sentChanges.changed.forEach(id => this.changed.delete(id));
+            this.sentChanges.deleted.forEach(id => this.deleted.delete(id));
+            this.sentChanges = null;
+        });
+    }
+
+    normalize(item) {
+        return {
+            id: String(item.id || `cmt_${generateId()}`),
+            author: COMMENT_AUTHOR_LABELS[item.author] ? item.author : 'student',
+            quote: item.quote || '',
+            text: item.text || '',
+            replies: Array.isArray(item.replies) ? item.replies : [],
+            resolved: Boolean(item.resolved),
+            created: item.created || Math.floor(Date.now() / 1000)
+        };
+    }
+
+    collectData() {
+        if (!this.loaded) return null;
+        this.sentChanges = { changed: [...this.changed], deleted: [...this.deleted] };
+        return {
+            comments: {
+                items: deepClone(this.comments),
+                // Only these are removed from the saved comments; comments added elsewhere are kept
+                deleted: [...this.deleted]
+            }
+        };
+    }
+
+    /**
+     * Take in the comments another group member or device saved, keeping what was changed here
+     * @param {Object} project Saved project
+     */
+    mergeStored(project) {
+        const saved = (project && project.comments) || {};
+        if (!this.loaded || !Array.isArray(saved.items)) return;
+        this.comments = mergeListById(this.comments, saved.items.map(item => this.normalize(item)), this.changed, this.deleted);
+        if (this.activeId && !this.getComment(this.activeId)) this.activeId = null;
+        this.render();
+    }
+
+    getComment(id) {
+        return this.comments.find(comment => comment.id === id) || null;
+    }
+
+    save() {
+        this.projectManager.saveProject().catch(err => {
+            console.error('CommentLayer: Save failed:', err);
+        });
+    }
+
+    // ---- Anchors ----
+
+    anchorNodes(id) {
+        return Array.from(this.editor.root.querySelectorAll('[data-comment-id]'))
+            .filter(node => node.getAttribute('data-comment-id') === id);
+    }
+
+    /**
+     * Editor range covered by a comment's anchor
+     * @param {string} id Comment ID
+     * @returns {Object|null} {index, length}, or null once the commented text is gone
+     */
+    anchorRange(id) {
+        const blots = this.anchorNodes(id).map(node => Quill.find(node)).filter(Boolean);
+        if (blots.length === 0) return null;
+        const start = this.editor.getIndex(blots[0]);
+        const last = blots[blots.length - 1];
+        return { index: start, length: this.editor.getIndex(last) + last.length() - start };
+    }
+
+    // Editor text with embeds (citations, footnotes) kept as one character, so offsets match editor indexes
+    getEditorText() {
+        return this.editor.getContents().ops
+            .map(op => (typeof op.insert === 'string' ? op.insert : '\uFFFC'))
+            .join('');
+    }
+
+    /**
+     * Find the text an AI comment quotes
+     * @param {string} quote
+     * @returns {Object|null} {index, length}
+     */
+    findQuote(quote) {
+        const needle = (quote || '').trim();
+        if (!needle) return null;
+        const text = this.getEditorText();
+        let index = text.indexOf(needle);
+        if (index < 0) index = text.toLowerCase().indexOf(needle.toLowerCase());
+        return index < 0 ? null : { index, length: needle.length };
+    }
+
+    anchor(id, range, source) {
+        this.editor.formatText(range.index, range.length, 'comment', id, source);
+    }
+
+    removeAnchor(id) {
+        const range = this.anchorRange(id);
+        if (range) this.editor.formatText(range.index, range.length, 'comment', false, 'user');
+    }
+
+    updateAnchorStyles() {
+        const selector = (id) => `.ql-editor [data-comment-id="${CSS.escape(id)}"]`;
+        const resolved = this.comments.filter(comment => comment.resolved).map(comment => selector(comment.id));
+        let css = '';
+        if (resolved.length > 0) {
+            css += `${resolved.join(',\n')} { background: none; border-bottom: none; }\n`;
+        }
+        const active = this.activeId ? this.getComment(this.activeId) : null;
+        if (active && !active.resolved) {
+            css += `${selector(active.id)} { background: rgba(245, 196, 0, 0.55); }\n`;
+        }
+        this.anchorStyles.textContent = css;
+    }
+
+    // ---- Adding comments ----
+
+    startComment() {
+        const range = this.editor.getSelection(true);
+        if (!range || range.length === 0 || !this.editor.getText(range.index, range.length).trim()) {
+            this.setStatus('Select the text you want to comment on first.');
+            return;
+        }
+        this.composing = { range, quote: this.editor.getText(range.index, range.length).trim() };
+        this.setStatus('');
+        this.render();
+        const input = this.elements.list.querySelector('.comment-compose textarea');
+        if (input) input.focus();
+    }
+
+    finishComment(text) {
+        const body = text.trim();
+        if (!this.composing || !body) return;
+
+        const comment = this.normalize({ author: 'student', quote: this.composing.quote, text: body });
+        this.anchor(comment.id, this.composing.range, 'user');
+        this.comments.push(comment);
+        this.changed.add(comment.id);
+        this.composing = null;
+        this.activeId = comment.id;
+        this.render();
+        this.save();
+    }
+
+    /**
+     * Anchor comments from the agent's add_comment tool to the sentences they quote
+     * @param {Array<Object>} items [{quote, text}]
+     */
+    addAIComments(items) {
+        let anchored = 0;
+        items.forEach(item => {
+            const comment = this.normalize({ author: 'ai', quote: item.quote, text: item.text });
+            if (!comment.text) return;
+            const range = this.findQuote(comment.quote);
+            if (range) {
+                this.anchor(comment.id, range, 'api');
+                anchored++;
+            }
+            this.comments.push(comment);
+            this.changed.add(comment.id);
+        });
+        const added = items.length;
+        const detached = added - anchored;
+        this.setStatus(`${added} new comment${added === 1 ? '' : 's'} from the AI` +
+            (detached > 0 ? ` (${detached} could not be matched to your text)` : '') + '.');
+        this.render();
+        this.save();
+    }
+
+    // ---- Comment actions ----
+
+    reply(id, text) {
+        const comment = this.getComment(id);
+        const body = text.trim();
+        if (!comment || !body) return;
+        comment.replies.push({ author: 'student', text: body, created: Math.floor(Date.now() / 1000) });
+        this.changed.add(id);
+        this.render();
+        this.save();
+    }
+
+    setResolved(id, resolved) {
+        const comment = this.getComment(id);
+        if (!comment) return;
+        comment.resolved = resolved;
+        this.changed.add(id);
+        this.render();
+        this.save();
+    }
+
+    deleteComment(id) {
+        const comment = this.getComment(id);
+        if (!comment || !confirm('Delete this comment and its replies?')) return;
+        this.removeAnchor(id);
+        this.comments = this.comments.filter(item => item.id !== id);
+        this.changed.delete(id);
+        this.deleted.add(id);
+        if (this.activeId === id) this.activeId = null;
+        this.render();
+        this.save();
+    }
+
+    setActive(id, { scrollCard = false, selectText = false } = {}) {
+        this.activeId = id;
+        this.updateAnchorStyles();
+        this.elements.list.querySelectorAll('.comment-card').forEach(card => {
+            card.classList.toggle('active', card.dataset.commentId === id);
+        });
+
+        const card = this.elements.list.querySelector(`.comment-card[data-comment-id="${CSS.escape(id)}"]`);
+        if (card && scrollCard) card.scrollIntoView({ block: 'nearest' });
+
+        const range = selectText ? this.anchorRange(id) : null;
+        if (range) {
+            this.editor.setSelection(range.index, range.length, 'api');
+            const node = this.anchorNodes(id)[0];
+            if (node) node.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    setStatus(message) {
+        if (this.elements.status) this.elements.status.textContent = message;
+    }
+
+    // ---- Rendering ----
+
+    render() {
+        const { margin, list, count, showResolved } = this.elements;
+        if (!margin) return;
+
+        const includeResolved = showResolved && showResolved.checked;
+        const open = this.comments.filter(comment => !comment.resolved);
+        const positioned = this.comments.map(comment => ({ comment, range: this.anchorRange(comment.id) }));
+        // Anchored comments follow the text; comments whose text is gone go last
+        positioned.sort((a, b) => {
+            if (a.range && b.range) return a.range.index - b.range.index;
+            return a.range ? -1 : (b.range ? 1 : 0);
+        });
+
+        margin.hidden = this.comments.length === 0 && !this.composing;
+        if (count) count.textContent = open.length > 0 ? `(${open.length})` : '';
+        this.updateAnchorStyles();
+
+        list.innerHTML = '';
+        if (this.composing) list.appendChild(this.renderCompose());
+        positioned
+            .filter(({ comment }) => includeResolved || !comment.resolved)
+            .forEach(({ comment, range }) => list.appendChild(this.renderCard(comment, range !== null)));
+
+        if (open.length === 0 && !this.composing && this.comments.length > 0 && !includeResolved) {
+            list.appendChild(createElement('p', 'comment-empty', 'All comments are resolved.'));
+        }
+    }
+
+    renderCompose() {
+        const form = createElement('form', 'comment-card comment-compose');
+        form.appendChild(createElement('blockquote', 'comment-quote', this.truncate(this.composing.quote)));
+        const input = createElement('textarea');
+        input.rows = 3;
+        input.placeholder = 'Add a comment…';
+        input.setAttribute('aria-label', 'New comment');
+        form.appendChild(input);
+
+        const actions = createElement('div', 'comment-actions');
+        const cancelBtn = createElement('button', 'comment-action', 'Cancel');
+        cancelBtn.type = 'button';
+        cancelBtn.addEventListener('click', () => {
+            this.composing = null;
+            this.render();
+        });
+        const saveBtn = createElement('button', 'comment-action primary', 'Comment');
+        saveBtn.type = 'submit';
+        actions.appendChild(cancelBtn);
+        actions.appendChild(saveBtn);
+        form.appendChild(actions);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.finishComment(input.value);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') cancelBtn.click();
+        });
+        return form;
+    }
+
+    renderCard(comment, anchored) {
+        const card = createElement('article', `comment-card ${comment.author}${comment.resolved ? ' resolved' : ''}${anchored ? '' : ' detached'}`);
+        card.dataset.commentId = comment.id;
+        card.classList.toggle('active', comment.id === this.activeId);
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('button, textarea')) return;
+            this.setActive(comment.id, { selectText: true });
+        });
+
+        const header = createElement('div', 'comment-header');
+        header.appendChild(createElement('span', 'comment-author', COMMENT_AUTHOR_LABELS[comment.author]));
+        if (comment.resolved) header.appendChild(createElement('span', 'comment-badge', 'Resolved'));
+        if (!anchored) header.appendChild(createElement('span', 'comment-badge', 'Text changed'));
+        card.appendChild(header);
+
+        if (comment.quote) card.appendChild(createElement('blockquote', 'comment-quote', this.truncate(comment.quote)));
+        card.appendChild(createElement('p', 'comment-text', comment.text));
+
+        comment.replies.forEach(reply => {
+            const item = createElement('div', `comment-reply ${reply.author}`);
+            item.appendChild(createElement('span', 'comment-author', COMMENT_AUTHOR_LABELS[reply.author] || COMMENT_AUTHOR_LABELS.student));
+            item.appendChild(createElement('p', 'comment-text', reply.text));
+            card.appendChild(item);
+        });
+
+        const actions = createElement('div', 'comment-actions');
+        const replyBtn = this.renderAction('Reply', () => this.openReply(card, comment.id));
+        const resolveBtn = this.renderAction(comment.resolved ? 'Reopen' : 'Resolve', () => this.setResolved(comment.id, !comment.resolved));
+        const deleteBtn = this.renderAction('Delete', () => this.deleteComment(comment.id));
+        deleteBtn.classList.add('danger');
+        if (!comment.resolved) actions.appendChild(replyBtn);
+        actions.appendChild(resolveBtn);
+        actions.appendChild(deleteBtn);
+        card.appendChild(actions);
+        return card;
+    }
+
+    renderAction(label, onClick) {
+        const button = createElement('button', 'comment-action', label);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    openReply(card, id) {
+        if (card.querySelector('.comment-reply-form')) return;
+        const form = createElement('form', 'comment-reply-form');
+        const input = createElement('textarea');
+        input.rows = 2;
+        input.placeholder = 'Reply…';
+        input.setAttribute('aria-label', 'Reply');
+        form.appendChild(input);
+        const actions = createElement('div', 'comment-actions');
+        const cancelBtn = this.renderAction('Cancel', () => form.remove());
+        const sendBtn = createElement('button', 'comment-action primary', 'Reply');
+        sendBtn.type = 'submit';
+        actions.appendChild(cancelBtn);
+        actions.appendChild(sendBtn);
+        form.appendChild(actions);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reply(id, input.value);
+        });
+        card.insertBefore(form, card.querySelector('.comment-actions'));
+        input.focus();
+    }
+
+    truncate(text) {
+        return text.length > COMMENT_QUOTE_CHARS ? `${text.slice(0, COMMENT_QUOTE_CHARS).trimEnd()}…` : text;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.CommentLayer = CommentLayer;
+}
@@ -376,9 +376,12 @@ class CompleteChatSystem {
             // Hide typing indicator
             this.hideTypingIndicator();
 
-            // Add AI response
-            const assistantMessage = this.createMessage('assistant', aiResponse);
+            // Add AI response (idea suggestions are shown as chips under the reply)
+            const assistantMessage = this.createMessage('assistant', aiResponse.reply, {
+                ideaSuggestions: aiResponse.ideaSuggestions
+            });
             await this.addMessage(assistantMessage);
+            this.placeAIComments(aiResponse.comments);
 
             // Process queued messages
             this.processMessageQueue();
@@ -399,7 +402,11 @@ class CompleteChatSystem {
             const response = await this.api.sendChatMessage(userMessage, currentProject);
 
             if (response && response.assistantReply) {
-                return response.assistantReply;
+                return {
+                    reply: response.assistantReply,
+                    ideaSuggestions: this.extractIdeaSuggestions(currentProject, response.updatedProject),
+                    comments: this.extractAIComments(currentProject, response.updatedProject)
+                };
             } else {
                 throw new Error('No response from AI');
             }
@@ -409,6 +416,57 @@ class CompleteChatSystem {
         }
     }
 
+    /**
+     * Ideas the agent proposed with its add_idea tool. They are offered as chips, never added silently.
+     * @param {Object} sentProject Project state sent with the message
+     * @param {Object} updatedProject Project returned by the agent
+     * @returns {Array} [{id, content}]
+     */
+    extractIdeaSuggestions(sentProject, updatedProject) {
+        const toArray = (ideas) => {
+            if (Array.isArray(ideas)) return ideas;
+            if (ideas && typeof ideas === 'object') return Object.values(ideas);
+            return [];
+        };
+
+        const sentIds = new Set(toArray(sentProject?.plan?.ideas).map(idea => String(idea.id)));
+        const seen = new Set();
+
+        return toArray(updatedProject?.plan?.ideas)
+            .filter(idea => idea && idea.aiGenerated && idea.content && !sentIds.has(String(idea.id)))
+            .map(idea => ({ id: String(idea.id), content: String(idea.content).trim() }))
+            .filter(idea => {
+                const key = idea.content.toLowerCase();
+                if (!idea.content || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * Comments the agent left with its add_comment tool; the agent appends them after the comments it was sent
+     * @param {Object} sentProject Project state sent with the message
+     * @param {Object} updatedProject Project returned by the agent
+     * @returns {Array} [{quote, text}]
+     */
+    extractAIComments(sentProject, updatedProject) {
+        const sent = sentProject?.comments?.items;
+        const updated = updatedProject?.comments?.items;
+        if (!Array.isArray(updated)) return [];
+
+        return updated.slice(Array.isArray(sent) ? sent.length : 0)
+            .filter(comment => comment && comment.author === 'ai' && comment.text)
+            .map(comment => ({ quote: String(comment.quote || '').trim(), text: String(comment.text).trim() }));
+    }
+
+    // Anchor the agent's comments in the Edit editor's margin
+    placeAIComments(comments) {
+        const commentLayer = window.aiWritingAssistant?.commentLayer;
+        if (commentLayer && comments && comments.length > 0) {
+            commentLayer.addAIComments(comments);
+        }
+    }
+
     processMessageQueue() {
         if (this.messageQueue.length > 0 && !this.isProcessing) {
             const nextMessage = this.messageQueue.shift();
@@ -584,6 +642,12 @@ class CompleteChatSystem {
         const timeDiv = createElement('div', 'message-time', displayStr);
 
         messageDiv.appendChild(contentDiv);
+
+        const suggestions = message.metadata?.ideaSuggestions;
+        if (message.role === 'assistant' && Array.isArray(suggestions) && suggestions.length > 0) {
+            messageDiv.appendChild(this.createIdeaSuggestionChips(message));
+        }
+
         messageDiv.appendChild(timeDiv);
 
 
@@ -601,6 +665,89 @@ class CompleteChatSystem {
         return messageDiv;
     }
 
+    // Selectable chips for AI-suggested ideas; the student decides where (or whether) each one goes
+    createIdeaSuggestionChips(message) {
+        const container = createElement('div', 'idea-suggestions');
+        container.appendChild(createElement('div', 'idea-suggestions-label', 'Suggested ideas - add the ones you want:'));
+
+        const added = message.metadata.addedSuggestions || (message.metadata.addedSuggestions = {});
+
+        message.metadata.ideaSuggestions.forEach(suggestion => {
+            const chip = createElement('div', 'idea-suggestion-chip');
+            chip.appendChild(createElement('span', 'idea-suggestion-text', suggestion.content));
+
+            const actions = createElement('div', 'idea-suggestion-actions');
+            const markAdded = (destination) => {
+                added[suggestion.id] = destination;
+                chip.classList.add('added');
+                actions.innerHTML = '';
+                actions.appendChild(createElement('span', 'idea-suggestion-status', `Added to ${destination}`));
+            };
+
+            if (added[suggestion.id]) {
+                markAdded(added[suggestion.id]);
+                chip.appendChild(actions);
+                container.appendChild(chip);
+                return;
+            }
+
+            const brainstormBtn = createElement('button', 'idea-suggestion-add', 'Add to brainstorm');
+            brainstormBtn.type = 'button';
+            brainstormBtn.addEventListener('click', () => {
+                if (this.acceptIdeaSuggestion(suggestion.content, null)) {
+                    markAdded('brainstorm');
+                }
+            });
+
+            // Section list is read when opened so it matches the outline as it is now
+            const sectionSelect = createElement('select', 'idea-suggestion-section');
+            sectionSelect.setAttribute('aria-label', 'Add to section');
+            const populateSections = () => {
+                sectionSelect.innerHTML = '';
+                sectionSelect.appendChild(new Option('Add to section...', ''));
+                document.querySelectorAll('#outlineItems .template-section').forEach(section => {
+                    const title = section.querySelector('.section-title')?.textContent.trim() || 'Untitled section';
+                    sectionSelect.appendChild(new Option(title, section.dataset.sectionId));
+                });
+            };
+            populateSections();
+            sectionSelect.addEventListener('focus', populateSections);
+            sectionSelect.addEventListener('change', () => {
+                const sectionId = sectionSelect.value;
+                if (!sectionId) return;
+                const title = sectionSelect.options[sectionSelect.selectedIndex].textContent;
+                if (this.acceptIdeaSuggestion(suggestion.content, sectionId)) {
+                    markAdded(title);
+                } else {
+                    sectionSelect.value = '';
+                }
+            });
+
+            actions.appendChild(brainstormBtn);
+            actions.appendChild(sectionSelect);
+            chip.appendChild(actions);
+            container.appendChild(chip);
+        });
+
+        return container;
+    }
+
+    /**
+     * Hand an accepted suggestion to the Plan module
+     * @param {string} content Idea text
+     * @param {string|null} sectionId Outline section, or null for brainstorm
+     * @returns {boolean} Whether a bubble was created
+     */
+    acceptIdeaSuggestion(content, sectionId) {
+        const detail = { content, sectionId, bubbleId: null };
+        document.dispatchEvent(new CustomEvent('ideaSuggestionAccepted', { detail }));
+        if (!detail.bubbleId) {
+            console.warn('CompleteChatSystem: Idea suggestion was not added - Plan module unavailable');
+            return false;
+        }
+        return true;
+    }
+
     createTypingIndicator() {
         if (!this.elements.chatMessages) return;
 
@@ -1178,8 +1325,11 @@ class CompleteChatSystem {
                     this.hideTypingIndicator();
 
                     // Add the new assistant response
-                    const newAssistantMessage = this.createMessage('assistant', aiResponse);
+                    const newAssistantMessage = this.createMessage('assistant', aiResponse.reply, {
+                        ideaSuggestions: aiResponse.ideaSuggestions
+                    });
                     await this.addMessage(newAssistantMessage);
+                    this.placeAIComments(aiResponse.comments);
                 }
             }
         } catch (error) {
@@ -0,0 +1,268 @@
+/**
+ * Document Import - Bring a draft started in Word, Google Docs or a text editor into the Write editor
+ * DOCX (converted with mammoth.js), Markdown (marked) and plain text become HTML that Quill's clipboard turns
+ * into editor content at the cursor: headings, lists, bold and italic carry over as Quill formats, and tables,
+ * which Quill 1.3 has no format for, are kept whole as a table block. Every import is logged with
+ * ActivityTracker.trackImport, so the activity report shows the text as imported rather than typed.
+ */
+
+const DOCUMENT_IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+// File types offered in the picker, by extension
+const DOCUMENT_IMPORT_TYPES = {
+    docx: 'Word document',
+    md: 'Markdown',
+    markdown: 'Markdown',
+    txt: 'Plain text'
+};
+
+// What a table block may contain (tables from Word and Markdown, nothing executable)
+const TABLE_ALLOWED_TAGS = ['table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'p', 'br',
+    'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'a', 'ul', 'ol', 'li', 'code'];
+const TABLE_ALLOWED_ATTRIBUTES = ['colspan', 'rowspan', 'href', 'border', 'cellpadding'];
+
+/**
+ * Clean table HTML for a table block; borders are set as attributes so DOCX and PDF exports, which drop
+ * classes, still draw them
+ * @param {string} html A <table> element's HTML
+ * @returns {string} HTML
+ */
+function sanitizeTableHtml(html) {
+    const clean = typeof DOMPurify !== 'undefined'
+        ? DOMPurify.sanitize(html || '', { ALLOWED_TAGS: TABLE_ALLOWED_TAGS, ALLOWED_ATTR: TABLE_ALLOWED_ATTRIBUTES })
+        : '';
+    const container = document.createElement('div');
+    container.innerHTML = clean;
+    container.querySelectorAll('table').forEach((table) => {
+        table.setAttribute('border', '1');
+        table.setAttribute('cellpadding', '4');
+    });
+    return container.innerHTML;
+}
+
+// A table kept as one non-editable block; its HTML is the value, so it is saved, versioned and exported as is
+const BlockEmbed = Quill.import('blots/block/embed');
+
+class TableBlot extends BlockEmbed {
+    static create(value) {
+        const node = super.create(value);
+        node.setAttribute('contenteditable', 'false');
+        node.innerHTML = sanitizeTableHtml(value);
+        return node;
+    }
+
+    static value(node) {
+        return node.innerHTML;
+    }
+}
+TableBlot.blotName = 'draftTable';
+TableBlot.tagName = 'FIGURE';
+TableBlot.className = 'ql-table';
+Quill.register(TableBlot, true);
+
+/**
+ * Turn pasted or imported <table>s into table blocks instead of loose cell text
+ * (called for the Write and Edit editors from BaseEditorModule.initializeEditor)
+ * @param {Quill} editor
+ */
+function addTableClipboardMatcher(editor) {
+    const Delta = Quill.import('delta');
+    editor.clipboard.addMatcher('TABLE', node => new Delta().insert({ draftTable: node.outerHTML }));
+}
+
+function escapeImportText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Plain text to paragraphs: blank lines separate paragraphs; without any, every line is one
+ * @param {string} text
+ * @returns {string} HTML
+ */
+function convertTextToHtml(text) {
+    const source = (text || '').replace(/\r\n?/g, '\n').trim();
+    if (!source) return '';
+    const blocks = /\n\s*\n/.test(source)
+        ? source.split(/\n\s*\n/).map(block => block.replace(/\s*\n\s*/g, ' '))
+        : source.split('\n');
+    return blocks
+        .filter(block => block.trim())
+        .map(block => `<p>${escapeImportText(block.trim())}</p>`)
+        .join('');
+}
+
+/**
+ * Markdown (with GitHub tables) to HTML
+ * @param {string} text
+ * @returns {string} HTML
+ */
+function convertMarkdownToHtml(text) {
+    if (typeof marked === 'undefined') {
+        throw new Error('The Markdown converter did not load. Please reload the page and try again.');
+    }
+    const html = marked.parse(text || '', { gfm: true });
+    return typeof DOMPurify !== 'undefined' ? DOMPurify.sanitize(html) : html;
+}
+
+/**
+ * Word document to HTML. Images are left out: they would be stored inside the draft itself.
+ * @param {ArrayBuffer} arrayBuffer
+ * @returns {Promise<{html: string, skippedImages: number}>}
+ */
+async function convertDocxToHtml(arrayBuffer) {
+    if (typeof mammoth === 'undefined') {
+        throw new Error('The Word converter did not load. Please reload the page and try again.');
+    }
+    const result = await mammoth.convertToHtml({ arrayBuffer });
+    const container = document.createElement('div');
+    container.innerHTML = typeof DOMPurify !== 'undefined' ? DOMPurify.sanitize(result.value) : result.value;
+    const images = container.querySelectorAll('img');
+    images.forEach(image => image.remove());
+    return { html: container.innerHTML, skippedImages: images.length };
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+class DocumentImporter {
+    /**
+     * @param {WriteModule} writeModule Editor the files are imported into
+     * @param {ProjectManager} projectManager
+     */
+    constructor(writeModule, projectManager) {
+        this.module = writeModule;
+        this.editor = writeModule.editor;
+        this.projectManager = projectManager;
+        this.elements = {
+            button: document.getElementById('importFileWriteBtn'),
+            input: document.getElementById('importFileWriteInput')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const { button, input } = this.elements;
+        if (!button || !input || !this.editor) {
+            console.warn('DocumentImporter: Import button or Write editor not found');
+            return;
+        }
+
+        input.accept = Object.keys(DOCUMENT_IMPORT_TYPES).map(extension => `.${extension}`).join(',');
+        button.addEventListener('click', () => {
+            // Insert where the cursor was before the file picker took focus
+            this.range = this.editor.getSelection();
+            input.value = '';
+            input.click();
+        });
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (file) this.importFile(file);
+        });
+    }
+
+    /**
+     * Convert a file and insert it at the cursor (or the end of the draft)
+     * @param {File} file
+     */
+    async importFile(file) {
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        if (!DOCUMENT_IMPORT_TYPES[extension]) {
+            alert('Choose a Word document (.docx), a Markdown file (.md) or a text file (.txt).');
+            return;
+        }
+        if (file.size > DOCUMENT_IMPORT_MAX_BYTES) {
+            alert(`That file is too large to import (${formatFileSize(file.size)}; the limit is ${formatFileSize(DOCUMENT_IMPORT_MAX_BYTES)}).`);
+            return;
+        }
+
+        this.setBusy(true);
+        let converted;
+        try {
+            converted = await this.convert(file, extension);
+        } catch (error) {
+            console.error('DocumentImporter: Failed to convert file:', error);
+            alert(`Could not read ${file.name}: ${error.message || 'the file may be damaged or in another format.'}`);
+            this.setBusy(false);
+            return;
+        }
+
+        const importedLength = this.insertHtml(converted.html);
+        this.setBusy(false);
+        if (importedLength === 0) {
+            alert(`${file.name} has no text to import.`);
+            return;
+        }
+
+        const tracker = window.aiWritingAssistant && window.aiWritingAssistant.activityTracker;
+        if (tracker) {
+            tracker.trackImport('write', importedLength,
+                `Imported file ${file.name} (${DOCUMENT_IMPORT_TYPES[extension]}, ${formatFileSize(file.size)})`);
+        }
+        this.projectManager.scheduleAutoSave('import', true);
+
+        if (converted.skippedImages > 0) {
+            alert(`${file.name} was imported without its ${converted.skippedImages} image${converted.skippedImages === 1 ? '' : 's'}.`);
+        }
+        this.showDone();
+    }
+
+    async convert(file, extension) {
+        if (extension === 'docx') {
+            return convertDocxToHtml(await file.arrayBuffer());
+        }
+        const text = await file.text();
+        const html = extension === 'txt' ? convertTextToHtml(text) : convertMarkdownToHtml(text);
+        return { html, skippedImages: 0 };
+    }
+
+    /**
+     * Put converted HTML into the draft, replacing any selected text. Inserted as an 'api' change: it is logged
+     * as an import, not picked up as typing.
+     * @param {string} html
+     * @returns {number} Characters inserted
+     */
+    insertHtml(html) {
+        const Delta = Quill.import('delta');
+        const content = this.editor.clipboard.convert(html);
+        const importedLength = content.ops.reduce((total, op) => {
+            return total + (typeof op.insert === 'string' ? op.insert.replace(/\n/g, '').length : 0);
+        }, 0);
+        if (importedLength === 0 && !content.ops.some(op => op.insert && op.insert.draftTable)) return 0;
+
+        const range = this.range || { index: Math.max(0, this.editor.getLength() - 1), length: 0 };
+        this.editor.updateContents(new Delta().retain(range.index).delete(range.length).concat(content), 'api');
+        this.editor.setSelection(range.index + content.length(), 0, 'api');
+        this.range = null;
+        return importedLength;
+    }
+
+    setBusy(busy) {
+        const { button } = this.elements;
+        button.disabled = busy;
+        button.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
+
+    // Same confirmation as the Write → Edit import
+    showDone() {
+        const label = this.elements.button.querySelector('span');
+        if (!label) return;
+        const originalText = label.textContent;
+        label.textContent = 'Imported!';
+        setTimeout(() => {
+            label.textContent = originalText;
+        }, 2000);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.DocumentImporter = DocumentImporter;
+    window.addTableClipboardMatcher = addTableClipboardMatcher;
+    window.convertTextToHtml = convertTextToHtml;
+    window.convertMarkdownToHtml = convertMarkdownToHtml;
+}
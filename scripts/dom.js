@@ -10,6 +10,11 @@ const Size = Quill.import('attributors/style/size');
 Size.whitelist = ['8pt', '10pt', '12pt', '14pt', '16pt', '18pt', '24pt', '36pt'];
 Quill.register(Size, true);
 
+// Links an H2 in the draft to its Plan outline section (data-section-id), so the link survives renames
+const Parchment = Quill.import('parchment');
+const SectionAttribute = new Parchment.Attributor.Attribute('section', 'data-section-id', { scope: Parchment.Scope.BLOCK });
+Quill.register(SectionAttribute, true);
+
 const quillConfig = {
     theme: 'snow',
     modules: {
@@ -31,6 +36,15 @@ const quillConfig = {
     }
 };
 
+// Tags students can put on an idea bubble; each tag has its own color (see .tag-* in styles.css)
+const IDEA_TAGS = [
+    { value: 'evidence', label: 'Evidence' },
+    { value: 'claim', label: 'Claim' },
+    { value: 'question', label: 'Question' },
+    { value: 'quote', label: 'Quote' },
+    { value: 'counterpoint', label: 'Counterpoint' }
+];
+
 // Manages DOM elements and event listeners to prevent memory leaks
 class DOMManager {
     constructor() {
@@ -92,17 +106,24 @@ class DOMManager {
 }
 
 // Represents a draggable idea bubble that can be moved between brainstorm and outline
+// Bubbles can hold nested sub-points (claim -> evidence -> analysis) in their children container
 class BubbleComponent {
     constructor(content = ' ', id = null, aiGenerated = false) {
         this.id = id || generateId();
         this.content = content;
         this.aiGenerated = aiGenerated;
+        this.parentId = null; // ID of the bubble this one is nested under (null = top level)
+        this.collapsed = false; // Whether nested sub-points are hidden
+        this.tag = null; // One of IDEA_TAGS values, or null when untagged
         this.element = this.createBubble();
     }
 
     createBubble() {
         const bubble = createElement('div', 'idea-bubble');
         bubble.dataset.id = this.id;
+        bubble.tabIndex = 0; // Focusable so keyboard indent/outdent works for AI bubbles too
+        bubble.setAttribute('aria-keyshortcuts', 'Alt+Shift+ArrowRight Alt+Shift+ArrowLeft');
+        bubble.setAttribute('aria-describedby', 'planKeyboardHint');
 
         // Add AI-generated class if applicable
         if (this.aiGenerated) {
@@ -110,9 +131,43 @@ class BubbleComponent {
             bubble.dataset.aiGenerated = 'true';
         }
 
+        // Row holds the bubble's own controls so they stay aligned above any nested sub-points
+        const bubbleRow = createElement('div', 'bubble-row');
+
+        const collapseBtn = createElement('button', 'bubble-collapse-btn');
+        collapseBtn.type = 'button';
+        collapseBtn.setAttribute('aria-label', 'Collapse sub-points');
+        collapseBtn.setAttribute('aria-expanded', 'true');
+        collapseBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.setCollapsed(!this.collapsed);
+            bubble.dispatchEvent(new CustomEvent('bubbleCollapseToggled', {
+                detail: { bubbleId: this.id, collapsed: this.collapsed },
+                bubbles: true,
+                composed: true
+            }));
+        });
+
         const contentDiv = createElement('div', 'bubble-content', this.content);
         const deleteBtn = createElement('button', 'delete-bubble-btn', '×');
 
+        // Tag picker - AI ideas can be tagged too, since tagging is the student's own classification
+        const tagSelect = createElement('select', 'bubble-tag-select');
+        tagSelect.setAttribute('aria-label', 'Idea tag');
+        tagSelect.title = 'Tag this idea';
+        tagSelect.appendChild(new Option('No tag', ''));
+        IDEA_TAGS.forEach(tag => tagSelect.appendChild(new Option(tag.label, tag.value)));
+        tagSelect.addEventListener('change', (e) => {
+            e.stopPropagation();
+            this.setTag(tagSelect.value);
+            bubble.dispatchEvent(new CustomEvent('bubbleTagChanged', {
+                detail: { bubbleId: this.id, tag: this.tag },
+                bubbles: true,
+                composed: true
+            }));
+        });
+
         // Add delete functionality
         deleteBtn.addEventListener('click', (e) => {
             e.preventDefault();
@@ -120,8 +175,48 @@ class BubbleComponent {
             this.delete();
         });
 
-        bubble.appendChild(contentDiv);
-        bubble.appendChild(deleteBtn);
+        bubbleRow.appendChild(collapseBtn);
+        bubbleRow.appendChild(contentDiv);
+        bubbleRow.appendChild(tagSelect);
+        bubbleRow.appendChild(deleteBtn);
+        bubble.appendChild(bubbleRow);
+
+        // Nested sub-points live here (also a drop target, set up by PlanModule)
+        const childrenContainer = createElement('div', 'bubble-children');
+        bubble.appendChild(childrenContainer);
+
+        // Space on the bubble itself (not its text) picks it up for a keyboard move
+        bubble.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' || e.target !== bubble) {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+            bubble.dispatchEvent(new CustomEvent('bubbleGrabRequested', {
+                detail: { bubbleId: this.id },
+                bubbles: true,
+                composed: true
+            }));
+        });
+
+        // Alt+Shift+Right / Alt+Shift+Left indent and outdent the focused bubble (plain Tab still moves focus on)
+        bubble.addEventListener('keydown', (e) => {
+            const nesting = { ArrowRight: 'bubbleIndent', ArrowLeft: 'bubbleOutdent' }[e.key];
+            if (!nesting || !e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey || e.target.closest('.idea-bubble') !== bubble) {
+                return;
+            }
+            const request = new CustomEvent(nesting, {
+                detail: { bubbleId: this.id, handled: false },
+                bubbles: true,
+                composed: true
+            });
+            bubble.dispatchEvent(request);
+            // Only swallow the key when the bubble actually moved
+            if (request.detail.handled) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        });
 
         // Make content editable only if not AI-generated
         if (!this.aiGenerated) {
@@ -146,16 +241,34 @@ class BubbleComponent {
         return bubble;
     }
 
+    getContentElement() {
+        return this.element.querySelector(':scope > .bubble-row > .bubble-content');
+    }
+
+    getChildrenContainer() {
+        return this.element.querySelector(':scope > .bubble-children');
+    }
+
+    // Direct child bubble elements, in display order
+    getChildElements() {
+        const container = this.getChildrenContainer();
+        return container ? Array.from(container.children).filter(child => child.classList.contains('idea-bubble')) : [];
+    }
+
+    hasChildren() {
+        return this.getChildElements().length > 0;
+    }
+
     setContent(content) {
         this.content = content;
-        const contentDiv = this.element.querySelector('.bubble-content');
+        const contentDiv = this.getContentElement();
         if (contentDiv) {
             contentDiv.textContent = content;
         }
     }
 
     getContent() {
-        const contentDiv = this.element.querySelector('.bubble-content');
+        const contentDiv = this.getContentElement();
         return contentDiv ? contentDiv.textContent : this.content;
     }
 
@@ -168,9 +281,58 @@ class BubbleComponent {
         this.element.dataset.location = location;
         if (sectionId) {
             this.element.dataset.sectionId = sectionId;
+        } else {
+            delete this.element.dataset.sectionId;
         }
     }
 
+    setParent(parentId) {
+        this.parentId = parentId || null;
+        if (this.parentId) {
+            this.element.dataset.parentId = this.parentId;
+        } else {
+            delete this.element.dataset.parentId;
+        }
+    }
+
+    setCollapsed(collapsed) {
+        this.collapsed = !!collapsed;
+        this.element.classList.toggle('collapsed', this.collapsed);
+
+        const collapseBtn = this.element.querySelector(':scope > .bubble-row > .bubble-collapse-btn');
+        if (collapseBtn) {
+            collapseBtn.setAttribute('aria-expanded', this.collapsed ? 'false' : 'true');
+            collapseBtn.setAttribute('aria-label', this.collapsed ? 'Expand sub-points' : 'Collapse sub-points');
+            collapseBtn.title = this.collapsed ? `Show ${this.getChildElements().length} sub-point(s)` : 'Hide sub-points';
+        }
+    }
+
+    setTag(tag) {
+        const previous = this.tag;
+        this.tag = IDEA_TAGS.some(t => t.value === tag) ? tag : null;
+
+        if (previous) {
+            this.element.classList.remove(`tag-${previous}`);
+        }
+        if (this.tag) {
+            this.element.classList.add(`tag-${this.tag}`);
+            this.element.dataset.tag = this.tag;
+        } else {
+            delete this.element.dataset.tag;
+        }
+
+        const tagSelect = this.element.querySelector(':scope > .bubble-row > .bubble-tag-select');
+        if (tagSelect) {
+            tagSelect.value = this.tag || '';
+        }
+    }
+
+    // Refresh the collapse toggle after sub-points are added or removed
+    updateChildState() {
+        this.element.classList.toggle('has-children', this.hasChildren());
+        this.setCollapsed(this.collapsed && this.hasChildren());
+    }
+
     delete() {
         // Emit custom event for bubble deletion (PlanModule will handle DB + DOM)
         this.element.dispatchEvent(new CustomEvent('bubbleDeleted', {
@@ -194,12 +356,31 @@ class SectionComponent {
         this.description = sectionData.description;
         this.required = sectionData.required || false;
         this.isCustom = sectionData.isCustom || false; // Track if this is a user-created section
+        this.allowMultiple = sectionData.allowMultiple || false;
+        this.instanceOf = sectionData.instanceOf || null; // Template section this is a repeat of
+        this.baseTitle = sectionData.baseTitle || null; // Title the numbered instance titles are built from
         this.element = this.createSection();
     }
 
     createSection() {
         const sectionDiv = createElement('div', 'template-section');
         sectionDiv.dataset.sectionId = this.id;
+        if (this.instanceOf) {
+            sectionDiv.dataset.instanceOf = this.instanceOf;
+        }
+
+        // Focusable so the section can be picked up with Space and reordered with the arrow keys
+        sectionDiv.tabIndex = 0;
+        sectionDiv.setAttribute('aria-describedby', 'planKeyboardHint');
+        sectionDiv.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' || e.target !== sectionDiv) return;
+            e.preventDefault();
+            sectionDiv.dispatchEvent(new CustomEvent('sectionGrabRequested', {
+                detail: { sectionId: this.id },
+                bubbles: true,
+                composed: true
+            }));
+        });
 
         const sectionHeader = createElement('div', 'section-header');
 
@@ -236,6 +417,24 @@ class SectionComponent {
 
         sectionHeader.appendChild(sectionTitle);
 
+        // Repeatable template sections (allowMultiple) can be duplicated, e.g. one per main argument
+        if (this.allowMultiple && !this.isCustom) {
+            const duplicateBtn = createElement('button', 'section-duplicate-btn');
+            duplicateBtn.innerHTML = '<svg width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"><path d="M6 2v8M2 6h8"/></svg>';
+            duplicateBtn.title = 'Add another section like this one';
+            duplicateBtn.setAttribute('aria-label', 'Duplicate section');
+            duplicateBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                this.element.dispatchEvent(new CustomEvent('sectionDuplicateRequested', {
+                    detail: { sectionId: this.id },
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+            sectionHeader.appendChild(duplicateBtn);
+        }
+
         // Add delete button for ALL sections (users can remove any section they don't want)
         const deleteBtn = createElement('button', 'section-delete-btn');
         deleteBtn.innerHTML = '<svg width="12" height="12" viewBox="0 0 12 12" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 3L3 9M3 3l6 6"/></svg>';
@@ -277,6 +476,14 @@ class SectionComponent {
         return sectionDiv;
     }
 
+    setTitle(title) {
+        this.title = title;
+        const titleElement = this.element.querySelector('.section-title');
+        if (titleElement) {
+            titleElement.textContent = title;
+        }
+    }
+
     addBubble(bubble) {
         const outlineContainer = this.element.querySelector('.outline-container');
         if (outlineContainer) {
@@ -289,6 +496,66 @@ class SectionComponent {
         }
     }
 
+    /**
+     * Preview an AI-proposed move as a ghost bubble (kept outside the sortable outline container)
+     * @param {Object} placement {ideaId, reason}
+     * @param {string} content Idea text
+     */
+    addGhostBubble(placement, content) {
+        let ghostContainer = this.element.querySelector('.section-ghost-bubbles');
+        if (!ghostContainer) {
+            ghostContainer = createElement('div', 'section-ghost-bubbles');
+            this.element.appendChild(ghostContainer);
+        }
+
+        const ghost = createElement('div', 'ghost-bubble');
+        ghost.dataset.ideaId = placement.ideaId;
+        ghost.appendChild(createElement('div', 'ghost-bubble-content', content));
+        if (placement.reason) {
+            ghost.appendChild(createElement('div', 'ghost-bubble-reason', placement.reason));
+        }
+
+        const actions = createElement('div', 'ghost-bubble-actions');
+        const dispatch = (type) => {
+            this.element.dispatchEvent(new CustomEvent(type, {
+                detail: { ideaId: placement.ideaId, sectionId: this.id },
+                bubbles: true,
+                composed: true
+            }));
+        };
+        const acceptBtn = createElement('button', 'ghost-bubble-accept', 'Accept');
+        acceptBtn.type = 'button';
+        acceptBtn.addEventListener('click', () => dispatch('ghostBubbleAccepted'));
+        const rejectBtn = createElement('button', 'ghost-bubble-reject', 'Reject');
+        rejectBtn.type = 'button';
+        rejectBtn.addEventListener('click', () => dispatch('ghostBubbleRejected'));
+        actions.appendChild(acceptBtn);
+        actions.appendChild(rejectBtn);
+        ghost.appendChild(actions);
+
+        ghostContainer.appendChild(ghost);
+        return ghost;
+    }
+
+    removeGhostBubble(ideaId) {
+        const ghostContainer = this.element.querySelector('.section-ghost-bubbles');
+        if (!ghostContainer) return;
+
+        Array.from(ghostContainer.children)
+            .filter(ghost => ghost.dataset.ideaId === String(ideaId))
+            .forEach(ghost => ghost.remove());
+        if (ghostContainer.children.length === 0) {
+            ghostContainer.remove();
+        }
+    }
+
+    clearGhostBubbles() {
+        const ghostContainer = this.element.querySelector('.section-ghost-bubbles');
+        if (ghostContainer) {
+            ghostContainer.remove();
+        }
+    }
+
     removeBubble(bubbleId) {
         const bubble = this.element.querySelector(`[data-id="${bubbleId}"]`);
         if (bubble) {
@@ -309,10 +576,13 @@ class SectionComponent {
         const outlineContainer = this.element.querySelector('.outline-container');
         if (!outlineContainer) return [];
 
+        // Includes nested sub-points; parentId tells them apart from top-level ideas
         return Array.from(outlineContainer.querySelectorAll('.idea-bubble')).map(bubble => ({
             id: bubble.dataset.id,
             content: bubble.querySelector('.bubble-content').textContent,
-            aiGenerated: bubble.dataset.aiGenerated === 'true'
+            aiGenerated: bubble.dataset.aiGenerated === 'true',
+            parentId: bubble.dataset.parentId || null,
+            tag: bubble.dataset.tag || null
         }));
     }
 
@@ -331,6 +601,87 @@ class SectionComponent {
     }
 }
 
+// ---- Editor Highlights ----
+/**
+ * Colored marks drawn over a Quill editor's text, for the AI review and the readability panel. They sit in
+ * an overlay instead of being formatted into the draft, so they are never saved, versioned, sent to group
+ * members or undone with the student's edits.
+ */
+class EditorHighlights {
+    constructor(editor) {
+        this.editor = editor;
+        this.ranges = []; // [{index, length, color}]
+
+        this.overlay = createElement('div', 'editor-highlights');
+        this.overlay.setAttribute('aria-hidden', 'true');
+        editor.container.appendChild(this.overlay);
+
+        editor.root.addEventListener('scroll', () => this.render());
+        window.addEventListener('resize', () => this.render());
+        // A hidden editor has no layout; draw again once its tab is shown
+        document.querySelectorAll('.tab-btn[data-tab]').forEach((button) => {
+            button.addEventListener('click', () => setTimeout(() => this.render(), 0));
+        });
+    }
+
+    /**
+     * Replace the marks
+     * @param {Array<{index: number, length: number, color: string}>} ranges Editor ranges
+     */
+    set(ranges) {
+        this.ranges = ranges.filter(range => range.length > 0);
+        this.render();
+    }
+
+    clear() {
+        this.set([]);
+    }
+
+    // Move the marks through an edit; typing at either edge of a range stays outside it
+    transform(delta) {
+        this.set(this.ranges.map((range) => {
+            const end = delta.transformPosition(range.index + range.length, true);
+            const index = delta.transformPosition(range.index);
+            return { ...range, index, length: Math.max(0, end - index) };
+        }));
+    }
+
+    render() {
+        this.overlay.innerHTML = '';
+        if (this.ranges.length === 0) return;
+
+        const containerBounds = this.editor.container.getBoundingClientRect();
+        this.ranges.forEach((range) => {
+            this.getRangeRects(range.index, range.length).forEach((rect) => {
+                const mark = createElement('div', 'editor-highlight');
+                Object.assign(mark.style, {
+                    left: `${rect.left - containerBounds.left}px`,
+                    top: `${rect.top - containerBounds.top}px`,
+                    width: `${rect.width}px`,
+                    height: `${rect.height}px`,
+                    background: range.color
+                });
+                this.overlay.appendChild(mark);
+            });
+        });
+    }
+
+    // Screen rectangles covering an editor range, one per line it runs over
+    getRangeRects(index, length) {
+        try {
+            const [startLeaf, startOffset] = this.editor.getLeaf(index);
+            const [endLeaf, endOffset] = this.editor.getLeaf(index + length - 1);
+            if (!startLeaf || !endLeaf) return [];
+            const range = document.createRange();
+            range.setStart(...startLeaf.position(startOffset, true));
+            range.setEnd(...endLeaf.position(endOffset + 1, true));
+            return Array.from(range.getClientRects()).filter(rect => rect.width > 0);
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
 // ---- Tab Management ----
 // Simple, reliable tab switching system
 class TabManager {
@@ -595,6 +946,12 @@ class TabManager {
             outlineSidebar.appendChild(insertTemplateBtn);
         }
 
+        // Section navigator and word-count meters, kept up to date by WriteModule
+        const writeModule = window.aiWritingAssistant?.modules?.write;
+        if (writeModule) {
+            writeModule.updateSectionSidebar();
+        }
+
         // Filter bubbles that are in outline
         const outlineBubbles = ideasArray.filter(bubble =>
             bubble.location === 'outline' && bubble.sectionId
@@ -0,0 +1,235 @@
+/**
+ * Footnotes - Numbered notes in the Write/Edit editors
+ * A footnote is a non-editable marker that carries its own note text (data-note), so notes travel with the
+ * editor HTML through collectData, version snapshots and exports; markers are renumbered in document order
+ * on every change and the notes are listed, and edited, in a notes area at the end of the document
+ * (export.php turns them into a Notes section with researchflow_extract_footnotes() in lib.php)
+ */
+
+// Toolbar button that adds a footnote to each editor
+const FOOTNOTE_BUTTONS = {
+    writeEditor: 'footnoteWriteBtn',
+    editEditor: 'footnoteEditBtn'
+};
+
+// Wait this long after the last keystroke in a note before writing it back to the marker
+const FOOTNOTE_COMMIT_MS = 400;
+
+class FootnoteBlot extends Parchment.Embed {
+    static create(value) {
+        const node = super.create(value);
+        node.setAttribute('contenteditable', 'false');
+        node.setAttribute('data-note-id', value.id || `fn_${generateId()}`);
+        node.setAttribute('data-note', value.text || '');
+        return node;
+    }
+
+    // The number shown in the marker is display only; FootnoteManager rewrites it on every change
+    static value(node) {
+        return {
+            id: node.getAttribute('data-note-id') || '',
+            text: node.getAttribute('data-note') || ''
+        };
+    }
+}
+FootnoteBlot.blotName = 'footnote';
+FootnoteBlot.tagName = 'SPAN';
+FootnoteBlot.className = 'ql-footnote';
+Quill.register(FootnoteBlot, true);
+// As with citations, keep plain <span>s mapped to the inline blot
+Quill.register(Quill.import('blots/inline'), true);
+
+/**
+ * Replace footnote markers in saved editor HTML with superscript numbers and list the notes after the text
+ * (used where the HTML is shown outside an editor, e.g. the version preview)
+ * @param {string} html Write or Edit content
+ * @returns {string} HTML
+ */
+function renderFootnotesAsEndnotes(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html || '';
+    const notes = [];
+    container.querySelectorAll('.ql-footnote').forEach(node => {
+        notes.push(node.getAttribute('data-note') || '');
+        node.replaceWith(createElement('sup', '', String(notes.length)));
+    });
+    if (notes.length === 0) return container.innerHTML;
+
+    const section = createElement('div', 'footnotes-endnotes');
+    section.appendChild(createElement('h3', '', 'Notes'));
+    const list = createElement('ol');
+    notes.forEach(text => list.appendChild(createElement('li', '', text)));
+    section.appendChild(list);
+    return container.innerHTML + section.outerHTML;
+}
+
+class FootnoteManager {
+    constructor(editorModule) {
+        this.module = editorModule;
+        this.editor = editorModule.editor;
+        this.signature = null; // Note IDs in order when the list was last built
+        this.commitTimers = new Map();
+
+        this.area = createElement('section', 'footnotes-area');
+        this.area.setAttribute('aria-label', 'Notes');
+        this.area.hidden = true;
+        this.area.appendChild(createElement('h4', 'footnotes-heading', 'Notes'));
+        this.list = createElement('ol', 'footnotes-list');
+        this.area.appendChild(this.list);
+        this.editor.container.appendChild(this.area);
+
+        this.init();
+    }
+
+    init() {
+        this.editor.on('text-change', () => this.refresh());
+
+        // Clicking a marker jumps to its note
+        this.editor.root.addEventListener('click', (e) => {
+            const marker = e.target.closest('.ql-footnote');
+            if (marker) this.focusNote(marker.getAttribute('data-note-id'));
+        });
+
+        this.editor.keyboard.addBinding({ key: 'F', shortKey: true, altKey: true }, () => {
+            this.insertFootnote();
+            return false;
+        });
+
+        const button = document.getElementById(FOOTNOTE_BUTTONS[this.module.editorId]);
+        if (button) button.addEventListener('click', () => this.insertFootnote());
+
+        // Editors restore their HTML on 'ready'; number whatever came back
+        this.module.globalState.subscribe('ready', () => setTimeout(() => this.refresh(), 0));
+    }
+
+    markers() {
+        return Array.from(this.editor.root.querySelectorAll('.ql-footnote'));
+    }
+
+    findMarker(id) {
+        return this.markers().find(node => node.getAttribute('data-note-id') === id) || null;
+    }
+
+    markerIndex(node) {
+        const blot = Quill.find(node);
+        return blot ? this.editor.getIndex(blot) : -1;
+    }
+
+    insertFootnote() {
+        const range = this.editor.getSelection(true);
+        if (!range) return;
+
+        const id = `fn_${generateId()}`;
+        const index = range.index + range.length;
+        this.editor.insertEmbed(index, 'footnote', { id, text: '' }, 'user');
+        this.editor.setSelection(index + 1, 0, 'api');
+        this.focusNote(id);
+    }
+
+    // Renumber the markers in document order and bring the notes area in line with them
+    refresh() {
+        const markers = this.markers();
+        markers.forEach((node, i) => {
+            const number = String(i + 1);
+            if (node.textContent !== number) node.textContent = number;
+        });
+
+        this.area.hidden = markers.length === 0;
+        const signature = markers.map(node => node.getAttribute('data-note-id')).join(',');
+        if (signature === this.signature) {
+            // Same notes in the same order: only refresh text the student isn't typing in
+            markers.forEach((node, i) => {
+                const input = this.list.children[i] && this.list.children[i].querySelector('textarea');
+                if (input && input !== document.activeElement && input.value !== node.getAttribute('data-note')) {
+                    input.value = node.getAttribute('data-note') || '';
+                }
+            });
+            return;
+        }
+
+        this.signature = signature;
+        this.list.innerHTML = '';
+        markers.forEach((node, i) => this.list.appendChild(this.renderNote(node, i + 1)));
+    }
+
+    renderNote(node, number) {
+        const id = node.getAttribute('data-note-id');
+        const item = createElement('li', 'footnote-item');
+        item.dataset.noteId = id;
+
+        const jumpBtn = createElement('button', 'footnote-number', `${number}.`);
+        jumpBtn.type = 'button';
+        jumpBtn.title = 'Go to this note in the text';
+        jumpBtn.addEventListener('click', () => this.goToMarker(id));
+        item.appendChild(jumpBtn);
+
+        const input = createElement('textarea', 'footnote-text');
+        input.rows = 1;
+        input.value = node.getAttribute('data-note') || '';
+        input.placeholder = 'Write the note…';
+        input.setAttribute('aria-label', `Footnote ${number}`);
+        input.addEventListener('input', () => this.scheduleCommit(id, input));
+        input.addEventListener('blur', () => this.commit(id, input.value));
+        item.appendChild(input);
+
+        const removeBtn = createElement('button', 'footnote-remove', '×');
+        removeBtn.type = 'button';
+        removeBtn.setAttribute('aria-label', `Remove footnote ${number}`);
+        removeBtn.addEventListener('click', () => this.removeFootnote(id));
+        item.appendChild(removeBtn);
+
+        return item;
+    }
+
+    focusNote(id) {
+        const item = Array.from(this.list.children).find(child => child.dataset.noteId === id);
+        const input = item ? item.querySelector('textarea') : null;
+        if (!input) return;
+        input.scrollIntoView({ block: 'nearest' });
+        input.focus();
+    }
+
+    goToMarker(id) {
+        const marker = this.findMarker(id);
+        if (!marker) return;
+        const index = this.markerIndex(marker);
+        if (index < 0) return;
+        this.editor.setSelection(index + 1, 0, 'user');
+        marker.scrollIntoView({ block: 'center' });
+    }
+
+    scheduleCommit(id, input) {
+        clearTimeout(this.commitTimers.get(id));
+        this.commitTimers.set(id, setTimeout(() => this.commit(id, input.value), FOOTNOTE_COMMIT_MS));
+    }
+
+    // Write the note text back into its marker as a 'user' change, so it autosaves and can be undone
+    commit(id, text) {
+        clearTimeout(this.commitTimers.get(id));
+        this.commitTimers.delete(id);
+
+        const marker = this.findMarker(id);
+        const value = text.trim();
+        if (!marker || marker.getAttribute('data-note') === value) return;
+        const index = this.markerIndex(marker);
+        if (index < 0) return;
+
+        const Delta = Quill.import('delta');
+        this.editor.updateContents(new Delta().retain(index).delete(1).insert({ footnote: { id, text: value } }), 'user');
+    }
+
+    removeFootnote(id) {
+        const marker = this.findMarker(id);
+        if (!marker) return;
+        const index = this.markerIndex(marker);
+        if (index < 0) return;
+        clearTimeout(this.commitTimers.get(id));
+        this.commitTimers.delete(id);
+        this.editor.deleteText(index, 1, 'user');
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FootnoteManager = FootnoteManager;
+    window.renderFootnotesAsEndnotes = renderFootnotesAsEndnotes;
+}
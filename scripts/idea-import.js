@@ -0,0 +1,291 @@
+/**
+ * Idea Import - Turn notes from elsewhere into Plan bubbles
+ * Accepts pasted bullet lists, Markdown outlines (headings become sections) or CSV files,
+ * previews the result and hands it to PlanModule.importIdeas()
+ */
+
+// Formats offered in the dialog ('auto' picks one from the text)
+const IDEA_IMPORT_FORMATS = [
+    { value: 'auto', label: 'Detect automatically' },
+    { value: 'list', label: 'Bullet list' },
+    { value: 'markdown', label: 'Markdown outline' },
+    { value: 'csv', label: 'CSV (idea, section, tag)' }
+];
+
+/**
+ * Parse imported notes into groups of ideas
+ * @param {string} text Pasted or uploaded text
+ * @param {string} format One of IDEA_IMPORT_FORMATS values
+ * @returns {Array<Object>} [{title, ideas: [{content, tag, children}]}]; title null means brainstorm
+ */
+function parseIdeaImport(text, format = 'auto') {
+    const source = (text || '').replace(/\r\n?/g, '\n');
+    if (!source.trim()) return [];
+
+    let resolved = format;
+    if (resolved === 'auto') {
+        if (/^#{1,6}\s+\S/m.test(source)) {
+            resolved = 'markdown';
+        } else if (source.split('\n').filter(line => line.trim()).every(line => line.includes(',') && !/^\s*([-*+•]|\d+[.)])\s/.test(line))) {
+            resolved = 'csv';
+        } else {
+            resolved = 'list';
+        }
+    }
+
+    return resolved === 'csv' ? parseIdeaCsv(source) : parseIdeaOutline(source, resolved === 'markdown');
+}
+
+// Bullet lists and Markdown: indentation nests ideas; with headings enabled, "# Title" starts a section
+function parseIdeaOutline(source, useHeadings) {
+    const groups = [{ title: null, ideas: [] }];
+    let stack = []; // [{indent, idea}] for the current group
+
+    source.split('\n').forEach(rawLine => {
+        if (!rawLine.trim()) return;
+        const line = rawLine.replace(/\t/g, '    ');
+
+        const heading = useHeadings ? line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/) : null;
+        if (heading) {
+            groups.push({ title: heading[1].trim(), ideas: [] });
+            stack = [];
+            return;
+        }
+
+        const indent = line.match(/^\s*/)[0].length;
+        const content = line.trim()
+            .replace(/^([-*+•]|\d+[.)])\s+/, '') // bullet or number
+            .replace(/^\[[ xX]\]\s+/, '') // task list box
+            .trim();
+        if (!content) return;
+
+        const idea = { content, tag: null, children: [] };
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        if (stack.length > 0) {
+            stack[stack.length - 1].idea.children.push(idea);
+        } else {
+            groups[groups.length - 1].ideas.push(idea);
+        }
+        stack.push({ indent, idea });
+    });
+
+    return groups.filter(group => group.ideas.length > 0 || group.title);
+}
+
+// CSV: idea, section, tag - a header row naming the columns is optional
+function parseIdeaCsv(source) {
+    const rows = parseCsvRows(source).filter(row => row.some(cell => cell.trim()));
+    if (rows.length === 0) return [];
+
+    let columns = { content: 0, section: 1, tag: 2 };
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    if (header.some(cell => ['idea', 'ideas', 'content', 'text', 'note'].includes(cell))) {
+        const find = (names) => header.findIndex(cell => names.includes(cell));
+        columns = {
+            content: find(['idea', 'ideas', 'content', 'text', 'note']),
+            section: find(['section', 'heading', 'category']),
+            tag: find(['tag', 'type'])
+        };
+        rows.shift();
+    }
+
+    const groups = new Map([[null, { title: null, ideas: [] }]]);
+    rows.forEach(row => {
+        const content = (row[columns.content] || '').trim();
+        if (!content) return;
+        const section = columns.section >= 0 ? (row[columns.section] || '').trim() || null : null;
+        const tag = columns.tag >= 0 ? (row[columns.tag] || '').trim().toLowerCase() : '';
+
+        if (!groups.has(section)) {
+            groups.set(section, { title: section, ideas: [] });
+        }
+        groups.get(section).ideas.push({
+            content,
+            tag: IDEA_TAGS.some(t => t.value === tag) ? tag : null,
+            children: []
+        });
+    });
+
+    return Array.from(groups.values()).filter(group => group.ideas.length > 0);
+}
+
+// Minimal RFC 4180 reader: quoted cells may contain commas, quotes ("") and line breaks
+function parseCsvRows(source) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows;
+}
+
+function countImportedIdeas(ideas) {
+    return ideas.reduce((total, idea) => total + 1 + countImportedIdeas(idea.children), 0);
+}
+
+class IdeaImportDialog {
+    constructor(planModule) {
+        this.planModule = planModule;
+        this.groups = [];
+        this.elements = {
+            modal: document.getElementById('ideaImportModal'),
+            openBtn: document.getElementById('importIdeasBtn'),
+            closeBtn: document.getElementById('ideaImportClose'),
+            cancelBtn: document.getElementById('ideaImportCancel'),
+            confirmBtn: document.getElementById('ideaImportConfirm'),
+            format: document.getElementById('ideaImportFormat'),
+            text: document.getElementById('ideaImportText'),
+            file: document.getElementById('ideaImportFile'),
+            preview: document.getElementById('ideaImportPreview')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const { modal, openBtn, closeBtn, cancelBtn, confirmBtn, format, text, file } = this.elements;
+        if (!modal) {
+            console.warn('IdeaImportDialog: Import dialog not found');
+            return;
+        }
+
+        if (format && format.options.length === 0) {
+            IDEA_IMPORT_FORMATS.forEach(option => format.appendChild(new Option(option.label, option.value)));
+        }
+
+        if (openBtn) openBtn.addEventListener('click', () => this.open());
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.close());
+        if (confirmBtn) confirmBtn.addEventListener('click', () => this.confirm());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+
+        if (format) format.addEventListener('change', () => this.updatePreview());
+        if (text) {
+            let previewTimer = null;
+            text.addEventListener('input', () => {
+                clearTimeout(previewTimer);
+                previewTimer = setTimeout(() => this.updatePreview(), 200);
+            });
+        }
+        if (file) {
+            file.addEventListener('change', async () => {
+                const selected = file.files && file.files[0];
+                if (!selected) return;
+                text.value = await selected.text();
+                if (format && /\.csv$/i.test(selected.name)) {
+                    format.value = 'csv';
+                } else if (format && /\.(md|markdown)$/i.test(selected.name)) {
+                    format.value = 'markdown';
+                }
+                this.updatePreview();
+            });
+        }
+    }
+
+    open() {
+        const { modal, text, file } = this.elements;
+        text.value = '';
+        if (file) file.value = '';
+        this.updatePreview();
+        modal.style.display = 'flex';
+        text.focus();
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+        this.groups = [];
+        if (this.elements.openBtn) this.elements.openBtn.focus();
+    }
+
+    updatePreview() {
+        const { text, format, preview, confirmBtn } = this.elements;
+        this.groups = parseIdeaImport(text.value, format ? format.value : 'auto');
+        preview.innerHTML = '';
+
+        const total = this.groups.reduce((sum, group) => sum + countImportedIdeas(group.ideas), 0);
+        confirmBtn.disabled = total === 0;
+        confirmBtn.textContent = total > 0 ? `Import ${total} idea${total === 1 ? '' : 's'}` : 'Import';
+
+        if (total === 0) {
+            preview.appendChild(createElement('p', 'idea-import-empty', 'Paste a list, a Markdown outline or CSV rows to see a preview.'));
+            return;
+        }
+
+        this.groups.forEach(group => {
+            const groupDiv = createElement('div', 'idea-import-group');
+            const heading = createElement('div', 'idea-import-group-title');
+            if (group.title === null) {
+                heading.textContent = 'Brainstorm';
+            } else {
+                const existing = this.planModule.findSectionByTitle(group.title);
+                heading.textContent = existing ? `Section: ${existing.title}` : `New section: ${group.title}`;
+                heading.appendChild(createElement('span', `idea-import-badge ${existing ? 'existing' : 'new'}`, existing ? 'existing' : 'new'));
+            }
+            groupDiv.appendChild(heading);
+            groupDiv.appendChild(this.renderIdeaList(group.ideas));
+            preview.appendChild(groupDiv);
+        });
+    }
+
+    renderIdeaList(ideas) {
+        const list = createElement('ul', 'idea-import-list');
+        ideas.forEach(idea => {
+            const item = createElement('li', idea.tag ? `tag-${idea.tag}` : '', idea.content);
+            if (idea.tag) {
+                item.appendChild(createElement('span', 'idea-import-tag', idea.tag));
+            }
+            if (idea.children.length > 0) {
+                item.appendChild(this.renderIdeaList(idea.children));
+            }
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    confirm() {
+        if (this.groups.length === 0) return;
+        const format = this.elements.format ? this.elements.format.value : 'auto';
+        this.planModule.importIdeas(this.groups, format);
+        this.close();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.IdeaImportDialog = IdeaImportDialog;
+    window.parseIdeaImport = parseIdeaImport;
+}
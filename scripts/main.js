@@ -74,18 +74,30 @@ class ProjectManager {
         this.autosaveDebounceMs = 1000; // idle debounce
         this.autosaveMinIntervalMs = 30000; // hard throttle
         this.isOnline = navigator.onLine;
+        this.sessionExpired = false; // The server rejected our session; saves wait in the offline store until a reload
+        this.conflictOpen = false; // Saves wait while the student decides which version to keep
+        this.conflictDialog = typeof SaveConflictDialog !== 'undefined' ? new SaveConflictDialog() : null;
+        this.liveSync = null; // LiveCollaboration, in group projects edited live
+        // Unsaved work is kept in IndexedDB so a closed tab or reload doesn't lose it
+        this.offlineStore = typeof OfflineStore !== 'undefined' && window.cmId && window.userId
+            ? new OfflineStore(window.cmId, window.userId)
+            : null;
 
         // Online/offline handling
         window.addEventListener('online', () => {
             this.isOnline = true;
-            // Trigger a save soon after coming online if pending
-            if (this.autosavePending || this.autosaveTimer === null) {
-                this.scheduleAutoSave('online-retry');
-            }
+            // Send the work kept while offline first; otherwise trigger a save soon if pending
+            this.replayOfflineChanges().then((replayed) => {
+                if (!replayed && (this.autosavePending || this.autosaveTimer === null)) {
+                    this.scheduleAutoSave('online-retry');
+                }
+            });
         });
         window.addEventListener('offline', () => {
             this.isOnline = false;
-            this.globalState.notifyListeners('autosave_offline', {});
+            this.getOfflineChanges().then((pending) => {
+                this.globalState.notifyListeners('autosave_offline', { pending: pending ? pending.changes : 0 });
+            });
         });
 
         this.init();
@@ -101,6 +113,11 @@ class ProjectManager {
             await this.loadProject();
             this.isReady = true;
             this.globalState.notifyListeners('ready', this.globalState.getState());
+
+            // Work left unsent by an earlier visit is back in the editors; send it once they have restored
+            this.getOfflineChanges().then((pending) => {
+                if (pending) this.scheduleAutoSave('offline-replay', true);
+            });
         } catch (error) {
             console.error('ProjectManager: Initialization failed:', error);
             this.globalState.notifyListeners('error', error);
@@ -109,7 +126,15 @@ class ProjectManager {
 
     async loadProject() {
         try {
-            const project = await this.api.loadProject();
+            let project = await this.api.loadProject();
+
+            // Changes made on this device that never reached the server are newer than the server copy
+            const pending = await this.getOfflineChanges();
+            if (pending) {
+                console.log(`ProjectManager: Restoring ${pending.changes} unsaved change(s) from this device`);
+                project = { ...(project || deepClone(DEFAULT_PROJECT_SCHEMA)), ...pending.project };
+            }
+
             if (project) {
                 // Ensure goal is set before setting state
                 if (!project.metadata) {
@@ -149,6 +174,18 @@ class ProjectManager {
         this.modules.set(name, module);
     }
 
+    /**
+     * Merge the sources and comments of a project saved elsewhere into this copy's (they are not edited live)
+     * @param {Object} project Saved project
+     */
+    mergeStoredLists(project) {
+        if (!project) return;
+        ['sources', 'comments'].forEach((name) => {
+            const module = this.modules.get(name);
+            if (module && typeof module.mergeStored === 'function') module.mergeStored(project);
+        });
+    }
+
     // Gather all data from registered modules and current state for saving
     collectAllData() {
         const currentState = this.globalState.getState();
@@ -199,6 +236,7 @@ class ProjectManager {
         if (collectedData.chatHistory) {
             delete collectedData.chatHistory;
         }
+        this.globalState.notifyListeners('collected', collectedData);
         return collectedData;
     }
 
@@ -210,16 +248,28 @@ class ProjectManager {
         }
 
         this.isSaving = true;
+        const collectedAt = Date.now();
 
         try {
-            // Show saving indicator
-            this.globalState.notifyListeners('autosave_saving', { reason: 'direct' });
             // Collect all data from modules and current state
             const completeProjectData = this.collectAllData();
 
             // Update global state with collected data to ensure consistency
             this.globalState.setState(completeProjectData, true);
 
+            // Nothing is sent while a save conflict is waiting for the student
+            if (this.conflictOpen) {
+                return false;
+            }
+
+            // Offline, or the session has ended: keep the work on this device until it can be sent
+            if (!this.isOnline || this.sessionExpired) {
+                await this.keepOffline(completeProjectData);
+                return false;
+            }
+
+            // Show saving indicator
+            this.globalState.notifyListeners('autosave_saving', { reason: 'direct' });
 
             const result = await this.api.saveProject(completeProjectData);
 
@@ -230,15 +280,48 @@ class ProjectManager {
                 }
 
                 this.lastSaveTime = new Date();
+                // The next save has to be based on this one
+                if (result.revision !== undefined) {
+                    const state = this.globalState.getState();
+                    state.metadata = { ...state.metadata, revision: result.revision };
+                    this.globalState.setState(state, true);
+                }
+                if (this.offlineStore) {
+                    this.offlineStore.clearProject(collectedAt).catch(err => {
+                        console.warn('ProjectManager: Could not clear offline changes:', err);
+                    });
+                }
                 this.globalState.notifyListeners('saved', completeProjectData);
                 this.globalState.notifyListeners('autosave_saved', { reason: 'direct', at: new Date().toISOString() });
                 return true;
+            } else if (result && result.conflict) {
+                if (this.liveSync && this.liveSync.isLive()) {
+                    // Another group member saved first; live editing already gave this copy their changes to the
+                    // drafts and the board, but their sources and comments only come with the saved project
+                    this.mergeStoredLists(result.project);
+                    const state = this.globalState.getState();
+                    state.metadata = { ...state.metadata, revision: result.revision };
+                    this.globalState.setState(state, true);
+                    this.saveQueued = true;
+                    return false;
+                }
+                this.resolveConflict(completeProjectData, result).catch(error => {
+                    console.error('ProjectManager: Could not resolve the save conflict:', error);
+                    this.globalState.notifyListeners('autosave_error', { reason: 'conflict', error });
+                });
+                return false;
+            } else if (result && (result.networkError || result.sessionExpired)) {
+                // The request never got through; nothing is lost, it is sent again later
+                this.sessionExpired = result.sessionExpired;
+                await this.keepOffline(completeProjectData);
+                return false;
             } else {
                 throw new Error('Save failed');
             }
         } catch (error) {
             console.error('ProjectManager: Failed to save project:', error);
             this.globalState.notifyListeners('error', error);
+            this.globalState.notifyListeners('autosave_error', { reason: 'direct', error });
             return false;
         } finally {
             this.isSaving = false;
@@ -251,16 +334,119 @@ class ProjectManager {
         }
     }
 
+    /**
+     * The project was saved from another tab or device since this one loaded it. Keep this device's copy
+     * safe, let the student choose per phase, show the result and save it on top of the server's revision.
+     * Without the dialog or the server's copy there is nothing to choose from: saving stops until a reload.
+     * @param {Object} mine Project data the rejected save sent
+     * @param {Object} conflict {revision, project} from the server
+     */
+    async resolveConflict(mine, conflict) {
+        this.conflictOpen = true;
+        if (this.offlineStore) {
+            this.offlineStore.putProject(mine).catch(err => {
+                console.warn('ProjectManager: Could not keep this device\'s copy:', err);
+            });
+        }
+
+        if (!this.conflictDialog || !this.conflictDialog.isAvailable() || !conflict.project) {
+            // conflictOpen stays set, so nothing is saved over the other copy
+            if (this.autosaveTimer) {
+                clearTimeout(this.autosaveTimer);
+                this.autosaveTimer = null;
+            }
+            this.globalState.notifyListeners('autosave_conflict', { unresolved: true });
+            alert('This project was changed on another device or tab, so your latest changes were not saved. ' +
+                'They are kept on this device: reload the page to compare both versions and choose what to keep.');
+            return;
+        }
+
+        this.globalState.notifyListeners('autosave_conflict', {});
+        const theirs = conflict.project;
+        const resolved = await this.conflictDialog.open(mine, theirs);
+
+        try {
+            if (resolved.phases.includes('plan') && this.modules.has('plan')) {
+                await this.modules.get('plan').replacePlan(resolved.project.plan || {}, theirs.plan?.ideas || []);
+            }
+            ['write', 'edit'].forEach(phase => {
+                const module = this.modules.get(phase);
+                if (resolved.phases.includes(phase) && module && module.editor) {
+                    module.editor.root.innerHTML = resolved.project[phase]?.content || '';
+                }
+            });
+            // Sources and comments are not in the dialog: both devices' are kept, merged by id, so the save
+            // below does not delete what was added on the other one
+            this.mergeStoredLists(theirs);
+
+            const state = this.globalState.getState();
+            state.metadata = { ...state.metadata, revision: conflict.revision };
+            this.globalState.setState(state, true);
+        } catch (error) {
+            console.error('ProjectManager: Failed to apply the chosen versions:', error);
+        } finally {
+            this.conflictOpen = false;
+        }
+
+        await this.saveProject();
+    }
+
+    // Latest unsaved project kept on this device, or null
+    async getOfflineChanges() {
+        if (!this.offlineStore) return null;
+        try {
+            return await this.offlineStore.getProject();
+        } catch (error) {
+            console.warn('ProjectManager: Could not read offline changes:', error);
+            return null;
+        }
+    }
+
+    // Store project data that could not be sent, and tell the save indicator how much is waiting
+    async keepOffline(projectData) {
+        let record = null;
+        if (this.offlineStore) {
+            try {
+                record = await this.offlineStore.putProject(projectData);
+            } catch (error) {
+                console.warn('ProjectManager: Could not keep changes offline:', error);
+            }
+        }
+        const event = this.sessionExpired ? 'autosave_session_expired' : 'autosave_offline';
+        this.globalState.notifyListeners(event, { pending: record ? record.changes : 0, stored: Boolean(record) });
+    }
+
+    /**
+     * Send the work kept in the offline store. Saving sends the current state, which already includes it.
+     * @returns {Promise<boolean>} Whether there was anything waiting
+     */
+    async replayOfflineChanges() {
+        const pending = await this.getOfflineChanges();
+        if (!pending) return false;
+
+        if (!this.isOnline || this.sessionExpired) {
+            const event = this.sessionExpired ? 'autosave_session_expired' : 'autosave_offline';
+            this.globalState.notifyListeners(event, { pending: pending.changes, stored: true });
+            return true;
+        }
+
+        await this.saveProject();
+        return true;
+    }
+
     // Schedule an autosave with debounce and global throttle
     scheduleAutoSave(reason = 'unspecified', force = false) {
+        // Saving waits for the student to settle a save conflict
+        if (this.conflictOpen) return;
+
         const now = Date.now();
         const last = this.lastSaveTime ? this.lastSaveTime.getTime() : 0;
         const elapsed = now - last;
 
-        // If offline, defer until online
-        if (!this.isOnline) {
+        // If offline, keep the work on this device right away and send it once online
+        if (!this.isOnline || this.sessionExpired) {
             this.autosavePending = true;
-            this.globalState.notifyListeners('autosave_offline', { reason });
+            this.saveProject().catch(() => { });
             return;
         }
 
@@ -284,8 +470,10 @@ class ProjectManager {
         this.autosaveTimer = setTimeout(async () => {
             try {
                 this.globalState.notifyListeners('autosave_saving', { reason });
-                await this.saveProject();
-                this.globalState.notifyListeners('autosave_saved', { reason, at: new Date().toISOString() });
+                // A failed save has already said why (offline, conflict); "Saved" would hide that
+                if (await this.saveProject()) {
+                    this.globalState.notifyListeners('autosave_saved', { reason, at: new Date().toISOString() });
+                }
             } catch (e) {
                 this.globalState.notifyListeners('autosave_error', { reason, error: e });
             } finally {
@@ -405,6 +593,13 @@ class PlanModule {
         this.setupElements();
         this.setupDragAndDrop();
         this.setupEventListeners();
+        this.setupMindMap();
+        this.setupIdeaFilters();
+        this.setupAutoOrganize();
+        this.setupHistory();
+        this.setupKeyboardDragAndDrop();
+        this.setupIdeaImport();
+        this.setupPlanExport();
         this.setupStateSync();
 
         // Mark as initialized (sections will load when ready event fires)
@@ -555,6 +750,7 @@ class PlanModule {
                 animation: 150,
                 onStart: (evt) => {
                     this.isDragging = true;
+                    this.dragSnapshot = this.capturePlanSnapshot();
                 },
                 onEnd: (evt) => {
                     this.isDragging = false;
@@ -679,6 +875,36 @@ class PlanModule {
             const { bubbleId } = event.detail;
             this.handleBubbleDeleted(bubbleId);
         });
+
+        // Keyboard nesting (Alt+Shift+Right / Alt+Shift+Left on a focused bubble)
+        document.addEventListener('bubbleIndent', (event) => {
+            event.detail.handled = this.indentBubble(event.detail.bubbleId);
+        });
+        document.addEventListener('bubbleOutdent', (event) => {
+            event.detail.handled = this.outdentBubble(event.detail.bubbleId);
+        });
+
+        // Collapsed state is saved so the outline reopens the way the student left it
+        document.addEventListener('bubbleCollapseToggled', () => {
+            this.triggerAutoSave();
+        });
+
+        // Student picked an AI-suggested idea from a chat chip
+        document.addEventListener('ideaSuggestionAccepted', (event) => {
+            const bubble = this.addSuggestedIdea(event.detail.content, event.detail.sectionId);
+            if (bubble) {
+                event.detail.bubbleId = bubble.id;
+            }
+        });
+
+        // Tag changes are saved right away and may change what the filter bar shows
+        document.addEventListener('bubbleTagChanged', () => {
+            this.applyIdeaFilters();
+            if (this.mindMapView) {
+                this.mindMapView.refresh();
+            }
+            this.triggerAutoSave();
+        });
     }
 
     handleAddIdeaClick(e) {
@@ -686,11 +912,323 @@ class PlanModule {
             e.preventDefault();
             e.stopPropagation();
         }
+        // New ideas are typed in the list view, so leave the mind map first
+        this.setMindMapVisible(false);
+        // A new untagged idea would be hidden by most filters
+        this.clearIdeaFilters();
         this.addIdeaBubble();
     }
 
+    // Auto-organize: AI proposes section placements, previewed as ghost bubbles the student accepts or rejects
+    setupAutoOrganize() {
+        this.organizeSuggestions = new Map(); // ideaId -> {ideaId, sectionId, reason}
+
+        const autoOrganizeButton = document.getElementById('autoOrganizeButton');
+        if (autoOrganizeButton) {
+            autoOrganizeButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleAutoOrganizeClick();
+            });
+        }
+
+        document.addEventListener('ghostBubbleAccepted', (event) => {
+            this.acceptOrganizeSuggestion(event.detail.ideaId);
+        });
+        document.addEventListener('ghostBubbleRejected', (event) => {
+            this.rejectOrganizeSuggestion(event.detail.ideaId);
+        });
+    }
+
+    async handleAutoOrganizeClick() {
+        if (this.isOrganizing) return;
+
+        const ideas = Array.from(this.bubbles.values())
+            .filter(bubble => bubble.location === 'brainstorm' && !bubble.parentId && bubble.getContent().trim())
+            .map(bubble => ({ id: String(bubble.id), content: bubble.getContent().trim() }));
+        const sections = this.getOrderedSectionIds().map(sectionId => {
+            const section = this.sections.get(sectionId);
+            return { id: sectionId, title: section.title, description: section.description || '' };
+        });
+
+        if (ideas.length === 0 || sections.length === 0) {
+            alert('Add at least one brainstorm idea and one outline section before auto-organizing.');
+            return;
+        }
+
+        const goalElement = document.getElementById('assignmentGoal');
+        const goal = goalElement ? goalElement.textContent.trim() : '';
+
+        const autoOrganizeButton = document.getElementById('autoOrganizeButton');
+        const buttonLabel = autoOrganizeButton ? autoOrganizeButton.querySelector('span') : null;
+        this.isOrganizing = true;
+        if (autoOrganizeButton) autoOrganizeButton.disabled = true;
+        if (buttonLabel) buttonLabel.textContent = 'Organizing...';
+
+        try {
+            const placements = await this.api.organizeIdeas(ideas, sections, goal);
+            this.showOrganizeSuggestions(placements);
+            if (this.organizeSuggestions.size === 0) {
+                alert('The AI could not confidently place any of your brainstorm ideas. Try adding more detail to your sections or ideas.');
+            }
+        } catch (error) {
+            console.error('PlanModule.handleAutoOrganizeClick(): Failed to organize ideas:', error);
+            alert('Could not auto-organize your ideas right now. Please try again.');
+        } finally {
+            this.isOrganizing = false;
+            if (buttonLabel) buttonLabel.textContent = 'Auto-organize';
+            this.updateAskAIOutlineButtonState();
+        }
+    }
+
+    showOrganizeSuggestions(placements) {
+        this.clearOrganizeSuggestions();
+
+        (placements || []).forEach(placement => {
+            const ideaId = String(placement.ideaId);
+            const bubble = this.bubbles.get(ideaId);
+            const section = this.sections.get(placement.sectionId);
+            // The student may have moved or deleted the idea while the AI was thinking
+            if (!bubble || !section || bubble.location !== 'brainstorm' || bubble.parentId) return;
+
+            this.organizeSuggestions.set(ideaId, { ...placement, ideaId });
+            section.addGhostBubble({ ...placement, ideaId }, bubble.getContent().trim());
+            bubble.element.classList.add('organize-pending');
+        });
+    }
+
+    acceptOrganizeSuggestion(ideaId) {
+        const suggestion = this.organizeSuggestions.get(String(ideaId));
+        if (!suggestion) return;
+
+        const bubble = this.bubbles.get(suggestion.ideaId);
+        const section = this.sections.get(suggestion.sectionId);
+        this.rejectOrganizeSuggestion(ideaId);
+        if (!bubble || !section || bubble.location !== 'brainstorm') return;
+
+        // Move the bubble, then let handleDragEnd update its location and save - same as a manual drop
+        this.dragSnapshot = this.capturePlanSnapshot();
+        const from = bubble.element.parentNode;
+        section.addBubble(bubble);
+        const outlineContainer = section.element.querySelector('.outline-container');
+        this.handleDragEnd({ item: bubble.element, from, to: outlineContainer });
+
+        if (this.mindMapView) {
+            this.mindMapView.refresh();
+        }
+        this.updateAskAIButtonState();
+        this.updateAskAIOutlineButtonState();
+    }
+
+    rejectOrganizeSuggestion(ideaId) {
+        const suggestion = this.organizeSuggestions ? this.organizeSuggestions.get(String(ideaId)) : null;
+        if (!suggestion) return;
+
+        this.organizeSuggestions.delete(suggestion.ideaId);
+        const section = this.sections.get(suggestion.sectionId);
+        if (section) {
+            section.removeGhostBubble(suggestion.ideaId);
+        }
+        const bubble = this.bubbles.get(suggestion.ideaId);
+        if (bubble) {
+            bubble.element.classList.remove('organize-pending');
+        }
+    }
+
+    clearOrganizeSuggestions() {
+        if (!this.organizeSuggestions) return;
+
+        Array.from(this.organizeSuggestions.keys()).forEach(ideaId => this.rejectOrganizeSuggestion(ideaId));
+        this.sections.forEach(section => section.clearGhostBubbles());
+    }
+
+    // Filter bar: show or hide bubbles by tag, author (AI vs. student) and section
+    setupIdeaFilters() {
+        this.ideaFilters = { tags: new Set(), source: 'all', section: 'all' };
+
+        const tagContainer = document.getElementById('ideaFilterTags');
+        if (tagContainer) {
+            IDEA_TAGS.forEach(tag => {
+                const chip = createElement('button', `idea-filter-tag tag-${tag.value}`, tag.label);
+                chip.type = 'button';
+                chip.dataset.tag = tag.value;
+                chip.setAttribute('aria-pressed', 'false');
+                chip.addEventListener('click', () => {
+                    if (this.ideaFilters.tags.has(tag.value)) {
+                        this.ideaFilters.tags.delete(tag.value);
+                    } else {
+                        this.ideaFilters.tags.add(tag.value);
+                    }
+                    this.applyIdeaFilters();
+                });
+                tagContainer.appendChild(chip);
+            });
+        }
+
+        const sourceSelect = document.getElementById('ideaFilterSource');
+        if (sourceSelect) {
+            sourceSelect.addEventListener('change', () => {
+                this.ideaFilters.source = sourceSelect.value;
+                this.applyIdeaFilters();
+            });
+        }
+
+        const sectionSelect = document.getElementById('ideaFilterSection');
+        if (sectionSelect) {
+            // Sections can be added, removed or renamed at any time, so rebuild the list on open
+            sectionSelect.addEventListener('focus', () => this.updateSectionFilterOptions());
+            sectionSelect.addEventListener('change', () => {
+                this.ideaFilters.section = sectionSelect.value;
+                this.applyIdeaFilters();
+            });
+        }
+
+        const clearBtn = document.getElementById('ideaFilterClear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clearIdeaFilters());
+        }
+    }
+
+    updateSectionFilterOptions() {
+        const sectionSelect = document.getElementById('ideaFilterSection');
+        if (!sectionSelect) return;
+
+        Array.from(sectionSelect.options)
+            .filter(option => option.value !== 'all' && option.value !== 'brainstorm')
+            .forEach(option => option.remove());
+
+        this.getOrderedSectionIds().forEach(sectionId => {
+            const section = this.sections.get(sectionId);
+            if (section) {
+                sectionSelect.appendChild(new Option(section.title, sectionId));
+            }
+        });
+
+        // The filtered section may have been deleted
+        if (!Array.from(sectionSelect.options).some(option => option.value === this.ideaFilters.section)) {
+            this.ideaFilters.section = 'all';
+        }
+        sectionSelect.value = this.ideaFilters.section;
+    }
+
+    // Section IDs in the order they appear in the outline
+    getOrderedSectionIds() {
+        if (!this.elements.outlineItems) {
+            return Array.from(this.sections.keys());
+        }
+        return Array.from(this.elements.outlineItems.querySelectorAll('.template-section'))
+            .map(element => element.dataset.sectionId)
+            .filter(sectionId => this.sections.has(sectionId));
+    }
+
+    hasActiveIdeaFilters() {
+        if (!this.ideaFilters) return false;
+        return this.ideaFilters.tags.size > 0 ||
+            this.ideaFilters.source !== 'all' ||
+            this.ideaFilters.section !== 'all';
+    }
+
+    matchesIdeaFilters(bubble) {
+        const { tags, source, section } = this.ideaFilters;
+
+        if (tags.size > 0 && !tags.has(bubble.tag)) return false;
+        if (source === 'ai' && !bubble.aiGenerated) return false;
+        if (source === 'student' && bubble.aiGenerated) return false;
+
+        if (section === 'brainstorm') {
+            return (bubble.location || 'brainstorm') === 'brainstorm';
+        }
+        if (section !== 'all') {
+            return bubble.location === 'outline' && bubble.sectionId === section;
+        }
+        return true;
+    }
+
+    applyIdeaFilters() {
+        if (!this.ideaFilters) return;
+
+        const active = this.hasActiveIdeaFilters();
+        const matching = new Set();
+        this.bubbles.forEach((bubble, id) => {
+            if (!active || this.matchesIdeaFilters(bubble)) {
+                matching.add(id);
+            }
+        });
+
+        // Keep a parent visible when one of its sub-points matches, so the match has context
+        this.bubbles.forEach((bubble, id) => {
+            const visible = matching.has(id) || Array.from(bubble.element.querySelectorAll('.idea-bubble'))
+                .some(child => matching.has(child.dataset.id));
+            bubble.element.classList.toggle('filtered-out', !visible);
+        });
+
+        document.querySelectorAll('#ideaFilterTags .idea-filter-tag').forEach(chip => {
+            const pressed = this.ideaFilters.tags.has(chip.dataset.tag);
+            chip.classList.toggle('active', pressed);
+            chip.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+        });
+
+        const clearBtn = document.getElementById('ideaFilterClear');
+        if (clearBtn) {
+            clearBtn.hidden = !active;
+        }
+    }
+
+    clearIdeaFilters() {
+        if (!this.ideaFilters) return;
+
+        this.ideaFilters.tags.clear();
+        this.ideaFilters.source = 'all';
+        this.ideaFilters.section = 'all';
+
+        const sourceSelect = document.getElementById('ideaFilterSource');
+        if (sourceSelect) sourceSelect.value = 'all';
+        const sectionSelect = document.getElementById('ideaFilterSection');
+        if (sectionSelect) sectionSelect.value = 'all';
+
+        this.applyIdeaFilters();
+    }
+
+    // Mind map: alternate canvas view of the brainstorm ideas
+    setupMindMap() {
+        const canvas = document.getElementById('mindMapCanvas');
+        if (typeof MindMapView === 'undefined' || !canvas) {
+            this.mindMapView = null;
+            return;
+        }
+        this.mindMapView = new MindMapView(this, canvas);
+
+        const toggleBtn = document.getElementById('toggleMindMapBtn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setMindMapVisible(!this.mindMapView.isActive);
+            });
+        }
+    }
+
+    setMindMapVisible(visible) {
+        if (!this.mindMapView) return;
+
+        if (visible) {
+            this.mindMapView.show();
+        } else {
+            this.mindMapView.hide();
+        }
+
+        if (this.elements.ideaBubbles) {
+            this.elements.ideaBubbles.style.display = visible ? 'none' : '';
+        }
+        const toggleBtn = document.getElementById('toggleMindMapBtn');
+        if (toggleBtn) {
+            toggleBtn.classList.toggle('active', visible);
+            toggleBtn.setAttribute('aria-pressed', visible ? 'true' : 'false');
+            toggleBtn.querySelector('span').textContent = visible ? 'List View' : 'Mind Map';
+        }
+    }
+
     async handleBubbleDeleted(bubbleId) {
         try {
+            const snapshot = this.capturePlanSnapshot();
             const bubble = this.bubbles.get(bubbleId);
             const payload = bubble ? {
                 id: bubbleId, // may be non-numeric; backend will fallback to fields
@@ -701,9 +1239,21 @@ class PlanModule {
 
             const ok = await this.api.deleteIdea(payload);
             if (ok) {
+                this.recordHistory(snapshot);
+                // Keep any sub-points: promote them to the deleted bubble's level first
+                const promoted = bubble ? this.promoteChildren(bubble) : [];
+                const hadConnections = this.mindMapView ? this.mindMapView.removeIdea(bubbleId) : false;
+                this.rejectOrganizeSuggestion(bubbleId);
+
                 this.bubbles.delete(bubbleId);
                 const node = document.querySelector(`.idea-bubble[data-id="${bubbleId}"]`);
+                const parentBubble = node ? this.getParentBubble(node) : null;
                 if (node && node.parentNode) node.parentNode.removeChild(node);
+                if (parentBubble) parentBubble.updateChildState();
+
+                if (promoted.length > 0 || hadConnections) {
+                    this.triggerAutoSave();
+                }
                 // Update Ask AI button state after bubble is deleted
                 this.updateAskAIButtonState();
                 this.updateAskAIOutlineButtonState();
@@ -745,6 +1295,11 @@ class PlanModule {
                 this.restoreBubblesFromState(state.plan.ideas);
             }
 
+            // Mind map positions and connectors refer to the restored bubbles
+            if (this.mindMapView) {
+                this.mindMapView.load(state.plan?.mindMap);
+            }
+
             // Goals are now instructor-level and displayed per-tab
             // No need to restore from student metadata
         });
@@ -757,6 +1312,486 @@ class PlanModule {
         });
     }
 
+    /**
+     * Keyboard alternative to Sortable: Space picks up a focused bubble or section,
+     * arrow keys move it, Enter drops it and Escape puts it back. Each step is announced
+     * in the #planLiveRegion live region. Drops go through handleDragEnd()/handleSectionReorder().
+     */
+    setupKeyboardDragAndDrop() {
+        this.keyboardDrag = null;
+        this.liveRegion = document.getElementById('planLiveRegion');
+
+        document.addEventListener('bubbleGrabRequested', (event) => {
+            const bubble = this.bubbles.get(event.detail.bubbleId);
+            // Bubbles can't be moved while the mind map replaces the list
+            if (!bubble || (this.mindMapView && this.mindMapView.isActive)) return;
+            this.startKeyboardDrag('bubble', bubble.element);
+        });
+        document.addEventListener('sectionGrabRequested', (event) => {
+            const section = this.sections.get(event.detail.sectionId);
+            if (section) this.startKeyboardDrag('section', section.element);
+        });
+
+        // Capture phase, so bubble and section shortcuts don't also fire mid-move
+        document.addEventListener('keydown', (e) => {
+            if (!this.keyboardDrag) return;
+            // Focus moved on (mouse click, Tab): abandon the move rather than hijack other keys
+            if (document.activeElement !== this.keyboardDrag.element) {
+                this.cancelKeyboardDrag(false);
+                return;
+            }
+            const handled = {
+                ArrowUp: () => this.moveKeyboardDrag('up'),
+                ArrowDown: () => this.moveKeyboardDrag('down'),
+                ArrowLeft: () => this.moveKeyboardDrag('left'),
+                ArrowRight: () => this.moveKeyboardDrag('right'),
+                Enter: () => this.finishKeyboardDrag(),
+                ' ': () => this.finishKeyboardDrag(),
+                Escape: () => this.cancelKeyboardDrag()
+            }[e.key];
+            if (!handled) return;
+            e.preventDefault();
+            e.stopPropagation();
+            handled();
+        }, true);
+    }
+
+    announce(message) {
+        if (!this.liveRegion) return;
+        // Clear first so repeating the same message is still read out
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            this.liveRegion.textContent = message;
+        }, 50);
+    }
+
+    startKeyboardDrag(type, element) {
+        if (this.keyboardDrag) {
+            this.finishKeyboardDrag();
+            return;
+        }
+        if (this.isDragging || this.isRestoringHistory) return;
+
+        this.keyboardDrag = {
+            type,
+            element,
+            from: element.parentNode,
+            nextSibling: element.nextSibling,
+            snapshot: this.capturePlanSnapshot()
+        };
+        element.classList.add('keyboard-grabbed');
+        element.setAttribute('aria-grabbed', 'true');
+
+        if (type === 'bubble') {
+            this.announce(`Picked up "${this.getKeyboardDragLabel()}" in ${this.describeKeyboardPosition()}. ` +
+                'Use Left and Right to move between brainstorm and sections, Up and Down to reorder, ' +
+                'Enter to drop, Escape to cancel.');
+        } else {
+            this.announce(`Picked up section "${this.getKeyboardDragLabel()}", ${this.describeKeyboardPosition()}. ` +
+                'Use Up and Down to reorder, Enter to drop, Escape to cancel.');
+        }
+    }
+
+    // Brainstorm first, then each section's drop zone in board order
+    getKeyboardDropZones() {
+        const zones = this.elements.ideaBubbles ? [this.elements.ideaBubbles] : [];
+        if (this.elements.outlineItems) {
+            Array.from(this.elements.outlineItems.children).forEach(sectionElement => {
+                const container = sectionElement.querySelector(':scope > .outline-container');
+                if (container) zones.push(container);
+            });
+        }
+        return zones;
+    }
+
+    getKeyboardDragLabel() {
+        const { type, element } = this.keyboardDrag;
+        if (type === 'section') {
+            const section = this.sections.get(element.dataset.sectionId);
+            return section ? section.title : 'Section';
+        }
+        const bubble = this.bubbles.get(element.dataset.id);
+        const content = bubble ? bubble.getContent().trim() : '';
+        return content.length > 60 ? `${content.substring(0, 60)}...` : (content || 'Empty idea');
+    }
+
+    // "Main Arguments, position 2 of 3"
+    describeKeyboardPosition() {
+        const { type, element } = this.keyboardDrag;
+        const siblings = Array.from(element.parentNode.children).filter(child =>
+            child.classList.contains(type === 'section' ? 'template-section' : 'idea-bubble'));
+        const position = `position ${siblings.indexOf(element) + 1} of ${siblings.length}`;
+        if (type === 'section') return position;
+
+        const zone = element.parentNode.closest('.outline-container');
+        const section = zone ? this.sections.get(zone.dataset.sectionId) : null;
+        const parentBubble = this.getParentBubble(element);
+        const zoneName = section ? section.title : 'Brainstorm';
+        return parentBubble ? `${zoneName}, under "${parentBubble.getContent().trim()}", ${position}` : `${zoneName}, ${position}`;
+    }
+
+    moveKeyboardDrag(direction) {
+        const { type, element } = this.keyboardDrag;
+        const container = element.parentNode;
+        const siblingClass = type === 'section' ? 'template-section' : 'idea-bubble';
+
+        if (direction === 'up' || direction === 'down') {
+            // The brainstorm list isn't sortable with the mouse either
+            if (type === 'bubble' && container === this.elements.ideaBubbles) {
+                this.announce('Brainstorm ideas are not ordered. Use Right to move into a section.');
+                return;
+            }
+            let sibling = direction === 'up' ? element.previousElementSibling : element.nextElementSibling;
+            while (sibling && !sibling.classList.contains(siblingClass)) {
+                sibling = direction === 'up' ? sibling.previousElementSibling : sibling.nextElementSibling;
+            }
+            if (!sibling) {
+                this.announce(`Already at the ${direction === 'up' ? 'top' : 'bottom'}. ${this.describeKeyboardPosition()}.`);
+                return;
+            }
+            container.insertBefore(element, direction === 'up' ? sibling : sibling.nextSibling);
+        } else {
+            if (type === 'section') return;
+            const zones = this.getKeyboardDropZones();
+            const currentZone = container.closest('.outline-container') || this.elements.ideaBubbles;
+            const target = zones[zones.indexOf(currentZone) + (direction === 'left' ? -1 : 1)];
+            if (!target) {
+                this.announce(`No more sections to the ${direction}. ${this.describeKeyboardPosition()}.`);
+                return;
+            }
+            const placeholder = target.querySelector(':scope > .dropzone-placeholder');
+            if (placeholder) placeholder.remove();
+            target.classList.remove('empty');
+            target.appendChild(element);
+        }
+
+        element.focus();
+        this.announce(`Moved to ${this.describeKeyboardPosition()}.`);
+    }
+
+    finishKeyboardDrag() {
+        const { type, element, from, nextSibling, snapshot } = this.keyboardDrag;
+        const position = this.describeKeyboardPosition();
+        this.keyboardDrag = null;
+        element.classList.remove('keyboard-grabbed');
+        element.removeAttribute('aria-grabbed');
+        element.focus();
+
+        const label = type === 'section' ? 'section' : 'idea';
+        if (element.parentNode === from && element.nextSibling === nextSibling) {
+            this.announce(`Dropped the ${label} where it was.`);
+            return;
+        }
+
+        this.announce(`Dropped the ${label} in ${position}.`);
+        if (type === 'section') {
+            this.recordHistory(snapshot);
+            this.handleSectionReorder();
+        } else {
+            // Same path as a mouse drop
+            this.recordHistory(snapshot);
+            this.handleDragEnd({ item: element, from, to: element.parentNode });
+        }
+    }
+
+    cancelKeyboardDrag(restoreFocus = true) {
+        const { element, from, nextSibling } = this.keyboardDrag;
+        this.keyboardDrag = null;
+        element.classList.remove('keyboard-grabbed');
+        element.removeAttribute('aria-grabbed');
+        from.insertBefore(element, nextSibling && nextSibling.parentNode === from ? nextSibling : null);
+        if (restoreFocus) element.focus();
+        this.announce('Move cancelled. The item is back where it started.');
+    }
+
+    setupIdeaImport() {
+        this.ideaImportDialog = typeof IdeaImportDialog !== 'undefined' ? new IdeaImportDialog(this) : null;
+    }
+
+    setupPlanExport() {
+        this.planExportMenu = typeof PlanExportMenu !== 'undefined' ? new PlanExportMenu(this) : null;
+    }
+
+    /**
+     * Outline section whose title (or ID) matches, ignoring case
+     * @param {string} title Section title from an import
+     * @returns {SectionComponent|null}
+     */
+    findSectionByTitle(title) {
+        const key = (title || '').trim().toLowerCase();
+        if (!key) return null;
+        let match = null;
+        this.sections.forEach(section => {
+            if (!match && ((section.title || '').trim().toLowerCase() === key || section.id === key)) {
+                match = section;
+            }
+        });
+        return match;
+    }
+
+    /**
+     * Add parsed import groups to the board as one undoable step.
+     * Groups with a title go into the matching section (created when missing), the rest into brainstorm.
+     * @param {Array<Object>} groups From parseIdeaImport()
+     * @param {string} format Import format, recorded in the activity log
+     */
+    importIdeas(groups, format) {
+        if (!Array.isArray(groups) || groups.length === 0) return;
+
+        this.recordHistory(this.capturePlanSnapshot());
+        this.setMindMapVisible(false);
+        this.clearIdeaFilters();
+
+        const imported = [];
+        const addIdeas = (ideas, container, location, sectionId, parent) => {
+            ideas.forEach(idea => {
+                const bubble = new BubbleComponent(idea.content);
+                this.bubbles.set(bubble.id, bubble);
+                this.setupNestedDragAndDrop(bubble);
+                bubble.setLocation(location, sectionId);
+                bubble.setTag(idea.tag);
+                if (parent) {
+                    bubble.setParent(parent.id);
+                    parent.getChildrenContainer().appendChild(bubble.element);
+                } else {
+                    container.appendChild(bubble.element);
+                }
+                imported.push(idea.content);
+                addIdeas(idea.children || [], container, location, sectionId, bubble);
+                bubble.updateChildState();
+            });
+        };
+
+        groups.forEach(group => {
+            if (group.title === null) {
+                if (this.elements.ideaBubbles) {
+                    addIdeas(group.ideas, this.elements.ideaBubbles, 'brainstorm', null, null);
+                }
+                return;
+            }
+
+            const section = this.findSectionByTitle(group.title) ||
+                this.addCustomSection(group.title, { focus: false, save: false });
+            const outlineContainer = section.element.querySelector('.outline-container');
+            if (!outlineContainer) return;
+            if (group.ideas.length > 0) {
+                const placeholder = outlineContainer.querySelector('.dropzone-placeholder');
+                if (placeholder) placeholder.remove();
+                outlineContainer.classList.remove('empty');
+            }
+            addIdeas(group.ideas, outlineContainer, 'outline', section.id, null);
+        });
+
+        // Log the import so instructors can tell these ideas apart from typed ones
+        const tracker = window.aiWritingAssistant ? window.aiWritingAssistant.activityTracker : null;
+        if (tracker && imported.length > 0) {
+            const importedLength = imported.reduce((total, content) => total + content.length, 0);
+            tracker.trackImport('plan', importedLength,
+                `Imported ${imported.length} idea(s) (${format}): ${imported.join(' | ')}`);
+        }
+
+        this.updateSectionFilterOptions();
+        this.applyIdeaFilters();
+        if (this.mindMapView) {
+            this.mindMapView.refresh();
+        }
+        this.updateAskAIButtonState();
+        this.updateAskAIOutlineButtonState();
+        this.announce(`Imported ${imported.length} idea${imported.length === 1 ? '' : 's'}.`);
+
+        this.projectManager.saveProject().catch(err => {
+            console.error('PlanModule.importIdeas(): Failed to save:', err);
+        });
+    }
+
+    // Undo/redo for board operations (deletes, drags, section changes, AI-added ideas)
+    setupHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 50;
+        this.dragSnapshot = null;
+        this.isRestoringHistory = false;
+
+        const undoBtn = document.getElementById('planUndoBtn');
+        const redoBtn = document.getElementById('planRedoBtn');
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+
+            // Only while the Plan tab is showing, and never inside text the browser can undo itself
+            const planTab = document.getElementById('plan');
+            if (!planTab || !planTab.classList.contains('active')) return;
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Copy of everything an undo step needs to rebuild the board
+     * @returns {Object} Plan data as produced by collectData()
+     */
+    capturePlanSnapshot() {
+        return deepClone(this.collectData().plan);
+    }
+
+    /**
+     * Push the board as it was before an operation; a new operation clears redo
+     * @param {Object} snapshot From capturePlanSnapshot(), taken before the change
+     */
+    recordHistory(snapshot) {
+        if (!snapshot || this.isRestoringHistory) return;
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    async undo() {
+        if (this.undoStack.length === 0 || this.isRestoringHistory) return;
+        const snapshot = this.undoStack.pop();
+        this.redoStack.push(this.capturePlanSnapshot());
+        await this.applyPlanSnapshot(snapshot);
+    }
+
+    async redo() {
+        if (this.redoStack.length === 0 || this.isRestoringHistory) return;
+        const snapshot = this.redoStack.pop();
+        this.undoStack.push(this.capturePlanSnapshot());
+        await this.applyPlanSnapshot(snapshot);
+    }
+
+    /**
+     * Rebuild sections and bubbles from a snapshot and persist it.
+     * Ideas missing from the snapshot are deleted on the server; ideas that were
+     * deleted since are re-inserted by the save (their new IDs come back via updateBubbleIds).
+     */
+    async applyPlanSnapshot(snapshot) {
+        if (this.keyboardDrag) {
+            this.cancelKeyboardDrag(false);
+        }
+        this.isRestoringHistory = true;
+        this.updateHistoryButtons();
+
+        try {
+            // Text edits aren't part of the history, so keep the latest wording of ideas that still exist
+            const currentIdeas = new Map(this.collectBubbleData().map(idea => [String(idea.id), idea]));
+            const ideas = snapshot.ideas.map(idea => {
+                const current = currentIdeas.get(String(idea.id));
+                return current ? { ...idea, content: current.content, tag: current.tag, collapsed: current.collapsed } : idea;
+            });
+
+            const keptIds = new Set(ideas.map(idea => String(idea.id)));
+            const removedIdeas = Array.from(currentIdeas.values()).filter(idea => !keptIds.has(String(idea.id)));
+            await Promise.all(removedIdeas.map(idea => {
+                const payload = /^\d+$/.test(String(idea.id)) ? String(idea.id) : {
+                    content: idea.content || '',
+                    location: idea.location || 'brainstorm',
+                    sectionId: idea.sectionId || ''
+                };
+                return this.api.deleteIdea(payload).catch(err => {
+                    console.warn('PlanModule.applyPlanSnapshot(): Failed to delete idea:', err);
+                });
+            }));
+
+            // loadSections() reads sections from global state
+            const state = this.globalState.getState();
+            this.globalState.setState({ ...state, plan: { ...state.plan, ...snapshot, ideas } }, true);
+
+            this.clearAllBubbles();
+            this.sections.clear();
+            this.loadSections();
+            this.restoreBubblesFromState(ideas);
+            if (this.mindMapView) {
+                this.mindMapView.load(snapshot.mindMap);
+            }
+
+            await this.projectManager.saveProject();
+        } catch (error) {
+            console.error('PlanModule.applyPlanSnapshot(): Failed to restore plan:', error);
+        } finally {
+            this.isRestoringHistory = false;
+            this.updateHistoryButtons();
+        }
+    }
+
+    /**
+     * Show plan data chosen in the save-conflict dialog. Unlike undo, the wording comes from the plan given,
+     * and ideas the server has that the plan leaves out are deleted there.
+     * @param {Object} plan Plan data to show
+     * @param {Array} storedIdeas Ideas in the server's copy
+     * @param {Object} [options] keepHistory: the board changed under the student (a group member's edit), so
+     *     undo still applies to their own changes
+     */
+    async replacePlan(plan, storedIdeas = [], { keepHistory = false } = {}) {
+        const keptIds = new Set((plan.ideas || []).map(idea => String(idea.id)));
+        await Promise.all(storedIdeas
+            .filter(idea => /^\d+$/.test(String(idea.id)) && !keptIds.has(String(idea.id)))
+            .map(idea => this.api.deleteIdea(String(idea.id)).catch(err => {
+                console.warn('PlanModule.replacePlan(): Failed to delete idea:', err);
+            })));
+
+        // loadSections() reads sections from global state
+        const state = this.globalState.getState();
+        this.globalState.setState({ ...state, plan: { ...state.plan, ...plan } }, true);
+
+        this.clearAllBubbles();
+        this.sections.clear();
+        this.loadSections();
+        this.restoreBubblesFromState(plan.ideas || []);
+        if (this.mindMapView) {
+            this.mindMapView.load(plan.mindMap);
+        }
+        if (keepHistory) return;
+        // The board is a different one now; undoing into the old one would bring the conflict back
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    // Client IDs in older snapshots become DB IDs after a save
+    remapHistoryIds(clientId, newId) {
+        const remap = (snapshot) => {
+            (snapshot.ideas || []).forEach(idea => {
+                if (String(idea.id) === clientId) idea.id = newId;
+                if (idea.parentId != null && String(idea.parentId) === clientId) idea.parentId = newId;
+            });
+            const mindMap = snapshot.mindMap;
+            if (mindMap && mindMap.positions && mindMap.positions[clientId]) {
+                mindMap.positions[newId] = mindMap.positions[clientId];
+                delete mindMap.positions[clientId];
+            }
+            (mindMap?.edges || []).forEach(edge => {
+                if (String(edge.from) === clientId) edge.from = newId;
+                if (String(edge.to) === clientId) edge.to = newId;
+            });
+        };
+        this.undoStack.forEach(remap);
+        this.redoStack.forEach(remap);
+        if (this.dragSnapshot) remap(this.dragSnapshot);
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('planUndoBtn');
+        const redoBtn = document.getElementById('planRedoBtn');
+        if (undoBtn) undoBtn.disabled = this.isRestoringHistory || this.undoStack.length === 0;
+        if (redoBtn) redoBtn.disabled = this.isRestoringHistory || this.redoStack.length === 0;
+    }
+
     // Handle AI-generated updates to the plan
     handleAIUpdates(ideas) {
         if (!Array.isArray(ideas)) return;
@@ -768,15 +1803,69 @@ class PlanModule {
             !this.bubbles.has(idea.id)
         );
 
+        if (newIdeas.length > 0) {
+            this.recordHistory(this.capturePlanSnapshot());
+        }
+
         // Add new AI-generated bubbles
         newIdeas.forEach(idea => {
             const bubble = new BubbleComponent(idea.content, idea.id, true);
             this.bubbles.set(bubble.id, bubble);
+            this.setupNestedDragAndDrop(bubble);
 
             if (this.elements.ideaBubbles) {
                 this.elements.ideaBubbles.appendChild(bubble.element);
             }
         });
+
+        if (newIdeas.length > 0) {
+            this.applyIdeaFilters();
+            if (this.mindMapView) {
+                this.mindMapView.refresh();
+            }
+        }
+    }
+
+    /**
+     * Add an AI-suggested idea the student accepted from the chat
+     * @param {string} content Idea text
+     * @param {string|null} sectionId Outline section to add it to, or null for brainstorm
+     * @returns {BubbleComponent|null} The new bubble
+     */
+    addSuggestedIdea(content, sectionId = null) {
+        if (!content || !content.trim()) return null;
+
+        this.recordHistory(this.capturePlanSnapshot());
+        const bubble = new BubbleComponent(content.trim(), null, true);
+        this.bubbles.set(bubble.id, bubble);
+        this.setupNestedDragAndDrop(bubble);
+
+        const section = sectionId ? this.sections.get(sectionId) : null;
+        const outlineContainer = section ? section.element.querySelector('.outline-container') : null;
+        if (outlineContainer) {
+            bubble.setLocation('outline', sectionId);
+            outlineContainer.appendChild(bubble.element);
+            const placeholder = outlineContainer.querySelector('.dropzone-placeholder');
+            if (placeholder) {
+                placeholder.remove();
+            }
+            outlineContainer.classList.remove('empty');
+        } else {
+            bubble.setLocation('brainstorm', null);
+            if (this.elements.ideaBubbles) {
+                this.elements.ideaBubbles.appendChild(bubble.element);
+            }
+        }
+
+        this.applyIdeaFilters();
+        if (this.mindMapView) {
+            this.mindMapView.refresh();
+        }
+        this.updateAskAIButtonState();
+        this.updateAskAIOutlineButtonState();
+        this.triggerAutoSave();
+
+        return bubble;
     }
 
     restoreBubblesFromState(ideas) {
@@ -794,7 +1883,12 @@ class PlanModule {
         // Clear existing bubbles
         this.clearAllBubbles();
 
+        // Restore siblings in their saved order (stable sort keeps legacy unordered ideas as-is)
+        ideasArray = [...ideasArray].sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
 
+        // Sub-points are attached after every bubble exists, so parents can come later in the list
+        const ideaIds = new Set(ideasArray.filter(idea => idea.id && idea.content).map(idea => String(idea.id)));
+        const nestedBubbles = [];
 
         // Restore bubbles to their correct locations
         ideasArray.forEach((idea) => {
@@ -805,6 +1899,16 @@ class PlanModule {
 
             const bubble = new BubbleComponent(idea.content, idea.id, idea.aiGenerated || false);
             this.bubbles.set(bubble.id, bubble);
+            this.setupNestedDragAndDrop(bubble);
+            bubble.setCollapsed(idea.collapsed || false);
+            bubble.setTag(idea.tag || null);
+
+            if (idea.parentId && ideaIds.has(String(idea.parentId)) && String(idea.parentId) !== String(idea.id)) {
+                bubble.setLocation(idea.location || 'brainstorm', idea.sectionId || null);
+                bubble.setParent(String(idea.parentId));
+                nestedBubbles.push(bubble);
+                return;
+            }
 
             // Use setLocation to properly update both internal state and DOM attributes
             if (idea.location === 'brainstorm') {
@@ -867,6 +1971,34 @@ class PlanModule {
             }
         });
 
+        // Attach sub-points under their parents; each inherits its root's location
+        nestedBubbles.forEach(bubble => {
+            const parent = this.bubbles.get(bubble.parentId);
+            const container = parent ? parent.getChildrenContainer() : null;
+            if (container && !bubble.element.contains(container)) {
+                container.appendChild(bubble.element);
+            }
+        });
+        nestedBubbles.forEach(bubble => {
+            if (!bubble.element.parentNode) {
+                // Parent chain was broken (e.g. a cycle) - fall back to brainstorm
+                bubble.setParent(null);
+                bubble.setLocation('brainstorm', null);
+                if (this.elements.ideaBubbles) {
+                    this.elements.ideaBubbles.appendChild(bubble.element);
+                }
+            }
+        });
+        this.bubbles.forEach(bubble => {
+            if (!bubble.parentId) {
+                this.syncBubbleHierarchy(bubble);
+            }
+            bubble.updateChildState();
+        });
+
+        this.updateSectionFilterOptions();
+        this.applyIdeaFilters();
+
         // Update Ask AI button state after restoring bubbles
         // Use setTimeout to ensure DOM is fully updated
         setTimeout(() => {
@@ -876,6 +2008,9 @@ class PlanModule {
     }
 
     clearAllBubbles() {
+        // Ghost previews refer to bubbles that are about to be rebuilt
+        this.clearOrganizeSuggestions();
+
         // Clear brainstorm bubbles
         if (this.elements.ideaBubbles) {
             this.elements.ideaBubbles.innerHTML = '';
@@ -899,6 +2034,12 @@ class PlanModule {
     }
 
     async handleDragEnd(evt) {
+        // Drops that changed nothing are not worth an undo step
+        if (this.dragSnapshot && (evt.from !== evt.to || evt.oldIndex !== evt.newIndex)) {
+            this.recordHistory(this.dragSnapshot);
+        }
+        this.dragSnapshot = null;
+
         // Update bubble locations based on where they were dropped
         const bubbleElement = evt.item;
         const bubbleId = bubbleElement.dataset.id;
@@ -930,6 +2071,16 @@ class PlanModule {
                     }
                 }
             }
+
+            // Nesting follows the drop target; sub-points travel with the dragged bubble
+            this.syncBubbleHierarchy(bubble);
+            const previousParent = evt.from ? evt.from.closest('.idea-bubble') : null;
+            if (previousParent && this.bubbles.has(previousParent.dataset.id)) {
+                this.bubbles.get(previousParent.dataset.id).updateChildState();
+            }
+
+            // A moved bubble may no longer match the section filter
+            this.applyIdeaFilters();
         } else {
             console.warn('PlanModule.handleDragEnd(): Bubble not found in bubbles map:', bubbleId);
         }
@@ -960,6 +2111,7 @@ class PlanModule {
             const savedSections = state.plan?.customSections || [];
             const customTitles = state.plan?.customSectionTitles || {};
             const removedSections = state.plan?.removedSections || [];
+            const savedInstances = state.plan?.sectionInstances || [];
 
             // Start with default example sections (guidance for users)
             const defaultSections = this.getDefaultExampleSections();
@@ -990,8 +2142,25 @@ class PlanModule {
                 outline: []
             }));
 
+            // Add extra instances of repeatable sections, taking flags from the section they repeat
+            const instanceSections = savedInstances
+                .filter(instance => instance && instance.id && instance.instanceOf)
+                .map(instance => {
+                    const baseSection = defaultSections.find(s => s.id === instance.instanceOf) || { allowMultiple: true };
+                    return {
+                        ...baseSection,
+                        id: instance.id,
+                        title: instance.title,
+                        description: instance.description ?? baseSection.description,
+                        instanceOf: instance.instanceOf,
+                        baseTitle: instance.baseTitle || baseSection.title,
+                        isCustom: false,
+                        outline: []
+                    };
+                });
+
             // Combine all sections
-            let allSections = [...sectionsWithCustomTitles, ...customSectionsWithDefaults];
+            let allSections = [...sectionsWithCustomTitles, ...instanceSections, ...customSectionsWithDefaults];
 
             // Apply saved section order if available
             const savedOrder = state.plan?.sectionOrder || [];
@@ -1104,6 +2273,9 @@ class PlanModule {
                     section.defaultTitle = defaultSection.title;
                 }
             }
+            if (!section.isCustom && !section.baseTitle) {
+                section.baseTitle = section.defaultTitle || section.originalTitle;
+            }
 
             // Setup drag and drop for this section
             this.setupSectionDragAndDrop(section);
@@ -1135,9 +2307,16 @@ class PlanModule {
             animation: 200,
             ghostClass: 'section-ghost',
             chosenClass: 'section-chosen',
-            filter: '.section-title, .section-delete-btn, .outline-container, .bubble-content', // Prevent dragging from these elements
+            filter: '.section-title, .section-delete-btn, .section-duplicate-btn, .outline-container, .bubble-content', // Prevent dragging from these elements
             preventOnFilter: false, // Allow normal interaction with filtered elements
+            onStart: () => {
+                this.dragSnapshot = this.capturePlanSnapshot();
+            },
             onEnd: (evt) => {
+                if (this.dragSnapshot && evt.oldIndex !== evt.newIndex) {
+                    this.recordHistory(this.dragSnapshot);
+                }
+                this.dragSnapshot = null;
                 // Section order changed - save immediately
                 this.handleSectionReorder();
             }
@@ -1167,14 +2346,115 @@ class PlanModule {
                 this.removeTemplateSection(sectionId);
             }
         });
+
+        section.element.addEventListener('sectionDuplicateRequested', (event) => {
+            this.duplicateSection(event.detail.sectionId);
+        });
+    }
+
+    /**
+     * Sections that repeat the same template section (the original plus its instances), in board order
+     * @param {string} baseId ID of the template section
+     * @returns {Array<SectionComponent>}
+     */
+    getSectionGroup(baseId) {
+        if (!this.elements.outlineItems) return [];
+        return Array.from(this.elements.outlineItems.children)
+            .map(child => this.sections.get(child.dataset.sectionId))
+            .filter(section => section && (section.instanceOf || section.id) === baseId);
+    }
+
+    /**
+     * Add another instance of a repeatable (allowMultiple) section right after its group,
+     * with its own title, ideas and drop zone
+     */
+    duplicateSection(sectionId) {
+        const source = this.sections.get(sectionId);
+        if (!source || !source.allowMultiple || source.isCustom) return null;
+
+        this.recordHistory(this.capturePlanSnapshot());
+        const baseId = source.instanceOf || source.id;
+        let counter = 2;
+        while (this.sections.has(`${baseId}--${counter}`)) {
+            counter++;
+        }
+
+        const section = new SectionComponent({
+            id: `${baseId}--${counter}`,
+            title: source.baseTitle || source.title,
+            description: source.description,
+            required: source.required,
+            allowMultiple: true,
+            isCustom: false,
+            instanceOf: baseId,
+            baseTitle: source.baseTitle || source.title,
+            outline: []
+        });
+        section.originalTitle = section.title;
+        this.sections.set(section.id, section);
+        this.setupSectionDragAndDrop(section);
+        this.setupSectionEventListeners(section);
+
+        const group = this.getSectionGroup(baseId);
+        const lastInGroup = group[group.length - 1];
+        if (lastInGroup && lastInGroup.element.parentNode === this.elements.outlineItems) {
+            this.elements.outlineItems.insertBefore(section.element, lastInGroup.element.nextSibling);
+        } else if (this.elements.outlineItems) {
+            this.elements.outlineItems.appendChild(section.element);
+        }
+
+        this.renumberSectionGroups();
+
+        this.projectManager.saveProject().catch(err => {
+            console.error('PlanModule.duplicateSection(): Failed to save:', err);
+        });
+
+        return section;
+    }
+
+    /**
+     * Number repeated sections "Main Argument 1, 2, 3..." in board order.
+     * Titles the student has renamed are left alone.
+     */
+    renumberSectionGroups() {
+        const baseIds = new Set();
+        this.sections.forEach(section => {
+            if (section.instanceOf) baseIds.add(section.instanceOf);
+            else if (section.allowMultiple && !section.isCustom) baseIds.add(section.id);
+        });
+
+        baseIds.forEach(baseId => {
+            const group = this.getSectionGroup(baseId);
+            if (group.length === 0) return;
+
+            const baseTitle = group[0].baseTitle || group[0].title;
+            // "Main Arguments" -> "Main Argument" (leave "Analysis", "Process", etc. as they are)
+            const singular = /[^s]s$/i.test(baseTitle) && !/(is|us)$/i.test(baseTitle)
+                ? baseTitle.slice(0, -1)
+                : baseTitle;
+            const escaped = singular.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const numbered = new RegExp(`^${escaped} \\d+$`);
+
+            group.forEach((section, index) => {
+                if (section.title !== baseTitle && !numbered.test(section.title)) return;
+                const title = group.length > 1 ? `${singular} ${index + 1}` : baseTitle;
+                if (section.title !== title) {
+                    section.setTitle(title);
+                }
+            });
+        });
     }
 
-    addCustomSection() {
+    /**
+     * @param {string} title Initial title
+     * @param {Object} options focus: select the title for editing; save: persist right away
+     */
+    addCustomSection(title = 'New Section', { focus = true, save = true } = {}) {
         // Generate unique ID for custom section
         const sectionId = 'custom-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
         const newSection = {
             id: sectionId,
-            title: 'New Section',
+            title: title,
             description: '',
             required: false,
             allowMultiple: true,
@@ -1199,7 +2479,7 @@ class PlanModule {
 
             // Focus on the title so user can immediately edit it
             const titleElement = section.element.querySelector('.section-title');
-            if (titleElement) {
+            if (titleElement && focus) {
                 setTimeout(() => {
                     titleElement.focus();
                     // Select all text for easy replacement
@@ -1220,9 +2500,11 @@ class PlanModule {
         }
 
         // Save immediately to ensure section is persisted
-        this.projectManager.saveProject().catch(err => {
-            console.error('PlanModule.addCustomSection(): Failed to save:', err);
-        });
+        if (save) {
+            this.projectManager.saveProject().catch(err => {
+                console.error('PlanModule.addCustomSection(): Failed to save:', err);
+            });
+        }
 
         return section;
     }
@@ -1237,8 +2519,11 @@ class PlanModule {
             return;
         }
 
+        this.recordHistory(this.capturePlanSnapshot());
+
         // Move all bubbles in this section back to brainstorm
-        const bubbles = section.getBubbles();
+        // Only top-level ideas move; their sub-points come along with them
+        const bubbles = section.getBubbles().filter(bubbleData => !bubbleData.parentId);
         bubbles.forEach(bubbleData => {
             const bubble = this.bubbles.get(bubbleData.id);
             if (bubble) {
@@ -1246,6 +2531,7 @@ class PlanModule {
                 if (this.elements.ideaBubbles) {
                     this.elements.ideaBubbles.appendChild(bubble.element);
                 }
+                this.syncBubbleHierarchy(bubble);
             }
         });
 
@@ -1270,8 +2556,18 @@ class PlanModule {
             return;
         }
 
+        // A required section must keep at least one instance on the board
+        const baseId = section.instanceOf || section.id;
+        if (section.required && this.getSectionGroup(baseId).length <= 1) {
+            alert(`"${section.title}" is a required section, so it can't be removed.`);
+            return;
+        }
+
+        this.recordHistory(this.capturePlanSnapshot());
+
         // Move all bubbles from this section back to brainstorm
-        const bubbles = section.getBubbles();
+        // Only top-level ideas move; their sub-points come along with them
+        const bubbles = section.getBubbles().filter(bubbleData => !bubbleData.parentId);
         bubbles.forEach(bubbleData => {
             const bubble = this.bubbles.get(bubbleData.id);
             if (bubble) {
@@ -1279,6 +2575,7 @@ class PlanModule {
                 if (this.elements.ideaBubbles) {
                     this.elements.ideaBubbles.appendChild(bubble.element);
                 }
+                this.syncBubbleHierarchy(bubble);
             }
         });
 
@@ -1290,6 +2587,8 @@ class PlanModule {
             section.element.parentNode.removeChild(section.element);
         }
 
+        this.renumberSectionGroups();
+
         // Save immediately to ensure removal is persisted
         this.projectManager.saveProject().catch(err => {
             console.error('PlanModule.removeTemplateSection(): Failed to save:', err);
@@ -1311,6 +2610,35 @@ class PlanModule {
                 animation: 150,
                 onStart: (evt) => {
                     this.isDragging = true;
+                    this.dragSnapshot = this.capturePlanSnapshot();
+                },
+                onEnd: (evt) => {
+                    this.isDragging = false;
+                    this.handleDragEnd(evt);
+                }
+            });
+        }
+    }
+
+    // Nested sub-points: each bubble's children container is its own drop zone
+    setupNestedDragAndDrop(bubble) {
+        if (typeof Sortable === 'undefined') return;
+
+        const childrenContainer = bubble.getChildrenContainer();
+        if (childrenContainer) {
+            new Sortable(childrenContainer, {
+                group: {
+                    name: 'bubbles',
+                    pull: true,
+                    put: ['bubbles']
+                },
+                sort: true,
+                animation: 150,
+                fallbackOnBody: true,
+                swapThreshold: 0.65,
+                onStart: (evt) => {
+                    this.isDragging = true;
+                    this.dragSnapshot = this.capturePlanSnapshot();
                 },
                 onEnd: (evt) => {
                     this.isDragging = false;
@@ -1320,12 +2648,129 @@ class PlanModule {
         }
     }
 
+    getParentBubble(element) {
+        const parentElement = element.parentElement ? element.parentElement.closest('.idea-bubble') : null;
+        return parentElement ? this.bubbles.get(parentElement.dataset.id) || null : null;
+    }
+
+    /**
+     * Re-read a bubble's parent from the DOM and push its location down to all sub-points
+     * @param {BubbleComponent} bubble Bubble that was moved
+     */
+    syncBubbleHierarchy(bubble) {
+        const parent = this.getParentBubble(bubble.element);
+        bubble.setParent(parent ? parent.id : null);
+        if (parent) {
+            bubble.setLocation(parent.location || 'brainstorm', parent.sectionId || null);
+            parent.updateChildState();
+        }
+
+        bubble.getChildElements().forEach(childElement => {
+            const child = this.bubbles.get(childElement.dataset.id);
+            if (child) {
+                this.syncBubbleHierarchy(child);
+            }
+        });
+        bubble.updateChildState();
+    }
+
+    // Nest a bubble under the sibling above it (Alt+Shift+Right); false when there is nothing to nest under
+    indentBubble(bubbleId) {
+        const bubble = this.bubbles.get(bubbleId);
+        if (!bubble) return false;
+
+        let previous = bubble.element.previousElementSibling;
+        while (previous && !previous.classList.contains('idea-bubble')) {
+            previous = previous.previousElementSibling;
+        }
+        const newParent = previous ? this.bubbles.get(previous.dataset.id) : null;
+        if (!newParent) return false; // First item in its list - nothing to nest under
+
+        newParent.getChildrenContainer().appendChild(bubble.element);
+        newParent.setCollapsed(false);
+        this.finishKeyboardNesting(bubble);
+        return true;
+    }
+
+    // Move a bubble out to its parent's level, directly after the parent (Alt+Shift+Left); false at top level
+    outdentBubble(bubbleId) {
+        const bubble = this.bubbles.get(bubbleId);
+        if (!bubble) return false;
+
+        const oldParent = this.getParentBubble(bubble.element);
+        if (!oldParent) return false; // Already top level
+
+        oldParent.element.parentNode.insertBefore(bubble.element, oldParent.element.nextSibling);
+        oldParent.updateChildState();
+        this.finishKeyboardNesting(bubble);
+        return true;
+    }
+
+    finishKeyboardNesting(bubble) {
+        this.syncBubbleHierarchy(bubble);
+
+        // Moving the node drops focus; put the caret back so the shortcut can be pressed repeatedly
+        const contentDiv = bubble.getContentElement();
+        const focusTarget = contentDiv && contentDiv.isContentEditable ? contentDiv : bubble.element;
+        focusTarget.focus();
+
+        this.projectManager.saveProject().catch(err => {
+            console.error('PlanModule.finishKeyboardNesting(): Failed to save:', err);
+        });
+    }
+
+    /**
+     * Move a bubble's sub-points up to the bubble's own level, in place of the bubble
+     * @param {BubbleComponent} bubble Bubble about to be removed
+     * @returns {Array<BubbleComponent>} Promoted sub-points
+     */
+    promoteChildren(bubble) {
+        const promoted = [];
+        bubble.getChildElements().forEach(childElement => {
+            bubble.element.parentNode.insertBefore(childElement, bubble.element);
+            const child = this.bubbles.get(childElement.dataset.id);
+            if (child) {
+                child.setParent(bubble.parentId);
+                promoted.push(child);
+            }
+        });
+        return promoted;
+    }
+
+    /**
+     * Build the nested idea tree for one outline section, in display order
+     * @param {string} sectionId Section ID
+     * @returns {Array<Object>} Nodes of {id, content, children}
+     */
+    getIdeaTree(sectionId) {
+        const section = this.sections.get(sectionId);
+        const outlineContainer = section ? section.element.querySelector('.outline-container') : null;
+        if (!outlineContainer) return [];
+
+        const buildNodes = (container) => Array.from(container.children)
+            .filter(child => child.classList.contains('idea-bubble'))
+            .map(child => {
+                const bubble = this.bubbles.get(child.dataset.id);
+                return {
+                    id: child.dataset.id,
+                    content: bubble ? (bubble.content || '').trim() : '',
+                    children: bubble ? buildNodes(bubble.getChildrenContainer()) : []
+                };
+            })
+            .filter(node => node.content || node.children.length > 0);
+
+        return buildNodes(outlineContainer);
+    }
+
     handleSectionReorder() {
         // Get current section order from DOM
         const sectionOrder = Array.from(this.elements.outlineItems.children).map(child => {
             return child.dataset.sectionId || child.id.replace('section-', '');
         });
 
+        // Instance numbers follow the board order
+        this.renumberSectionGroups();
+
         // Save immediately
         this.projectManager.saveProject().catch(err => {
             console.error('PlanModule.handleSectionReorder(): Failed to save:', err);
@@ -1336,6 +2781,7 @@ class PlanModule {
         const bubble = new BubbleComponent(content);
         bubble.location = 'brainstorm'; // Set location for tracking
         this.bubbles.set(bubble.id, bubble);
+        this.setupNestedDragAndDrop(bubble);
 
         if (this.elements.ideaBubbles) {
             this.elements.ideaBubbles.appendChild(bubble.element);
@@ -1406,7 +2852,11 @@ class PlanModule {
                 content: bubble.content,
                 location: bubble.location || 'brainstorm',
                 sectionId: bubble.sectionId || null,  // CRITICAL: Include sectionId
-                aiGenerated: bubble.aiGenerated || false
+                aiGenerated: bubble.aiGenerated || false,
+                parentId: bubble.parentId || null,
+                sortOrder: this.getBubbleSortOrder(bubble),
+                collapsed: bubble.collapsed || false,
+                tag: bubble.tag || null
             };
 
             allBubbles.push(bubbleData);
@@ -1415,6 +2865,15 @@ class PlanModule {
         return allBubbles;
     }
 
+    // Position of a bubble among its siblings (brainstorm, section or parent's sub-points)
+    getBubbleSortOrder(bubble) {
+        const container = bubble.element ? bubble.element.parentNode : null;
+        if (!container) return 0;
+        return Array.from(container.children)
+            .filter(child => child.classList.contains('idea-bubble'))
+            .indexOf(bubble.element);
+    }
+
     // Legacy method name for compatibility - now just collects data
     saveAllBubbles() {
         return this.collectBubbleData();
@@ -1433,6 +2892,7 @@ class PlanModule {
 
             // Ensure dbId is a string for consistency with dataset.id and map keys
             const newId = String(dbId);
+            this.remapHistoryIds(clientId, newId);
 
             const bubble = this.bubbles.get(clientId);
             if (bubble) {
@@ -1447,8 +2907,29 @@ class PlanModule {
                     bubble.element.dataset.id = newId;
                     // Update any other attributes if needed
                 }
+
+                // Sub-points still point at the temporary ID
+                this.bubbles.forEach(child => {
+                    if (child.parentId == clientId) {
+                        child.setParent(newId);
+                    }
+                });
+
+                // So do pending auto-organize ghosts
+                const suggestion = this.organizeSuggestions ? this.organizeSuggestions.get(clientId) : null;
+                if (suggestion) {
+                    this.organizeSuggestions.delete(clientId);
+                    this.organizeSuggestions.set(newId, { ...suggestion, ideaId: newId });
+                    document.querySelectorAll('.ghost-bubble').forEach(ghost => {
+                        if (ghost.dataset.ideaId === clientId) ghost.dataset.ideaId = newId;
+                    });
+                }
             }
         });
+
+        if (this.mindMapView) {
+            this.mindMapView.remapIds(mappings);
+        }
     }
 
     // Method called by ProjectManager to collect all plan data
@@ -1463,6 +2944,7 @@ class PlanModule {
         const customSectionTitles = {};
         const customSections = [];
         const removedSections = [];
+        const sectionInstances = [];
 
         this.sections.forEach(section => {
             // Get current title from DOM (may have been edited)
@@ -1505,6 +2987,15 @@ class PlanModule {
                     title: currentTitle,
                     description: section.description
                 });
+            } else if (section.instanceOf) {
+                // Extra instances of repeatable sections keep their own title
+                sectionInstances.push({
+                    id: section.id,
+                    instanceOf: section.instanceOf,
+                    title: currentTitle,
+                    description: section.description,
+                    baseTitle: section.baseTitle
+                });
             } else {
                 // Track custom titles for default example sections (if title was changed from default)
                 // Use the default title if available, otherwise use original title
@@ -1554,7 +3045,11 @@ class PlanModule {
                 customSectionTitles: customSectionTitles,
                 customSections: finalCustomSections, // Store all user-created sections (filtered)
                 removedSections: removedSections, // Store removed example sections
+                sectionInstances: sectionInstances, // Extra instances of repeatable sections
                 sectionOrder: sectionOrder, // Save the order
+                mindMap: this.mindMapView
+                    ? this.mindMapView.collectData()
+                    : (this.globalState.getState().plan?.mindMap || { positions: {}, edges: [] }),
                 customSectionDescriptions: {}
             }
         };
@@ -1708,7 +3203,7 @@ class PlanModule {
         const ideasList = brainstormIdeas.join(', ');
 
         // Create the prompt
-        const prompt = `I am a student working on a writing assignment, and this is my thesis [${thesis || 'No thesis provided'}]. I have come up with some ideas already [${ideasList}]. Please provide me with 5-10 additional ideas that are related to what I've come up with to help me plan what I want to write about.`;
+        const prompt = `I am a student working on a writing assignment, and this is my thesis [${thesis || 'No thesis provided'}]. I have come up with some ideas already [${ideasList}]. Please provide me with 5-10 additional ideas that are related to what I've come up with to help me plan what I want to write about. Suggest each idea with the add_idea tool so I can pick the ones I want to add to my board.`;
 
         console.log('Prompt created:', prompt);
 
@@ -1788,6 +3283,12 @@ class PlanModule {
         askAIOutlineButton.disabled = !hasEnoughIdeas;
         console.log('Outline button disabled state:', askAIOutlineButton.disabled, 'hasEnoughIdeas:', hasEnoughIdeas);
 
+        // Auto-organize only needs one brainstorm idea to place
+        const autoOrganizeButton = document.getElementById('autoOrganizeButton');
+        if (autoOrganizeButton && !this.isOrganizing) {
+            autoOrganizeButton.disabled = ideaCount === 0;
+        }
+
         // Update tooltip
         if (hasEnoughIdeas) {
             askAIOutlineButton.title = 'Ask AI to generate an outline based on your brainstorm ideas';
@@ -1883,7 +3384,16 @@ class PlanModule {
         const estimatedParagraphs = Math.max(3, Math.min(8, Math.ceil(brainstormIdeas.length / 2.5)));
 
         // Create the prompt
-        const prompt = `I am a student completing a writing assignment on the topic of [${topic || 'No topic provided'}]. I have come up with some ideas that are related to this topic: [${ideasList}]. Provide me with an outline that incorporates my ideas into a ${estimatedParagraphs}-paragraph essay, where the ideas are tied into related groups that will then become my body paragraphs.`;
+        let prompt = `I am a student completing a writing assignment on the topic of [${topic || 'No topic provided'}]. I have come up with some ideas that are related to this topic: [${ideasList}]. Provide me with an outline that incorporates my ideas into a ${estimatedParagraphs}-paragraph essay, where the ideas are tied into related groups that will then become my body paragraphs.`;
+
+        // Include the connections drawn in the mind map so the outline respects them
+        const relationships = this.mindMapView ? this.mindMapView.getRelationships() : [];
+        if (relationships.length > 0) {
+            const relationshipList = relationships
+                .map(rel => `"${rel.from}" ${rel.relation} "${rel.to}"`)
+                .join('; ');
+            prompt += ` I have also mapped how some of my ideas relate to each other: [${relationshipList}]. Use these relationships when grouping the ideas.`;
+        }
 
         console.log('Prompt created:', prompt);
 
@@ -1937,6 +3447,9 @@ class BaseEditorModule {
             // No need for selection-change handling - let Quill manage selection naturally
 
             this.setupEditorEvents();
+            this.footnotes = typeof FootnoteManager !== 'undefined' ? new FootnoteManager(this) : null;
+            this.readability = typeof ReadabilityPanel !== 'undefined' ? new ReadabilityPanel(this) : null;
+            if (typeof addTableClipboardMatcher === 'function') addTableClipboardMatcher(this.editor);
         } catch (error) {
             console.error(`Failed to initialize ${this.moduleName} editor:`, error);
         }
@@ -2126,10 +3639,24 @@ class BaseEditorModule {
             return;
         }
 
+        this.openRewritePopover('transition');
+    }
+
+    // Inline suggestions anchored to the selection (see rewrite-popover.js)
+    openRewritePopover(mode) {
+        if (!this.editor || !this.selectedRange) return;
+        if (!this.rewritePopover) {
+            this.rewritePopover = new RewritePopover(this);
+        }
+        this.rewritePopover.open(mode, this.selectedRange);
+    }
+
+    // Chat fallback when the inline suggestions cannot be loaded
+    async askChatForTransitions(selectedText) {
         const prompt = `I am a student writing an essay. I have selected two sentences from my writing and need help connecting them smoothly. Please provide some words that I can use to tie these two sentences together to make a smooth transition.
 
 Selected sentences:
-${this.selectedText}
+${selectedText}
 
 Please provide:
 1. A list of transition words/phrases (e.g., "Furthermore", "In addition", "However", "On the other hand", etc.)
@@ -2161,8 +3688,12 @@ Please provide:
             return;
         }
 
+        this.openRewritePopover('rephrase');
+    }
+
+    async askChatToRephrase(selectedText) {
         // Format the prompt as specified by the user
-        const prompt = `I am a student writing an essay. Here is a phrase that I have written: ["${this.selectedText}"]. I have used the words in this phrase previously and would like you to provide some options on how I can reword this phrase, while keeping the original meaning.`;
+        const prompt = `I am a student writing an essay. Here is a phrase that I have written: ["${selectedText}"]. I have used the words in this phrase previously and would like you to provide some options on how I can reword this phrase, while keeping the original meaning.`;
 
         // Send to chat system
         if (window.aiWritingAssistant && window.aiWritingAssistant.chatSystem) {
@@ -2205,6 +3736,24 @@ class WriteModule extends BaseEditorModule {
         this.templateInserted = false; // Track if template has been inserted
         this.selectedText = ''; // Track currently selected text
         this.selectedRange = null; // Track selection range
+        this.wordTargetTimer = null; // Debounce for the section navigator and word meters
+        this.expandedNavSections = new Set(); // Navigator entries showing their plan notes
+        this.outlineSyncDialog = typeof OutlineSyncDialog !== 'undefined' ? new OutlineSyncDialog(this) : null;
+    }
+
+    setupEventListeners() {
+        super.setupEventListeners();
+        // Base listener restores the content first, so the sidebar sees the saved text
+        this.globalState.subscribe('ready', () => this.updateSectionSidebar());
+    }
+
+    setupEditorEvents() {
+        super.setupEditorEvents();
+        if (!this.editor) return;
+        this.editor.on('text-change', () => {
+            if (this.wordTargetTimer) clearTimeout(this.wordTargetTimer);
+            this.wordTargetTimer = setTimeout(() => this.updateSectionSidebar(), 300);
+        });
     }
 
     handleTextChange(content) {
@@ -2231,43 +3780,12 @@ class WriteModule extends BaseEditorModule {
             currentContent === '<br>' ||
             currentContent.replace(/<[^>]*>/g, '').trim() === '';
 
-        // Get outline sections from PlanModule
-        let sections = [];
-        if (window.aiWritingAssistant && window.aiWritingAssistant.modules && window.aiWritingAssistant.modules.plan) {
-            const planModule = window.aiWritingAssistant.modules.plan;
-            if (planModule.sections && planModule.sections.size > 0) {
-                // Get sections in order from outlineItems DOM
-                const outlineItems = document.getElementById('outlineItems');
-                if (outlineItems) {
-                    const sectionOrder = Array.from(outlineItems.children).map(child => {
-                        return child.dataset.sectionId || child.id.replace('section-', '');
-                    }).filter(id => id);
-
-                    // Build sections array in order
-                    sectionOrder.forEach(sectionId => {
-                        const section = planModule.sections.get(sectionId);
-                        if (section && section.title) {
-                            sections.push({
-                                id: section.id,
-                                title: section.title,
-                                description: section.description || ''
-                            });
-                        }
-                    });
-                } else {
-                    // Fallback: get all sections from Map
-                    planModule.sections.forEach((section, id) => {
-                        if (section && section.title) {
-                            sections.push({
-                                id: section.id,
-                                title: section.title,
-                                description: section.description || ''
-                            });
-                        }
-                    });
-                }
-            }
-        }
+        // Get outline sections from PlanModule (each instance of a repeatable section gets its own heading)
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+        let sections = this.getPlanSections().map(section => ({
+            ...section,
+            ideas: planModule.getIdeaTree(section.id)
+        }));
 
         // If no sections found, try template data
         if (sections.length === 0 && window.templateData && window.templateData.sections) {
@@ -2275,82 +3793,482 @@ class WriteModule extends BaseEditorModule {
         }
 
         if (sections.length === 0) {
-            console.log('WriteModule: No outline sections found, skipping template insertion');
+            console.log('WriteModule: No outline sections found, skipping template insertion');
+            return;
+        }
+
+        // If editor is empty, insert all sections
+        if (isEmpty) {
+            // Generate template HTML with headings
+            const templateHTML = sections.map((section, index) => {
+                let html = this.buildSectionTemplateHTML(section);
+                // Add spacing between sections (except last)
+                if (index < sections.length - 1) {
+                    html += `<p><br></p>`;
+                }
+                return html;
+            }).join('');
+
+            // Insert template into editor
+            this.editor.clipboard.dangerouslyPasteHTML(templateHTML);
+            this.templateInserted = true;
+            console.log('WriteModule: Outline template inserted with', sections.length, 'sections');
+        } else {
+            // Editor has content - find and append only missing sections
+            const linkedSectionIds = this.syncSectionHeadings()
+                .filter(section => section.heading)
+                .map(section => section.id);
+            const existingHeadings = this.extractExistingHeadings();
+            const missingSections = sections.filter(section => {
+                // Check if this section's heading already exists in editor (linked, or by title)
+                const sectionTitle = section.title.trim().toLowerCase();
+                return !linkedSectionIds.includes(section.id) && !existingHeadings.some(existing =>
+                    existing.toLowerCase() === sectionTitle
+                );
+            });
+
+            if (missingSections.length === 0) {
+                console.log('WriteModule: All outline sections already exist in editor');
+                return;
+            }
+
+            // Append missing sections at the end
+            const appendHTML = missingSections.map((section, index) => {
+                // Add spacing before new section
+                let html = `<p><br></p>`;
+                html += this.buildSectionTemplateHTML(section);
+                return html;
+            }).join('');
+
+            // Append missing sections at the end
+            // Get the current length and insert at the end
+            const length = this.editor.getLength();
+            // Set selection to the end (before the final newline)
+            this.editor.setSelection(length - 1);
+            // Convert HTML to Delta format and insert
+            const Delta = Quill.import('delta');
+            const delta = this.editor.clipboard.convert(appendHTML);
+            // Create a new delta that retains existing content and appends new content
+            const appendDelta = new Delta()
+                .retain(length - 1)
+                .concat(delta);
+            this.editor.updateContents(appendDelta, 'user');
+            // Move cursor to end of newly appended content
+            const newLength = this.editor.getLength();
+            this.editor.setSelection(newLength - 1);
+            console.log('WriteModule: Appended', missingSections.length, 'missing sections to editor');
+        }
+    }
+
+    /**
+     * Starter content for one section: its heading, description, planned ideas and a blank line to write in
+     * @param {Object} section {id, title, description, ideas}
+     * @returns {string} HTML
+     */
+    buildSectionTemplateHTML(section) {
+        // Use h2 for section headings, linked to their outline section
+        let html = this.buildSectionHeadingHTML(section);
+        // Add description if available
+        if (section.description && section.description.trim()) {
+            html += `<p><em>${this.escapeHtml(section.description)}</em></p>`;
+        }
+        // Add the section's planned ideas as sub-headings and bullets
+        html += this.buildIdeaOutlineHTML(section.ideas);
+        // Add empty paragraph for user to write content
+        html += `<p><br></p>`;
+        return html;
+    }
+
+    // Template sections have no Plan section to link to, so their headings stay plain
+    buildSectionHeadingHTML(section) {
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+        const linked = planModule && planModule.sections && planModule.sections.has(section.id);
+        const attribute = linked ? ` data-section-id="${this.escapeHtml(section.id)}"` : '';
+        return `<h2${attribute}>${this.escapeHtml(section.title)}</h2>`;
+    }
+
+    /**
+     * Plan outline sections in board order, with the titles currently shown on the board
+     * @returns {Array<Object>} [{id, title, description, instanceOf}]
+     */
+    getPlanSections() {
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+        if (!planModule || !planModule.sections || planModule.sections.size === 0) return [];
+
+        const outlineItems = document.getElementById('outlineItems');
+        const order = outlineItems
+            ? Array.from(outlineItems.children).map(child => child.dataset.sectionId || child.id.replace('section-', '')).filter(id => id)
+            : Array.from(planModule.sections.keys());
+
+        return order
+            .map(sectionId => planModule.sections.get(sectionId))
+            .filter(section => section && section.title)
+            .map(section => {
+                const titleElement = section.element ? section.element.querySelector('.section-title') : null;
+                return {
+                    id: section.id,
+                    title: (titleElement ? titleElement.textContent : section.title).trim(),
+                    description: section.description || '',
+                    instanceOf: section.instanceOf || null
+                };
+            });
+    }
+
+    /**
+     * Match each Plan section to its H2 in the draft. Headings keep their link through renames;
+     * a heading that lost its link (deleted and retyped, pasted) is relinked when its text matches
+     * a section title, and copies of a linked heading or body lines that inherited the link are unlinked
+     * @returns {Array<Object>} getPlanSections() entries with `heading` (element or null)
+     */
+    syncSectionHeadings() {
+        const sections = this.getPlanSections();
+        if (!this.editor || sections.length === 0) {
+            return sections.map(section => ({ ...section, heading: null }));
+        }
+
+        const sectionIds = new Set(sections.map(section => section.id));
+        const linked = new Map();
+        const unlinked = [];
+        Array.from(this.editor.root.children).forEach(block => {
+            const sectionId = block.getAttribute('data-section-id');
+            if (block.tagName !== 'H2') {
+                // Enter at the end of a heading carries its line formats onto the next paragraph
+                if (sectionId) this.setHeadingSection(block, null);
+                return;
+            }
+            if (sectionId && linked.has(sectionId)) {
+                this.setHeadingSection(block, null);
+                unlinked.push(block);
+            } else if (sectionId && sectionIds.has(sectionId)) {
+                linked.set(sectionId, block);
+            } else if (!sectionId) {
+                unlinked.push(block);
+            }
+        });
+
+        unlinked.forEach(block => {
+            const key = block.textContent.trim().toLowerCase();
+            const match = sections.find(section => !linked.has(section.id) && section.title.toLowerCase() === key);
+            if (match) {
+                this.setHeadingSection(block, match.id);
+                linked.set(match.id, block);
+            }
+        });
+
+        return sections.map(section => ({ ...section, heading: linked.get(section.id) || null }));
+    }
+
+    /**
+     * H2 headings in document order; sectionId is set only for headings linked to a current Plan section
+     * @returns {Array<Object>} [{element, text, sectionId}]
+     */
+    getDraftHeadings() {
+        if (!this.editor) return [];
+        const sectionIds = this.syncSectionHeadings().map(section => section.id);
+        return Array.from(this.editor.root.querySelectorAll(':scope > h2')).map(element => {
+            const sectionId = element.getAttribute('data-section-id');
+            return {
+                element,
+                text: element.textContent.trim(),
+                sectionId: sectionId && sectionIds.includes(sectionId) ? sectionId : null
+            };
+        });
+    }
+
+    /**
+     * Split the draft at its H2 headings
+     * @returns {Array<Object>} [{sectionId, heading: {line, attributes}|null, body}] - the first chunk is the text before any heading
+     */
+    getDraftChunks() {
+        const Delta = Quill.import('delta');
+        const chunks = [{ sectionId: null, heading: null, body: new Delta() }];
+        this.editor.getContents().eachLine((line, attributes) => {
+            if (attributes.header === 2) {
+                chunks.push({ sectionId: attributes.section || null, heading: { line, attributes }, body: new Delta() });
+            } else {
+                const chunk = chunks[chunks.length - 1];
+                chunk.body = chunk.body.concat(line).insert('\n', attributes);
+            }
+        });
+        return chunks;
+    }
+
+    /**
+     * Bring the draft in line with the Plan outline
+     * @param {Object} changes {rename: section IDs whose heading takes the outline title,
+     *   insert: section IDs to add in outline position, reorder: move whole sections into outline order}
+     */
+    applyOutlineToDraft({ rename = [], insert = [], reorder = false }) {
+        if (!this.editor) return;
+        const Delta = Quill.import('delta');
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+        const sections = this.syncSectionHeadings();
+        const sectionIds = sections.map(section => section.id);
+
+        // Headings outside the outline travel with the section above them
+        const chunks = this.getDraftChunks();
+        const lead = [chunks.shift()];
+        const groups = [];
+        chunks.forEach(chunk => {
+            if (chunk.sectionId && sectionIds.includes(chunk.sectionId) && !groups.some(group => group.sectionId === chunk.sectionId)) {
+                groups.push({ sectionId: chunk.sectionId, chunks: [chunk] });
+            } else if (groups.length > 0) {
+                groups[groups.length - 1].chunks.push(chunk);
+            } else {
+                lead.push(chunk);
+            }
+        });
+
+        groups.forEach(group => {
+            const section = sections.find(item => item.id === group.sectionId);
+            if (rename.includes(group.sectionId)) {
+                group.chunks[0].heading.line = new Delta().insert(section.title);
+            }
+        });
+
+        if (reorder) {
+            groups.sort((a, b) => sectionIds.indexOf(a.sectionId) - sectionIds.indexOf(b.sectionId));
+        }
+
+        sections.forEach((section, index) => {
+            if (!insert.includes(section.id) || groups.some(group => group.sectionId === section.id)) return;
+            let content = this.editor.clipboard.convert(this.buildSectionTemplateHTML({
+                ...section,
+                ideas: planModule ? planModule.getIdeaTree(section.id) : []
+            }));
+            // The clipboard drops a trailing plain newline, but every chunk has to end a line
+            if (!/\n$/.test(content.ops.length > 0 ? content.ops[content.ops.length - 1].insert : '')) {
+                content = content.insert('\n');
+            }
+            // After the nearest earlier outline section already in the draft
+            const earlier = sectionIds.slice(0, index);
+            const position = groups.reduce((last, group, groupIndex) => earlier.includes(group.sectionId) ? groupIndex : last, -1);
+            groups.splice(position + 1, 0, { sectionId: section.id, chunks: [{ heading: null, body: content }] });
+        });
+
+        let result = new Delta();
+        lead.concat(...groups.map(group => group.chunks)).forEach(chunk => {
+            if (chunk.heading) {
+                result = result.concat(chunk.heading.line).insert('\n', chunk.heading.attributes);
+            }
+            result = result.concat(chunk.body);
+        });
+        this.editor.setContents(result, 'user');
+        this.updateSectionSidebar();
+    }
+
+    /**
+     * Bring the Plan outline in line with the draft's headings
+     * @param {Object} changes {rename: section IDs that take their heading's text,
+     *   add: heading elements that become new outline sections, reorder: put sections in draft order}
+     */
+    applyDraftToOutline({ rename = [], add = [], reorder = false }) {
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+        const outlineItems = document.getElementById('outlineItems');
+        if (!planModule || !outlineItems) return;
+
+        planModule.recordHistory(planModule.capturePlanSnapshot());
+        const headings = this.getDraftHeadings();
+
+        rename.forEach(sectionId => {
+            const section = planModule.sections.get(sectionId);
+            const heading = headings.find(item => item.sectionId === sectionId);
+            if (section && heading && heading.text) {
+                section.setTitle(heading.text);
+            }
+        });
+
+        // New sections go after the section of the nearest linked heading above them
+        headings.forEach((heading, index) => {
+            if (!add.includes(heading.element) || !heading.text) return;
+            const section = planModule.addCustomSection(heading.text, { focus: false, save: false });
+            const previous = headings.slice(0, index).reverse().find(item => item.sectionId);
+            const anchor = previous ? planModule.sections.get(previous.sectionId) : null;
+            outlineItems.insertBefore(section.element, anchor ? anchor.element.nextSibling : outlineItems.firstChild);
+            this.setHeadingSection(heading.element, section.id);
+            heading.sectionId = section.id;
+        });
+
+        if (reorder) {
+            // Linked sections swap places among themselves; sections without a heading stay put
+            const draftOrder = headings.filter(heading => heading.sectionId).map(heading => heading.sectionId);
+            const items = Array.from(outlineItems.children);
+            const slots = items
+                .map((element, index) => draftOrder.includes(element.dataset.sectionId || element.id.replace('section-', '')) ? index : -1)
+                .filter(index => index >= 0);
+            slots.forEach((slot, index) => {
+                items[slot] = planModule.sections.get(draftOrder[index]).element;
+            });
+            items.forEach(element => outlineItems.appendChild(element));
+        }
+
+        // Renumbers repeated sections and saves the plan (with the relinked headings)
+        planModule.handleSectionReorder();
+        this.updateSectionSidebar();
+    }
+
+    // Set or clear (null) the outline section on a draft line; saved with the next autosave
+    setHeadingSection(block, sectionId) {
+        const blot = Quill.find(block);
+        if (!blot) return;
+        this.editor.formatLine(this.editor.getIndex(blot), 1, 'section', sectionId || false, 'api');
+    }
+
+    scrollToSectionHeading(heading) {
+        const blot = Quill.find(heading);
+        if (!blot) return;
+        this.editor.setSelection(this.editor.getIndex(blot) + blot.length() - 1, 0, 'user');
+        heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Refresh everything in the Write sidebar that depends on the draft's headings
+    updateSectionSidebar() {
+        this.updateSectionNavigator();
+        this.updateSectionWordTargets();
+    }
+
+    /**
+     * Render the section navigator: one entry per Plan section with its word count, whether it
+     * is still empty or has lost its heading, and the section's plan ideas as reference notes
+     */
+    updateSectionNavigator() {
+        const outlineSidebar = document.getElementById('outlineSidebar');
+        if (!outlineSidebar || !this.editor) return;
+
+        let container = document.getElementById('sectionNavigator');
+        if (!container) {
+            container = createElement('nav', 'section-navigator');
+            container.id = 'sectionNavigator';
+            container.setAttribute('aria-label', 'Draft sections');
+            const heading = outlineSidebar.querySelector('h3');
+            outlineSidebar.insertBefore(container, heading ? heading.nextSibling : outlineSidebar.firstChild);
+        }
+        container.innerHTML = '';
+
+        const sections = this.syncSectionHeadings();
+        if (sections.length === 0) {
+            container.style.display = 'none';
             return;
         }
+        container.style.display = '';
+        container.appendChild(createElement('h4', '', 'Sections'));
+
+        if (this.outlineSyncDialog) {
+            const diff = diffOutlineAndDraft(sections, this.getDraftHeadings());
+            const syncBtn = createElement('button', `section-nav-sync${diff.inSync ? '' : ' has-changes'}`,
+                diff.inSync ? 'Sync with Outline' : 'Sync with Outline \u2022 changes found');
+            syncBtn.type = 'button';
+            syncBtn.title = 'Compare your outline with the headings in your draft';
+            syncBtn.addEventListener('click', () => this.outlineSyncDialog.open());
+            container.appendChild(syncBtn);
+        }
 
-        // If editor is empty, insert all sections
-        if (isEmpty) {
-            // Generate template HTML with headings
-            const templateHTML = sections.map((section, index) => {
-                // Use h2 for section headings
-                let html = `<h2>${this.escapeHtml(section.title)}</h2>`;
-                // Add description if available
-                if (section.description && section.description.trim()) {
-                    html += `<p><em>${this.escapeHtml(section.description)}</em></p>`;
+        const counts = this.getSectionWordCounts();
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+        const list = createElement('ol', 'section-nav-list');
+        sections.forEach(section => {
+            const count = section.heading ? counts.find(entry => entry.heading === section.heading) : null;
+            const words = count ? count.words : 0;
+            const status = !section.heading ? 'missing' : (words === 0 ? 'empty' : 'written');
+            const expanded = this.expandedNavSections.has(section.id);
+
+            const item = createElement('li', `section-nav-item ${status}`);
+            const header = createElement('div', 'section-nav-header');
+            const titleBtn = createElement('button', 'section-nav-title', section.title);
+            titleBtn.type = 'button';
+            titleBtn.dataset.sectionId = section.id;
+            titleBtn.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            titleBtn.title = section.heading ? 'Go to this section' : 'Show plan notes';
+            titleBtn.addEventListener('click', () => {
+                if (expanded) {
+                    this.expandedNavSections.delete(section.id);
+                } else {
+                    this.expandedNavSections.add(section.id);
                 }
-                // Add empty paragraph for user to write content
-                html += `<p><br></p>`;
-                // Add spacing between sections (except last)
-                if (index < sections.length - 1) {
-                    html += `<p><br></p>`;
+                this.updateSectionNavigator();
+                if (section.heading) {
+                    this.scrollToSectionHeading(section.heading);
+                } else {
+                    // The entry was re-rendered, so give focus back to its new button
+                    const button = container.querySelector(`.section-nav-title[data-section-id="${CSS.escape(section.id)}"]`);
+                    if (button) button.focus();
                 }
-                return html;
-            }).join('');
-
-            // Insert template into editor
-            this.editor.clipboard.dangerouslyPasteHTML(templateHTML);
-            this.templateInserted = true;
-            console.log('WriteModule: Outline template inserted with', sections.length, 'sections');
-        } else {
-            // Editor has content - find and append only missing sections
-            const existingHeadings = this.extractExistingHeadings();
-            const missingSections = sections.filter(section => {
-                // Check if this section's heading already exists in editor
-                const sectionTitle = section.title.trim().toLowerCase();
-                return !existingHeadings.some(existing =>
-                    existing.toLowerCase() === sectionTitle
-                );
             });
+            header.appendChild(titleBtn);
+            const statusText = status === 'missing' ? 'No heading' : (status === 'empty' ? 'Empty' : `${words} word${words === 1 ? '' : 's'}`);
+            header.appendChild(createElement('span', 'section-nav-status', statusText));
+            item.appendChild(header);
+
+            const headingText = section.heading ? section.heading.textContent.trim() : '';
+            if (section.heading && headingText !== section.title) {
+                item.appendChild(createElement('div', 'section-nav-note', `Heading in draft: "${headingText}"`));
+            } else if (!section.heading) {
+                item.appendChild(createElement('div', 'section-nav-note', 'Heading removed from the draft. Use Sync with Outline to add it back.'));
+            }
 
-            if (missingSections.length === 0) {
-                console.log('WriteModule: All outline sections already exist in editor');
-                return;
+            if (expanded) {
+                const ideas = planModule ? planModule.getIdeaTree(section.id) : [];
+                item.appendChild(ideas.length > 0
+                    ? this.buildSectionNotesList(ideas)
+                    : createElement('div', 'section-nav-note', 'No plan ideas in this section.'));
             }
 
-            // Append missing sections at the end
-            const appendHTML = missingSections.map((section, index) => {
-                // Add spacing before new section
-                let html = `<p><br></p>`;
-                // Use h2 for section headings
-                html += `<h2>${this.escapeHtml(section.title)}</h2>`;
-                // Add description if available
-                if (section.description && section.description.trim()) {
-                    html += `<p><em>${this.escapeHtml(section.description)}</em></p>`;
-                }
-                // Add empty paragraph for user to write content
-                html += `<p><br></p>`;
-                return html;
-            }).join('');
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+    }
 
-            // Append missing sections at the end
-            // Get the current length and insert at the end
-            const length = this.editor.getLength();
-            // Set selection to the end (before the final newline)
-            this.editor.setSelection(length - 1);
-            // Convert HTML to Delta format and insert
-            const Delta = Quill.import('delta');
-            const delta = this.editor.clipboard.convert({ html: appendHTML });
-            // Create a new delta that retains existing content and appends new content
-            const appendDelta = new Delta()
-                .retain(length - 1)
-                .concat(delta);
-            this.editor.updateContents(appendDelta, 'user');
-            // Move cursor to end of newly appended content
-            const newLength = this.editor.getLength();
-            this.editor.setSelection(newLength - 1);
-            console.log('WriteModule: Appended', missingSections.length, 'missing sections to editor');
-        }
+    buildSectionNotesList(ideas) {
+        const list = createElement('ul', 'section-nav-notes');
+        ideas.forEach(idea => {
+            const item = createElement('li', '', idea.content);
+            if (idea.children.length > 0) {
+                item.appendChild(this.buildSectionNotesList(idea.children));
+            }
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    /**
+     * Render a section's idea tree: ideas with sub-points become h3 headings,
+     * everything else becomes (indented) bullets
+     * @param {Array<Object>} ideas Nodes from PlanModule.getIdeaTree()
+     * @returns {string} HTML
+     */
+    buildIdeaOutlineHTML(ideas) {
+        if (!Array.isArray(ideas) || ideas.length === 0) return '';
+
+        let html = '';
+        let bullets = [];
+        const flushBullets = () => {
+            if (bullets.length > 0) {
+                html += `<ul>${bullets.join('')}</ul>`;
+                bullets = [];
+            }
+        };
+        // Quill keeps list nesting as ql-indent-N classes on flat list items
+        const addBullets = (nodes, depth) => {
+            nodes.forEach(node => {
+                const indentClass = depth > 0 ? ` class="ql-indent-${Math.min(depth, 8)}"` : '';
+                bullets.push(`<li${indentClass}>${this.escapeHtml(node.content)}</li>`);
+                addBullets(node.children || [], depth + 1);
+            });
+        };
+
+        ideas.forEach(node => {
+            if (node.children && node.children.length > 0 && node.content) {
+                flushBullets();
+                html += `<h3>${this.escapeHtml(node.content)}</h3>`;
+                addBullets(node.children, 0);
+                flushBullets();
+            } else {
+                addBullets([node], 0);
+            }
+        });
+        flushBullets();
+
+        return html;
     }
 
     /**
@@ -2373,6 +4291,165 @@ class WriteModule extends BaseEditorModule {
         return headings;
     }
 
+    /**
+     * Find the outline section behind an H2 heading: the linked Plan section or the one with that title,
+     * then the template section (custom outline or template file) for word targets
+     * @param {string} title Heading text
+     * @param {string|null} sectionId Linked section from the heading's data-section-id
+     * @returns {Object|null} {minWords, maxWords, prompts} or null for headings outside the outline
+     */
+    getOutlineSectionForHeading(title, sectionId = null) {
+        const key = title.trim().toLowerCase();
+        const templateSections = window.templateData?.sections || [];
+        const planModule = window.aiWritingAssistant?.modules?.plan;
+
+        let planSection = sectionId && planModule && planModule.sections ? planModule.sections.get(sectionId) || null : null;
+        if (!planSection && planModule && planModule.sections) {
+            planModule.sections.forEach(section => {
+                if (!planSection && section.title && section.title.trim().toLowerCase() === key) {
+                    planSection = section;
+                }
+            });
+        }
+
+        const templateId = planSection ? (planSection.instanceOf || planSection.id) : null;
+        const templateSection = (templateId && templateSections.find(section => section.id === templateId)) ||
+            templateSections.find(section => (section.title || '').trim().toLowerCase() === key);
+        if (!planSection && !templateSection) return null;
+
+        return {
+            minWords: Number.isInteger(templateSection?.minWords) ? templateSection.minWords : null,
+            maxWords: Number.isInteger(templateSection?.maxWords) ? templateSection.maxWords : null,
+            // Description lines and idea bullets inserted by insertOutlineTemplate() are prompts, not the student's words
+            prompts: [planSection?.description, templateSection?.description]
+                .concat(planSection ? this.flattenIdeaTree(planModule.getIdeaTree(planSection.id)) : [])
+                .filter(text => text && text.trim())
+                .map(text => text.trim())
+        };
+    }
+
+    flattenIdeaTree(ideas) {
+        return ideas.reduce((all, idea) => all.concat(idea.content, this.flattenIdeaTree(idea.children)), []);
+    }
+
+    /**
+     * Count the words written under each H2 heading (text before the first heading is not counted)
+     * @returns {Array<Object>} [{title, words, section, heading}] in document order
+     */
+    getSectionWordCounts() {
+        if (!this.editor) return [];
+
+        const counts = [];
+        let current = null;
+        Array.from(this.editor.root.children).forEach(block => {
+            if (block.tagName === 'H2') {
+                const title = block.textContent.trim();
+                current = title ? {
+                    title,
+                    words: 0,
+                    section: this.getOutlineSectionForHeading(title, block.getAttribute('data-section-id')),
+                    heading: block
+                } : null;
+                if (current) counts.push(current);
+                return;
+            }
+            if (!current) return;
+
+            const prompts = current.section ? current.section.prompts : [];
+
+            // List items sit side by side in textContent, so count them one at a time
+            const items = block.tagName === 'UL' || block.tagName === 'OL'
+                ? Array.from(block.querySelectorAll('li')).map(li => li.textContent)
+                : [block.textContent];
+            items.forEach(item => {
+                if (prompts.includes(item.trim())) return;
+                current.words += calculateWordCount(item);
+            });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Render a progress meter per section heading into the Write sidebar,
+     * warning when a section is under its minimum or well past its maximum
+     */
+    updateSectionWordTargets() {
+        const outlineSidebar = document.getElementById('outlineSidebar');
+        if (!outlineSidebar || !this.editor) return;
+
+        let container = document.getElementById('sectionWordTargets');
+        if (!container) {
+            container = createElement('div', 'section-word-targets');
+            container.id = 'sectionWordTargets';
+            const previous = document.getElementById('sectionNavigator') || outlineSidebar.querySelector('h3');
+            outlineSidebar.insertBefore(container, previous ? previous.nextSibling : outlineSidebar.firstChild);
+        }
+        container.innerHTML = '';
+
+        const counts = this.getSectionWordCounts();
+        if (counts.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = '';
+        container.appendChild(createElement('h4', '', 'Section Length'));
+
+        // "Far over" leaves some slack past the maximum before warning
+        const overTolerance = 1.1;
+        counts.forEach(({ title, words, section }) => {
+            const minWords = section ? section.minWords : null;
+            const maxWords = section ? section.maxWords : null;
+            const hasTarget = minWords !== null || maxWords !== null;
+
+            let status = 'none';
+            let message = '';
+            if (minWords !== null && words < minWords) {
+                status = 'under';
+                message = `${minWords - words} more words needed`;
+            } else if (maxWords !== null && words > maxWords * overTolerance) {
+                status = 'over';
+                message = `${words - maxWords} words over the limit`;
+            } else if (hasTarget) {
+                status = 'ok';
+            }
+
+            const row = createElement('div', `section-word-target ${status}`);
+            const label = createElement('div', 'section-word-target-label');
+            label.appendChild(createElement('span', 'section-word-target-title', title));
+            let countText = `${words}`;
+            if (minWords !== null && maxWords !== null) {
+                countText += ` / ${minWords}\u2013${maxWords}`;
+            } else if (maxWords !== null) {
+                countText += ` / ${maxWords}`;
+            } else if (minWords !== null) {
+                countText += ` / ${minWords}+`;
+            }
+            label.appendChild(createElement('span', 'section-word-target-count', countText));
+            row.appendChild(label);
+
+            if (hasTarget) {
+                const goal = maxWords !== null ? maxWords : minWords;
+                const percent = goal > 0 ? Math.min(100, Math.round((words / goal) * 100)) : 100;
+                const meter = createElement('div', 'section-word-target-meter');
+                meter.setAttribute('role', 'progressbar');
+                meter.setAttribute('aria-label', `${title} word count`);
+                meter.setAttribute('aria-valuemin', '0');
+                meter.setAttribute('aria-valuemax', `${goal}`);
+                meter.setAttribute('aria-valuenow', `${Math.min(words, goal)}`);
+                const fill = createElement('div', 'section-word-target-fill');
+                fill.style.width = `${percent}%`;
+                meter.appendChild(fill);
+                row.appendChild(meter);
+            }
+            if (message) {
+                row.appendChild(createElement('div', 'section-word-target-warning', message));
+            }
+
+            container.appendChild(row);
+        });
+    }
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -2421,6 +4498,11 @@ class EditModule extends BaseEditorModule {
         this.reviewStats = null;
         this.reviewSuggestionsContainer = null;
         this.isReviewing = false;
+        this.reviewedAt = 0; // Unix time of the review being shown
+        this.reviewHighlights = null; // EditorHighlights over the draft
+        this.reviewChangesInFlight = null; // Edits made while a review request runs
+        this.reviewAnchorsChanged = false; // Ranges moved by edits since the draft was last collected
+        this.reviewAnchorsCollected = null; // Ranges as they were when it was, until that save goes through
 
         // Setup AI Review after editor is initialized
         setTimeout(() => {
@@ -2476,7 +4558,7 @@ class EditModule extends BaseEditorModule {
         const reviewStats = document.getElementById('reviewStats');
         const reviewSuggestionsContainer = document.getElementById('reviewSuggestions');
 
-        if (!reviewBtn || !reviewPanel) return;
+        if (!reviewBtn || !reviewPanel || !this.editor) return;
 
         this.reviewPanel = reviewPanel;
         this.reviewStats = reviewStats;
@@ -2485,10 +4567,30 @@ class EditModule extends BaseEditorModule {
         reviewBtn.addEventListener('click', () => this.handleAIReview());
         reviewPanelClose?.addEventListener('click', () => this.closeReviewPanel());
 
-        // Load saved review results after editor is ready
-        setTimeout(() => {
+        // Highlights are drawn over the text rather than formatted into it, and every edit moves their ranges
+        this.reviewHighlights = new EditorHighlights(this.editor);
+        this.editor.on('text-change', (delta) => this.transformReviewAnchors(delta));
+
+        // Moved ranges are saved with the draft they point into: taken when a save collects it, sent once
+        // that save has gone through
+        this.globalState.subscribe('collected', () => {
+            if (!this.reviewAnchorsChanged) return;
+            this.reviewAnchorsCollected = { suggestions: deepClone(this.reviewSuggestions), reviewedAt: this.reviewedAt };
+            this.reviewAnchorsChanged = false;
+        });
+        this.globalState.subscribe('saved', () => {
+            if (!this.reviewAnchorsCollected || !this.api) return;
+            const { suggestions, reviewedAt } = this.reviewAnchorsCollected;
+            this.reviewAnchorsCollected = null;
+            this.api.saveReview('edit', suggestions, reviewedAt);
+        });
+
+        // The saved ranges point into the saved draft, so load them once it is in the editor
+        if (this.projectManager.ready()) {
             this.loadSavedReviewResults();
-        }, 1000);
+        } else {
+            this.globalState.subscribe('ready', () => setTimeout(() => this.loadSavedReviewResults(), 0));
+        }
     }
 
     setupImportWriteContent() {
@@ -2567,66 +4669,39 @@ class EditModule extends BaseEditorModule {
         }
     }
 
-    getReviewStorageKey() {
-        const state = this.globalState.getState();
-        const projectId = state.currentProject?.id || 'default';
-        return `writeassist_ai_review_${projectId}`;
-    }
-
+    /**
+     * Save a new review, or that the review was cleared, right away (ranges moved by edits wait for the
+     * draft's own save instead); anything collected earlier is older and is dropped
+     */
     saveReviewResults() {
-        if (!this.reviewSuggestions || this.reviewSuggestions.length === 0) {
-            // Clear storage if no suggestions
-            localStorage.removeItem(this.getReviewStorageKey());
-            return;
-        }
-
-        const reviewData = {
-            suggestions: this.reviewSuggestions,
-            timestamp: new Date().toISOString()
-        };
-
-        try {
-            localStorage.setItem(this.getReviewStorageKey(), JSON.stringify(reviewData));
-        } catch (error) {
-            console.error('EditModule: Error saving review results:', error);
-        }
+        this.reviewAnchorsChanged = false;
+        this.reviewAnchorsCollected = null;
+        if (!this.api) return;
+        this.api.saveReview('edit', this.reviewSuggestions, this.reviewedAt);
     }
 
-    loadSavedReviewResults() {
-        if (!this.editor) return;
-
-        try {
-            const storageKey = this.getReviewStorageKey();
-            const savedData = localStorage.getItem(storageKey);
-
-            if (!savedData) return;
-
-            const reviewData = JSON.parse(savedData);
+    async loadSavedReviewResults() {
+        if (!this.editor || !this.api) return;
 
-            if (!reviewData.suggestions || reviewData.suggestions.length === 0) {
-                return;
-            }
-
-            // Check if the current editor content matches (basic check)
-            const currentText = this.editor.getText();
-            if (!currentText || currentText.trim().length === 0) {
-                return;
-            }
-
-            // Restore suggestions
-            this.reviewSuggestions = reviewData.suggestions;
+        // Reviews used to be kept in this browser only; the server copy replaces them
+        const projectId = this.globalState.getState().currentProject?.id || 'default';
+        localStorage.removeItem(`writeassist_ai_review_${projectId}`);
 
-            // Apply highlights
-            this.applyHighlights();
-
-            // Display results
-            this.displayReviewResults();
+        const review = await this.api.loadReview('edit');
+        if (!review || !Array.isArray(review.suggestions) || review.suggestions.length === 0) return;
+        // A review run while this one was loading is newer
+        if (this.isReviewing || this.reviewSuggestions.length > 0) return;
 
-            // Show panel
-            this.showReviewPanel();
-        } catch (error) {
-            console.error('EditModule: Error loading saved review results:', error);
-        }
+        const lastIndex = Math.max(0, this.editor.getLength() - 1);
+        this.reviewSuggestions = review.suggestions.map(suggestion => ({
+            ...suggestion,
+            index: Math.min(Math.max(0, suggestion.index || 0), lastIndex),
+            length: Math.max(0, suggestion.length || 0)
+        }));
+        this.reviewedAt = review.reviewedAt || 0;
+        this.refreshReviewAnchors();
+        this.displayReviewResults();
+        this.showReviewPanel();
     }
 
     async handleAIReview() {
@@ -2661,50 +4736,31 @@ class EditModule extends BaseEditorModule {
         }
 
         try {
-            // Clear previous highlights
-            this.clearHighlights();
-
-            // Get plain text content for AI review
-            const plainText = this.editor.getText();
-
-            // Call AI API for review
-            const suggestions = await this.requestAIReview(plainText);
-
-            if (suggestions && suggestions.length > 0) {
-                // Store all suggestions - ensure we have the full array
-                // Make a deep copy to prevent any modifications
-                this.reviewSuggestions = Array.isArray(suggestions)
-                    ? JSON.parse(JSON.stringify(suggestions))
-                    : [JSON.parse(JSON.stringify(suggestions))];
-
-                console.log('EditModule: Received suggestions from AI:', this.reviewSuggestions.length);
-                console.log('EditModule: Full suggestions array:', JSON.stringify(this.reviewSuggestions, null, 2));
-                console.log('EditModule: Count by type:', {
-                    spelling: this.reviewSuggestions.filter(s => s.type === 'spelling').length,
-                    grammar: this.reviewSuggestions.filter(s => s.type === 'grammar').length,
-                    run_on_sentence: this.reviewSuggestions.filter(s => s.type === 'run_on_sentence').length
-                });
+            // Edits made while the review runs are applied to its ranges when it comes back
+            const Delta = Quill.import('delta');
+            const snapshot = this.editor.getContents();
+            this.reviewChangesInFlight = new Delta();
 
-                this.applyHighlights();
+            const suggestions = await this.requestAIReview(this.editor.getText());
 
-                // Verify suggestions array wasn't modified by applyHighlights
-                console.log('EditModule: Suggestions after applyHighlights:', this.reviewSuggestions.length);
+            this.reviewSuggestions = this.anchorSuggestions(suggestions, snapshot, this.reviewChangesInFlight);
+            this.reviewedAt = Math.floor(Date.now() / 1000);
+            this.refreshReviewAnchors();
+            this.saveReviewResults();
 
+            if (this.reviewSuggestions.length > 0) {
                 this.displayReviewResults();
                 this.showReviewPanel();
-                // Save to localStorage
-                this.saveReviewResults();
             } else {
                 // Show success notification modal instead of alert
                 this.showSuccessNotification('No suggestions found. Your document looks good!');
-                // Clear saved results if no suggestions
-                this.saveReviewResults();
             }
         } catch (error) {
             console.error('EditModule: AI Review error:', error);
-            alert('Error performing AI review. Please try again.');
+            alert(`AI review failed: ${error.message || 'unknown error'}. Please try again.`);
         } finally {
             this.isReviewing = false;
+            this.reviewChangesInFlight = null;
             if (reviewBtn) {
                 reviewBtn.disabled = false;
                 if (reviewBtn.dataset.originalHTML) {
@@ -2724,300 +4780,139 @@ class EditModule extends BaseEditorModule {
     }
 
     async requestAIReview(text) {
-        // Use the existing chat API to get AI review
-        // Focus on three specific checks: spelling, grammar, and run-on sentences
-        // Only flag clear, objective errors - not stylistic preferences
-        const prompt = `Please review the following document and check for ONLY clear, objective errors in three categories:
-1. Spelling errors - Only flag words that are clearly misspelled (e.g., "recieve" instead of "receive")
-2. Grammar mistakes - Only flag clear grammatical errors (e.g., "it's" vs "its" when incorrect, subject-verb disagreement, missing punctuation that creates confusion)
-3. Run-on sentences - Only flag sentences that are genuinely run-on (two independent clauses joined without proper punctuation or conjunction)
-
-IMPORTANT GUIDELINES:
-- Do NOT suggest stylistic changes or preferences
-- Do NOT flag sentences that are long but grammatically correct
-- Do NOT suggest changes to word choice unless it's a clear spelling error
-- Only flag errors that are objectively wrong, not matters of style or preference
-- If the text is well-written with no clear errors, return an empty array []
-
-Return your response as a JSON array where each suggestion has:
-- "type": one of "spelling", "grammar", "run_on_sentence"
-- "original": the exact text that needs improvement (quote it exactly as it appears)
-- "suggestion": the improved version
-- "reason": brief explanation of the objective error
-- "position": approximate position in text (character index or sentence number)
-
-Document to review:
-${text}
-
-Return ONLY a valid JSON array, no other text. If there are no clear errors, return an empty array: []. Example format:
-[
-  {
-    "type": "spelling",
-    "original": "recieve",
-    "suggestion": "receive",
-    "reason": "Incorrect spelling",
-    "position": 45
-  },
-  {
-    "type": "grammar",
-    "original": "The cat sat on it's mat",
-    "suggestion": "The cat sat on its mat",
-    "reason": "Incorrect use of apostrophe - 'it's' means 'it is', should be possessive 'its'",
-    "position": 120
-  },
-  {
-    "type": "run_on_sentence",
-    "original": "I went to the store I bought some milk.",
-    "suggestion": "I went to the store. I bought some milk.",
-    "reason": "Run-on sentence - two independent clauses need proper punctuation",
-    "position": 200
-  }
-]`;
-
-        try {
-            if (!this.api) {
-                throw new Error('API not available');
-            }
-
-            // Get current project data from global state (required by API)
-            const currentProject = this.globalState.getState();
-
-            // Use the sendChatMessage method from API
-            const result = await this.api.sendChatMessage(prompt, currentProject);
-
-            if (!result || !result.assistantReply) {
-                throw new Error('No response from AI');
-            }
-
-            const aiResponse = result.assistantReply;
-
-            // Parse JSON from AI response
-            // Try to extract JSON array from the response
-            let jsonMatch = aiResponse.match(/\[[\s\S]*\]/);
-            if (!jsonMatch) {
-                // Try to find JSON in code blocks
-                jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/) ||
-                    aiResponse.match(/```\s*([\s\S]*?)\s*```/);
-                if (jsonMatch) {
-                    jsonMatch = [jsonMatch[0], jsonMatch[1]];
-                }
-            }
-
-            if (jsonMatch) {
-                const jsonStr = jsonMatch[1] || jsonMatch[0];
-                const suggestions = JSON.parse(jsonStr);
-                return Array.isArray(suggestions) ? suggestions : [];
-            }
+        if (!this.api) {
+            throw new Error('API not available');
+        }
 
-            // Fallback: try to parse the entire response as JSON
-            try {
-                const suggestions = JSON.parse(aiResponse);
-                return Array.isArray(suggestions) ? suggestions : [];
-            } catch (e) {
-                console.warn('EditModule: Could not parse AI response as JSON:', aiResponse);
-                return [];
-            }
-        } catch (error) {
-            console.error('EditModule: Error requesting AI review:', error);
-            throw error;
+        const suggestions = await this.api.reviewDocument(text);
+        const types = ['spelling', 'grammar', 'run_on_sentence'];
+        const malformed = suggestions.find(item => !item || !types.includes(item.type) ||
+            typeof item.original !== 'string' || !item.original.trim() || typeof item.suggestion !== 'string');
+        if (malformed) {
+            console.error('EditModule: Malformed review suggestion:', malformed);
+            throw new Error('The review came back with a suggestion that could not be read');
         }
+        return suggestions;
     }
 
-    applyHighlights() {
-        if (!this.editor || !this.reviewSuggestions.length) return;
-
-        // Get the full text content
-        const fullText = this.editor.getText();
-        const delta = this.editor.getContents();
+    /**
+     * Give each suggestion the editor range it was found at. The review counts characters of the plain text
+     * that was sent (embeds such as footnotes and tables are not in it); edits made since then are applied on top.
+     * @param {Array<Object>} suggestions From the review service, with plain-text positions
+     * @param {Delta} snapshot Editor contents the review was run on
+     * @param {Delta} changes Edits made since
+     * @returns {Array<Object>} [{id, type, original, suggestion, reason, index, length, stale}]
+     */
+    anchorSuggestions(suggestions, snapshot, changes) {
+        const sentText = snapshot.ops.filter(op => typeof op.insert === 'string').map(op => op.insert).join('');
+
+        return suggestions.map((suggestion, n) => {
+            const original = suggestion.original;
+            let position = Number.isInteger(suggestion.position) ? suggestion.position : -1;
+            if (position < 0 || sentText.substr(position, original.length) !== original) {
+                position = this.findNearestOccurrence(sentText, original, position);
+            }
 
-        // Track used positions to handle duplicate text
-        const usedPositions = new Set();
+            let index = 0;
+            let end = 0;
+            if (position !== -1) {
+                index = changes.transformPosition(this.textPositionToQuillIndex(position, snapshot));
+                end = changes.transformPosition(this.textPositionToQuillIndex(position + original.length - 1, snapshot) + 1, true);
+            }
 
-        // First, find positions for all suggestions (without using usedPositions for sorting)
-        const suggestionsWithPositions = this.reviewSuggestions.map((suggestion, originalIndex) => {
-            const originalText = suggestion.original.trim();
-            const position = this.findTextPosition(fullText, originalText, null); // Don't use usedPositions for initial find
             return {
-                suggestion,
-                originalIndex,
-                position,
-                originalText
+                id: `review-${n}`,
+                type: suggestion.type,
+                original,
+                suggestion: suggestion.suggestion,
+                reason: suggestion.reason || '',
+                index,
+                length: Math.max(0, end - index),
+                stale: position === -1
             };
-        }).filter(item => item.position !== -1); // Filter out suggestions we can't find
-
-        // Sort by position (reverse order to maintain indices when applying)
-        suggestionsWithPositions.sort((a, b) => b.position - a.position);
-
-        // Apply highlights from end to beginning to maintain positions
-        suggestionsWithPositions.forEach((item, sortedIndex) => {
-            const { suggestion, originalIndex, originalText } = item;
-
-            // Find the next available position (handling duplicates)
-            let position = this.findTextPosition(fullText, originalText, usedPositions);
-
-            if (position === -1) {
-                console.warn('EditModule: Could not find available position for suggestion:', originalText);
-                return;
-            }
-
-            // Mark this position as used
-            usedPositions.add(position);
-
-            // Convert text position to Quill index
-            const quillIndex = this.textPositionToQuillIndex(position, originalText.length);
-
-            if (quillIndex !== -1) {
-                const highlightId = `review-${originalIndex}`;
-                this.highlightText(quillIndex, originalText.length, highlightId, suggestion);
-            }
         });
     }
 
-    findTextPosition(text, searchText, usedPositions = null) {
-        // Find the position of the text, handling case-insensitive and whitespace variations
-        const normalizedText = text.toLowerCase();
-        const normalizedSearch = searchText.toLowerCase().trim();
-
-        let position = normalizedText.indexOf(normalizedSearch);
-
-        // If we need to avoid used positions, find the next available occurrence
-        if (usedPositions && position !== -1) {
-            // Keep searching until we find a position that hasn't been used
-            while (position !== -1 && usedPositions.has(position)) {
-                // Find next occurrence starting after current position
-                position = normalizedText.indexOf(normalizedSearch, position + 1);
-            }
-        }
-
-        if (position === -1) {
-            // Try with more flexible matching
-            const words = normalizedSearch.split(/\s+/);
-            if (words.length > 1) {
-                // Try to find as phrase
-                position = normalizedText.indexOf(normalizedSearch);
-
-                // If we need to avoid used positions, find the next available occurrence
-                if (usedPositions && position !== -1) {
-                    while (position !== -1 && usedPositions.has(position)) {
-                        position = normalizedText.indexOf(normalizedSearch, position + 1);
-                    }
-                }
-            }
+    // Occurrence of the text closest to where the review put it (-1 if it is not in the draft at all)
+    findNearestOccurrence(text, searchText, near) {
+        let best = -1;
+        for (let at = text.indexOf(searchText); at !== -1; at = text.indexOf(searchText, at + 1)) {
+            if (best === -1 || Math.abs(at - near) < Math.abs(best - near)) best = at;
         }
-
-        return position;
+        return best;
     }
 
-    textPositionToQuillIndex(textPosition, length) {
-        // Convert plain text position to Quill index
-        // Quill uses a different indexing system (includes formatting)
-        if (!this.editor) return -1;
-
-        const text = this.editor.getText();
-        if (textPosition < 0 || textPosition >= text.length) {
-            console.warn('EditModule: Invalid text position:', textPosition, 'text length:', text.length);
-            return -1;
-        }
-
-        // Get the Delta and find the corresponding index
-        const delta = this.editor.getContents();
-        if (!delta || !delta.ops) {
-            console.warn('EditModule: Invalid delta structure');
-            return -1;
-        }
-
+    /**
+     * Editor index of a plain-text position (embeds take one editor index but no text)
+     * @param {number} textPosition
+     * @param {Delta} contents
+     * @returns {number}
+     */
+    textPositionToQuillIndex(textPosition, contents) {
         let quillIndex = 0;
         let textIndex = 0;
-
-        for (let i = 0; i < delta.ops.length; i++) {
-            const op = delta.ops[i];
+        for (const op of contents.ops) {
             if (typeof op.insert === 'string') {
-                const opLength = op.insert.length;
-                if (textIndex + opLength > textPosition) {
-                    // Found the position within this operation
-                    quillIndex += textPosition - textIndex;
-                    // Validate the result
-                    const editorLength = this.editor.getLength();
-                    if (quillIndex >= editorLength) {
-                        console.warn('EditModule: Calculated Quill index exceeds editor length:', quillIndex, 'editor length:', editorLength);
-                        return -1;
-                    }
-                    return quillIndex;
+                if (textIndex + op.insert.length > textPosition) {
+                    return quillIndex + (textPosition - textIndex);
                 }
-                textIndex += opLength;
-                quillIndex += opLength;
-            } else if (op.insert && typeof op.insert === 'object') {
-                // Formatting characters (images, etc.) - skip in text count but add to quill index
+                textIndex += op.insert.length;
+                quillIndex += op.insert.length;
+            } else if (op.insert) {
                 quillIndex += 1;
             }
         }
-
-        // If we reach here, position is at or beyond the end
-        const editorLength = this.editor.getLength();
-        if (quillIndex >= editorLength) {
-            console.warn('EditModule: Calculated Quill index exceeds editor length:', quillIndex, 'editor length:', editorLength);
-            return -1;
-        }
-
         return quillIndex;
     }
 
-    highlightText(index, length, highlightId, suggestion) {
-        if (!this.editor) return;
-
-        try {
-            // Validate indices
-            const editorLength = this.editor.getLength();
-            if (index < 0 || index >= editorLength) {
-                console.warn('EditModule: Invalid index for highlight:', index, 'editor length:', editorLength);
-                return;
-            }
+    // Move every suggestion's range through an edit (typing, undo, restores, a group member's change)
+    transformReviewAnchors(delta) {
+        if (this.reviewChangesInFlight) {
+            this.reviewChangesInFlight = this.reviewChangesInFlight.compose(delta);
+        }
+        if (this.reviewSuggestions.length === 0) return;
 
-            // Ensure length doesn't exceed editor bounds
-            // Quill's getLength() includes the trailing newline, so we need to account for that
-            const maxLength = editorLength - index - 1; // -1 for the trailing newline
-            const actualLength = Math.max(1, Math.min(length, maxLength));
-            if (actualLength <= 0 || index + actualLength > editorLength) {
-                console.warn('EditModule: Invalid length for highlight:', length, 'at index:', index, 'max length:', maxLength, 'editor length:', editorLength);
-                return;
-            }
+        this.reviewSuggestions.forEach(suggestion => {
+            // Typing at either edge of the range stays outside it
+            const end = delta.transformPosition(suggestion.index + suggestion.length, true);
+            suggestion.index = delta.transformPosition(suggestion.index);
+            suggestion.length = Math.max(0, end - suggestion.index);
+        });
+        this.refreshReviewAnchors();
+        this.reviewAnchorsChanged = true;
+    }
 
-            // Apply highlight format using Quill's API correctly
-            // Use 'silent' source to avoid triggering text-change events
-            // Ensure we're not trying to format the trailing newline
-            const formatLength = Math.min(actualLength, editorLength - index - 1);
-            if (formatLength <= 0) {
-                console.warn('EditModule: Format length is invalid:', formatLength, 'index:', index, 'editor length:', editorLength);
-                return;
-            }
+    // A suggestion whose text was edited away is stale: it stays in the list, without a highlight
+    refreshReviewAnchors() {
+        const staleBefore = this.reviewSuggestions.map(suggestion => Boolean(suggestion.stale)).join();
+        this.reviewSuggestions.forEach(suggestion => {
+            suggestion.stale = suggestion.length === 0 ||
+                this.editor.getText(suggestion.index, suggestion.length) !== suggestion.original;
+        });
+        this.renderReviewHighlights();
+        if (this.reviewSuggestions.map(suggestion => suggestion.stale).join() !== staleBefore) {
+            this.displayReviewResults();
+        }
+    }
 
-            try {
-                // IMPORTANT: Only apply formatting (colors), NEVER modify text content
-                // formatText with only 'background' and 'color' properties does NOT change text
-                // This is read-only highlighting - the text content remains unchanged
-                this.editor.formatText(index, formatLength, {
-                    'background': this.getHighlightColor(suggestion.type),
-                    'color': '#000'
-                }, 'silent');
-            } catch (formatError) {
-                console.error('EditModule: Error in formatText:', formatError, 'index:', index, 'length:', formatLength);
-                return;
-            }
+    renderReviewHighlights() {
+        if (!this.reviewHighlights) return;
+        this.activeHighlights.clear();
 
-            // Store highlight data
-            this.activeHighlights.set(highlightId, {
-                index,
-                length: formatLength,
+        const live = this.reviewSuggestions.filter(suggestion => !suggestion.stale);
+        live.forEach(suggestion => {
+            this.activeHighlights.set(suggestion.id, {
+                index: suggestion.index,
+                length: suggestion.length,
                 suggestion,
-                highlightId
+                highlightId: suggestion.id
             });
-
-            // Add click handler to the highlighted text
-            this.setupHighlightClick(index, formatLength, highlightId, suggestion);
-        } catch (error) {
-            console.error('EditModule: Error highlighting text:', error);
-            console.error('EditModule: Index:', index, 'Length:', length, 'Editor length:', this.editor?.getLength());
-        }
+        });
+        this.reviewHighlights.set(live.map(suggestion => ({
+            index: suggestion.index,
+            length: suggestion.length,
+            color: this.getHighlightColor(suggestion.type)
+        })));
     }
 
     getHighlightColor(type) {
@@ -3029,31 +4924,10 @@ Return ONLY a valid JSON array, no other text. If there are no clear errors, ret
         return colors[type] || '#ffeb3b';
     }
 
-    setupHighlightClick(index, length, highlightId, suggestion) {
-        // We'll handle clicks on the editor and check if they're on highlighted text
-        // This is set up once in setupEventListeners
-    }
-
     clearHighlights() {
-        if (!this.editor) return;
-
-        // Remove all highlights - ONLY remove formatting, NEVER modify text content
-        // Setting background and color to empty strings removes formatting but keeps text unchanged
-        this.activeHighlights.forEach((data, highlightId) => {
-            try {
-                this.editor.formatText(data.index, data.length, {
-                    'background': '',
-                    'color': ''
-                }, 'user');
-            } catch (error) {
-                // Ignore errors for already removed highlights
-            }
-        });
-
-        this.activeHighlights.clear();
-
-        // Clear saved results when highlights are cleared
         this.reviewSuggestions = [];
+        this.reviewedAt = 0;
+        this.renderReviewHighlights();
         this.saveReviewResults();
     }
 
@@ -3082,6 +4956,8 @@ Return ONLY a valid JSON array, no other text. If there are no clear errors, ret
             }
         });
 
+        const staleCount = this.reviewSuggestions.filter(s => s && s.stale).length;
+
         // Display stats
         this.reviewStats.innerHTML = `
             <div class="review-stat-item">
@@ -3094,6 +4970,12 @@ Return ONLY a valid JSON array, no other text. If there are no clear errors, ret
                     <span class="stat-value">${count}</span>
                 </div>
             `).join('')}
+            ${staleCount > 0 ? `
+                <div class="review-stat-item">
+                    <span class="stat-label">Text changed:</span>
+                    <span class="stat-value">${staleCount}</span>
+                </div>
+            ` : ''}
         `;
 
         // Display ALL suggestions list - no filtering
@@ -3110,16 +4992,17 @@ Return ONLY a valid JSON array, no other text. If there are no clear errors, ret
                 console.warn('EditModule: Invalid suggestion at index', index, suggestion);
                 return '';
             }
-            const highlightId = `review-${index}`;
+            const highlightId = suggestion.id || `review-${index}`;
             console.log(`EditModule: Rendering suggestion ${index}:`, {
                 type: suggestion.type,
                 original: suggestion.original.substring(0, 50) + '...',
                 highlightId
             });
             return `
-                <div class="review-suggestion-item" data-highlight-id="${highlightId}" data-suggestion-index="${index}">
+                <div class="review-suggestion-item${suggestion.stale ? ' stale' : ''}" data-highlight-id="${highlightId}" data-suggestion-index="${index}">
                     <div class="suggestion-header">
                         <span class="suggestion-type ${suggestion.type}">${this.formatTypeName(suggestion.type)}</span>
+                        ${suggestion.stale ? '<span class="suggestion-stale" title="The text this points to has been edited">Text changed</span>' : ''}
                     </div>
                     <div class="suggestion-content">
                         <div class="suggestion-original">
@@ -3373,6 +5256,21 @@ class AIWritingAssistant {
         // Register chat manager for data collection
         this.projectManager.registerModule('chat', this.chatSystem);
 
+        // Sources library and inline citations for the Write and Edit editors
+        this.sourceLibrary = typeof SourceLibrary !== 'undefined'
+            ? new SourceLibrary(this.globalState, this.projectManager, { write: this.modules.write, edit: this.modules.edit })
+            : null;
+
+        // Margin comments anchored in the Edit editor, from the student or the AI
+        this.commentLayer = typeof CommentLayer !== 'undefined'
+            ? new CommentLayer(this.globalState, this.projectManager, this.modules.edit)
+            : null;
+
+        // Word, Markdown and text files imported into the Write editor
+        this.documentImporter = typeof DocumentImporter !== 'undefined' && this.modules.write
+            ? new DocumentImporter(this.modules.write, this.projectManager)
+            : null;
+
         // Initialize version history manager
         this.versionHistory = new VersionHistoryManager(this.api);
         
@@ -3382,10 +5280,16 @@ class AIWritingAssistant {
                 this.globalState,
                 this.api,
                 window.researchflowId,
-                window.userId
+                window.userId,
+                this.projectManager.offlineStore
             );
             this.activityTracker.setupUnloadHandler();
         }
+
+        // Group projects: members edit the drafts and the board together, live
+        this.liveCollaboration = typeof LiveCollaboration !== 'undefined'
+            ? new LiveCollaboration(this.globalState, this.projectManager, this.api, this.modules, this.activityTracker)
+            : null;
         
         // Connect chat manager to global state for UI updates
         this.setupChatManagerConnection();
@@ -3771,7 +5675,22 @@ class AIWritingAssistant {
         this.globalState.subscribe('autosave_saving', () => show('Saving…'));
         this.globalState.subscribe('autosave_saved', () => { show('Saved'); hideLater(); });
         this.globalState.subscribe('autosave_error', () => { show('Save error'); hideLater(3000); });
-        this.globalState.subscribe('autosave_offline', () => show('Offline - will save later'));
+        this.globalState.subscribe('autosave_conflict', (data) => show(data && data.unresolved
+            ? 'Changed on another device - not saved, reload to compare'
+            : 'Changed on another device - choose what to keep'));
+        this.globalState.subscribe('autosave_offline', ({ pending = 0, stored = true } = {}) => {
+            if (!stored) {
+                show('Offline - will save later');
+            } else {
+                show(`Offline, ${pending} change${pending === 1 ? '' : 's'} pending`);
+            }
+        });
+        // Retrying can't help once the session has ended; the work stays on this device until the page is reloaded
+        this.globalState.subscribe('autosave_session_expired', ({ pending = 0, stored = true } = {}) => {
+            show(stored
+                ? `Session expired - ${pending} change${pending === 1 ? '' : 's'} kept on this device. Log in again, then reload this page.`
+                : 'Session expired - log in again, then reload this page.');
+        });
     }
 
 
@@ -4125,7 +6044,7 @@ class VersionHistoryManager {
                             <p><strong>Summary:</strong> ${version.change_summary || 'Auto-saved'}</p>
                             <p><strong>Words:</strong> ${version.word_count || 0}</p>
                             <hr>
-                            <div>${version.content}</div>
+                            <div>${typeof renderFootnotesAsEndnotes === 'function' ? renderFootnotesAsEndnotes(version.content) : version.content}</div>
                         </body>
                     </html>
                 `);
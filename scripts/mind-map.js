@@ -0,0 +1,440 @@
+/**
+ * Mind Map - Alternate canvas view of the brainstorm area
+ * Ideas can be placed freely and joined with labeled connectors ("supports", "contradicts", ...)
+ * Positions and edges are saved with the plan (plan.mindMap)
+ */
+
+// Relationship labels offered for connectors (value is what gets saved)
+const MIND_MAP_RELATIONS = ['supports', 'contradicts', 'example of', 'leads to', 'related to'];
+
+class MindMapView {
+    constructor(planModule, container) {
+        this.planModule = planModule;
+        this.container = container;
+        this.positions = {}; // ideaId -> {x, y}
+        this.edges = []; // {id, from, to, label}
+        this.isActive = false;
+        this.pendingLinkFrom = null; // Idea ID waiting for a link target
+        this.nodeElements = new Map(); // ideaId -> node element (current render only)
+
+        this.nodeWidth = 160;
+        this.nodeGap = 24;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container) {
+            console.warn('MindMapView: Canvas container not found');
+            return;
+        }
+
+        this.edgeLayer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.edgeLayer.classList.add('mind-map-edges');
+        this.edgeLayer.innerHTML = '<defs><marker id="mindMapArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0 0L10 5L0 10z" fill="currentColor"/></marker></defs>';
+        this.nodeLayer = createElement('div', 'mind-map-nodes');
+
+        this.container.appendChild(this.edgeLayer);
+        this.container.appendChild(this.nodeLayer);
+
+        // Escape cancels a pending link
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.pendingLinkFrom) {
+                this.cancelLink();
+            }
+        });
+
+        window.addEventListener('resize', throttle(() => {
+            if (this.isActive) this.renderEdges();
+        }, 100));
+    }
+
+    /**
+     * Load saved mind map data
+     * @param {Object} mindMap {positions, edges}
+     */
+    load(mindMap) {
+        const data = mindMap && typeof mindMap === 'object' ? mindMap : {};
+        this.positions = data.positions && typeof data.positions === 'object' && !Array.isArray(data.positions)
+            ? { ...data.positions }
+            : {};
+        this.edges = Array.isArray(data.edges)
+            ? data.edges.filter(edge => edge && edge.from && edge.to).map(edge => ({
+                id: edge.id || generateId(),
+                from: String(edge.from),
+                to: String(edge.to),
+                label: edge.label || MIND_MAP_RELATIONS[0]
+            }))
+            : [];
+
+        if (this.isActive) this.render();
+    }
+
+    // Method called by PlanModule.collectData()
+    collectData() {
+        return {
+            positions: { ...this.positions },
+            edges: this.edges.map(edge => ({ ...edge }))
+        };
+    }
+
+    show() {
+        if (!this.container) return;
+        this.isActive = true;
+        this.container.classList.add('active');
+        this.render();
+    }
+
+    hide() {
+        if (!this.container) return;
+        this.cancelLink();
+        this.isActive = false;
+        this.container.classList.remove('active');
+    }
+
+    toggle() {
+        if (this.isActive) {
+            this.hide();
+        } else {
+            this.show();
+        }
+        return this.isActive;
+    }
+
+    // Re-render only when visible (called after ideas are added, removed or renamed)
+    refresh() {
+        if (this.isActive) this.render();
+    }
+
+    // Top-level brainstorm ideas are the nodes of the map
+    getNodeBubbles() {
+        return Array.from(this.planModule.bubbles.values()).filter(bubble =>
+            (bubble.location || 'brainstorm') === 'brainstorm' &&
+            !bubble.parentId &&
+            (bubble.content || '').trim().length > 0
+        );
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.nodeLayer.innerHTML = '';
+        this.nodeElements.clear();
+
+        const bubbles = this.getNodeBubbles();
+        if (bubbles.length === 0) {
+            const empty = createElement('p', 'mind-map-empty', 'Add some ideas to start mapping how they connect.');
+            this.nodeLayer.appendChild(empty);
+        }
+
+        bubbles.forEach((bubble, index) => {
+            if (!this.positions[bubble.id]) {
+                this.positions[bubble.id] = this.getDefaultPosition(index);
+            }
+            const node = this.createNode(bubble);
+            this.nodeLayer.appendChild(node);
+            this.nodeElements.set(String(bubble.id), node);
+        });
+
+        this.renderEdges();
+    }
+
+    // Lay out unplaced ideas on a simple grid that fits the canvas width
+    getDefaultPosition(index) {
+        const width = Math.max(this.container.clientWidth, this.nodeWidth + this.nodeGap);
+        const perRow = Math.max(1, Math.floor(width / (this.nodeWidth + this.nodeGap)));
+        return {
+            x: this.nodeGap / 2 + (index % perRow) * (this.nodeWidth + this.nodeGap),
+            y: this.nodeGap / 2 + Math.floor(index / perRow) * 90
+        };
+    }
+
+    createNode(bubble) {
+        const node = createElement('div', 'mind-map-node');
+        node.dataset.id = bubble.id;
+        if (bubble.aiGenerated) node.classList.add('ai-generated');
+        if (bubble.tag) node.classList.add(`tag-${bubble.tag}`);
+        if (this.pendingLinkFrom === String(bubble.id)) node.classList.add('linking');
+
+        const position = this.positions[bubble.id];
+        node.style.left = `${position.x}px`;
+        node.style.top = `${position.y}px`;
+
+        const text = createElement('span', 'mind-map-node-text', bubble.content.trim());
+        node.appendChild(text);
+
+        const linkBtn = createElement('button', 'mind-map-link-btn', '+');
+        linkBtn.type = 'button';
+        linkBtn.title = 'Connect to another idea';
+        linkBtn.setAttribute('aria-label', 'Connect to another idea');
+        linkBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.startLink(String(bubble.id));
+        });
+        node.appendChild(linkBtn);
+
+        this.setupNodeDrag(node, String(bubble.id));
+
+        return node;
+    }
+
+    setupNodeDrag(node, ideaId) {
+        node.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('.mind-map-link-btn')) return;
+
+            // Clicking a node while linking picks it as the target
+            if (this.pendingLinkFrom) {
+                e.preventDefault();
+                this.completeLink(ideaId);
+                return;
+            }
+
+            e.preventDefault();
+            const startX = e.clientX;
+            const startY = e.clientY;
+            const origin = { ...this.positions[ideaId] };
+            let moved = false;
+
+            node.setPointerCapture(e.pointerId);
+            node.classList.add('dragging');
+
+            const onMove = (moveEvent) => {
+                const dx = moveEvent.clientX - startX;
+                const dy = moveEvent.clientY - startY;
+                if (Math.abs(dx) + Math.abs(dy) > 2) moved = true;
+                const position = {
+                    x: Math.max(0, origin.x + dx),
+                    y: Math.max(0, origin.y + dy)
+                };
+                this.positions[ideaId] = position;
+                node.style.left = `${position.x}px`;
+                node.style.top = `${position.y}px`;
+                this.renderEdges();
+            };
+
+            const onUp = () => {
+                node.removeEventListener('pointermove', onMove);
+                node.removeEventListener('pointerup', onUp);
+                node.removeEventListener('pointercancel', onUp);
+                node.classList.remove('dragging');
+                if (moved) {
+                    this.notifyChanged();
+                }
+            };
+
+            node.addEventListener('pointermove', onMove);
+            node.addEventListener('pointerup', onUp);
+            node.addEventListener('pointercancel', onUp);
+        });
+    }
+
+    startLink(ideaId) {
+        if (this.pendingLinkFrom === ideaId) {
+            this.cancelLink();
+            return;
+        }
+        this.cancelLink();
+        this.pendingLinkFrom = ideaId;
+        this.container.classList.add('linking');
+        const node = this.nodeElements.get(ideaId);
+        if (node) node.classList.add('linking');
+    }
+
+    cancelLink() {
+        if (!this.pendingLinkFrom) return;
+        const node = this.nodeElements.get(this.pendingLinkFrom);
+        if (node) node.classList.remove('linking');
+        this.pendingLinkFrom = null;
+        if (this.container) this.container.classList.remove('linking');
+    }
+
+    completeLink(targetId) {
+        const sourceId = this.pendingLinkFrom;
+        this.cancelLink();
+        if (!sourceId || sourceId === targetId) return;
+
+        // One connector per pair of ideas - re-linking just focuses the existing label
+        const existing = this.edges.find(edge =>
+            (edge.from === sourceId && edge.to === targetId) || (edge.from === targetId && edge.to === sourceId)
+        );
+        if (!existing) {
+            this.edges.push({
+                id: generateId(),
+                from: sourceId,
+                to: targetId,
+                label: MIND_MAP_RELATIONS[0]
+            });
+            this.notifyChanged();
+        }
+
+        this.renderEdges();
+        const edgeId = existing ? existing.id : this.edges[this.edges.length - 1].id;
+        const select = this.container.querySelector(`.mind-map-edge-label[data-edge-id="${edgeId}"] select`);
+        if (select) select.focus();
+    }
+
+    removeEdge(edgeId) {
+        this.edges = this.edges.filter(edge => edge.id !== edgeId);
+        this.renderEdges();
+        this.notifyChanged();
+    }
+
+    setEdgeLabel(edgeId, label) {
+        const edge = this.edges.find(item => item.id === edgeId);
+        if (!edge || edge.label === label) return;
+        edge.label = label;
+        this.renderEdges();
+        this.notifyChanged();
+    }
+
+    getNodeCenter(ideaId) {
+        const node = this.nodeElements.get(ideaId);
+        if (!node) return null;
+        return {
+            x: node.offsetLeft + node.offsetWidth / 2,
+            y: node.offsetTop + node.offsetHeight / 2,
+            halfWidth: node.offsetWidth / 2,
+            halfHeight: node.offsetHeight / 2
+        };
+    }
+
+    // Point where the line from `from` toward `to` meets the edge of the `to` node, so arrows stay visible
+    getArrowEnd(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        if (dx === 0 && dy === 0) return { x: to.x, y: to.y };
+        const scale = Math.min(
+            dx !== 0 ? to.halfWidth / Math.abs(dx) : Infinity,
+            dy !== 0 ? to.halfHeight / Math.abs(dy) : Infinity
+        );
+        return {
+            x: to.x - dx * Math.min(scale, 1),
+            y: to.y - dy * Math.min(scale, 1)
+        };
+    }
+
+    renderEdges() {
+        if (!this.edgeLayer) return;
+
+        // Keep <defs>, redraw everything else
+        Array.from(this.edgeLayer.querySelectorAll('line')).forEach(line => line.remove());
+        Array.from(this.nodeLayer.querySelectorAll('.mind-map-edge-label')).forEach(label => label.remove());
+
+        // Size the SVG to the scrollable content so connectors off-screen are still drawn
+        this.edgeLayer.setAttribute('width', this.nodeLayer.scrollWidth || this.container.clientWidth);
+        this.edgeLayer.setAttribute('height', this.nodeLayer.scrollHeight || this.container.clientHeight);
+
+        this.edges.forEach(edge => {
+            const from = this.getNodeCenter(edge.from);
+            const to = this.getNodeCenter(edge.to);
+            if (!from || !to) return; // One end is not on the map (e.g. moved into the outline)
+
+            const relationClass = `relation-${edge.label.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+
+            const end = this.getArrowEnd(from, to);
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', from.x);
+            line.setAttribute('y1', from.y);
+            line.setAttribute('x2', end.x);
+            line.setAttribute('y2', end.y);
+            line.setAttribute('marker-end', 'url(#mindMapArrow)');
+            line.classList.add('mind-map-edge', relationClass);
+            this.edgeLayer.appendChild(line);
+
+            // Editable label sits at the midpoint of the connector
+            const label = createElement('div', `mind-map-edge-label ${relationClass}`);
+            label.dataset.edgeId = edge.id;
+            label.style.left = `${(from.x + to.x) / 2}px`;
+            label.style.top = `${(from.y + to.y) / 2}px`;
+
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', 'Relationship');
+            const relations = MIND_MAP_RELATIONS.includes(edge.label) ? MIND_MAP_RELATIONS : [...MIND_MAP_RELATIONS, edge.label];
+            relations.forEach(relation => {
+                const option = document.createElement('option');
+                option.value = relation;
+                option.textContent = relation;
+                option.selected = relation === edge.label;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.setEdgeLabel(edge.id, select.value));
+
+            const removeBtn = createElement('button', 'mind-map-edge-remove', '×');
+            removeBtn.type = 'button';
+            removeBtn.title = 'Remove connection';
+            removeBtn.setAttribute('aria-label', 'Remove connection');
+            removeBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.removeEdge(edge.id);
+            });
+
+            label.appendChild(select);
+            label.appendChild(removeBtn);
+            this.nodeLayer.appendChild(label);
+        });
+    }
+
+    /**
+     * Drop an idea from the map (called when the idea is deleted)
+     * @param {string} ideaId Idea ID
+     */
+    removeIdea(ideaId) {
+        const id = String(ideaId);
+        const edgeCount = this.edges.length;
+        delete this.positions[id];
+        this.edges = this.edges.filter(edge => edge.from !== id && edge.to !== id);
+        this.refresh();
+        return edgeCount !== this.edges.length;
+    }
+
+    /**
+     * Follow client -> DB ID changes after a save
+     * @param {Object} mappings Map of client ID -> DB ID
+     */
+    remapIds(mappings) {
+        Object.entries(mappings || {}).forEach(([clientId, dbId]) => {
+            const newId = String(dbId);
+            if (clientId === newId) return;
+
+            if (this.positions[clientId]) {
+                this.positions[newId] = this.positions[clientId];
+                delete this.positions[clientId];
+            }
+            this.edges.forEach(edge => {
+                if (edge.from === clientId) edge.from = newId;
+                if (edge.to === clientId) edge.to = newId;
+            });
+            if (this.pendingLinkFrom === clientId) this.pendingLinkFrom = newId;
+        });
+        this.refresh();
+    }
+
+    /**
+     * Describe the connections between ideas as {from, to, relation} triples for AI prompts
+     * @returns {Array<Object>} Relationships whose ideas both still exist
+     */
+    getRelationships() {
+        return this.edges
+            .map(edge => {
+                const from = this.planModule.bubbles.get(edge.from);
+                const to = this.planModule.bubbles.get(edge.to);
+                if (!from || !to) return null;
+                return {
+                    from: (from.content || '').trim(),
+                    to: (to.content || '').trim(),
+                    relation: edge.label
+                };
+            })
+            .filter(relationship => relationship && relationship.from && relationship.to);
+    }
+
+    notifyChanged() {
+        this.planModule.triggerAutoSave();
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.MindMapView = MindMapView;
+}
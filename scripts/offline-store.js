@@ -0,0 +1,141 @@
+/**
+ * Offline Store - Keeps unsaved work in IndexedDB until the server has it
+ * ProjectManager writes the latest unsaved project here when it is offline or a save fails, and
+ * ActivityTracker queues activity batches it could not send; both are replayed, oldest first, on reload
+ * or when the connection comes back. One database per activity and user, so shared computers don't mix work.
+ */
+
+const OFFLINE_DB_VERSION = 1;
+const OFFLINE_PROJECT_STORE = 'project';
+const OFFLINE_ACTIVITY_STORE = 'activities';
+const OFFLINE_PROJECT_KEY = 'pending';
+
+class OfflineStore {
+    /**
+     * @param {string|number} cmId Course module ID
+     * @param {string|number} userId
+     */
+    constructor(cmId, userId) {
+        this.dbName = `researchflow_${cmId}_${userId}`;
+        this.dbPromise = null;
+    }
+
+    // IndexedDB can be missing or blocked (private browsing); every method then resolves to "nothing stored"
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.isAvailable()) return Promise.resolve(null);
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(this.dbName, OFFLINE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(OFFLINE_PROJECT_STORE)) {
+                        db.createObjectStore(OFFLINE_PROJECT_STORE);
+                    }
+                    if (!db.objectStoreNames.contains(OFFLINE_ACTIVITY_STORE)) {
+                        db.createObjectStore(OFFLINE_ACTIVITY_STORE, { autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('OfflineStore: IndexedDB unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one transaction and resolve with what the callback returns once it has committed
+     * @param {string} storeName
+     * @param {string} mode 'readonly' or 'readwrite'
+     * @param {Function} work (store) => value or IDBRequest
+     */
+    async transaction(storeName, mode, work) {
+        const db = await this.open();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const result = work(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // ---- Project ----
+
+    /**
+     * Keep the latest unsaved project, counting how many changes have piled up since the last successful save
+     * @param {Object} project Complete project data, as sent to save_project
+     * @returns {Promise<Object|null>} The stored record {project, changes, queuedAt}
+     */
+    async putProject(project) {
+        const previous = await this.getProject();
+        // Leaving the tab or closing it saves too; only count it when something actually changed
+        const changed = !previous || OfflineStore.contentKey(previous.project) !== OfflineStore.contentKey(project);
+        const record = {
+            project,
+            changes: (previous ? previous.changes : 0) + (changed ? 1 : 0),
+            queuedAt: Date.now()
+        };
+        await this.transaction(OFFLINE_PROJECT_STORE, 'readwrite', store => store.put(record, OFFLINE_PROJECT_KEY));
+        return record;
+    }
+
+    // Project data without the save timestamp, for telling whether two snapshots differ
+    static contentKey(project) {
+        return JSON.stringify({ ...project, metadata: { ...(project && project.metadata), modified: null } });
+    }
+
+    getProject() {
+        return this.transaction(OFFLINE_PROJECT_STORE, 'readonly', store => store.get(OFFLINE_PROJECT_KEY))
+            .then(record => record || null);
+    }
+
+    /**
+     * Forget the pending project once a save has reached the server
+     * @param {number} savedAt When the saved data was collected; anything queued after that is kept
+     */
+    async clearProject(savedAt) {
+        const record = await this.getProject();
+        if (!record || record.queuedAt > savedAt) return;
+        await this.transaction(OFFLINE_PROJECT_STORE, 'readwrite', store => store.delete(OFFLINE_PROJECT_KEY));
+    }
+
+    // ---- Activity batches ----
+
+    addActivities(activities) {
+        if (!activities || activities.length === 0) return Promise.resolve(null);
+        return this.transaction(OFFLINE_ACTIVITY_STORE, 'readwrite', store => store.add(activities));
+    }
+
+    /**
+     * Queued activity batches, oldest first
+     * @returns {Promise<Array>} [{key, activities}]
+     */
+    getActivityBatches() {
+        return this.transaction(OFFLINE_ACTIVITY_STORE, 'readonly', (store) => {
+            const batches = [];
+            store.openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                batches.push({ key: cursor.key, activities: cursor.value });
+                cursor.continue();
+            };
+            return batches;
+        }).then(batches => batches || []);
+    }
+
+    deleteActivityBatch(key) {
+        return this.transaction(OFFLINE_ACTIVITY_STORE, 'readwrite', store => store.delete(key));
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.OfflineStore = OfflineStore;
+}
@@ -0,0 +1,433 @@
+// Visual editor for the instructor-defined outline (custom_outline field in mod_form.php)
+// The JSON textarea stays the submitted form value, so the form still works without JavaScript
+
+// Section flags shown as checkboxes, with the value used for new sections
+const OUTLINE_SECTION_FLAGS = [
+    { key: 'required', label: 'Required', defaultValue: true },
+    { key: 'allowMultiple', label: 'Allow multiple', defaultValue: false },
+    { key: 'editableTitle', label: 'Students can edit title', defaultValue: true },
+    { key: 'editableDescription', label: 'Students can edit description', defaultValue: true }
+];
+
+// Optional length guidance shown to students as word-count meters in the Write phase
+const OUTLINE_WORD_TARGETS = [
+    { key: 'minWords', label: 'Min words' },
+    { key: 'maxWords', label: 'Max words' }
+];
+
+/**
+ * Check an outline against the section shape used in data/templates/*.json
+ * (mirrors researchflow_validate_outline() in lib.php)
+ * @param {*} sections Parsed outline
+ * @returns {Array<string>} Problems found, empty when the outline is valid
+ */
+function validateOutlineSections(sections) {
+    if (!Array.isArray(sections)) {
+        return ['The outline must be a list of sections.'];
+    }
+    if (sections.length === 0) {
+        return ['Add at least one section.'];
+    }
+
+    const problems = [];
+    const seenIds = new Set();
+    sections.forEach((section, index) => {
+        const label = `Section ${index + 1}`;
+        if (!section || typeof section !== 'object' || Array.isArray(section)) {
+            problems.push(`${label} is not a section object.`);
+            return;
+        }
+        if (typeof section.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(section.id)) {
+            problems.push(`${label} needs an ID made of lowercase letters, numbers, "-" or "_".`);
+        } else if (seenIds.has(section.id)) {
+            problems.push(`${label} uses the ID "${section.id}", which is already taken.`);
+        } else {
+            seenIds.add(section.id);
+        }
+        if (typeof section.title !== 'string' || !section.title.trim()) {
+            problems.push(`${label} needs a title.`);
+        }
+        if (section.description !== undefined && typeof section.description !== 'string') {
+            problems.push(`${label} has a description that is not text.`);
+        }
+        OUTLINE_SECTION_FLAGS.forEach(flag => {
+            if (section[flag.key] !== undefined && typeof section[flag.key] !== 'boolean') {
+                problems.push(`${label}: "${flag.key}" must be true or false.`);
+            }
+        });
+        OUTLINE_WORD_TARGETS.forEach(target => {
+            const value = section[target.key];
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                problems.push(`${label}: "${target.key}" must be a whole number of 0 or more.`);
+            }
+        });
+        if (Number.isInteger(section.minWords) && Number.isInteger(section.maxWords) && section.minWords > section.maxWords) {
+            problems.push(`${label}: the minimum word count is larger than the maximum.`);
+        }
+        if (section.outline !== undefined && !Array.isArray(section.outline)) {
+            problems.push(`${label}: "outline" must be a list.`);
+        }
+    });
+
+    return problems;
+}
+
+class OutlineTemplateBuilder {
+    /**
+     * @param {HTMLTextAreaElement} textarea The custom_outline form field
+     * @param {Array} templates [{id, name, sections}] from data/templates
+     */
+    constructor(textarea, templates = []) {
+        this.textarea = textarea;
+        this.templates = Array.isArray(templates) ? templates : [];
+        this.sections = [];
+        this.autoIdSections = new Set(); // New sections whose ID still follows the title
+        this.loadError = null;
+
+        if (!this.textarea) {
+            console.warn('OutlineTemplateBuilder: custom_outline field not found');
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        this.loadFromTextarea();
+
+        this.root = createBuilderElement('div', 'outline-builder');
+        this.root.appendChild(this.createToolbar());
+
+        this.errorList = createBuilderElement('ul', 'outline-builder-errors');
+        this.errorList.setAttribute('role', 'alert');
+        this.root.appendChild(this.errorList);
+
+        const body = createBuilderElement('div', 'outline-builder-body');
+        this.sectionList = createBuilderElement('div', 'outline-builder-sections');
+        const previewColumn = createBuilderElement('div', 'outline-builder-preview');
+        previewColumn.appendChild(createBuilderElement('div', 'outline-builder-preview-label', 'Student preview'));
+        this.preview = createBuilderElement('div', 'outline-items');
+        previewColumn.appendChild(this.preview);
+        body.appendChild(this.sectionList);
+        body.appendChild(previewColumn);
+        this.root.appendChild(body);
+
+        this.textarea.parentNode.insertBefore(this.root, this.textarea);
+        this.textarea.style.display = 'none';
+
+        // Don't let a broken outline reach students (Cancel still works)
+        const form = this.textarea.form;
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                if (e.submitter && e.submitter.name === 'cancel') return;
+                if (this.validate().length > 0) {
+                    e.preventDefault();
+                    this.root.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            });
+        }
+
+        this.render();
+    }
+
+    loadFromTextarea() {
+        const raw = this.textarea.value.trim();
+        if (!raw) {
+            this.sections = [];
+            return;
+        }
+
+        try {
+            const parsed = JSON.parse(raw);
+            // Accept a whole template file ({name, sections}) as well as a bare section list
+            const sections = Array.isArray(parsed) ? parsed : parsed?.sections;
+            this.sections = Array.isArray(sections) ? sections.map(section => this.normalizeSection(section)) : [];
+            if (!Array.isArray(sections)) {
+                this.loadError = 'The saved outline is not a list of sections. Start from a template or add sections below.';
+            }
+        } catch (error) {
+            this.sections = [];
+            this.loadError = `The saved outline could not be read (${error.message}). Start from a template or add sections below.`;
+        }
+    }
+
+    // Fill in missing flags; unknown keys are kept so other settings survive a round trip
+    normalizeSection(section) {
+        const normalized = { ...(section && typeof section === 'object' ? section : {}) };
+        normalized.id = typeof normalized.id === 'string' ? normalized.id : '';
+        normalized.title = typeof normalized.title === 'string' ? normalized.title : '';
+        normalized.description = typeof normalized.description === 'string' ? normalized.description : '';
+        OUTLINE_SECTION_FLAGS.forEach(flag => {
+            normalized[flag.key] = typeof normalized[flag.key] === 'boolean' ? normalized[flag.key] : flag.defaultValue;
+        });
+        normalized.outline = Array.isArray(normalized.outline) ? normalized.outline : [];
+        return normalized;
+    }
+
+    createToolbar() {
+        const toolbar = createBuilderElement('div', 'outline-builder-toolbar');
+
+        if (this.templates.length > 0) {
+            const templateSelect = createBuilderElement('select', 'custom-select outline-builder-template');
+            templateSelect.setAttribute('aria-label', 'Start from template');
+            templateSelect.appendChild(new Option('Start from a template...', ''));
+            this.templates.forEach(template => templateSelect.appendChild(new Option(template.name, template.id)));
+
+            const useBtn = createBuilderElement('button', 'btn btn-secondary', 'Use template');
+            useBtn.type = 'button';
+            useBtn.addEventListener('click', () => {
+                const template = this.templates.find(t => t.id === templateSelect.value);
+                if (!template) return;
+                if (this.sections.length > 0 && !window.confirm('Replace the current sections with this template?')) {
+                    return;
+                }
+                this.sections = (template.sections || []).map(section => this.normalizeSection(section));
+                this.autoIdSections.clear();
+                this.loadError = null;
+                this.render();
+            });
+
+            toolbar.appendChild(templateSelect);
+            toolbar.appendChild(useBtn);
+        }
+
+        const addBtn = createBuilderElement('button', 'btn btn-secondary', 'Add section');
+        addBtn.type = 'button';
+        addBtn.addEventListener('click', () => {
+            const section = this.normalizeSection({ title: 'New Section', required: false });
+            section.id = this.uniqueId(slugifySectionTitle(section.title), section);
+            this.sections.push(section);
+            this.autoIdSections.add(section);
+            this.render();
+            const titleInputs = this.sectionList.querySelectorAll('.outline-builder-title');
+            if (titleInputs.length > 0) {
+                titleInputs[titleInputs.length - 1].select();
+            }
+        });
+        toolbar.appendChild(addBtn);
+
+        return toolbar;
+    }
+
+    // Rebuild the editor rows (after add/move/delete/template), then the preview
+    render() {
+        this.sectionList.innerHTML = '';
+        if (this.sections.length === 0) {
+            this.sectionList.appendChild(createBuilderElement('p', 'outline-builder-empty', 'No sections yet. Add a section or start from a template.'));
+        }
+        this.sections.forEach((section, index) => {
+            this.sectionList.appendChild(this.createSectionRow(section, index));
+        });
+        this.update();
+    }
+
+    createSectionRow(section, index) {
+        const row = createBuilderElement('div', 'outline-builder-section');
+
+        const header = createBuilderElement('div', 'outline-builder-section-header');
+        header.appendChild(createBuilderElement('span', 'outline-builder-section-number', `${index + 1}.`));
+
+        const titleInput = createBuilderElement('input', 'form-control outline-builder-title');
+        titleInput.type = 'text';
+        titleInput.value = section.title;
+        titleInput.placeholder = 'Section title';
+        titleInput.setAttribute('aria-label', `Section ${index + 1} title`);
+        header.appendChild(titleInput);
+
+        const moveUp = this.createRowButton('↑', 'Move section up', index === 0, () => this.moveSection(index, -1));
+        const moveDown = this.createRowButton('↓', 'Move section down', index === this.sections.length - 1, () => this.moveSection(index, 1));
+        const remove = this.createRowButton('×', 'Delete section', false, () => {
+            this.sections.splice(index, 1);
+            this.autoIdSections.delete(section);
+            this.render();
+        });
+        remove.classList.add('outline-builder-delete');
+        header.appendChild(moveUp);
+        header.appendChild(moveDown);
+        header.appendChild(remove);
+        row.appendChild(header);
+
+        const idLabel = createBuilderElement('label', 'outline-builder-field', 'ID');
+        const idInput = createBuilderElement('input', 'form-control outline-builder-id');
+        idInput.type = 'text';
+        idInput.value = section.id;
+        idInput.title = 'Used to link student ideas to this section - avoid changing it once students have started';
+        idLabel.appendChild(idInput);
+        row.appendChild(idLabel);
+
+        const descriptionLabel = createBuilderElement('label', 'outline-builder-field', 'Description');
+        const descriptionInput = createBuilderElement('textarea', 'form-control outline-builder-description');
+        descriptionInput.rows = 2;
+        descriptionInput.value = section.description;
+        descriptionLabel.appendChild(descriptionInput);
+        row.appendChild(descriptionLabel);
+
+        const flags = createBuilderElement('div', 'outline-builder-flags');
+        OUTLINE_SECTION_FLAGS.forEach(flag => {
+            const flagLabel = createBuilderElement('label', 'outline-builder-flag');
+            const checkbox = createBuilderElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !!section[flag.key];
+            checkbox.addEventListener('change', () => {
+                section[flag.key] = checkbox.checked;
+                this.update();
+            });
+            flagLabel.appendChild(checkbox);
+            flagLabel.appendChild(document.createTextNode(` ${flag.label}`));
+            flags.appendChild(flagLabel);
+        });
+        row.appendChild(flags);
+
+        const targets = createBuilderElement('div', 'outline-builder-targets');
+        OUTLINE_WORD_TARGETS.forEach(target => {
+            const targetLabel = createBuilderElement('label', 'outline-builder-field', target.label);
+            const targetInput = createBuilderElement('input', 'form-control outline-builder-target');
+            targetInput.type = 'number';
+            targetInput.min = '0';
+            targetInput.step = '1';
+            targetInput.placeholder = 'No limit';
+            targetInput.value = section[target.key] !== undefined ? section[target.key] : '';
+            targetInput.addEventListener('input', () => {
+                // Leave the key out entirely when there is no target
+                const raw = targetInput.value.trim();
+                if (raw === '') {
+                    delete section[target.key];
+                } else {
+                    section[target.key] = Number(raw);
+                }
+                this.update();
+            });
+            targetLabel.appendChild(targetInput);
+            targets.appendChild(targetLabel);
+        });
+        row.appendChild(targets);
+
+        titleInput.addEventListener('input', () => {
+            section.title = titleInput.value;
+            if (this.autoIdSections.has(section)) {
+                section.id = this.uniqueId(slugifySectionTitle(section.title), section);
+                idInput.value = section.id;
+            }
+            this.update();
+        });
+        idInput.addEventListener('input', () => {
+            section.id = idInput.value.trim();
+            this.autoIdSections.delete(section);
+            this.update();
+        });
+        descriptionInput.addEventListener('input', () => {
+            section.description = descriptionInput.value;
+            this.update();
+        });
+
+        return row;
+    }
+
+    createRowButton(text, label, disabled, onClick) {
+        const button = createBuilderElement('button', 'btn btn-link outline-builder-row-btn', text);
+        button.type = 'button';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    moveSection(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.sections.length) return;
+        const [section] = this.sections.splice(index, 1);
+        this.sections.splice(target, 0, section);
+        this.render();
+    }
+
+    uniqueId(baseId, ownSection) {
+        const base = baseId || 'section';
+        let candidate = base;
+        let counter = 2;
+        while (this.sections.some(section => section !== ownSection && section.id === candidate)) {
+            candidate = `${base}-${counter++}`;
+        }
+        return candidate;
+    }
+
+    // Validate, write the JSON back to the form field and refresh the preview
+    update() {
+        const problems = this.validate();
+
+        this.errorList.innerHTML = '';
+        const messages = this.loadError ? [this.loadError, ...problems] : problems;
+        messages.forEach(message => this.errorList.appendChild(createBuilderElement('li', '', message)));
+        this.errorList.style.display = messages.length > 0 ? '' : 'none';
+
+        // No sections means no custom outline, same as leaving the textarea empty
+        this.textarea.value = this.sections.length > 0 ? JSON.stringify(this.sections, null, 4) : '';
+        this.renderPreview();
+    }
+
+    validate() {
+        return this.sections.length > 0 ? validateOutlineSections(this.sections) : [];
+    }
+
+    // Same markup as the student's Plan board (SectionComponent in dom.js)
+    renderPreview() {
+        this.preview.innerHTML = '';
+        this.sections.forEach(section => {
+            const sectionDiv = createBuilderElement('div', 'template-section');
+
+            const sectionHeader = createBuilderElement('div', 'section-header');
+            sectionHeader.appendChild(createBuilderElement('h4', 'section-title', section.title || 'Untitled section'));
+            if (section.required) {
+                sectionHeader.appendChild(createBuilderElement('span', 'outline-builder-badge', 'Required'));
+            }
+            if (section.allowMultiple) {
+                sectionHeader.appendChild(createBuilderElement('span', 'outline-builder-badge', 'Repeatable'));
+            }
+            const targetText = formatWordTarget(section.minWords, section.maxWords);
+            if (targetText) {
+                sectionHeader.appendChild(createBuilderElement('span', 'outline-builder-badge', targetText));
+            }
+            sectionDiv.appendChild(sectionHeader);
+
+            if (section.description) {
+                sectionDiv.appendChild(createBuilderElement('p', 'section-description', section.description));
+            }
+
+            const outlineContainer = createBuilderElement('div', 'outline-container empty');
+            outlineContainer.appendChild(createBuilderElement('div', 'dropzone-placeholder', 'Drop ideas here to create outline items'));
+            sectionDiv.appendChild(outlineContainer);
+
+            this.preview.appendChild(sectionDiv);
+        });
+    }
+}
+
+// utils.js is not loaded on the settings form, so keep a local element helper
+function createBuilderElement(tag, className = '', textContent = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (textContent) element.textContent = textContent;
+    return element;
+}
+
+// "150-300 words", "at least 150 words", "up to 300 words" or '' when there is no target
+function formatWordTarget(minWords, maxWords) {
+    const hasMin = Number.isInteger(minWords) && minWords > 0;
+    const hasMax = Number.isInteger(maxWords);
+    if (hasMin && hasMax) return `${minWords}\u2013${maxWords} words`;
+    if (hasMin) return `at least ${minWords} words`;
+    if (hasMax) return `up to ${maxWords} words`;
+    return '';
+}
+
+function slugifySectionTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+if (typeof window !== 'undefined') {
+    window.OutlineTemplateBuilder = OutlineTemplateBuilder;
+    window.validateOutlineSections = validateOutlineSections;
+}
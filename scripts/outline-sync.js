@@ -0,0 +1,177 @@
+/**
+ * Outline Sync - Keep the Plan outline and the Write draft's headings in step
+ * Compares the outline with the draft's H2 headings, lists the differences in either direction
+ * and hands the ones the student picks to WriteModule.applyOutlineToDraft() / applyDraftToOutline()
+ */
+
+/**
+ * Compare outline sections with draft headings
+ * @param {Array<Object>} sections Outline sections in board order [{id, title}]
+ * @param {Array<Object>} headings Draft H2 headings in document order [{element, text, sectionId}]
+ * @returns {Object} {renamed, missingInDraft, missingInOutline, reordered, outlineOrder, draftOrder, inSync}
+ */
+function diffOutlineAndDraft(sections, headings) {
+    const draftOrder = headings.filter(heading => heading.sectionId).map(heading => heading.sectionId);
+    const outlineOrder = sections.map(section => section.id).filter(id => draftOrder.includes(id));
+
+    const renamed = [];
+    sections.forEach(section => {
+        const heading = headings.find(item => item.sectionId === section.id);
+        if (heading && heading.text && heading.text !== section.title) {
+            renamed.push({ id: section.id, outlineTitle: section.title, draftTitle: heading.text });
+        }
+    });
+
+    const missingInDraft = sections.filter(section => !draftOrder.includes(section.id));
+    const missingInOutline = headings.filter(heading => !heading.sectionId && heading.text);
+    const reordered = outlineOrder.join('\n') !== draftOrder.join('\n');
+
+    return {
+        renamed,
+        missingInDraft,
+        missingInOutline,
+        reordered,
+        outlineOrder,
+        draftOrder,
+        inSync: renamed.length === 0 && missingInDraft.length === 0 && missingInOutline.length === 0 && !reordered
+    };
+}
+
+/**
+ * Changes that would bring one side in line with the other
+ * @param {Object} diff diffOutlineAndDraft() result
+ * @param {string} direction 'toDraft' (outline wins) or 'toOutline' (draft wins)
+ * @param {Function} titleOf Section ID -> current outline title
+ * @returns {Array<Object>} [{type, value, label}]
+ */
+function listOutlineSyncChanges(diff, direction, titleOf) {
+    const changes = [];
+    const orderLabel = (ids) => ids.map(titleOf).join(' → ');
+
+    if (direction === 'toDraft') {
+        diff.renamed.forEach(item => changes.push({
+            type: 'rename', value: item.id, label: `Rename heading "${item.draftTitle}" to "${item.outlineTitle}"`
+        }));
+        diff.missingInDraft.forEach(section => changes.push({
+            type: 'insert', value: section.id, label: `Add the "${section.title}" section to the draft`
+        }));
+        if (diff.reordered) {
+            changes.push({ type: 'reorder', value: true, label: `Move sections (with their text) into outline order: ${orderLabel(diff.outlineOrder)}` });
+        }
+    } else {
+        diff.renamed.forEach(item => changes.push({
+            type: 'rename', value: item.id, label: `Rename outline section "${item.outlineTitle}" to "${item.draftTitle}"`
+        }));
+        diff.missingInOutline.forEach(heading => changes.push({
+            type: 'add', value: heading.element, label: `Add "${heading.text}" to the outline`
+        }));
+        if (diff.reordered) {
+            changes.push({ type: 'reorder', value: true, label: `Reorder the outline to match the draft: ${orderLabel(diff.draftOrder)}` });
+        }
+    }
+
+    return changes;
+}
+
+class OutlineSyncDialog {
+    constructor(writeModule) {
+        this.writeModule = writeModule;
+        this.changes = [];
+        this.elements = {
+            modal: document.getElementById('outlineSyncModal'),
+            closeBtn: document.getElementById('outlineSyncClose'),
+            cancelBtn: document.getElementById('outlineSyncCancel'),
+            applyBtn: document.getElementById('outlineSyncApply'),
+            list: document.getElementById('outlineSyncChanges')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const { modal, closeBtn, cancelBtn, applyBtn } = this.elements;
+        if (!modal) {
+            console.warn('OutlineSyncDialog: Sync dialog not found');
+            return;
+        }
+
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+        if (cancelBtn) cancelBtn.addEventListener('click', () => this.close());
+        if (applyBtn) applyBtn.addEventListener('click', () => this.apply());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+        modal.querySelectorAll('input[name="outlineSyncDirection"]').forEach(input => {
+            input.addEventListener('change', () => this.render());
+        });
+    }
+
+    getDirection() {
+        const checked = this.elements.modal.querySelector('input[name="outlineSyncDirection"]:checked');
+        return checked ? checked.value : 'toDraft';
+    }
+
+    open() {
+        if (!this.elements.modal) return;
+        this.opener = document.activeElement;
+        this.render();
+        this.elements.modal.style.display = 'flex';
+        const direction = this.elements.modal.querySelector('input[name="outlineSyncDirection"]:checked');
+        if (direction) direction.focus();
+    }
+
+    close() {
+        this.elements.modal.style.display = 'none';
+        this.changes = [];
+        if (this.opener && document.contains(this.opener)) this.opener.focus();
+    }
+
+    render() {
+        const { list, applyBtn } = this.elements;
+        const sections = this.writeModule.syncSectionHeadings();
+        const diff = diffOutlineAndDraft(sections, this.writeModule.getDraftHeadings());
+        const titleOf = (id) => (sections.find(section => section.id === id) || {}).title || id;
+        this.changes = listOutlineSyncChanges(diff, this.getDirection(), titleOf);
+
+        list.innerHTML = '';
+        applyBtn.disabled = this.changes.length === 0;
+        if (this.changes.length === 0) {
+            list.appendChild(createElement('p', 'outline-sync-empty', 'Your outline and your draft headings already match.'));
+            return;
+        }
+
+        this.changes.forEach((change, index) => {
+            const label = createElement('label', `outline-sync-change ${change.type}`);
+            const checkbox = createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.dataset.index = index;
+            label.appendChild(checkbox);
+            label.appendChild(createElement('span', '', change.label));
+            list.appendChild(label);
+        });
+    }
+
+    apply() {
+        const selected = Array.from(this.elements.list.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => this.changes[Number(checkbox.dataset.index)]);
+        if (selected.length === 0) return;
+
+        const valuesOf = (type) => selected.filter(change => change.type === type).map(change => change.value);
+        const reorder = valuesOf('reorder').length > 0;
+        if (this.getDirection() === 'toDraft') {
+            this.writeModule.applyOutlineToDraft({ rename: valuesOf('rename'), insert: valuesOf('insert'), reorder });
+        } else {
+            this.writeModule.applyDraftToOutline({ rename: valuesOf('rename'), add: valuesOf('add'), reorder });
+        }
+        this.close();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.OutlineSyncDialog = OutlineSyncDialog;
+    window.diffOutlineAndDraft = diffOutlineAndDraft;
+}
@@ -0,0 +1,312 @@
+/**
+ * Plan Export - Take the Plan phase out of the activity
+ * Builds a section/idea tree from PlanModule.collectData() and the template metadata,
+ * then writes it as Markdown, OPML or a print-friendly HTML outline
+ * (mirrors researchflow_build_plan_export() in lib.php, used by export.php for instructors)
+ */
+
+// Formats offered in the Plan tab export menu
+const PLAN_EXPORT_FORMATS = [
+    { value: 'markdown', label: 'Markdown (.md)' },
+    { value: 'opml', label: 'OPML (.opml)' },
+    { value: 'print', label: 'Printable outline' }
+];
+
+/**
+ * Build the export tree from plan data
+ * @param {Object} plan collectData().plan (or a saved plan)
+ * @param {Object} templateData window.templateData - {name, sections}
+ * @returns {Object} {templateName, sections: [{id, title, description, minWords, maxWords, ideas}], brainstorm}
+ */
+function buildPlanExport(plan, templateData) {
+    const ideas = (plan && plan.ideas) || [];
+    const templateSections = (templateData && templateData.sections) || [];
+    const instances = (plan && plan.sectionInstances) || [];
+
+    // Ideas nest under their parent, in the order they appear on the board
+    const childrenOf = (parentId, keep) => ideas
+        .filter(idea => (idea.parentId ? String(idea.parentId) === String(parentId) : parentId === null) && keep(idea))
+        .filter(idea => (idea.content || '').trim())
+        .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+        .map(idea => ({
+            content: idea.content.trim(),
+            tag: idea.tag || null,
+            children: childrenOf(idea.id, () => true)
+        }));
+
+    const outline = ((plan && plan.outline) || []).slice();
+    const order = (plan && plan.sectionOrder) || [];
+    if (order.length > 0) {
+        outline.sort((a, b) => {
+            const ia = order.indexOf(a.id);
+            const ib = order.indexOf(b.id);
+            return (ia === -1 ? order.length : ia) - (ib === -1 ? order.length : ib);
+        });
+    }
+
+    const sections = outline.map(section => {
+        const instance = instances.find(item => item.id === section.id);
+        const templateId = instance ? instance.instanceOf : section.id;
+        const template = templateSections.find(item => item.id === templateId) || {};
+        const customTitle = plan.customSectionTitles ? plan.customSectionTitles[section.id] : null;
+
+        return {
+            id: section.id,
+            title: section.title || customTitle || template.title || section.id,
+            description: section.description || template.description || '',
+            minWords: Number.isInteger(template.minWords) ? template.minWords : null,
+            maxWords: Number.isInteger(template.maxWords) ? template.maxWords : null,
+            ideas: childrenOf(null, idea => idea.location === 'outline' && idea.sectionId === section.id)
+        };
+    });
+
+    return {
+        templateName: (templateData && templateData.name) || '',
+        sections,
+        brainstorm: childrenOf(null, idea => idea.location === 'brainstorm')
+    };
+}
+
+// "100-250 words", "at least 100 words", ... or '' without targets
+function describePlanWordTarget(section) {
+    if (section.minWords !== null && section.maxWords !== null) return `${section.minWords}-${section.maxWords} words`;
+    if (section.minWords !== null) return `at least ${section.minWords} words`;
+    if (section.maxWords !== null) return `up to ${section.maxWords} words`;
+    return '';
+}
+
+// Sections plus the unplaced brainstorm ideas as a final group
+function planExportGroups(exportData) {
+    const groups = exportData.sections.slice();
+    if (exportData.brainstorm.length > 0) {
+        groups.push({ title: 'Brainstorm (not yet placed)', description: '', minWords: null, maxWords: null, ideas: exportData.brainstorm });
+    }
+    return groups;
+}
+
+function formatPlanIdea(idea) {
+    return idea.tag ? `[${idea.tag}] ${idea.content}` : idea.content;
+}
+
+/**
+ * @param {Object} exportData buildPlanExport() result
+ * @param {string} title Activity name
+ * @returns {string}
+ */
+function planExportToMarkdown(exportData, title) {
+    const lines = [`# ${title}`, ''];
+    if (exportData.templateName) {
+        lines.push(`_Template: ${exportData.templateName}_`, '');
+    }
+
+    const writeIdeas = (ideas, depth) => {
+        ideas.forEach(idea => {
+            lines.push(`${'  '.repeat(depth)}- ${formatPlanIdea(idea).replace(/\s*\n\s*/g, ' ')}`);
+            writeIdeas(idea.children, depth + 1);
+        });
+    };
+
+    planExportGroups(exportData).forEach(section => {
+        lines.push(`## ${section.title}`, '');
+        const target = describePlanWordTarget(section);
+        if (section.description || target) {
+            lines.push(`> ${[section.description, target ? `(${target})` : ''].filter(Boolean).join(' ')}`, '');
+        }
+        if (section.ideas.length > 0) {
+            writeIdeas(section.ideas, 0);
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+function escapePlanXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {Object} exportData buildPlanExport() result
+ * @param {string} title Activity name
+ * @returns {string} OPML 2.0 document
+ */
+function planExportToOpml(exportData, title) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<opml version="2.0">',
+        '  <head>',
+        `    <title>${escapePlanXml(title)}</title>`,
+        `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+        '  </head>',
+        '  <body>'
+    ];
+
+    const writeIdeas = (ideas, indent) => {
+        ideas.forEach(idea => {
+            const attributes = `text="${escapePlanXml(idea.content)}"${idea.tag ? ` tag="${escapePlanXml(idea.tag)}"` : ''}`;
+            if (idea.children.length === 0) {
+                lines.push(`${indent}<outline ${attributes}/>`);
+                return;
+            }
+            lines.push(`${indent}<outline ${attributes}>`);
+            writeIdeas(idea.children, indent + '  ');
+            lines.push(`${indent}</outline>`);
+        });
+    };
+
+    planExportGroups(exportData).forEach(section => {
+        const note = [section.description, describePlanWordTarget(section)].filter(Boolean).join(' - ');
+        lines.push(`    <outline text="${escapePlanXml(section.title)}"${note ? ` _note="${escapePlanXml(note)}"` : ''}>`);
+        writeIdeas(section.ideas, '      ');
+        lines.push('    </outline>');
+    });
+
+    lines.push('  </body>', '</opml>');
+    return lines.join('\n');
+}
+
+/**
+ * @param {Object} exportData buildPlanExport() result
+ * @param {string} title Activity name
+ * @returns {string} Standalone HTML page that prints itself
+ */
+function planExportToPrintHtml(exportData, title) {
+    const renderIdeas = (ideas) => ideas.length === 0 ? '' : '<ul>' + ideas.map(idea =>
+        '<li>' + (idea.tag ? `<span class="tag">${escapePlanXml(idea.tag)}</span> ` : '') +
+        escapePlanXml(idea.content) + renderIdeas(idea.children) + '</li>'
+    ).join('') + '</ul>';
+
+    const body = planExportGroups(exportData).map(section => {
+        const target = describePlanWordTarget(section);
+        return `<section><h2>${escapePlanXml(section.title)}</h2>` +
+            (section.description ? `<p class="description">${escapePlanXml(section.description)}</p>` : '') +
+            (target ? `<p class="target">${escapePlanXml(target)}</p>` : '') +
+            (section.ideas.length > 0 ? renderIdeas(section.ideas) : '<p class="empty">No ideas yet.</p>') +
+            '</section>';
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${escapePlanXml(title)}</title>
+    <style>
+        @media print { @page { margin: 1in; } }
+        body { font-family: Georgia, "Times New Roman", serif; font-size: 12pt; line-height: 1.5; margin: 1in; color: #111; }
+        h1 { font-size: 18pt; margin-bottom: 4pt; }
+        .info { color: #555; font-size: 10pt; margin-bottom: 18pt; }
+        section { break-inside: avoid; margin-bottom: 16pt; }
+        h2 { font-size: 14pt; border-bottom: 1px solid #999; padding-bottom: 2pt; margin-bottom: 4pt; }
+        .description { font-style: italic; color: #444; margin: 0 0 2pt; }
+        .target { font-size: 10pt; color: #555; margin: 0 0 6pt; }
+        .empty { color: #777; font-style: italic; }
+        ul { margin: 4pt 0; padding-left: 20pt; }
+        li { margin: 2pt 0; }
+        .tag { font-size: 9pt; text-transform: uppercase; letter-spacing: 0.5px; border: 1px solid #999; border-radius: 3px; padding: 0 3pt; }
+    </style>
+    <script>window.onload = function() { window.print(); };</script>
+</head>
+<body>
+    <h1>${escapePlanXml(title)}</h1>
+    <div class="info">${exportData.templateName ? `Template: ${escapePlanXml(exportData.templateName)} &middot; ` : ''}${escapePlanXml(new Date().toLocaleDateString())}</div>
+    ${body}
+</body>
+</html>`;
+}
+
+class PlanExportMenu {
+    constructor(planModule) {
+        this.planModule = planModule;
+        this.elements = {
+            button: document.getElementById('planExportBtn'),
+            menu: document.getElementById('planExportMenu')
+        };
+
+        this.init();
+    }
+
+    init() {
+        const { button, menu } = this.elements;
+        if (!button || !menu) {
+            console.warn('PlanExportMenu: Export menu not found');
+            return;
+        }
+
+        PLAN_EXPORT_FORMATS.forEach(format => {
+            const option = createElement('button', 'plan-export-option', format.label);
+            option.type = 'button';
+            option.setAttribute('role', 'menuitem');
+            option.addEventListener('click', () => {
+                this.close();
+                this.export(format.value);
+            });
+            menu.appendChild(option);
+        });
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (menu.hidden) {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+        menu.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+                button.focus();
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!menu.hidden && !menu.contains(e.target)) this.close();
+        });
+    }
+
+    open() {
+        this.elements.menu.hidden = false;
+        this.elements.button.setAttribute('aria-expanded', 'true');
+        const first = this.elements.menu.querySelector('.plan-export-option');
+        if (first) first.focus();
+    }
+
+    close() {
+        this.elements.menu.hidden = true;
+        this.elements.button.setAttribute('aria-expanded', 'false');
+    }
+
+    export(format) {
+        const title = window.activityName || document.title || 'Plan';
+        const exportData = buildPlanExport(this.planModule.collectData().plan, window.templateData);
+
+        if (format === 'print') {
+            const printWindow = window.open('', '_blank');
+            if (!printWindow) {
+                alert('Please allow pop-ups to print your plan.');
+                return;
+            }
+            printWindow.document.write(planExportToPrintHtml(exportData, title));
+            printWindow.document.close();
+            return;
+        }
+
+        const isOpml = format === 'opml';
+        const content = isOpml ? planExportToOpml(exportData, title) : planExportToMarkdown(exportData, title);
+        const blob = new Blob([content], { type: isOpml ? 'text/x-opml' : 'text/markdown' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${title.replace(/[^\w\- ]+/g, '').trim() || 'plan'} - plan.${isOpml ? 'opml' : 'md'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PlanExportMenu = PlanExportMenu;
+    window.buildPlanExport = buildPlanExport;
+}
@@ -0,0 +1,342 @@
+/**
+ * Readability - Local readability and style analytics for the Write/Edit editors
+ * Everything is computed in the browser (no AI calls): Flesch–Kincaid grade, sentence length, passive-voice
+ * candidates, repeated words and paragraph lengths; clicking a metric highlights the matching text
+ * (the numbers mirror researchflow_readability_stats() in lib.php, shown to instructors on submission_view.php)
+ */
+
+// Toolbar button that toggles the panel for each editor
+const READABILITY_BUTTONS = {
+    writeEditor: 'readabilityWriteBtn',
+    editEditor: 'readabilityEditBtn'
+};
+
+// Paragraph sizes, in words (upper bound exclusive)
+const PARAGRAPH_BUCKETS = [
+    { value: 'short', label: 'Short', hint: 'under 40 words', max: 40 },
+    { value: 'medium', label: 'Medium', hint: '40–149 words', max: 150 },
+    { value: 'long', label: 'Long', hint: '150+ words', max: Infinity }
+];
+
+const LONG_SENTENCE_WORDS = 25;
+const HARD_SENTENCE_GRADE = 12;
+const REPEATED_WORD_MIN = 3; // Uses before a word counts as repeated
+const REPEATED_WORDS_SHOWN = 5;
+
+const READABILITY_HIGHLIGHT = '#74c0fc'; // Drawn see-through over the text, like the review's colors
+const READABILITY_RECOMPUTE_MS = 500;
+
+const READABILITY_STOPWORDS = new Set([
+    'about', 'after', 'also', 'been', 'before', 'being', 'between', 'both', 'could', 'does', 'each', 'even',
+    'from', 'have', 'having', 'here', 'into', 'just', 'like', 'many', 'more', 'most', 'much', 'must', 'only',
+    'other', 'over', 'same', 'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'those', 'through', 'very', 'were', 'what', 'when', 'where', 'which', 'while',
+    'will', 'with', 'would', 'your'
+]);
+
+const PASSIVE_PATTERN = new RegExp(
+    '\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?' +
+    '(?:\\w+ed|begun|born|broken|brought|built|caught|chosen|done|drawn|driven|eaten|felt|forgotten|found|' +
+    'given|gotten|grown|heard|held|hidden|kept|known|led|left|lost|made|meant|paid|put|read|said|seen|sent|' +
+    'set|shown|sold|spent|stolen|taken|taught|thought|told|understood|won|written)\\b',
+    'gi'
+);
+
+const WORD_PATTERN = /[A-Za-z\u00C0-\u024F]+(?:['’][A-Za-z\u00C0-\u024F]+)*/g;
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g;
+
+/**
+ * Rough English syllable count (the usual heuristic behind Flesch–Kincaid)
+ * @param {string} word
+ * @returns {number}
+ */
+function countSyllables(word) {
+    let cleaned = word.toLowerCase().replace(/['’]/g, '');
+    if (cleaned.length <= 3) return 1;
+    cleaned = cleaned.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    const groups = cleaned.match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+function roundOne(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function fleschKincaidGrade(words, sentences, syllables) {
+    return 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+}
+
+/**
+ * Analyse the body paragraphs of a document
+ * @param {Array<Object>} paragraphs [{text, index}] where index is the paragraph's offset in the editor
+ * @returns {Object} Summary numbers plus the ranges ({index, length}) behind each metric
+ */
+function analyzeReadability(paragraphs) {
+    const sentences = [];
+    const passive = [];
+    const occurrences = new Map();
+    const paragraphRanges = [];
+    let wordTotal = 0;
+    let syllableTotal = 0;
+
+    paragraphs.forEach(paragraph => {
+        let paragraphWords = 0;
+        let match;
+
+        SENTENCE_PATTERN.lastIndex = 0;
+        while ((match = SENTENCE_PATTERN.exec(paragraph.text)) !== null) {
+            const words = match[0].match(WORD_PATTERN) || [];
+            if (words.length === 0) continue;
+
+            const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+            const lead = match[0].length - match[0].trimStart().length;
+            sentences.push({
+                index: paragraph.index + match.index + lead,
+                length: match[0].trim().length,
+                words: words.length,
+                grade: fleschKincaidGrade(words.length, 1, syllables)
+            });
+            paragraphWords += words.length;
+            syllableTotal += syllables;
+        }
+
+        WORD_PATTERN.lastIndex = 0;
+        while ((match = WORD_PATTERN.exec(paragraph.text)) !== null) {
+            const word = match[0].toLowerCase().replace(/’/g, "'");
+            if (word.length < 4 || READABILITY_STOPWORDS.has(word)) continue;
+            if (!occurrences.has(word)) occurrences.set(word, []);
+            occurrences.get(word).push({ index: paragraph.index + match.index, length: match[0].length });
+        }
+
+        PASSIVE_PATTERN.lastIndex = 0;
+        while ((match = PASSIVE_PATTERN.exec(paragraph.text)) !== null) {
+            passive.push({ index: paragraph.index + match.index, length: match[0].length });
+        }
+
+        if (paragraphWords > 0) {
+            const bucket = PARAGRAPH_BUCKETS.find(item => paragraphWords < item.max).value;
+            const lead = paragraph.text.length - paragraph.text.trimStart().length;
+            paragraphRanges.push({ index: paragraph.index + lead, length: paragraph.text.trim().length, words: paragraphWords, bucket });
+        }
+        wordTotal += paragraphWords;
+    });
+
+    const repeated = Array.from(occurrences.entries())
+        .filter(([, ranges]) => ranges.length >= REPEATED_WORD_MIN)
+        .map(([word, ranges]) => ({ word, count: ranges.length, ranges }))
+        .sort((a, b) => b.count - a.count || (a.word < b.word ? -1 : 1))
+        .slice(0, REPEATED_WORDS_SHOWN);
+
+    const longest = sentences.reduce((best, sentence) => (!best || sentence.words > best.words ? sentence : best), null);
+    const distribution = {};
+    PARAGRAPH_BUCKETS.forEach(item => {
+        distribution[item.value] = paragraphRanges.filter(range => range.bucket === item.value).length;
+    });
+
+    return {
+        words: wordTotal,
+        sentences: sentences.length,
+        grade: wordTotal > 0 ? roundOne(fleschKincaidGrade(wordTotal, sentences.length, syllableTotal)) : null,
+        averageSentence: sentences.length > 0 ? roundOne(wordTotal / sentences.length) : 0,
+        longestSentence: longest ? longest.words : 0,
+        passive: passive.length,
+        repeated: repeated.map(item => ({ word: item.word, count: item.count })),
+        paragraphs: distribution,
+        ranges: {
+            hard: sentences.filter(sentence => sentence.grade > HARD_SENTENCE_GRADE),
+            long: sentences.filter(sentence => sentence.words > LONG_SENTENCE_WORDS),
+            longest: longest ? [longest] : [],
+            passive,
+            repeated: Object.fromEntries(repeated.map(item => [item.word, item.ranges])),
+            paragraphs: paragraphRanges
+        }
+    };
+}
+
+class ReadabilityPanel {
+    constructor(editorModule) {
+        this.module = editorModule;
+        this.editor = editorModule.editor;
+        this.stats = null;
+        this.activeMetric = null;
+        this.highlights = new EditorHighlights(this.editor);
+        this.recomputeTimer = null;
+
+        this.element = createElement('div', 'readability-panel');
+        this.element.setAttribute('role', 'region');
+        this.element.setAttribute('aria-label', 'Readability');
+        this.element.hidden = true;
+        this.editor.container.parentNode.insertBefore(this.element, this.editor.container);
+
+        this.init();
+    }
+
+    init() {
+        this.button = document.getElementById(READABILITY_BUTTONS[this.module.editorId]);
+        if (this.button) {
+            this.button.setAttribute('aria-pressed', 'false');
+            this.button.addEventListener('click', () => this.toggle());
+        }
+
+        this.editor.on('text-change', (delta, oldDelta, source) => {
+            // The student's edit makes the numbers stale; anyone else's only moves the text
+            if (source === 'user') {
+                this.clearHighlights();
+            } else {
+                this.highlights.transform(delta);
+            }
+            if (!this.isOpen()) return;
+            clearTimeout(this.recomputeTimer);
+            this.recomputeTimer = setTimeout(() => this.update(), READABILITY_RECOMPUTE_MS);
+        });
+    }
+
+    isOpen() {
+        return !this.element.hidden;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.element.hidden = false;
+        if (this.button) this.button.setAttribute('aria-pressed', 'true');
+        this.update();
+    }
+
+    close() {
+        clearTimeout(this.recomputeTimer);
+        this.clearHighlights();
+        this.element.hidden = true;
+        if (this.button) this.button.setAttribute('aria-pressed', 'false');
+    }
+
+    // Body paragraphs with their editor offsets; headings and code blocks are left out, embeds kept as one character
+    getParagraphs() {
+        return this.editor.getLines().filter(line => {
+            const formats = line.formats();
+            return !formats.header && !formats['code-block'];
+        }).map(line => {
+            const index = this.editor.getIndex(line);
+            const text = this.editor.getContents(index, line.length() - 1).ops
+                .map(op => (typeof op.insert === 'string' ? op.insert : '\uFFFC'))
+                .join('');
+            return { text, index };
+        });
+    }
+
+    update() {
+        this.stats = analyzeReadability(this.getParagraphs());
+        this.render();
+    }
+
+    render() {
+        const stats = this.stats;
+        this.element.innerHTML = '';
+
+        if (stats.words === 0) {
+            this.element.appendChild(createElement('p', 'readability-empty', 'Write a few sentences to see readability numbers.'));
+            return;
+        }
+
+        const metrics = createElement('div', 'readability-metrics');
+        metrics.appendChild(this.renderMetric('hard', 'Flesch–Kincaid grade', String(stats.grade),
+            `Highlight sentences above grade ${HARD_SENTENCE_GRADE}`));
+        metrics.appendChild(this.renderMetric('long', 'Average sentence', `${stats.averageSentence} words`,
+            `Highlight sentences over ${LONG_SENTENCE_WORDS} words`));
+        metrics.appendChild(this.renderMetric('longest', 'Longest sentence', `${stats.longestSentence} words`,
+            'Highlight the longest sentence'));
+        metrics.appendChild(this.renderMetric('passive', 'Passive voice', `${stats.passive} candidate${stats.passive === 1 ? '' : 's'}`,
+            'Highlight possible passive constructions'));
+        this.element.appendChild(metrics);
+
+        const repeated = createElement('div', 'readability-group');
+        repeated.appendChild(createElement('span', 'readability-group-label', 'Repeated words'));
+        if (stats.repeated.length === 0) {
+            repeated.appendChild(createElement('span', 'readability-none', 'None'));
+        }
+        stats.repeated.forEach(item => {
+            repeated.appendChild(this.renderChip(`word:${item.word}`, `${item.word} ×${item.count}`, `Highlight every "${item.word}"`));
+        });
+        this.element.appendChild(repeated);
+
+        const paragraphs = createElement('div', 'readability-group');
+        paragraphs.appendChild(createElement('span', 'readability-group-label', 'Paragraphs'));
+        PARAGRAPH_BUCKETS.forEach(bucket => {
+            const count = stats.paragraphs[bucket.value];
+            const chip = this.renderChip(`paragraphs:${bucket.value}`, `${bucket.label} ${count}`, `Highlight ${bucket.label.toLowerCase()} paragraphs (${bucket.hint})`);
+            chip.disabled = count === 0;
+            paragraphs.appendChild(chip);
+        });
+        this.element.appendChild(paragraphs);
+    }
+
+    renderMetric(key, label, value, title) {
+        const button = createElement('button', 'readability-metric');
+        button.type = 'button';
+        button.title = title;
+        button.appendChild(createElement('span', 'readability-metric-value', value));
+        button.appendChild(createElement('span', 'readability-metric-label', label));
+        this.bindToggle(button, key);
+        return button;
+    }
+
+    renderChip(key, text, title) {
+        const chip = createElement('button', 'readability-chip', text);
+        chip.type = 'button';
+        chip.title = title;
+        this.bindToggle(chip, key);
+        return chip;
+    }
+
+    bindToggle(button, key) {
+        const active = this.activeMetric === key;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+        button.addEventListener('click', () => this.showMetric(key));
+    }
+
+    rangesFor(key) {
+        const ranges = this.stats.ranges;
+        if (key.startsWith('word:')) return ranges.repeated[key.slice(5)] || [];
+        if (key.startsWith('paragraphs:')) return ranges.paragraphs.filter(range => range.bucket === key.slice(11));
+        return ranges[key] || [];
+    }
+
+    // Click once to highlight a metric's text, again to clear it
+    showMetric(key) {
+        const wasActive = this.activeMetric === key;
+        this.clearHighlights();
+        if (!wasActive) {
+            const ranges = this.rangesFor(key);
+            this.highlights.set(ranges.map(range => ({ index: range.index, length: range.length, color: READABILITY_HIGHLIGHT })));
+            this.activeMetric = key;
+            if (ranges.length > 0) {
+                const bounds = this.editor.getBounds(ranges[0].index, ranges[0].length);
+                this.editor.root.scrollTop += bounds.top - this.editor.root.clientHeight / 3;
+            }
+        }
+        this.render();
+    }
+
+    // Highlights are the shared EditorHighlights overlay, drawn over the text and never part of it
+    clearHighlights() {
+        if (this.highlights.ranges.length === 0) {
+            this.activeMetric = null;
+            return;
+        }
+        this.highlights.clear();
+        this.activeMetric = null;
+        if (this.isOpen() && this.stats) this.render();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ReadabilityPanel = ReadabilityPanel;
+    window.analyzeReadability = analyzeReadability;
+}
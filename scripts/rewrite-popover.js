@@ -0,0 +1,320 @@
+/**
+ * Rewrite Popover - Rephrase and transition suggestions next to the selected text
+ * Anchored to the Quill selection: asks the AI service for structured options, previews each one
+ * in place and replaces the range with the one the student accepts (recorded as AI-assisted)
+ */
+
+// What each toolbar button asks for
+const REWRITE_MODES = {
+    rephrase: {
+        title: 'Rephrase',
+        loading: 'Finding other ways to say this…',
+        empty: 'No rephrasings came back for this selection.'
+    },
+    transition: {
+        title: 'Transitions',
+        loading: 'Finding ways to connect these sentences…',
+        empty: 'No transition options came back for this selection.'
+    }
+};
+
+// Characters of surrounding text sent along so suggestions match the tone
+const REWRITE_CONTEXT_CHARS = 600;
+
+// Preview highlight, so the student can tell the suggestion from their own text
+const REWRITE_PREVIEW_BACKGROUND = '#fff3bf';
+
+class RewritePopover {
+    constructor(editorModule) {
+        this.module = editorModule;
+        this.editor = editorModule.editor;
+        this.element = null;
+        this.range = null;
+        this.original = null; // Delta of the selected range, restored after previews
+        this.formats = {}; // Inline formats of the selection, kept on the replacement
+        this.previewing = null;
+        this.options = [];
+        this.mode = 'rephrase';
+        this.requestId = 0;
+
+        this.handleOutsideClick = (e) => {
+            if (this.element && !this.element.contains(e.target)) this.close();
+        };
+        this.handleTextChange = (delta, oldDelta, source) => {
+            if (source === 'user') this.close();
+        };
+        this.handleReposition = () => this.reposition();
+    }
+
+    isOpen() {
+        return this.element !== null;
+    }
+
+    /**
+     * @param {string} mode Key of REWRITE_MODES
+     * @param {Object} range Quill range {index, length}
+     */
+    open(mode, range) {
+        this.close();
+        if (!this.editor || !range || range.length === 0) return;
+
+        // Leave surrounding whitespace alone so the replacement keeps the spacing around it
+        const raw = this.editor.getText(range.index, range.length);
+        const start = raw.length - raw.trimStart().length;
+        const length = raw.trim().length;
+        if (length === 0) return;
+
+        this.mode = REWRITE_MODES[mode] ? mode : 'rephrase';
+        this.range = { index: range.index + start, length };
+        this.original = this.editor.getContents(this.range.index, this.range.length);
+        this.formats = this.getInlineFormats();
+        this.opener = document.activeElement;
+
+        this.element = createElement('div', `rewrite-popover ${this.mode}`);
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', `${REWRITE_MODES[this.mode].title} suggestions`);
+        this.element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        document.body.appendChild(this.element);
+
+        document.addEventListener('mousedown', this.handleOutsideClick, true);
+        window.addEventListener('resize', this.handleReposition);
+        window.addEventListener('scroll', this.handleReposition, true);
+        this.editor.on('text-change', this.handleTextChange);
+
+        this.request();
+    }
+
+    // Formats like bold or font size, minus block formats such as headers
+    getInlineFormats() {
+        const formats = this.editor.getFormat(this.range.index, this.range.length);
+        return Object.keys(formats).reduce((inline, name) => {
+            const format = Parchment.query(name, Parchment.Scope.INLINE);
+            if (format) inline[name] = formats[name];
+            return inline;
+        }, {});
+    }
+
+    getContext() {
+        const before = Math.max(0, this.range.index - REWRITE_CONTEXT_CHARS);
+        const end = this.range.index + this.range.length;
+        return [
+            this.editor.getText(before, this.range.index - before),
+            this.editor.getText(end, REWRITE_CONTEXT_CHARS)
+        ].join(' … ').trim();
+    }
+
+    getSelectedText() {
+        return this.editor.getText(this.range.index, this.range.length);
+    }
+
+    async request() {
+        const requestId = ++this.requestId;
+        this.renderLoading();
+
+        const api = window.aiWritingAssistant ? window.aiWritingAssistant.api : null;
+        if (!api) {
+            this.renderError('The AI service is not available.');
+            return;
+        }
+
+        try {
+            const options = await api.suggestRewrites(this.getSelectedText(), this.mode, this.getContext());
+            if (requestId !== this.requestId || !this.isOpen()) return; // closed or retried meanwhile
+            this.options = options;
+            this.renderOptions();
+        } catch (error) {
+            if (requestId !== this.requestId || !this.isOpen()) return;
+            this.renderError('Suggestions could not be loaded.');
+        }
+    }
+
+    renderHeader() {
+        const header = createElement('div', 'rewrite-popover-header');
+        header.appendChild(createElement('span', 'rewrite-popover-title', REWRITE_MODES[this.mode].title));
+        const closeBtn = createElement('button', 'rewrite-popover-close', '×');
+        closeBtn.type = 'button';
+        closeBtn.setAttribute('aria-label', 'Close suggestions');
+        closeBtn.addEventListener('click', () => this.close());
+        header.appendChild(closeBtn);
+        return header;
+    }
+
+    renderLoading() {
+        this.element.innerHTML = '';
+        this.element.appendChild(this.renderHeader());
+        const status = createElement('div', 'rewrite-popover-status', REWRITE_MODES[this.mode].loading);
+        status.setAttribute('role', 'status');
+        this.element.appendChild(status);
+        this.reposition();
+    }
+
+    renderOptions() {
+        this.element.innerHTML = '';
+        this.element.appendChild(this.renderHeader());
+
+        if (this.options.length === 0) {
+            this.element.appendChild(createElement('div', 'rewrite-popover-status', REWRITE_MODES[this.mode].empty));
+            this.element.appendChild(this.renderFooter());
+            this.reposition();
+            return;
+        }
+
+        this.element.appendChild(createElement('div', 'rewrite-popover-hint', 'Hover to preview in your text, click to use it.'));
+        const list = createElement('div', 'rewrite-popover-options');
+        list.setAttribute('role', 'listbox');
+        this.options.forEach((option, index) => {
+            const item = createElement('button', 'rewrite-popover-option');
+            item.type = 'button';
+            item.setAttribute('role', 'option');
+            item.dataset.index = index;
+            item.appendChild(createElement('span', 'rewrite-popover-text', option.text));
+            if (option.note) {
+                item.appendChild(createElement('span', 'rewrite-popover-note', option.note));
+            }
+            item.addEventListener('mouseenter', () => this.preview(option));
+            item.addEventListener('focus', () => this.preview(option));
+            item.addEventListener('mouseleave', () => this.restorePreview());
+            item.addEventListener('blur', () => this.restorePreview());
+            item.addEventListener('click', () => this.accept(option));
+            list.appendChild(item);
+        });
+        this.element.appendChild(list);
+        this.element.appendChild(this.renderFooter());
+        this.reposition();
+
+        list.querySelector('.rewrite-popover-option').focus();
+    }
+
+    renderError(message) {
+        this.element.innerHTML = '';
+        this.element.appendChild(this.renderHeader());
+        this.element.appendChild(createElement('div', 'rewrite-popover-status error', message));
+
+        const footer = this.renderFooter();
+        const chatBtn = createElement('button', 'rewrite-popover-action', 'Ask in chat instead');
+        chatBtn.type = 'button';
+        chatBtn.addEventListener('click', () => {
+            const text = this.getSelectedText();
+            const mode = this.mode;
+            this.close();
+            if (mode === 'transition') {
+                this.module.askChatForTransitions(text);
+            } else {
+                this.module.askChatToRephrase(text);
+            }
+        });
+        footer.appendChild(chatBtn);
+        this.element.appendChild(footer);
+        this.reposition();
+    }
+
+    renderFooter() {
+        const footer = createElement('div', 'rewrite-popover-footer');
+        const retryBtn = createElement('button', 'rewrite-popover-action', 'Try again');
+        retryBtn.type = 'button';
+        retryBtn.addEventListener('click', () => this.request());
+        footer.appendChild(retryBtn);
+        return footer;
+    }
+
+    // Show the option in place of the selection without saving or tracking it
+    preview(option) {
+        this.restorePreview();
+        const { index, length } = this.range;
+        this.editor.deleteText(index, length, 'silent');
+        this.editor.insertText(index, option.text, { ...this.formats, background: REWRITE_PREVIEW_BACKGROUND }, 'silent');
+        this.previewing = option;
+        this.reposition();
+    }
+
+    restorePreview() {
+        if (!this.previewing) return;
+        const Delta = Quill.import('delta');
+        this.editor.updateContents(
+            new Delta().retain(this.range.index).delete(this.previewing.text.length).concat(this.original),
+            'silent'
+        );
+        this.previewing = null;
+    }
+
+    accept(option) {
+        this.restorePreview();
+        const { index, length } = this.range;
+
+        // One 'api' change so Undo brings the student's own wording back
+        const Delta = Quill.import('delta');
+        this.editor.updateContents(new Delta().retain(index).delete(length).insert(option.text, this.formats), 'api');
+        this.close();
+        this.editor.setSelection(index + option.text.length, 0, 'api');
+
+        const tracker = window.aiWritingAssistant ? window.aiWritingAssistant.activityTracker : null;
+        if (tracker) {
+            tracker.trackAIAssist(this.module.moduleName.toLowerCase(), option.text);
+        }
+        this.module.projectManager.saveProject().catch(err => {
+            console.error(`${this.module.moduleName}: Save after rewrite failed:`, err);
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            this.editor.setSelection(this.range.index, this.range.length, 'api');
+            return;
+        }
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+        const items = Array.from(this.element.querySelectorAll('.rewrite-popover-option'));
+        if (items.length === 0) return;
+        e.preventDefault();
+        const current = items.indexOf(document.activeElement);
+        const next = e.key === 'ArrowDown'
+            ? (current + 1) % items.length
+            : (current - 1 + items.length) % items.length;
+        items[next].focus();
+    }
+
+    // Sit below the selection, or above it when there is no room
+    reposition() {
+        if (!this.element || !this.range) return;
+        const length = this.previewing ? this.previewing.text.length : this.range.length;
+        const bounds = this.editor.getBounds(this.range.index, length);
+        const container = this.editor.container.getBoundingClientRect();
+        const popover = this.element.getBoundingClientRect();
+        const margin = 8;
+
+        let top = container.top + bounds.bottom + margin;
+        if (top + popover.height > window.innerHeight && container.top + bounds.top - popover.height - margin > 0) {
+            top = container.top + bounds.top - popover.height - margin;
+        }
+        const left = Math.min(
+            Math.max(margin, container.left + bounds.left),
+            window.innerWidth - popover.width - margin
+        );
+
+        this.element.style.top = `${top}px`;
+        this.element.style.left = `${left}px`;
+    }
+
+    close() {
+        if (!this.element) return;
+        this.restorePreview();
+        this.requestId++;
+
+        document.removeEventListener('mousedown', this.handleOutsideClick, true);
+        window.removeEventListener('resize', this.handleReposition);
+        window.removeEventListener('scroll', this.handleReposition, true);
+        this.editor.off('text-change', this.handleTextChange);
+
+        const hadFocus = this.element.contains(document.activeElement);
+        this.element.remove();
+        this.element = null;
+        this.options = [];
+        if (hadFocus && this.opener && document.contains(this.opener)) this.opener.focus();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.RewritePopover = RewritePopover;
+}
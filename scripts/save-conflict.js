@@ -0,0 +1,255 @@
+/**
+ * Save Conflict - Lets the student choose what to keep when the project was saved from another tab or device
+ * ProjectManager sends the revision it loaded with every save; when the server has moved on it answers with
+ * its copy (409), and this dialog shows each phase that differs side by side: keep this device's version,
+ * the other one, or merge both (every idea and paragraph from either side is kept). Sources and margin
+ * comments are not shown: ProjectManager.resolveConflict merges them by id from both copies.
+ */
+
+const CONFLICT_PHASES = [
+    { key: 'plan', label: 'Plan' },
+    { key: 'write', label: 'Write' },
+    { key: 'edit', label: 'Edit & Revise' }
+];
+
+// Top-level blocks (paragraphs, headings, list items' lists...) of editor HTML
+function getHtmlBlocks(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html || '';
+    return Array.from(container.children).map(node => node.outerHTML);
+}
+
+/**
+ * Merge two versions of a draft paragraph by paragraph: everything in this version, with blocks that only
+ * the other version has inserted after the block they followed there
+ * @param {string} mine Editor HTML from this device
+ * @param {string} theirs Editor HTML saved elsewhere
+ * @returns {string} HTML
+ */
+function mergeHtmlBlocks(mine, theirs) {
+    const result = getHtmlBlocks(mine);
+    let insertAt = 0;
+    getHtmlBlocks(theirs).forEach(block => {
+        const found = result.indexOf(block, insertAt);
+        if (found >= 0) {
+            insertAt = found + 1;
+            return;
+        }
+        result.splice(insertAt, 0, block);
+        insertAt++;
+    });
+    return result.join('');
+}
+
+function ideaSignature(idea) {
+    return [String(idea.content || '').trim(), idea.location || 'brainstorm', idea.sectionId || ''].join('\u0000');
+}
+
+/**
+ * Merge two versions of the plan: this device's board plus the ideas and sections only the other one has
+ * @param {Object} mine
+ * @param {Object} theirs
+ * @returns {Object} Plan data
+ */
+function mergePlans(mine, theirs) {
+    const mineIdeas = mine.ideas || [];
+    const ids = new Set(mineIdeas.map(idea => String(idea.id)));
+    const signatures = new Set(mineIdeas.map(ideaSignature));
+    const extraIdeas = (theirs.ideas || []).filter(idea => !ids.has(String(idea.id)) && !signatures.has(ideaSignature(idea)));
+
+    const sectionIds = new Set((mine.customSections || []).map(section => section.id));
+    const order = mine.sectionOrder || [];
+    const mineMap = mine.mindMap || { positions: {}, edges: [] };
+    const theirMap = theirs.mindMap || { positions: {}, edges: [] };
+    const edgeKeys = new Set((mineMap.edges || []).map(edge => JSON.stringify(edge)));
+
+    return {
+        ...mine,
+        ideas: [...mineIdeas, ...extraIdeas],
+        customSections: [
+            ...(mine.customSections || []),
+            ...(theirs.customSections || []).filter(section => !sectionIds.has(section.id))
+        ],
+        sectionOrder: [...order, ...(theirs.sectionOrder || []).filter(id => !order.includes(id))],
+        mindMap: {
+            ...mineMap,
+            positions: { ...(theirMap.positions || {}), ...(mineMap.positions || {}) },
+            edges: [...(mineMap.edges || []), ...(theirMap.edges || []).filter(edge => !edgeKeys.has(JSON.stringify(edge)))]
+        }
+    };
+}
+
+// What counts as a difference in a phase: plan ideas and sections, or draft HTML
+function phaseSignature(project, phase) {
+    if (phase !== 'plan') return (project?.[phase]?.content || '').trim();
+    const plan = project?.plan || {};
+    return JSON.stringify({
+        ideas: (plan.ideas || []).map(ideaSignature).sort(),
+        sections: (plan.outline || []).map(section => [section.id, section.title]),
+        order: plan.sectionOrder || []
+    });
+}
+
+/**
+ * Phases whose content differs between two versions of the project
+ * @returns {Array<string>} Phase keys
+ */
+function findConflictingPhases(mine, theirs) {
+    return CONFLICT_PHASES.map(phase => phase.key)
+        .filter(key => phaseSignature(mine, key) !== phaseSignature(theirs, key));
+}
+
+class SaveConflictDialog {
+    constructor() {
+        this.resolve = null;
+        this.mine = null;
+        this.theirs = null;
+        this.phases = [];
+        this.elements = {
+            modal: document.getElementById('saveConflictModal'),
+            list: document.getElementById('saveConflictPhases'),
+            applyBtn: document.getElementById('saveConflictApply')
+        };
+
+        if (this.elements.applyBtn) {
+            this.elements.applyBtn.addEventListener('click', () => this.apply());
+        }
+    }
+
+    isAvailable() {
+        return Boolean(this.elements.modal);
+    }
+
+    /**
+     * Ask the student what to keep
+     * @param {Object} mine Project as collected on this device
+     * @param {Object} theirs Project the server has
+     * @returns {Promise<Object>} {project, phases}: the resolved project and the phases that changed on this device
+     */
+    open(mine, theirs) {
+        this.mine = mine;
+        this.theirs = theirs;
+        this.phases = findConflictingPhases(mine, theirs);
+        this.render();
+        this.elements.modal.style.display = 'flex';
+        const first = this.elements.modal.querySelector('input[type="radio"]:checked, #saveConflictApply');
+        if (first) first.focus();
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    render() {
+        const { list } = this.elements;
+        list.innerHTML = '';
+
+        if (this.phases.length === 0) {
+            list.appendChild(createElement('p', 'save-conflict-empty',
+                'Only settings changed in the other copy. Your version will be saved.'));
+            return;
+        }
+
+        const savedAt = this.theirs?.metadata?.modified ? new Date(this.theirs.metadata.modified) : null;
+        const theirsLabel = savedAt && !isNaN(savedAt) ? `Saved elsewhere (${savedAt.toLocaleString()})` : 'Saved elsewhere';
+
+        this.phases.forEach(key => {
+            const phase = CONFLICT_PHASES.find(item => item.key === key);
+            const section = createElement('section', 'save-conflict-phase');
+            section.appendChild(createElement('h4', '', phase.label));
+
+            const columns = createElement('div', 'save-conflict-columns');
+            columns.appendChild(this.renderVersion('This device', this.mine, key));
+            columns.appendChild(this.renderVersion(theirsLabel, this.theirs, key));
+            section.appendChild(columns);
+
+            const choices = createElement('div', 'save-conflict-choices');
+            choices.setAttribute('role', 'radiogroup');
+            choices.setAttribute('aria-label', `Which ${phase.label} version to keep`);
+            [
+                ['mine', 'Keep this device'],
+                ['theirs', 'Keep the other version'],
+                ['merge', key === 'plan' ? 'Merge: keep ideas from both' : 'Merge: keep paragraphs from both']
+            ].forEach(([value, label]) => {
+                const option = createElement('label', 'save-conflict-choice');
+                const input = createElement('input');
+                input.type = 'radio';
+                input.name = `saveConflict_${key}`;
+                input.value = value;
+                input.checked = value === 'mine';
+                option.appendChild(input);
+                option.appendChild(createElement('span', '', label));
+                choices.appendChild(option);
+            });
+            section.appendChild(choices);
+            list.appendChild(section);
+        });
+    }
+
+    renderVersion(label, project, key) {
+        const column = createElement('div', 'save-conflict-version');
+        column.appendChild(createElement('h5', '', label));
+        const preview = createElement('div', 'save-conflict-preview');
+
+        if (key === 'plan') {
+            const plan = project?.plan || {};
+            const titles = new Map((plan.outline || []).map(section => [section.id, section.title]));
+            const ideas = plan.ideas || [];
+            if (ideas.length === 0) preview.appendChild(createElement('p', 'save-conflict-empty', 'No ideas'));
+            const listEl = createElement('ul');
+            ideas.forEach(idea => {
+                const where = idea.location === 'brainstorm' || !idea.sectionId
+                    ? 'Brainstorm'
+                    : (titles.get(idea.sectionId) || 'Outline');
+                const item = createElement('li', '', String(idea.content || '').trim());
+                item.appendChild(createElement('span', 'save-conflict-where', ` — ${where}`));
+                listEl.appendChild(item);
+            });
+            preview.appendChild(listEl);
+        } else {
+            const html = project?.[key]?.content || '';
+            if (!html.trim()) {
+                preview.appendChild(createElement('p', 'save-conflict-empty', 'Empty'));
+            } else {
+                preview.innerHTML = typeof renderFootnotesAsEndnotes === 'function' ? renderFootnotesAsEndnotes(html) : html;
+            }
+        }
+
+        column.appendChild(preview);
+        return column;
+    }
+
+    choiceFor(key) {
+        const checked = this.elements.list.querySelector(`input[name="saveConflict_${key}"]:checked`);
+        return checked ? checked.value : 'mine';
+    }
+
+    apply() {
+        const project = deepClone(this.mine);
+        const changed = [];
+
+        this.phases.forEach(key => {
+            const choice = this.choiceFor(key);
+            if (key === 'plan') {
+                if (choice === 'theirs') project.plan = deepClone(this.theirs.plan || {});
+                if (choice === 'merge') project.plan = mergePlans(this.mine.plan || {}, this.theirs.plan || {});
+            } else {
+                const theirs = this.theirs?.[key]?.content || '';
+                if (choice === 'theirs') project[key] = { ...project[key], content: theirs };
+                if (choice === 'merge') project[key] = { ...project[key], content: mergeHtmlBlocks(project[key]?.content || '', theirs) };
+            }
+            // Keeping this device's plan still changes the server copy, whose extra ideas have to go
+            if (choice !== 'mine' || key === 'plan') changed.push(key);
+        });
+
+        this.elements.modal.style.display = 'none';
+        const resolve = this.resolve;
+        this.resolve = null;
+        if (resolve) resolve({ project, phases: changed });
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SaveConflictDialog = SaveConflictDialog;
+    window.mergeHtmlBlocks = mergeHtmlBlocks;
+    window.mergePlans = mergePlans;
+}
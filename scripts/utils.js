@@ -21,7 +21,11 @@ const DEFAULT_PROJECT_SCHEMA = {
         ideas: [],
         outline: [],
         customSectionTitles: {},
-        customSectionDescriptions: {}
+        customSectionDescriptions: {},
+        mindMap: {
+            positions: {},
+            edges: []
+        }
     },
     write: {
         content: '',
@@ -31,6 +35,13 @@ const DEFAULT_PROJECT_SCHEMA = {
         content: '',
         suggestions: []
     },
+    sources: {
+        style: 'apa',
+        items: []
+    },
+    comments: {
+        items: []
+    },
     chatHistory: [],
     ui: {
         currentTab: 'plan'
@@ -66,6 +77,27 @@ function mergeObjects(target, source) {
     return { ...target, ...source };
 }
 
+/**
+ * Merge a list kept by id (sources, comments) with the copy another group member or device saved: items
+ * changed here since the last save keep this copy, items deleted here stay deleted, everything else is theirs
+ * @param {Array<Object>} local This copy's items
+ * @param {Array<Object>} stored The saved items
+ * @param {Set<string>} changed IDs added or edited here since the last save
+ * @param {Set<string>} deleted IDs deleted here since the last save
+ * @returns {Array<Object>}
+ */
+function mergeListById(local, stored, changed, deleted) {
+    const localById = new Map(local.map(item => [item.id, item]));
+    const storedIds = new Set(stored.map(item => item.id));
+    const merged = stored
+        .filter(item => !deleted.has(item.id))
+        .map(item => (changed.has(item.id) && localById.has(item.id) ? localById.get(item.id) : item));
+    local.forEach(item => {
+        if (!storedIds.has(item.id) && changed.has(item.id)) merged.push(item);
+    });
+    return merged;
+}
+
 // Validate that required fields are present in an object
 function validateRequiredFields(obj, requiredFields) {
     const missing = requiredFields.filter(field => !obj[field]);
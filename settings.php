@@ -36,4 +36,19 @@ if ($ADMIN->fulltree) {
         ''
     ));
 
+    $settings->add(new admin_setting_configtext(
+        'mod_researchflow/collab_relay_url',
+        get_string('collab_relay_url', 'mod_researchflow'),
+        get_string('collab_relay_url_desc', 'mod_researchflow'),
+        '',
+        PARAM_RAW_TRIMMED
+    ));
+
+    $settings->add(new admin_setting_configpasswordunmask(
+        'mod_researchflow/collab_secret',
+        get_string('collab_secret', 'mod_researchflow'),
+        get_string('collab_secret_desc', 'mod_researchflow'),
+        ''
+    ));
+
 }
@@ -38,9 +38,10 @@ $PAGE->set_heading(format_string($course->fullname));
 $PAGE->set_context($context);
 $PAGE->set_pagelayout('incourse');
 
-// Load project data
+// Load project data (in group mode the student's group project, stored under its owner)
+$projectuserid = researchflow_get_project_owner($instance, $cm, $userid)['userid'];
 $dataManager = new \mod_researchflow\data\ProjectDataManager();
-$project = $dataManager->loadProject($instance->id, $userid);
+$project = $dataManager->loadProject($instance->id, $projectuserid);
 
 // Get content from 'edit' phase (final version), fallback to 'write' phase
 $content = '';
@@ -67,6 +68,9 @@ $activityLogs = $DB->get_records('researchflow_activity_log', [
 // Calculate statistics for the view
 $stats = researchflow_calculate_activity_stats($activityLogs);
 
+// Same readability numbers the student sees in the Write/Edit panel
+$readability = researchflow_readability_stats($content);
+
 // Analyze document for color-coding
 // Color coding logic removed in favor of side-by-side view
 
@@ -87,6 +91,13 @@ echo $OUTPUT->header();
         <div class="col-md-4 text-right">
             <a href="<?php echo new moodle_url('/mod/researchflow/submissions.php', ['id' => $cm->id]); ?>" class="btn btn-secondary mr-2">Back to List</a>
             <button onclick="window.print()" class="btn btn-primary">Print / PDF</button>
+            <div class="btn-group mt-2" role="group" aria-label="Export plan">
+                <span class="btn btn-sm btn-light disabled">Plan:</span>
+                <?php foreach (['planmarkdown' => 'Markdown', 'planopml' => 'OPML', 'planprint' => 'Print'] as $planformat => $planlabel): ?>
+                    <a href="<?php echo new moodle_url('/mod/researchflow/export.php', ['id' => $cm->id, 'userid' => $userid, 'format' => $planformat]); ?>"
+                       class="btn btn-sm btn-outline-secondary" target="_blank"><?php echo $planlabel; ?></a>
+                <?php endforeach; ?>
+            </div>
         </div>
     </div>
 
@@ -106,7 +117,8 @@ echo $OUTPUT->header();
                             <p>No content found for this submission.</p>
                         </div>
                     <?php else: ?>
-                        <?php echo $content; ?>
+                        <?php $footnotes = researchflow_extract_footnotes($content); ?>
+                        <?php echo $footnotes['html'] . researchflow_footnotes_html($footnotes['notes']); ?>
                     <?php endif; ?>
                 </div>
             </div>
@@ -172,6 +184,10 @@ echo $OUTPUT->header();
                                     $actionIcon = 'fa-paste';
                                     $actionColor = 'text-warning';
                                     break;
+                                case 'ai_assist':
+                                    $actionIcon = 'fa-magic';
+                                    $actionColor = 'text-info';
+                                    break;
                                 case 'delete':
                                     $actionIcon = 'fa-eraser';
                                     $actionColor = 'text-danger';
@@ -200,6 +216,52 @@ echo $OUTPUT->header();
                 </div>
             </div>
             
+            <!-- Readability Card -->
+            <div class="card mb-3">
+                <div class="card-header bg-white font-weight-bold"><?php echo get_string('readability', 'mod_researchflow'); ?></div>
+                <div class="card-body">
+                    <?php if ($readability['grade'] === null): ?>
+                        <div class="text-center text-muted">No body text to analyse.</div>
+                    <?php else: ?>
+                        <div class="row text-center mb-3">
+                            <div class="col-4">
+                                <div class="h4 mb-0"><?php echo $readability['grade']; ?></div>
+                                <div class="small text-muted">FK Grade</div>
+                            </div>
+                            <div class="col-4">
+                                <div class="h4 mb-0"><?php echo $readability['average_sentence']; ?></div>
+                                <div class="small text-muted">Avg Sentence</div>
+                            </div>
+                            <div class="col-4">
+                                <div class="h4 mb-0"><?php echo $readability['longest_sentence']; ?></div>
+                                <div class="small text-muted">Longest</div>
+                            </div>
+                        </div>
+                        <div class="mb-2">
+                            <small class="text-muted">Passive Voice Candidates:</small>
+                            <div class="font-weight-bold"><?php echo $readability['passive']; ?></div>
+                        </div>
+                        <div class="mb-2">
+                            <small class="text-muted">Repeated Words:</small>
+                            <div>
+                                <?php if (empty($readability['repeated'])): ?>
+                                    <span class="text-muted">None</span>
+                                <?php endif; ?>
+                                <?php foreach ($readability['repeated'] as $repeated): ?>
+                                    <span class="badge badge-light"><?php echo s($repeated['word']); ?> ×<?php echo $repeated['count']; ?></span>
+                                <?php endforeach; ?>
+                            </div>
+                        </div>
+                        <div class="mb-2">
+                            <small class="text-muted">Paragraphs (short / medium / long):</small>
+                            <div class="font-weight-bold">
+                                <?php echo implode(' / ', $readability['paragraphs']); ?>
+                            </div>
+                        </div>
+                    <?php endif; ?>
+                </div>
+            </div>
+
             <!-- Paste Events List -->
             <div class="card">
                 <div class="card-header bg-white font-weight-bold d-flex justify-content-between align-items-center">
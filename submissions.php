@@ -45,6 +45,42 @@ echo $OUTPUT->header();
 $dataManager = new \mod_researchflow\data\ProjectDataManager();
 $submissions = $dataManager->getAllSubmissions($instance->id);
 
+// In group mode a project is stored under one member: list every member of the group against it
+$groupmode = !empty($instance->group_project) && groups_get_activity_groupmode($cm) != NOGROUPS;
+if ($groupmode) {
+    $groupprojects = $DB->get_records('researchflow_group_projects', ['researchflowid' => $instance->id], '', 'ownerid, groupid');
+    $rows = [];
+    foreach ($submissions as $submission) {
+        if (!isset($groupprojects[$submission->userid])) {
+            $submission->groupname = '';
+            $rows[] = $submission;
+            continue;
+        }
+        $groupid = $groupprojects[$submission->userid]->groupid;
+        $groupname = format_string(groups_get_group_name($groupid));
+        $listed = count($rows);
+        foreach (groups_get_members($groupid, 'u.*', 'u.lastname, u.firstname') as $member) {
+            // Members in several groups work on one project only; skip them where it is not this one
+            if (researchflow_get_project_owner($instance, $cm, $member->id)['userid'] != $submission->userid) {
+                continue;
+            }
+            $row = clone $member;
+            $row->userid = $member->id;
+            $row->last_modified = $submission->last_modified;
+            $row->write_word_count = $submission->write_word_count;
+            $row->edit_word_count = $submission->edit_word_count;
+            $row->groupname = $groupname;
+            $rows[] = $row;
+        }
+        if (count($rows) == $listed) {
+            // Nobody in the group works on it any more; still show the project under its owner
+            $submission->groupname = $groupname;
+            $rows[] = $submission;
+        }
+    }
+    $submissions = $rows;
+}
+
 ?>
 <div class="submissions-container">
     <div class="submissions-header">
@@ -66,6 +102,9 @@ $submissions = $dataManager->getAllSubmissions($instance->id);
                     <tr>
                         <th>Student</th>
                         <th>Email</th>
+                        <?php if ($groupmode): ?>
+                            <th>Group</th>
+                        <?php endif; ?>
                         <th>Last Modified</th>
                         <th>Write Phase (Words)</th>
                         <th>Edit Phase (Words)</th>
@@ -80,6 +119,9 @@ $submissions = $dataManager->getAllSubmissions($instance->id);
                                 <span class="student-name"><?php echo fullname($submission); ?></span>
                             </td>
                             <td><?php echo s($submission->email); ?></td>
+                            <?php if ($groupmode): ?>
+                                <td><?php echo $submission->groupname; ?></td>
+                            <?php endif; ?>
                             <td><?php echo userdate($submission->last_modified); ?></td>
                             <td><?php echo $submission->write_word_count; ?></td>
                             <td><?php echo $submission->edit_word_count; ?></td>
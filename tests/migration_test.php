@@ -295,6 +295,558 @@ class mod_researchflow_migration_testcase extends advanced_testcase {
         $this->assertEquals('<p>New content</p>', $content->content);
     }
     
+    /**
+     * Test nested ideas keep their hierarchy and order through save and load
+     */
+    public function test_save_project_preserves_idea_hierarchy() {
+        global $DB;
+        
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $projectData = [
+            'metadata' => ['title' => 'Nested Project'],
+            'plan' => [
+                'ideas' => [
+                    [
+                        'id' => 'tmp_evidence',
+                        'content' => 'Evidence',
+                        'location' => 'outline',
+                        'sectionId' => 'main-arguments',
+                        'parentId' => 'tmp_claim',
+                        'sortOrder' => 0
+                    ],
+                    [
+                        'id' => 'tmp_claim',
+                        'content' => 'Claim',
+                        'location' => 'outline',
+                        'sectionId' => 'main-arguments',
+                        'sortOrder' => 0,
+                        'collapsed' => true
+                    ]
+                ]
+            ]
+        ];
+        
+        $dataManager = new ProjectDataManager();
+        $result = $dataManager->saveProject($activity->id, $user->id, $projectData);
+        
+        $this->assertIsArray($result);
+        $claimId = $result['ideaMappings']['tmp_claim'];
+        $evidenceId = $result['ideaMappings']['tmp_evidence'];
+        
+        // Parent reference is rewritten from the temporary client ID to the DB ID
+        $evidence = $DB->get_record('researchflow_ideas', ['id' => $evidenceId]);
+        $this->assertEquals((string)$claimId, $evidence->parent_id);
+        
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        $ideas = array_values($project['plan']['ideas']);
+        $loaded = array_column($ideas, null, 'content');
+        
+        $this->assertNull($loaded['Claim']['parentId']);
+        $this->assertTrue($loaded['Claim']['collapsed']);
+        $this->assertEquals((string)$claimId, $loaded['Evidence']['parentId']);
+    }
+    
+    /**
+     * Test that mind map connectors follow ideas to their DB IDs
+     */
+    public function test_save_project_remaps_mind_map_ids() {
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $projectData = [
+            'metadata' => ['title' => 'Mind Map Project'],
+            'plan' => [
+                'ideas' => [
+                    ['id' => 'tmp_a', 'content' => 'Cause', 'location' => 'brainstorm'],
+                    ['id' => 'tmp_b', 'content' => 'Effect', 'location' => 'brainstorm']
+                ],
+                'mindMap' => [
+                    'positions' => ['tmp_a' => ['x' => 10, 'y' => 20]],
+                    'edges' => [
+                        ['id' => 'edge1', 'from' => 'tmp_a', 'to' => 'tmp_b', 'label' => '<b>leads to</b>']
+                    ]
+                ]
+            ]
+        ];
+        
+        $dataManager = new ProjectDataManager();
+        $result = $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $idA = (string)$result['ideaMappings']['tmp_a'];
+        $idB = (string)$result['ideaMappings']['tmp_b'];
+        
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        $mindMap = $project['plan']['mindMap'];
+        
+        $this->assertEquals(10, $mindMap['positions'][$idA]['x']);
+        $this->assertCount(1, $mindMap['edges']);
+        $this->assertEquals($idA, $mindMap['edges'][0]['from']);
+        $this->assertEquals($idB, $mindMap['edges'][0]['to']);
+        $this->assertEquals('leads to', $mindMap['edges'][0]['label']);
+    }
+    
+    /**
+     * Test that idea tags round-trip and unknown tags are dropped
+     */
+    public function test_save_project_preserves_idea_tags() {
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $projectData = [
+            'metadata' => ['title' => 'Tagged Project'],
+            'plan' => [
+                'ideas' => [
+                    ['id' => 'tmp_a', 'content' => 'Survey results', 'location' => 'brainstorm', 'tag' => 'evidence'],
+                    ['id' => 'tmp_b', 'content' => 'Why now?', 'location' => 'brainstorm', 'tag' => 'not-a-tag']
+                ]
+            ]
+        ];
+        
+        $dataManager = new ProjectDataManager();
+        $dataManager->saveProject($activity->id, $user->id, $projectData);
+        
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        $loaded = array_column(array_values($project['plan']['ideas']), null, 'content');
+        
+        $this->assertEquals('evidence', $loaded['Survey results']['tag']);
+        $this->assertNull($loaded['Why now?']['tag']);
+        
+        // The saved project parses back (as in a migration) with its tags
+        $parser = new ProjectDataParser();
+        $parsed = array_column($parser->parse($project)['ideas'], null, 'content');
+        $this->assertEquals('evidence', $parsed['Survey results']['tag']);
+        $this->assertNull($parsed['Why now?']['tag']);
+    }
+    
+    /**
+     * Test that repeated section instances and their order survive a save/load
+     */
+    public function test_save_project_preserves_section_instances() {
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $projectData = [
+            'metadata' => ['title' => 'Repeated Sections'],
+            'plan' => [
+                'ideas' => [
+                    ['id' => 'tmp_a', 'content' => 'Cost', 'location' => 'outline', 'sectionId' => 'main-arguments--2']
+                ],
+                'sectionInstances' => [
+                    ['id' => 'main-arguments--2', 'instanceOf' => 'main-arguments', 'title' => 'Main Argument 2']
+                ],
+                'sectionOrder' => ['introduction', 'main-arguments', 'main-arguments--2', 'conclusion']
+            ]
+        ];
+        
+        $dataManager = new ProjectDataManager();
+        $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        
+        $this->assertCount(1, $project['plan']['sectionInstances']);
+        $this->assertEquals('main-arguments', $project['plan']['sectionInstances'][0]['instanceOf']);
+        $this->assertEquals('Main Argument 2', $project['plan']['sectionInstances'][0]['title']);
+        $this->assertEquals($projectData['plan']['sectionOrder'], $project['plan']['sectionOrder']);
+        $this->assertEquals('main-arguments--2', $project['plan']['ideas'][0]['sectionId']);
+    }
+    
+    /**
+     * Test that the sources library and citation style round-trip, and removed sources are deleted
+     */
+    public function test_save_project_round_trips_sources() {
+        global $DB;
+        
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $projectData = [
+            'metadata' => ['title' => 'Cited Project'],
+            'plan' => ['ideas' => []],
+            'sources' => [
+                'style' => 'mla',
+                'items' => [
+                    [
+                        'id' => 'src_a',
+                        'type' => 'article',
+                        'title' => 'Climate and Ecology',
+                        'authors' => [['family' => 'Smith', 'given' => 'John'], ['family' => '', 'given' => 'Nobody']],
+                        'year' => '2020',
+                        'container' => 'Nature'
+                    ],
+                    ['id' => 'src_b', 'type' => 'not-a-type', 'title' => 'A Book', 'authors' => []]
+                ]
+            ]
+        ];
+        
+        $dataManager = new ProjectDataManager();
+        $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        
+        $this->assertEquals('mla', $project['sources']['style']);
+        $this->assertCount(2, $project['sources']['items']);
+        $this->assertEquals('src_a', $project['sources']['items'][0]['id']);
+        $this->assertEquals([['family' => 'Smith', 'given' => 'John']], $project['sources']['items'][0]['authors']);
+        $this->assertEquals('Nature', $project['sources']['items'][0]['container']);
+        $this->assertEquals('article', $project['sources']['items'][1]['type']);
+        
+        // The client sends the whole library, so a source left out was removed
+        $projectData['sources']['items'] = [$projectData['sources']['items'][0]];
+        $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $this->assertEquals(1, $DB->count_records('researchflow_sources', [
+            'researchflowid' => $activity->id,
+            'userid' => $user->id
+        ]));
+        
+        // Only cited sources make it into the generated references
+        $references = researchflow_build_references(
+            $dataManager->loadProject($activity->id, $user->id)['sources'],
+            '<p>Warming is measurable <span class="ql-citation" data-sources="src_a">(Smith)</span>.</p>'
+        );
+        $this->assertEquals('Works Cited', $references['heading']);
+        $this->assertEquals(['Smith, John. “Climate and Ecology.” <i>Nature</i>, 2020.'], $references['entries']);
+    }
+
+    /**
+     * Test that footnote markers are numbered in document order and their notes extracted for export
+     */
+    public function test_extract_footnotes() {
+        $html = '<p>First claim<span class="ql-footnote" contenteditable="false" data-note-id="fn_b" data-note="See &quot;Smith&quot;, p. 4.">2</span>'
+            . ' and second<span class="ql-footnote" contenteditable="false" data-note-id="fn_a" data-note="">1</span>.</p>';
+
+        $footnotes = researchflow_extract_footnotes($html);
+        $this->assertEquals('<p>First claim<sup>1</sup> and second<sup>2</sup>.</p>', $footnotes['html']);
+        $this->assertEquals(['See "Smith", p. 4.', ''], $footnotes['notes']);
+        $this->assertEquals('', researchflow_footnotes_html([]));
+        $this->assertStringContainsString('1. See &quot;Smith&quot;, p. 4.', researchflow_footnotes_html($footnotes['notes']));
+    }
+
+    /**
+     * Test that the instructor's readability numbers match the Write/Edit panel's rules
+     */
+    public function test_readability_stats() {
+        $html = '<h2>Introduction</h2>'
+            . '<p>The climate was studied by researchers. Climate change is measurable, and climate policy matters!</p>'
+            . '<p>Researchers argue that climate models are being refined'
+            . '<span class="ql-citation" contenteditable="false" data-sources="src_a">(Smith, 2020)</span>. Do they work?</p>'
+            . '<ul><li>Policy matters for researchers everywhere.</li></ul>';
+
+        $stats = researchflow_readability_stats($html);
+        $this->assertEquals(30, $stats['words']);
+        $this->assertEquals(5, $stats['sentences']);
+        $this->assertEquals(8.8, $stats['grade']);
+        $this->assertEquals(6, $stats['average_sentence']);
+        $this->assertEquals(8, $stats['longest_sentence']);
+        $this->assertEquals(2, $stats['passive']);
+        $this->assertEquals([['word' => 'climate', 'count' => 4], ['word' => 'researchers', 'count' => 3]], $stats['repeated']);
+        $this->assertEquals(['short' => 3, 'medium' => 0, 'long' => 0], $stats['paragraphs']);
+        $this->assertNull(researchflow_readability_stats('<p><br></p>')['grade']);
+    }
+
+    /**
+     * Test that margin comments and their replies round-trip, and deleted comments are removed
+     */
+    public function test_save_project_round_trips_comments() {
+        global $DB;
+        
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $projectData = [
+            'metadata' => ['title' => 'Commented Project'],
+            'plan' => ['ideas' => []],
+            'comments' => [
+                'items' => [
+                    [
+                        'id' => 'cmt_a',
+                        'author' => 'ai',
+                        'quote' => 'Climate change is measurable.',
+                        'text' => 'Which measurements do you mean?',
+                        'replies' => [
+                            ['author' => 'student', 'text' => '<b>Sea level</b>', 'created' => 1700000000],
+                            ['author' => 'teacher', 'text' => 'Unknown author'],
+                            ['author' => 'ai', 'text' => '   ']
+                        ],
+                        'resolved' => false,
+                        'created' => 1700000000
+                    ],
+                    ['id' => 'cmt_b', 'author' => 'robot', 'quote' => '', 'text' => 'Check this later', 'resolved' => true],
+                    ['id' => 'cmt_c', 'author' => 'student', 'text' => '']
+                ]
+            ]
+        ];
+        
+        $dataManager = new ProjectDataManager();
+        $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        
+        $comments = $project['comments']['items'];
+        $this->assertCount(2, $comments);
+        $this->assertEquals('cmt_a', $comments[0]['id']);
+        $this->assertEquals('ai', $comments[0]['author']);
+        $this->assertEquals('Climate change is measurable.', $comments[0]['quote']);
+        $this->assertEquals(1700000000, $comments[0]['created']);
+        $this->assertEquals([
+            ['author' => 'student', 'text' => 'Sea level', 'created' => 1700000000],
+            ['author' => 'student', 'text' => 'Unknown author', 'created' => $comments[0]['replies'][1]['created']]
+        ], $comments[0]['replies']);
+        $this->assertFalse($comments[0]['resolved']);
+        $this->assertEquals('student', $comments[1]['author']);
+        $this->assertTrue($comments[1]['resolved']);
+        
+        // The client sends every comment, so one left out was deleted
+        $projectData['comments']['items'] = [$projectData['comments']['items'][1]];
+        $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $this->assertEquals(['cmt_b'], array_column(
+            $dataManager->loadProject($activity->id, $user->id)['comments']['items'],
+            'id'
+        ));
+        $this->assertEquals(1, $DB->count_records('researchflow_comments', [
+            'researchflowid' => $activity->id,
+            'userid' => $user->id
+        ]));
+    }
+
+    /**
+     * Test that every save bumps the revision and a save based on an older revision is rejected
+     */
+    public function test_save_project_rejects_stale_revision() {
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $dataManager = new ProjectDataManager();
+        $projectData = [
+            'metadata' => ['title' => 'Shared Project'],
+            'plan' => ['ideas' => []],
+            'write' => ['content' => '<p>First draft</p>']
+        ];
+        
+        // Clients that don't send a revision are not checked
+        $result = $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $this->assertEquals(1, $result['revision']);
+        $this->assertEquals(1, $dataManager->loadProject($activity->id, $user->id)['metadata']['revision']);
+        
+        // The laptop and the lab PC both loaded revision 1; the laptop saves first
+        $projectData['metadata']['revision'] = 1;
+        $projectData['write']['content'] = '<p>Laptop draft</p>';
+        $result = $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $this->assertTrue($result['success']);
+        $this->assertEquals(2, $result['revision']);
+        
+        $projectData['write']['content'] = '<p>Lab PC draft</p>';
+        $result = $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $this->assertFalse($result['success']);
+        $this->assertTrue($result['conflict']);
+        $this->assertEquals(2, $result['revision']);
+        $project = $dataManager->loadProject($activity->id, $user->id);
+        $this->assertEquals('<p>Laptop draft</p>', $project['write']['content']);
+        
+        // Once the student has chosen, the save is based on the current revision
+        $projectData['metadata']['revision'] = 2;
+        $result = $dataManager->saveProject($activity->id, $user->id, $projectData);
+        $this->assertEquals(3, $result['revision']);
+        $this->assertEquals('<p>Lab PC draft</p>', $dataManager->loadProject($activity->id, $user->id)['write']['content']);
+    }
+    
+    /**
+     * Test that group members share the project of whoever opened it first, and that outside group mode
+     * (or outside any group) everyone keeps their own
+     */
+    public function test_group_members_share_one_project() {
+        global $DB;
+        
+        $this->resetAfterTest();
+        
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $first = $generator->create_user();
+        $second = $generator->create_user();
+        $loner = $generator->create_user();
+        $group = $generator->create_group(['courseid' => $course->id]);
+        $generator->create_group_member(['groupid' => $group->id, 'userid' => $first->id]);
+        $generator->create_group_member(['groupid' => $group->id, 'userid' => $second->id]);
+        
+        $activity = $generator->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Group Essay',
+            'group_project' => 1
+        ], ['groupmode' => SEPARATEGROUPS]);
+        $cm = get_coursemodule_from_instance('researchflow', $activity->id);
+        $instance = $DB->get_record('researchflow', ['id' => $activity->id]);
+        
+        $this->assertEquals(['userid' => (int)$first->id, 'groupid' => (int)$group->id],
+            researchflow_get_project_owner($instance, $cm, $first->id));
+        $this->assertEquals(['userid' => (int)$first->id, 'groupid' => (int)$group->id],
+            researchflow_get_project_owner($instance, $cm, $second->id));
+        $this->assertEquals(['userid' => (int)$loner->id, 'groupid' => 0],
+            researchflow_get_project_owner($instance, $cm, $loner->id));
+        $this->assertEquals(1, $DB->count_records('researchflow_group_projects', ['researchflowid' => $activity->id]));
+        
+        // What one member saves, the other loads
+        $dataManager = new ProjectDataManager();
+        $owner = researchflow_get_project_owner($instance, $cm, $second->id)['userid'];
+        $dataManager->saveProject($activity->id, $owner, [
+            'metadata' => ['title' => 'Group Essay'],
+            'write' => ['content' => '<p>Written together</p>']
+        ]);
+        $loaded = $dataManager->loadProject($activity->id, researchflow_get_project_owner($instance, $cm, $first->id)['userid']);
+        $this->assertEquals('<p>Written together</p>', $loaded['write']['content']);
+        
+        $instance->group_project = 0;
+        $this->assertEquals(['userid' => (int)$second->id, 'groupid' => 0],
+            researchflow_get_project_owner($instance, $cm, $second->id));
+        
+        // Relay tokens name the user and expire
+        $token = researchflow_collab_token('researchflow-' . $activity->id . '-' . $group->id, $second->id, 2000000000);
+        $this->assertMatchesRegularExpression('/^' . $second->id . '\.2000000000\.[0-9a-f]{64}$/', $token);
+    }
+    
+    /**
+     * Test that group members saving different source and comment lists keep each other's: only what a
+     * member deleted is removed
+     */
+    public function test_group_members_merge_sources_and_comments() {
+        global $DB;
+        
+        $this->resetAfterTest();
+        
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course();
+        $first = $generator->create_user();
+        $second = $generator->create_user();
+        $group = $generator->create_group(['courseid' => $course->id]);
+        $generator->create_group_member(['groupid' => $group->id, 'userid' => $first->id]);
+        $generator->create_group_member(['groupid' => $group->id, 'userid' => $second->id]);
+        
+        $activity = $generator->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Group Essay',
+            'group_project' => 1
+        ], ['groupmode' => SEPARATEGROUPS]);
+        $cm = get_coursemodule_from_instance('researchflow', $activity->id);
+        $instance = $DB->get_record('researchflow', ['id' => $activity->id]);
+        $owner = researchflow_get_project_owner($instance, $cm, $first->id)['userid'];
+        
+        // The first member adds a source and a comment
+        $dataManager = new ProjectDataManager();
+        $dataManager->saveProject($activity->id, $owner, [
+            'metadata' => ['title' => 'Group Essay'],
+            'sources' => ['style' => 'apa', 'items' => [['id' => 'src_first', 'title' => 'First Source']], 'deleted' => []],
+            'comments' => ['items' => [['id' => 'cmt_first', 'text' => 'Cite this']], 'deleted' => []]
+        ]);
+        
+        // The second member, loaded before that, saves a list without them
+        $dataManager->saveProject($activity->id, $owner, [
+            'metadata' => ['title' => 'Group Essay'],
+            'sources' => ['style' => 'apa', 'items' => [['id' => 'src_second', 'title' => 'Second Source']], 'deleted' => []],
+            'comments' => ['items' => [['id' => 'cmt_second', 'text' => 'Shorten this']], 'deleted' => []]
+        ]);
+        $project = $dataManager->loadProject($activity->id, $owner);
+        $this->assertEqualsCanonicalizing(['src_first', 'src_second'], array_column($project['sources']['items'], 'id'));
+        $this->assertEqualsCanonicalizing(['cmt_first', 'cmt_second'], array_column($project['comments']['items'], 'id'));
+        
+        // A deletion removes only what was deleted
+        $dataManager->saveProject($activity->id, $owner, [
+            'metadata' => ['title' => 'Group Essay'],
+            'sources' => ['style' => 'apa', 'items' => [], 'deleted' => ['src_second']],
+            'comments' => ['items' => [['id' => 'cmt_second', 'text' => 'Shorten this']], 'deleted' => ['cmt_first']]
+        ]);
+        $project = $dataManager->loadProject($activity->id, $owner);
+        $this->assertEquals(['src_first'], array_column($project['sources']['items'], 'id'));
+        $this->assertEquals(['cmt_second'], array_column($project['comments']['items'], 'id'));
+    }
+    
+    /**
+     * Test that review results are kept per user and phase, cleaned, and removed by an empty list
+     */
+    public function test_review_results_saved_per_user_and_phase() {
+        global $DB;
+        
+        $this->resetAfterTest();
+        
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_user();
+        $other = $this->getDataGenerator()->create_user();
+        $activity = $this->getDataGenerator()->create_module('researchflow', [
+            'course' => $course->id,
+            'name' => 'Test Activity'
+        ]);
+        
+        $dataManager = new ProjectDataManager();
+        $dataManager->saveReview($activity->id, $user->id, 'edit', [
+            ['id' => 'review-0', 'type' => 'spelling', 'original' => 'recieve', 'suggestion' => 'receive',
+                'reason' => 'Misspelled', 'index' => 12, 'length' => 7, 'stale' => false],
+            ['id' => 'review-1', 'type' => 'style', 'original' => 'very good', 'index' => 30, 'length' => 9],
+            ['id' => 'review-2', 'type' => 'grammar', 'original' => '  ', 'index' => 50, 'length' => 2],
+            ['id' => 'review-3', 'type' => 'grammar', 'original' => "it's mat", 'suggestion' => 'its mat',
+                'index' => -4, 'length' => 8, 'stale' => true]
+        ], 1700000000);
+        
+        $review = $dataManager->loadReview($activity->id, $user->id, 'edit');
+        $this->assertEquals(1700000000, $review['reviewedAt']);
+        $this->assertEquals(['review-0', 'review-3'], array_column($review['suggestions'], 'id'));
+        $this->assertEquals(12, $review['suggestions'][0]['index']);
+        $this->assertEquals(7, $review['suggestions'][0]['length']);
+        $this->assertFalse($review['suggestions'][0]['stale']);
+        $this->assertEquals(0, $review['suggestions'][1]['index']);
+        $this->assertTrue($review['suggestions'][1]['stale']);
+        
+        // Other users and phases have their own
+        $this->assertNull($dataManager->loadReview($activity->id, $other->id, 'edit'));
+        $this->assertNull($dataManager->loadReview($activity->id, $user->id, 'write'));
+        
+        // Saving again moves the anchors in place; an empty list removes the review
+        $suggestions = $review['suggestions'];
+        $suggestions[0]['index'] = 20;
+        $dataManager->saveReview($activity->id, $user->id, 'edit', $suggestions, 1700000000);
+        $this->assertEquals(20, $dataManager->loadReview($activity->id, $user->id, 'edit')['suggestions'][0]['index']);
+        $this->assertEquals(1, $DB->count_records('researchflow_reviews', ['researchflowid' => $activity->id]));
+        
+        $dataManager->saveReview($activity->id, $user->id, 'edit', [], 0);
+        $this->assertNull($dataManager->loadReview($activity->id, $user->id, 'edit'));
+    }
+    
     /**
      * Test migration status
      */
@@ -15,7 +15,7 @@
 defined('MOODLE_INTERNAL') || die();
 
 $plugin = new stdClass();
-$plugin->version   = 2025052001;
+$plugin->version   = 2026101906;
 $plugin->requires  = 2022041900; // Moodle 4.0 or later (compatible with 4.0, 4.1, 4.2, 4.3, 4.4, and 5.0)
 $plugin->component = 'mod_researchflow';
 $plugin->cron      = 0;
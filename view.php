@@ -97,6 +97,7 @@ $PAGE->requires->js(new moodle_url('https://cdn.quilljs.com/1.3.7/quill.min.js')
 $PAGE->requires->js(new moodle_url('https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js'), true);
 $PAGE->requires->js(new moodle_url('https://cdn.jsdelivr.net/npm/marked/marked.min.js'), true);
 $PAGE->requires->js(new moodle_url('https://cdn.jsdelivr.net/npm/dompurify@3.0.6/dist/purify.min.js'), true);
+$PAGE->requires->js(new moodle_url('https://cdn.jsdelivr.net/npm/mammoth@1.8.0/mammoth.browser.min.js'), true);
 
 // Log the view event
 $event = \mod_researchflow\event\course_module_viewed::create([
@@ -142,6 +143,7 @@ echo $OUTPUT->header();
             <button class="tab-btn" data-tab="write"><?php echo get_string('write', 'mod_researchflow'); ?></button>
             <button class="tab-btn" data-tab="edit"><?php echo get_string('edit_revise', 'mod_researchflow'); ?></button>
             <div class="action-buttons">
+                <div class="collab-presence" id="collabPresence" aria-live="polite" hidden></div>
                 <?php if ($canEditGoals): ?>
                     <a href="<?php echo new moodle_url('/mod/researchflow/submissions.php', ['id' => $cm->id]); ?>" class="action-btn" title="View Student Submissions" style="text-decoration: none; color: inherit; display: inline-flex; align-items: center; gap: 6px;">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -182,18 +184,57 @@ echo $OUTPUT->header();
                 </div>
             </div>
             <?php endif; ?>
+            <!-- Keyboard moves: instructions referenced by bubbles and sections, and step-by-step announcements -->
+            <p id="planKeyboardHint" class="sr-only">Press Space to pick up, arrow keys to move, Enter to drop and Escape to cancel.</p>
+            <div id="planLiveRegion" class="sr-only" aria-live="assertive" aria-atomic="true"></div>
+            <!-- Undo/redo for board changes (also Ctrl+Z / Ctrl+Y) -->
+            <div class="plan-history-bar" role="toolbar" aria-label="Plan history">
+                <button type="button" id="planUndoBtn" class="plan-history-btn" title="Undo (Ctrl+Z)" disabled>
+                    <span>Undo</span>
+                </button>
+                <button type="button" id="planRedoBtn" class="plan-history-btn" title="Redo (Ctrl+Y)" disabled>
+                    <span>Redo</span>
+                </button>
+                <div class="plan-export">
+                    <button type="button" id="planExportBtn" class="plan-history-btn" title="Export your plan" aria-haspopup="true" aria-expanded="false">
+                        <span><?php echo get_string('export_plan', 'mod_researchflow'); ?></span>
+                    </button>
+                    <div id="planExportMenu" class="plan-export-menu" role="menu" hidden></div>
+                </div>
+            </div>
+            <!-- Filter bar - shows or hides idea bubbles by tag, author and section -->
+            <div class="idea-filter-bar" id="ideaFilterBar" role="toolbar" aria-label="Filter ideas">
+                <div class="idea-filter-tags" id="ideaFilterTags"></div>
+                <select id="ideaFilterSource" class="idea-filter-select" aria-label="Filter by author">
+                    <option value="all">All authors</option>
+                    <option value="student">Student ideas</option>
+                    <option value="ai">AI ideas</option>
+                </select>
+                <select id="ideaFilterSection" class="idea-filter-select" aria-label="Filter by section">
+                    <option value="all">All sections</option>
+                    <option value="brainstorm">Brainstorm</option>
+                </select>
+                <button type="button" id="ideaFilterClear" class="idea-filter-clear" hidden>Clear filters</button>
+            </div>
             <div class="idea-bubbles-section">
                 <div class="idea-dropzone" id="brainstormDropzone">
                     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
                         <h3 style="margin: 0;"><?php echo get_string('brainstorm', 'mod_researchflow'); ?></h3>
-                        <button id="askAIButton" class="ask-ai-btn" title="You have to add atleast 4 ideas before" disabled>
-                            <span>Ask AI to Generate Ideas</span>
-                        </button>
+                        <div style="display: flex; gap: var(--spacing-sm);">
+                            <button id="toggleMindMapBtn" class="mind-map-toggle-btn" aria-pressed="false" title="Switch between the list and the mind map">
+                                <span>Mind Map</span>
+                            </button>
+                            <button id="askAIButton" class="ask-ai-btn" title="You have to add atleast 4 ideas before" disabled>
+                                <span>Ask AI to Generate Ideas</span>
+                            </button>
+                        </div>
                     </div>
                     <div class="bubble-actions-container">
                         <button id="addIdeaBubble"><?php echo get_string('add_idea', 'mod_researchflow'); ?></button>
+                        <button id="importIdeasBtn" class="import-ideas-btn" title="Paste a list, a Markdown outline or upload a CSV file"><?php echo get_string('import_ideas', 'mod_researchflow'); ?></button>
                     </div>
                     <div class="idea-bubbles" id="ideaBubbles"></div>
+                    <div class="mind-map-canvas" id="mindMapCanvas"></div>
                 </div>
                 <div class="outline-dropzone" id="outlineDropzone">
                     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
@@ -202,6 +243,9 @@ echo $OUTPUT->header();
                             <button id="askAIOutlineButton" class="ask-ai-btn" title="You have to add atleast 4 ideas in brainstorm before" disabled>
                                 <span>Ask AI to Generate Outline</span>
                             </button>
+                            <button id="autoOrganizeButton" class="ask-ai-btn" title="Let AI suggest which section each brainstorm idea belongs in" disabled>
+                                <span>Auto-organize</span>
+                            </button>
                             <button id="addCustomSection" class="add-section-btn" title="Add Custom Section">
                                 <svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
                                     <path d="M7 3v8M3 7h8" stroke-linecap="round"/>
@@ -235,6 +279,32 @@ echo $OUTPUT->header();
                             </svg>
                             <span>Rephrase</span>
                         </button>
+                        <button id="citeWriteBtn" class="ai-tool-btn" title="Insert a citation from your sources">
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                <path d="M3 4h4v4c0 2-1 3-3 4M9 4h4v4c0 2-1 3-3 4" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                            <span><?php echo get_string('cite', 'mod_researchflow'); ?></span>
+                        </button>
+                        <button id="footnoteWriteBtn" class="ai-tool-btn" title="Add a footnote at the cursor (Ctrl+Alt+F)">
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                <path d="M3 4h7M3 8h7M3 12h4" stroke-linecap="round"/>
+                                <path d="M12 3v4M11 4l1-1" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                            <span><?php echo get_string('footnote', 'mod_researchflow'); ?></span>
+                        </button>
+                        <button id="readabilityWriteBtn" class="ai-tool-btn" title="Show readability and style numbers for this draft">
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                <path d="M3 13V9M8 13V3M13 13V6" stroke-linecap="round"/>
+                            </svg>
+                            <span><?php echo get_string('readability', 'mod_researchflow'); ?></span>
+                        </button>
+                        <button id="importFileWriteBtn" class="ai-tool-btn" title="Import a Word, Markdown or text file at the cursor">
+                            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                <path d="M4 14h8M8 2v8M5 7l3 3 3-3" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                            <span><?php echo get_string('importfile', 'mod_researchflow'); ?></span>
+                        </button>
+                        <input type="file" id="importFileWriteInput" accept=".docx,.md,.markdown,.txt" hidden>
                     </div>
                     <div id="writeToolbar"></div>
                     <div id="writeEditor"></div>
@@ -260,6 +330,31 @@ echo $OUTPUT->header();
                                 </svg>
                                 <span>AI Review</span>
                             </button>
+                            <button id="citeEditBtn" class="ai-tool-btn" title="Insert a citation from your sources">
+                                <svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                    <path d="M3 4h4v4c0 2-1 3-3 4M9 4h4v4c0 2-1 3-3 4" stroke-linecap="round" stroke-linejoin="round"/>
+                                </svg>
+                                <span><?php echo get_string('cite', 'mod_researchflow'); ?></span>
+                            </button>
+                            <button id="footnoteEditBtn" class="ai-tool-btn" title="Add a footnote at the cursor (Ctrl+Alt+F)">
+                                <svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                    <path d="M3 4h7M3 8h7M3 12h4" stroke-linecap="round"/>
+                                    <path d="M12 3v4M11 4l1-1" stroke-linecap="round" stroke-linejoin="round"/>
+                                </svg>
+                                <span><?php echo get_string('footnote', 'mod_researchflow'); ?></span>
+                            </button>
+                            <button id="readabilityEditBtn" class="ai-tool-btn" title="Show readability and style numbers for this draft">
+                                <svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                    <path d="M3 13V9M8 13V3M13 13V6" stroke-linecap="round"/>
+                                </svg>
+                                <span><?php echo get_string('readability', 'mod_researchflow'); ?></span>
+                            </button>
+                            <button id="commentEditBtn" class="ai-tool-btn" title="Comment on the selected text">
+                                <svg width="14" height="14" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+                                    <path d="M2 3h12v8H7l-3 3v-3H2V3z" stroke-linejoin="round"/>
+                                </svg>
+                                <span><?php echo get_string('comment', 'mod_researchflow'); ?></span>
+                            </button>
                             <div style="margin-left: auto; display: flex; gap: 8px;">
                                 <button id="exportWorkBtn" class="export-work-btn" title="Export your work">
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -282,6 +377,16 @@ echo $OUTPUT->header();
                     </div>
                     <div id="editEditor"></div>
                 </div>
+                <aside class="comment-margin" id="commentMargin" aria-label="<?php echo get_string('comments', 'mod_researchflow'); ?>" hidden>
+                    <div class="comment-margin-header">
+                        <h3><?php echo get_string('comments', 'mod_researchflow'); ?> <span id="commentCount"></span></h3>
+                        <label class="comment-show-resolved">
+                            <input type="checkbox" id="commentShowResolved"> Show resolved
+                        </label>
+                    </div>
+                    <p class="comment-status" id="commentStatus" aria-live="polite"></p>
+                    <div class="comment-list" id="commentList"></div>
+                </aside>
                 <div class="edit-review-panel" id="editReviewPanel" style="display: none;">
                     <div class="review-panel-header">
                         <h3>AI Review Results</h3>
@@ -306,9 +411,22 @@ echo $OUTPUT->header();
 <!-- Load individual scripts for development -->
 <script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/utils.js?v=<?php echo $jsUtilsCacheBuster; ?>"></script>
 <script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/api.js?v=<?php echo $jsApiCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/offline-store.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/save-conflict.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
 <script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/dom.js?v=<?php echo $jsDomCacheBuster; ?>"></script>
 <script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/complete-chat.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
 <script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/activity-tracker.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/mind-map.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/idea-import.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/plan-export.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/outline-sync.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/rewrite-popover.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/citations.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/footnotes.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/readability.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/comments.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/document-import.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
+<script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/collab.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
 <script src="<?php echo $CFG->wwwroot; ?>/mod/researchflow/scripts/main.js?v=<?php echo $jsMainCacheBuster; ?>"></script>
 
 <script>
@@ -325,29 +443,25 @@ window.instructorGoals = {
 };
 window.canEditGoals = <?php echo $canEditGoals ? 'true' : 'false'; ?>;
 window.researchflowId = <?php echo $instance->id; ?>;
+window.activityName = <?php echo json_encode(format_string($instance->name)); ?>;
 window.userId = <?php echo $USER->id; ?>;
 window.cmid = <?php echo $cm->id; ?>;
 
 <?php
-// Get submission status
+// Get submission status (of the shared project in group mode)
+$projectowner = researchflow_get_project_owner($instance, $cm, $USER->id);
 $metadata = $DB->get_record('researchflow_metadata', [
     'researchflowid' => $instance->id,
-    'userid' => $USER->id
+    'userid' => $projectowner['userid']
 ]);
 $submissionStatus = $metadata ? ($metadata->status ?? 'draft') : 'draft';
 ?>
 window.submissionStatus = <?php echo json_encode($submissionStatus); ?>;
+window.groupProject = <?php echo $projectowner['groupid'] ? 'true' : 'false'; ?>;
 
 // Load template data directly from PHP to avoid HTTP 404 issues
-window.templateData = <?php 
-    $templateId = $instance->template ?: 'argumentative';
-    $templateFile = $CFG->dirroot . '/mod/researchflow/data/templates/' . $templateId . '.json';
-    if (file_exists($templateFile)) {
-        echo file_get_contents($templateFile);
-    } else {
-        echo '{"name": "Default Template", "sections": []}';
-    }
-?>;
+// An instructor-defined outline (custom_outline) takes precedence over the template file
+window.templateData = <?php echo json_encode(researchflow_get_outline_template($instance)); ?>;
 window.cmId = <?php echo $cm->id; ?>;
 window.courseId = <?php echo $course->id; ?>;
 window.sesskey = <?php echo json_encode(sesskey()); ?>;
@@ -416,6 +530,116 @@ console.log('==========================================');
     </div>
 </div>
 
+<!-- Idea Import Modal -->
+<div id="ideaImportModal" class="idea-import-modal" style="display: none;" role="dialog" aria-modal="true" aria-labelledby="ideaImportTitle">
+    <div class="idea-import-content">
+        <div class="idea-import-header">
+            <h3 id="ideaImportTitle"><?php echo get_string('import_ideas', 'mod_researchflow'); ?></h3>
+            <button class="idea-import-close" id="ideaImportClose" aria-label="Close">×</button>
+        </div>
+        <div class="idea-import-body">
+            <div class="idea-import-input">
+                <label for="ideaImportFormat">Format</label>
+                <select id="ideaImportFormat" class="idea-filter-select"></select>
+                <textarea id="ideaImportText" rows="10" placeholder="- First idea&#10;  - Supporting point&#10;&#10;# Section title&#10;- Idea for that section"></textarea>
+                <label for="ideaImportFile">Or choose a file (.csv, .md, .txt)</label>
+                <input type="file" id="ideaImportFile" accept=".csv,.md,.markdown,.txt,text/csv,text/plain,text/markdown">
+            </div>
+            <div class="idea-import-preview" id="ideaImportPreview" aria-live="polite"></div>
+        </div>
+        <div class="idea-import-footer">
+            <button class="idea-import-cancel" id="ideaImportCancel">Cancel</button>
+            <button class="idea-import-confirm" id="ideaImportConfirm" disabled>Import</button>
+        </div>
+    </div>
+</div>
+
+<!-- Outline Sync Modal -->
+<div id="outlineSyncModal" class="idea-import-modal" style="display: none;" role="dialog" aria-modal="true" aria-labelledby="outlineSyncTitle">
+    <div class="idea-import-content outline-sync-content">
+        <div class="idea-import-header">
+            <h3 id="outlineSyncTitle"><?php echo get_string('sync_outline', 'mod_researchflow'); ?></h3>
+            <button class="idea-import-close" id="outlineSyncClose" aria-label="Close">×</button>
+        </div>
+        <div class="outline-sync-body">
+            <fieldset class="outline-sync-direction">
+                <legend class="sr-only">Sync direction</legend>
+                <label><input type="radio" name="outlineSyncDirection" value="toDraft" checked> Update my draft from the outline</label>
+                <label><input type="radio" name="outlineSyncDirection" value="toOutline"> Update my outline from the draft</label>
+            </fieldset>
+            <div class="outline-sync-changes" id="outlineSyncChanges" aria-live="polite"></div>
+        </div>
+        <div class="idea-import-footer">
+            <button class="idea-import-cancel" id="outlineSyncCancel">Cancel</button>
+            <button class="idea-import-confirm" id="outlineSyncApply" disabled>Apply Changes</button>
+        </div>
+    </div>
+</div>
+
+<!-- Sources Library Modal -->
+<div id="sourceLibraryModal" class="idea-import-modal" style="display: none;" role="dialog" aria-modal="true" aria-labelledby="sourceLibraryTitle">
+    <div class="idea-import-content source-library-content">
+        <div class="idea-import-header">
+            <h3 id="sourceLibraryTitle"><?php echo get_string('sources', 'mod_researchflow'); ?></h3>
+            <button class="idea-import-close" id="sourceLibraryClose" aria-label="Close">×</button>
+        </div>
+        <div class="source-library-body">
+            <div class="source-library-main">
+                <div class="source-library-toolbar">
+                    <label for="citationStyleSelect">Citation style</label>
+                    <select id="citationStyleSelect" class="idea-filter-select"></select>
+                    <button type="button" class="source-item-btn" id="addSourceBtn">+ Add source</button>
+                    <input type="file" id="sourceImportFile" class="source-import-input" accept=".bib,.ris,.txt,application/x-bibtex,application/x-research-info-systems">
+                    <label class="source-import-label" for="sourceImportFile">Import .bib / .ris</label>
+                </div>
+                <div class="source-import-status" id="sourceImportStatus" aria-live="polite"></div>
+                <form id="sourceForm" class="source-form" hidden>
+                    <label>Type <select name="type"></select></label>
+                    <label>Title <input type="text" name="title" required></label>
+                    <label class="source-form-wide">Authors <textarea name="authors" rows="2" placeholder="Family, Given&#10;One author per line"></textarea></label>
+                    <label>Year <input type="text" name="year" inputmode="numeric"></label>
+                    <label>Journal, book or website <input type="text" name="container"></label>
+                    <label>Volume <input type="text" name="volume"></label>
+                    <label>Issue <input type="text" name="issue"></label>
+                    <label>Pages <input type="text" name="pages" placeholder="12-18"></label>
+                    <label>Publisher <input type="text" name="publisher"></label>
+                    <label>DOI <input type="text" name="doi"></label>
+                    <label>URL <input type="url" name="url"></label>
+                    <label>Accessed <input type="text" name="accessed" placeholder="12 May 2025"></label>
+                    <div class="source-form-actions">
+                        <button type="button" class="idea-import-cancel" id="sourceFormCancel">Cancel</button>
+                        <button type="submit" class="idea-import-confirm">Save source</button>
+                    </div>
+                </form>
+                <div class="source-list" id="sourceList"></div>
+            </div>
+            <div class="reference-preview" id="referencePreview" aria-live="polite"></div>
+        </div>
+        <div class="idea-import-footer">
+            <div class="cite-bar" id="citeBar" hidden>
+                <label for="citeLocator">Page</label>
+                <input type="text" id="citeLocator" placeholder="e.g. 12 or 12-14">
+                <button class="idea-import-confirm" id="insertCitationBtn" disabled>Insert citation</button>
+            </div>
+            <button class="idea-import-cancel" id="sourceLibraryDone">Done</button>
+        </div>
+    </div>
+</div>
+
+<!-- Save Conflict Modal (the project was saved from another tab or device) -->
+<div id="saveConflictModal" class="idea-import-modal" style="display: none;" role="dialog" aria-modal="true" aria-labelledby="saveConflictTitle">
+    <div class="idea-import-content save-conflict-content">
+        <div class="idea-import-header">
+            <h3 id="saveConflictTitle"><?php echo get_string('save_conflict', 'mod_researchflow'); ?></h3>
+        </div>
+        <p class="save-conflict-intro">This project was saved from another tab or device after you opened it here. Choose which version to keep for each part that differs, or merge them.</p>
+        <div class="save-conflict-phases" id="saveConflictPhases"></div>
+        <div class="idea-import-footer">
+            <button class="idea-import-confirm" id="saveConflictApply">Save my choices</button>
+        </div>
+    </div>
+</div>
+
 <!-- Success Notification Modal -->
 <div id="successNotificationModal" class="success-notification-modal" style="display: none;">
     <div class="success-notification-content">